@@ -15,6 +15,7 @@
  * ---------
  * Revisions
  * - 29-07-2023   Refactored out Redis connection as separate queue service.
+ * - 19-10-2026   Structured job logging with request IDs.
  */
 
 'use strict';
@@ -22,6 +23,10 @@
 import express from 'express';
 import Queue from 'bull';
 import { processJob, addQueueJob } from "./worker.services.js";
+import logger, { runWithContext, setService } from '../src/lib/logger.utils.js';
+
+// log entries and files for queue worker
+setService('queue');
 
 /**
  * Create Queue API application.
@@ -49,8 +54,8 @@ app.get('/', (_, res) => {
 })
 
 app.listen(port, () => {
-    console.log(`Queue listening on ${host}:${port}`);
-    console.log('\n- (Node) Exposed Garbage Collection:', !!global.gc);
+    logger.info(`Queue listening on ${host}:${port}`);
+    logger.info('Exposed garbage collection', { gc: !!global.gc });
 });
 
 /**
@@ -95,30 +100,35 @@ try {
       });
 
     // Connect to Redis Queue and process jobs
-    queue.process(async (job) => {
+    // - job log entries include the ID and user of the request that queued the job
+    queue.process(async (job) => runWithContext({
+        requestId: (job.data || {}).requestId,
+        user: (job.data || {}).user,
+        jobId: job.id
+    }, async () => {
 
         try {
             const { data } = job || {};
-            console.log(`Job ${job.id} [PENDING]; Uploading File: ${data.src}\n`);
-            const { src } = await processJob(job, console.error);
+            logger.info(`Job ${job.id} [PENDING]; Uploading File: ${data.src}`);
+            const { src } = await processJob(job, logger.error);
             await addQueueJob(null, job);
-            console.log(`Job ${job.id} [COMPLETED]; Uploading File: ${src}\n`);
+            logger.info(`Job ${job.id} [COMPLETED]; Uploading File: ${src}`);
 
         } catch (error) {
-            console.error('Error processing job:', error);
+            logger.error('Error processing job:', error);
             await addQueueJob(error, job);
         } finally {
             // force garbage collection to prevent heap memory leaks
             if (global.gc) {
-                console.log('Forcing garbage collection...');
+                logger.debug('Forcing garbage collection...');
                 global.gc();
-                console.log('Garbage collection forced.');
+                logger.debug('Garbage collection forced.');
             } else {
-                console.log('Garbage collection is not exposed.');
+                logger.debug('Garbage collection is not exposed.');
             }
         }
-    });
+    }));
 }
 catch (err) {
-    console.error(err);
+    logger.error(err);
 }
\ No newline at end of file
@@ -29,6 +29,7 @@ import path from 'path';
 import {genUUID, sanitize} from '../src/lib/data.utils.js';
 import * as util from "util"; 
 import { v4 as uuidv4 } from 'uuid'; 
+import logger from '../src/lib/logger.utils.js';
 
 
 // import Jimp from 'jimp';
@@ -231,8 +232,8 @@ export const copyImageTo = async (src, output) => {
         );
     }
 
-    await run().catch(console.error);
-    console.log(`Raw image ${src} saved to ${output.path}.`)
+    await run().catch(logger.error);
+    logger.info(`Raw image ${src} saved to ${output.path}.`)
 
 };
 
@@ -360,7 +361,7 @@ export const addQueueJob = async (error, job) => {
 
     } catch (err) {
         // Log any errors
-        console.error(err);
+        logger.error(err);
     } finally {
         // Release the client connection
         await client.release(true);
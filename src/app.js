@@ -10,13 +10,21 @@
  * - Error handlers
  * - CORS
  * - Helmet
- * - Morgan
+ * - Request logging
  * - Cookie parser
  * - Static files
  * 
  * Revisions
  * - 29-07-2023   Refactored out Redis connection as separate queue service.
  * - 08-09-2024   Changed CORS and Helmet settings to allow cross-origin requests.
+ * - 19-10-2026   Allowed PUT, PATCH and DELETE requests for resource routes.
+ * - 19-10-2026   Added API keys for service accounts; request logs include the user.
+ * - 19-10-2026   Replaced Morgan with structured (JSON) request logging.
+ * - 19-10-2026   Added node access grants.
+ * - 19-10-2026   Added audit log of record changes.
+ * - 19-10-2026   Added visibility and embargo dates; restricted image uploads are hidden.
+ * - 19-10-2026   Added trash for deleted records (purged by background job).
+ * - 19-10-2026   Added node metadata revisions.
  */
 
 'use strict';
@@ -24,10 +32,22 @@
 import express from 'express';
 import helmet from 'helmet';
 import cors from 'cors';
-import morgan from 'morgan';
 import cookieParser from 'cookie-parser';
 import { globalHandler, notFoundHandler } from './error.js';
 import router from './routes/index.routes.js';
+import { init as initAuth, identify } from './services/auth.services.js';
+import { init as initKeys } from './services/keys.services.js';
+import { init as initGrants } from './services/grants.services.js';
+import { init as initAudit } from './services/audit.services.js';
+import {
+    init as initVisibility,
+    getRestricted,
+    isRestrictedUpload,
+    canViewRestricted
+} from './services/visibility.services.js';
+import { init as initTrash, schedulePurge } from './services/trash.services.js';
+import { init as initRevisions } from './services/revisions.services.js';
+import { requestLogger } from './lib/logger.utils.js';
 import st from 'st';
 
 /**
@@ -100,17 +120,17 @@ export default async () => {
     // enable CORS
     app.use(cors({
         origin: allowedOrigins,
-        methods: ['GET', 'POST'],
+        methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
         preflightContinue: false,
         optionsSuccessStatus: 200,
         allowedHeaders: ['Content-Type', 'Authorization'],
-        exposedHeaders: ['Content-Type', 'Authorization'],
+        exposedHeaders: ['Content-Type', 'Authorization', 'X-Request-ID'],
         credentials: true,
         maxAge: 86400, // 24 hours
     }));
 
-    // use morgan for HTTP request logging
-    app.use(morgan('dev'));
+    // structured request logging (assigns request IDs)
+    app.use(requestLogger);
 
     // parse application/x-www-form-urlencoded
     app.use(express.urlencoded({
@@ -142,6 +162,21 @@ export default async () => {
      */
     app.get('/favicon.ico', (_, res) => res.status(204).send());
 
+    /**
+     * Initialize authentication provider, API key (service account),
+     * access grant, audit log, visibility, trash and node revision
+     * storage. Expired trash entries are purged in the background.
+     */
+
+    await initAuth();
+    await initKeys();
+    await initGrants();
+    await initAudit();
+    await initVisibility();
+    await initTrash();
+    await initRevisions();
+    schedulePurge();
+
     /**
      * Initialize router asynchronously.
      */
@@ -149,9 +184,20 @@ export default async () => {
     app.use('/', await router());
 
     /**
-     * Serve static files.
+     * Serve static files. Restricted (private or embargoed) images
+     * are only served to users who can view restricted records. Users
+     * are only identified for requests of restricted images.
      */
 
+    app.use('/uploads', async (req, res, next) => {
+        try {
+            if (!isRestrictedUpload(req.path, await getRestricted(null))) return next();
+            if (!canViewRestricted(await identify(req, res))) return notFoundHandler(req, res, next);
+            next();
+        } catch (err) {
+            return next(err);
+        }
+    });
     app.use(st({ path: process.env.LOWRES_PATH, url: '/uploads' }));
 
     /**
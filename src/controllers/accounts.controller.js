@@ -0,0 +1,159 @@
+/*!
+ * MLP.API.Controllers.Accounts
+ * File: accounts.controller.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * Version 2.0
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * Local user account management controller. Administrators can list,
+ * create, update and remove user accounts when the local authentication
+ * provider is selected.
+ *
+ * ---------
+ * Revisions
+ * - 19-10-2026   Initial release.
+ */
+
+/**
+ * Module dependencies.
+ * @private
+ */
+
+import pool from '../services/db.services.js';
+import * as accounts from '../services/accounts.services.js';
+import { getProvider } from '../services/auth.services.js';
+import { prepare } from '../lib/api.utils.js';
+
+/**
+ * Controller initialization.
+ *
+ * @src public
+ */
+
+export const init = async () => {};
+
+/**
+ * Run account request with database client. Accounts are only
+ * available with the local authentication provider.
+ *
+ * @private
+ * @param next
+ * @param {Function} handler
+ * @return {Promise} result
+ */
+
+const withAccounts = async (next, handler) => {
+
+    if (getProvider().name !== 'local') return next(new Error('accountsUnavailable'));
+
+    // NOTE: client undefined if connection fails.
+    const client = await pool.connect();
+
+    try {
+        await handler(client);
+    } catch (err) {
+        return next(err);
+    } finally {
+        await client.release(true);
+    }
+};
+
+/**
+ * List user accounts.
+ *
+ * @param req
+ * @param res
+ * @param next
+ * @src public
+ */
+
+export const list = async (req, res, next) => {
+    await withAccounts(next, async (client) => {
+        res.status(200).json(
+            prepare({
+                view: 'accounts',
+                data: await accounts.list(client),
+                user: req.user
+            }));
+    });
+};
+
+/**
+ * Create user account.
+ *
+ * @param req
+ * @param res
+ * @param next
+ * @src public
+ */
+
+export const create = async (req, res, next) => {
+    await withAccounts(next, async (client) => {
+        const account = await accounts.create(req.body, client);
+        res.status(200).json(
+            prepare({
+                view: 'accounts',
+                data: account,
+                user: req.user,
+                message: {
+                    msg: `User account '${account.email}' created.`,
+                    type: 'success'
+                }
+            }));
+    });
+};
+
+/**
+ * Update user account password or role.
+ *
+ * @param req
+ * @param res
+ * @param next
+ * @src public
+ */
+
+export const update = async (req, res, next) => {
+    await withAccounts(next, async (client) => {
+        const account = await accounts.update(req.params.account_id, req.body, client);
+        if (!account) return next(new Error('notFound'));
+        res.status(200).json(
+            prepare({
+                view: 'accounts',
+                data: account,
+                user: req.user,
+                message: {
+                    msg: `User account '${account.email}' updated.`,
+                    type: 'success'
+                }
+            }));
+    });
+};
+
+/**
+ * Remove user account (ends its sessions).
+ *
+ * @param req
+ * @param res
+ * @param next
+ * @src public
+ */
+
+export const remove = async (req, res, next) => {
+    await withAccounts(next, async (client) => {
+        const account = await accounts.remove(req.params.account_id, client);
+        if (!account) return next(new Error('notFound'));
+        res.status(200).json(
+            prepare({
+                view: 'accounts',
+                data: account,
+                user: req.user,
+                message: {
+                    msg: `User account '${account.email}' removed.`,
+                    type: 'success'
+                }
+            }));
+    });
+};
@@ -61,7 +61,7 @@ export const login = async (req, res, next) => {
         return next(err);
     }
 
-    // authenticate credentials against Keycloak
+    // authenticate credentials with the authentication provider
     await auth.authenticate(credentials)
         .then(data => {
 
@@ -109,12 +109,12 @@ export const logout = async (req, res, next) => {
     // get access token from cookie
     const { access_token=null, refresh_token=null } = req.signedCookies || [];
 
-    // logout session in Keycloak
+    // logout session with the authentication provider
     await auth.logout(access_token, refresh_token)
-        .then(kcRes => {
+        .then(isLoggedOut => {
 
-            // Keycloak did not properly log out user
-            if (kcRes.status !== 204)
+            // provider did not properly log out user
+            if (!isLoggedOut)
                 throw Error('logoutFailed');
 
             // successful session logout
@@ -142,7 +142,7 @@ export const logout = async (req, res, next) => {
 
 export const refresh = async (req, res, next) => {
 
-    // refresh token (Keycloak API)
+    // refresh token (authentication provider)
     await auth.refresh(req)
         .then(data => {
             // reset tokens if a token is not found or is invalid
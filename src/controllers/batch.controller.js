@@ -0,0 +1,78 @@
+/*!
+ * MLP.API.Controllers.Batch
+ * File: batch.controller.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * Version 2.0
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * Batch operations controller. Runs an ordered list of node record
+ * operations in a single database transaction: either all operations
+ * are committed, or the transaction is rolled back and the error of
+ * the failed operation is returned.
+ *
+ * ---------
+ * Revisions
+ * - 19-10-2026   Initial release.
+ */
+
+import pool from '../services/db.services.js';
+import * as batch from '../services/batch.services.js';
+import {getPermissions} from '../services/schema.services.js';
+import {prepare} from '../lib/api.utils.js';
+
+/**
+ * Controller initialization.
+ *
+ * @src public
+ */
+
+export const init = async () => {};
+
+/**
+ * Run batch operations.
+ *
+ * @param req
+ * @param res
+ * @param next
+ * @src public
+ */
+
+export const run = async (req, res, next) => {
+
+    // NOTE: client undefined if connection fails.
+    const client = await pool.connect();
+
+    // file paths relocated by moves
+    const moved = [];
+
+    try {
+        const {operations = null} = req.body || {};
+        await batch.check(operations, client);
+
+        const permissions = await getPermissions(client);
+
+        await client.query('BEGIN');
+        const results = await batch.run(operations, {client, user: req.user, permissions, moved});
+        await client.query('COMMIT');
+
+        res.status(200).json(
+            prepare({
+                view: 'batch',
+                data: results,
+                message: {
+                    msg: `${results.length} operation(s) completed successfully!`,
+                    type: 'success'
+                }
+            }));
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        await batch.restoreFiles(moved);
+        return next(err);
+    } finally {
+        await client.release(true);
+    }
+};
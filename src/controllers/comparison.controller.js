@@ -14,8 +14,10 @@ import pool from '../services/db.services.js';
 import * as fserve from '../services/files.services.js';
 import * as nserve from '../services/nodes.services.js';
 import { prepare } from '../lib/api.utils.js';
+import { getPage, getPagination } from '../lib/pagination.utils.js';
 import * as metaserve from '../services/metadata.services.js';
 import * as importer from '../services/import.services.js';
+import {withLoader} from '../services/loader.services.js';
 import {
     isComparable,
     upsertComparison,
@@ -51,7 +53,8 @@ export default function ComparisonController() {
         try {
 
             // get query parameters
-            const { ids='', offset=0, limit=10 } = req.query || {};
+            const { ids='' } = req.query || {};
+            const page = getPage(req.query);
 
             // sanitize + convert query string to node id array
             const comparisonIDs = ids
@@ -61,12 +64,13 @@ export default function ComparisonController() {
                 });
 
             // get filtered results
-            const resultData = await filterComparisonsByID(comparisonIDs, offset, limit);
+            const resultData = await filterComparisonsByID(comparisonIDs, page);
 
             res.status(200).json(
                 prepare({
                     view: 'filter',
-                    data: resultData
+                    data: resultData,
+                    pagination: getPagination(req, resultData.page)
                 }));
 
         } catch (err) {
@@ -131,23 +135,26 @@ export default function ComparisonController() {
                     : await metaserve.getHistoricCapturesByStation(station, client);
 
                 // get capture metadata available for comparison
-                availableCaptures = await Promise.all(
-                    (availableCaptures || [])
-                        .map(async (capture) => {
-                            const captureNode = await nserve.select(capture.nodes_id, client);
-                            const {id=null, type=null} = captureNode || {};
-                            return await nserve.get(id, type, client);
-                        })
-                );
-
-                // get captures already selected for comparison
-                selectedCaptures = await Promise.all(
-                    (availableCaptures || [])
-                        .map(async (capture) => {
-                            const {node=null} = capture || {};
-                            return await getComparisonsByCapture(node, client) || [];
-                        })
-                );
+                // - captures and their comparisons are loaded together
+                await withLoader(client, async (loader) => {
+                    availableCaptures = await Promise.all(
+                        (availableCaptures || [])
+                            .map(async (capture) => {
+                                const captureNode = await loader.select('nodes', 'id', capture.nodes_id);
+                                const {id=null, type=null} = captureNode || {};
+                                return await nserve.get(id, type, client);
+                            })
+                    );
+
+                    // get captures already selected for comparison
+                    selectedCaptures = await Promise.all(
+                        (availableCaptures || [])
+                            .map(async (capture) => {
+                                const {node=null} = capture || {};
+                                return await getComparisonsByCapture(node, client) || [];
+                            })
+                    );
+                });
 
                 // reduce selected captures to array of node IDs
                 selectedCaptures = selectedCaptures.reduce((o, captures) => {
@@ -184,7 +191,6 @@ export default function ComparisonController() {
             }
 
         } catch (err) {
-            console.error(err)
             return next(err);
         }
         finally {
@@ -244,13 +250,15 @@ export default function ComparisonController() {
                     ? await metaserve.getHistoricCapturesByStation(station, client)
                     : await metaserve.getModernCapturesByStation(station, client)
 
-                // append file data
-                const captureData = await Promise.all(
-                    (captures || [])
-                        .map(async (capture) => {
-                            return await nserve.get(capture.id, capture.type, client);
-                        })
-                );
+                // append file data (loaded together)
+                const captureData = await withLoader(client, async () => {
+                    return await Promise.all(
+                        (captures || [])
+                            .map(async (capture) => {
+                                return await nserve.get(capture.id, capture.type, client);
+                            })
+                    );
+                });
 
                 // send form data response
                 // - include possible historic images for alignment (mastering)
@@ -271,7 +279,6 @@ export default function ComparisonController() {
             }
 
         } catch (err) {
-            console.error(err)
             return next(err);
         }
         finally {
@@ -355,7 +362,6 @@ export default function ComparisonController() {
                 }));
 
         } catch (err) {
-            console.error(err)
             return next(err);
         } finally {
             await client.release(true);
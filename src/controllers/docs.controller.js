@@ -0,0 +1,77 @@
+/*!
+ * MLP.API.Controllers.Docs
+ * File: docs.controller.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * Version 2.0
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * API documentation controller. Serves the generated OpenAPI
+ * specification and a browsable documentation page.
+ *
+ * ---------
+ * Revisions
+ * - 19-10-2026   Initial release.
+ */
+
+import pool from '../services/db.services.js';
+import * as docserve from '../services/docs.services.js';
+
+/**
+ * Controller initialization.
+ *
+ * @src public
+ */
+
+export const init = async () => {};
+
+/**
+ * OpenAPI specification request controller.
+ *
+ * @param req
+ * @param res
+ * @param next
+ * @src public
+ */
+
+export const spec = async (req, res, next) => {
+
+    // NOTE: client undefined if connection fails.
+    const client = await pool.connect();
+
+    try {
+        res.status(200).json(await docserve.getSpec(client));
+    } catch (err) {
+        return next(err);
+    }
+    finally {
+        await client.release(true);
+    }
+};
+
+/**
+ * Browsable API documentation request controller.
+ *
+ * @param req
+ * @param res
+ * @param next
+ * @src public
+ */
+
+export const docs = async (req, res, next) => {
+
+    // NOTE: client undefined if connection fails.
+    const client = await pool.connect();
+
+    try {
+        const spec = await docserve.getSpec(client);
+        res.status(200).type('html').send(docserve.toHTML(spec));
+    } catch (err) {
+        return next(err);
+    }
+    finally {
+        await client.release(true);
+    }
+};
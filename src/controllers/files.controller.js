@@ -13,6 +13,12 @@
  * ---------
  * Revisions
  * - 18-11-2023    Added file directory list controller.
+ * - 19-10-2026    Added replacement (PUT) updates and owner query parameter for resource routes.
+ * - 19-10-2026    Validate submitted file metadata before records are saved.
+ * - 19-10-2026    Changes are limited to the subtrees granted to restricted users.
+ * - 19-10-2026    Added file visibility and embargo dates; restricted files are not downloaded.
+ * - 19-10-2026    Record versions (optimistic concurrency) are checked on updates.
+ * - 19-10-2026    Uploads are checked against file relations (allowed owner types).
  */
 
 /**
@@ -27,10 +33,17 @@ import {getFilePath} from '../services/files.services.js';
 import * as nserve from '../services/nodes.services.js';
 import * as cserve from "../services/construct.services.js";
 import {prepare} from '../lib/api.utils.js';
+import {getPage, getPagination} from '../lib/pagination.utils.js';
 import pool from '../services/db.services.js';
 import {humanize, sanitize} from '../lib/data.utils.js';
 import * as importer from '../services/import.services.js';
+import {validate} from '../services/validation.services.js';
+import {authorizeNode} from '../services/grants.services.js';
+import {checkRelation} from '../services/schema.services.js';
+import * as vserve from '../services/visibility.services.js';
+import {getSubmittedVersion} from '../services/versions.services.js';
 import {getImageURL} from "../services/images.services.js";
+import logger from '../lib/logger.utils.js';
 
 /**
  * Export controller constructor.
@@ -61,7 +74,7 @@ export default function FilesController(modelType) {
             model = new Model();
             mserve = new ModelServices(new Model());
         } catch (err) {
-            console.error(err);
+            logger.error(err);
         }
     };
 
@@ -128,7 +141,6 @@ export default function FilesController(modelType) {
                 }));
 
         } catch (err) {
-            console.error(err)
             return next(err);
         } finally {
             await client.release(true);
@@ -179,7 +191,6 @@ export default function FilesController(modelType) {
                 }));
 
         } catch (err) {
-            console.error(err)
             return next(err);
         } finally {
             await client.release(true);
@@ -204,6 +215,7 @@ export default function FilesController(modelType) {
 
             // get query parameters
             const { ids=''} = req.query || {};
+            const page = getPage(req.query);
 
             // sanitize + convert query string to node id array
             const fileIDs = ids
@@ -212,25 +224,27 @@ export default function FilesController(modelType) {
                     return sanitize(id, 'integer');
                 });
 
-            // get filtered results
-            const resultData = await Promise.all((
-                fileIDs || []).map(async (id) => {
-                    const {file_type} = await fserve.select(id, client);
-                    const {results} = await fserve.filterFilesByID([id], file_type, 0, 100);
-                    const rs = results[0];
-                    // include image urls
-                    rs.url = getImageURL(file_type, rs);
-                    return rs;
+            // get requested page of files
+            const { results: files = [], page: resultPage } = await fserve.filterFilesByID(fileIDs, null, page) || {};
+
+            // get filtered results (with file type metadata)
+            const resultData = await Promise.all(files.map(async (file) => {
+                const {file_type} = file || {};
+                const {results} = await fserve.filterFilesByID([file.id], file_type, getPage({}, 1));
+                const rs = results[0];
+                // include image urls
+                rs.url = getImageURL(file_type, rs);
+                return rs;
             }));
 
             res.status(200).json(
                 prepare({
                     view: 'filter',
-                    data: resultData
+                    data: resultData,
+                    pagination: getPagination(req, resultPage)
                 }));
 
         } catch (err) {
-            console.error(err)
             return next(err);
         } finally {
             await client.release(true);
@@ -253,17 +267,27 @@ export default function FilesController(modelType) {
 
         try {
 
-            // get owner ID from parameters (if exists)
-            const { owner_id = null } = req.params || {};
+            // get owner ID from parameters or query string (if exists)
+            const { owner_id = null } = req.params.hasOwnProperty('owner_id')
+                ? req.params
+                : req.query || {};
 
             // get owner metadata record
             const owner = await nserve.select(owner_id, client);
-            const { type='' } = owner || {};
+
+            // check file type can be attached to owner (file relations)
+            await checkRelation('files', owner, model.name, client);
+
+            // check user has access to owner subtree
+            await authorizeNode(req.user, owner, client);
 
             // filter metadata through importer
             // - saves attached files to library
             // - collates input metadata (applies to all files)
-            const received = await importer.receive(req, owner_id, type);
+            const received = await importer.receive(req);
+
+            // validate submitted metadata (applies to all files)
+            await validate(model, received.metadata, client, true);
 
             // check if files are present in request data
             if (Object.keys(received.files).length === 0) {
@@ -271,7 +295,7 @@ export default function FilesController(modelType) {
             }
 
             // save file(s) and insert file metadata
-            const resData = await fserve.insert(received, model.name, owner);
+            const resData = await fserve.insert(received.files, owner, client);
 
             // send response
             res.status(200).json(
@@ -286,7 +310,6 @@ export default function FilesController(modelType) {
                 }));
 
         } catch (err) {
-            console.error(err)
             return next(err);
         } finally {
             await client.release(true);
@@ -334,7 +357,6 @@ export default function FilesController(modelType) {
                 }));
 
         } catch (err) {
-            console.error(err)
             return next(err);
         } finally {
             await client.release(true);
@@ -342,7 +364,10 @@ export default function FilesController(modelType) {
     };
 
     /**
-     * Update file metadata.
+     * Update file metadata. Submitted fields are merged with the
+     * current metadata, except for PUT requests, which replace it.
+     * Updates are rejected if the metadata changed since the
+     * submitted version.
      *
      * @param req
      * @param res
@@ -366,22 +391,31 @@ export default function FilesController(modelType) {
             }
 
             // get metadata fields
-            const {metadata='', file=''} = fileData || {};
-            const {owner_id='', owner_type='', file_type=''} = file || {};
-            const imported = await importer.receive(req, owner_id, owner_type);
+            const {metadata={}, file=''} = fileData || {};
+            await authorizeNode(req.user, file, client);
+            const {file_type=''} = file || {};
+            const imported = await importer.receive(req);
+
+            // validate submitted metadata (only submitted fields for partial updates)
+            const FileModel = await cserve.create(file_type);
+            await validate(new FileModel(), imported.metadata, client, req.method !== 'PUT');
 
             // overwrite metadata
-            Object.keys(imported.data).forEach((field) => {
-                metadata[field] = imported.data[field];
+            // - replacement: only record identifiers are retained
+            const data = req.method === 'PUT'
+                ? {[model.idKey]: metadata[model.idKey], owner_id: metadata.owner_id}
+                : metadata;
+            Object.keys(imported.metadata || {}).forEach((field) => {
+                data[field] = imported.metadata[field];
             });
 
             // update owner in file metadata model
-            const fileNode = new Model(metadata);
-            const FileModel = await cserve.create(file_type);
-            const fileMetadata = new FileModel(metadata);
+            const fileNode = new Model(data);
+            const fileMetadata = new FileModel(data);
 
             // update file metadata record
-            await fserve.update(fileNode, fileMetadata, client);
+            // - rejected if the metadata changed since the submitted version
+            await fserve.update(fileNode, fileMetadata, client, getSubmittedVersion(req, imported.metadata));
 
             // get updated file
             let updatedItem = await fserve.get(id, client);
@@ -403,7 +437,6 @@ export default function FilesController(modelType) {
                 }));
 
         } catch (err) {
-            console.error(err)
             return next(err);
         } finally {
             await client.release(true);
@@ -432,6 +465,9 @@ export default function FilesController(modelType) {
             // check if node is valid (exists)
             if (!file) return next(new Error('notFound'));
 
+            // check user has access to file owner subtree
+            await authorizeNode(req.user, file.file, client);
+
             // delete file + file model metadata
             const result = await fserve.remove(file, client);
 
@@ -447,7 +483,49 @@ export default function FilesController(modelType) {
                 }));
 
         } catch (err) {
-            console.error(err)
+            return next(err);
+        } finally {
+            await client.release(true);
+        }
+    };
+
+    /**
+     * Set file visibility (public or private) and embargo date.
+     *
+     * @param req
+     * @param res
+     * @param next
+     * @src public
+     */
+
+    this.visibility = async (req, res, next) => {
+
+        const client = await pool.connect();
+
+        try {
+            const id = this.getId(req);
+
+            // retrieve file data
+            const fileData = await fserve.get(id, client);
+            if (!fileData) return next(new Error('notFound'));
+
+            // check user has access to file owner subtree
+            await authorizeNode(req.user, fileData.file, client);
+
+            const file = await vserve.update('files', fileData.file, req.body, client);
+
+            res.status(200).json(
+                prepare({
+                    view: 'visibility',
+                    model: model,
+                    data: file,
+                    message: {
+                        msg: `'${fileData.label}' visibility updated.`,
+                        type: 'success'
+                    }
+                }));
+
+        } catch (err) {
             return next(err);
         } finally {
             await client.release(true);
@@ -482,6 +560,9 @@ export default function FilesController(modelType) {
             // file does not exist
             if (!file) return next(new Error('invalidRequest'));
 
+            // file is restricted (private or embargoed)
+            if (vserve.isRestricted(file, req.restricted)) return next(new Error('notFound'));
+
             res.setHeader('Content-disposition', 'attachment; filename=' + filename);
             res.setHeader('Content-type', mime_type);
 
@@ -567,7 +648,6 @@ export default function FilesController(modelType) {
             });
 
         } catch (err) {
-            console.error(err)
             return next(err);
         }
     };
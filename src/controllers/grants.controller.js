@@ -0,0 +1,166 @@
+/*!
+ * MLP.API.Controllers.Grants
+ * File: grants.controller.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * Version 2.0
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * Node access grants management controller. Administrators can list,
+ * create and remove the grants that limit users to editing the nodes
+ * (e.g. projects or surveyors) and dependents granted to them, and
+ * lift the restriction of users to their granted nodes.
+ *
+ * ---------
+ * Revisions
+ * - 19-10-2026   Initial release.
+ */
+
+/**
+ * Module dependencies.
+ * @private
+ */
+
+import pool from '../services/db.services.js';
+import * as grants from '../services/grants.services.js';
+import { prepare } from '../lib/api.utils.js';
+
+/**
+ * Controller initialization.
+ *
+ * @src public
+ */
+
+export const init = async () => {};
+
+/**
+ * List access grants.
+ *
+ * @param req
+ * @param res
+ * @param next
+ * @src public
+ */
+
+export const list = async (req, res, next) => {
+
+    // NOTE: client undefined if connection fails.
+    const client = await pool.connect();
+
+    try {
+        res.status(200).json(
+            prepare({
+                view: 'grants',
+                data: await grants.list(client),
+                user: req.user
+            }));
+    } catch (err) {
+        return next(err);
+    } finally {
+        await client.release(true);
+    }
+};
+
+/**
+ * Create access grant.
+ *
+ * @param req
+ * @param res
+ * @param next
+ * @src public
+ */
+
+export const create = async (req, res, next) => {
+
+    // NOTE: client undefined if connection fails.
+    const client = await pool.connect();
+
+    try {
+        const grant = await grants.create(req.body, req.user, client);
+        res.status(200).json(
+            prepare({
+                view: 'grants',
+                data: grant,
+                user: req.user,
+                message: {
+                    msg: `Access to node ${grant.node_id} granted to '${grant.email}'.`,
+                    type: 'success'
+                }
+            }));
+    } catch (err) {
+        return next(err);
+    } finally {
+        await client.release(true);
+    }
+};
+
+/**
+ * Remove access grant.
+ *
+ * @param req
+ * @param res
+ * @param next
+ * @src public
+ */
+
+export const remove = async (req, res, next) => {
+
+    // NOTE: client undefined if connection fails.
+    const client = await pool.connect();
+
+    try {
+        const grant = await grants.remove(req.params.grant_id, client);
+        if (!grant) return next(new Error('notFound'));
+        res.status(200).json(
+            prepare({
+                view: 'grants',
+                data: grant,
+                user: req.user,
+                message: {
+                    msg: `Access to node ${grant.node_id} removed for '${grant.email}'.`,
+                    type: 'success'
+                }
+            }));
+    } catch (err) {
+        return next(err);
+    } finally {
+        await client.release(true);
+    }
+};
+
+/**
+ * Lift restriction of user to granted subtrees (removes the user's
+ * access grants).
+ *
+ * @param req
+ * @param res
+ * @param next
+ * @src public
+ */
+
+export const unrestrict = async (req, res, next) => {
+
+    // NOTE: client undefined if connection fails.
+    const client = await pool.connect();
+
+    try {
+        const restriction = await grants.unrestrict(req.body, client);
+        if (!restriction) return next(new Error('notFound'));
+        res.status(200).json(
+            prepare({
+                view: 'grants',
+                data: restriction,
+                user: req.user,
+                message: {
+                    msg: `Restriction to granted nodes lifted for '${restriction.email}'.`,
+                    type: 'success'
+                }
+            }));
+    } catch (err) {
+        return next(err);
+    } finally {
+        await client.release(true);
+    }
+};
@@ -0,0 +1,129 @@
+/*!
+ * MLP.API.Controllers.Keys
+ * File: keys.controller.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * Version 2.0
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * API key (service account) management controller. Administrators can
+ * list, create and revoke API keys.
+ *
+ * ---------
+ * Revisions
+ * - 19-10-2026   Initial release.
+ */
+
+/**
+ * Module dependencies.
+ * @private
+ */
+
+import pool from '../services/db.services.js';
+import * as keys from '../services/keys.services.js';
+import { prepare } from '../lib/api.utils.js';
+
+/**
+ * Controller initialization.
+ *
+ * @src public
+ */
+
+export const init = async () => {};
+
+/**
+ * List API keys.
+ *
+ * @param req
+ * @param res
+ * @param next
+ * @src public
+ */
+
+export const list = async (req, res, next) => {
+
+    // NOTE: client undefined if connection fails.
+    const client = await pool.connect();
+
+    try {
+        res.status(200).json(
+            prepare({
+                view: 'keys',
+                data: await keys.list(client),
+                user: req.user
+            }));
+    } catch (err) {
+        return next(err);
+    } finally {
+        await client.release(true);
+    }
+};
+
+/**
+ * Create API key. The key value is only included in this response.
+ *
+ * @param req
+ * @param res
+ * @param next
+ * @src public
+ */
+
+export const create = async (req, res, next) => {
+
+    // NOTE: client undefined if connection fails.
+    const client = await pool.connect();
+
+    try {
+        const key = await keys.create(req.body, req.user, client);
+        res.status(200).json(
+            prepare({
+                view: 'keys',
+                data: key,
+                user: req.user,
+                message: {
+                    msg: `API key '${key.name}' created. Copy the key now: it will not be shown again.`,
+                    type: 'success'
+                }
+            }));
+    } catch (err) {
+        return next(err);
+    } finally {
+        await client.release(true);
+    }
+};
+
+/**
+ * Revoke API key.
+ *
+ * @param req
+ * @param res
+ * @param next
+ * @src public
+ */
+
+export const revoke = async (req, res, next) => {
+
+    // NOTE: client undefined if connection fails.
+    const client = await pool.connect();
+
+    try {
+        const key = await keys.revoke(req.params.key_id, client);
+        if (!key) return next(new Error('notFound'));
+        res.status(200).json(
+            prepare({
+                view: 'keys',
+                data: key,
+                user: req.user,
+                message: {
+                    msg: `API key '${key.name}' revoked.`,
+                    type: 'success'
+                }
+            }));
+    } catch (err) {
+        return next(err);
+    } finally {
+        await client.release(true);
+    }
+};
@@ -13,14 +13,19 @@
  * ---------
  * Revisions
  * - [25-08-2024] Updated image file queue jobs status.
+ * - [19-10-2026] Logs view returns filtered pages of structured log entries.
+ * - [19-10-2026] Added audit log view.
+ * - [19-10-2026] Added trash view and restore.
  */
 
 import { prepare } from '../lib/api.utils.js';
 import { getMetadataOptions } from '../services/metadata.services.js';
 import pool from '../services/db.services.js';
-import fs from "fs";
-import path from 'path';
 import { getQueueJobs } from '../services/queue.services.js';
+import { getFilters, query as queryLogs } from '../services/logs.services.js';
+import * as auditserve from '../services/audit.services.js';
+import * as trashserve from '../services/trash.services.js';
+import { getPage, getPagination } from '../lib/pagination.utils.js';
 import mime from 'mime-types';
 
 /**
@@ -60,7 +65,9 @@ export const show = async (_, res, next) => {
 };
 
 /**
- * Administrative analytics and logs request controller.
+ * Administrative logs request controller. Returns a page of structured
+ * log entries filtered by level, time range (from/to), request ID,
+ * user and service.
  *
  * @param req
  * @param res
@@ -68,46 +75,119 @@ export const show = async (_, res, next) => {
  * @src public
  */
 
-export const logs = async (_, res, next) => {
+export const logs = async (req, res, next) => {
     try {
+        const filters = getFilters(req.query);
+        const { results, page } = await queryLogs(filters, getPage(req.query, 50));
+        res.status(200).json(
+            prepare({
+                view: 'logs',
+                data: results,
+                pagination: getPagination(req, page),
+            }));
+    } catch (err) {
+        return next(err);
+    }
+};
+
+/**
+ * Administrative audit log request controller. Returns a page of
+ * changes to node, metadata and file records filtered by user, model,
+ * operation and date range (from/to).
+ *
+ * @param req
+ * @param res
+ * @param next
+ * @src public
+ */
+
+export const audit = async (req, res, next) => {
+
+    // NOTE: client undefined if connection fails.
+    const client = await pool.connect();
 
-        const rootPath = process.env.NODE_PATH;
-        const logDir = path.join(rootPath, 'logs');
-
-        // read log files
-        fs.readdir(logDir, (err, files) => {
-            if (err) {
-              console.error(err);
-              return next(err);
-            } else {
-              const logFiles = files.filter(file => path.extname(file) === '.log');
-              const logContents = [];
-        
-              logFiles.forEach(file => {
-                const filePath = path.join(logDir, file);
-                fs.readFile(filePath, 'utf8', (err, data) => {
-                  if (err) {
-                    return next(err);
-                  } else {
-                    const logArray = data.split('\n');
-                    logContents.push({file, contents: logArray});
-                    if (logContents.length === logFiles.length) {
-                        res.status(200).json(
-                            prepare({
-                                view: 'logs',
-                                data: logContents, // data,
-                            }));
-                    }
-                  }
-                });
-              });
-            }
-          });
+    try {
+        const filters = auditserve.getFilters(req.query);
+        const { results, page } = await auditserve.query(filters, getPage(req.query, 50), client);
+        res.status(200).json(
+            prepare({
+                view: 'audit',
+                data: results,
+                pagination: getPagination(req, page),
+            }));
     } catch (err) {
         return next(err);
+    } finally {
+        await client.release(true);
     }
 };
 
+/**
+ * Administrative trash request controller. Returns a page of deleted
+ * nodes, files and metadata (optionally filtered by model) with their
+ * scheduled purge dates.
+ *
+ * @param req
+ * @param res
+ * @param next
+ * @src public
+ */
+
+export const trash = async (req, res, next) => {
+
+    // NOTE: client undefined if connection fails.
+    const client = await pool.connect();
+
+    try {
+        const { model = null } = req.query || {};
+        const { results, page } = await trashserve.list(model, getPage(req.query, 50), client);
+        res.status(200).json(
+            prepare({
+                view: 'trash',
+                data: results,
+                pagination: getPagination(req, page),
+            }));
+    } catch (err) {
+        return next(err);
+    } finally {
+        await client.release(true);
+    }
+};
+
+/**
+ * Administrative trash restore request controller. Restores the
+ * deleted records of a trash entry.
+ *
+ * @param req
+ * @param res
+ * @param next
+ * @src public
+ */
+
+export const restoreTrash = async (req, res, next) => {
+
+    // NOTE: client undefined if connection fails.
+    const client = await pool.connect();
+
+    try {
+        const { trash_id = null } = req.params || {};
+        const restored = await trashserve.restore(trash_id, client);
+        if (!restored) return next(new Error('notFound'));
+        res.status(200).json(
+            prepare({
+                view: 'restore',
+                data: restored,
+                message: {
+                    msg: `'${restored.label || restored.model}' restored successfully!`,
+                    type: 'success'
+                }
+            }));
+    } catch (err) {
+        return next(err);
+    } finally {
+        await client.release(true);
+    }
+};
 
 /**
  * Administrative queued jobs request controller.
@@ -90,7 +90,6 @@ export const extractMapFeatures = async (req, res, next) => {
             }));
 
     } catch (err) {
-        console.error(err)
         return next(err);
     } finally {
         await client.release(true);
@@ -146,7 +145,6 @@ export const createMapFeatures = async (req, res, next) => {
             }));
 
     } catch (err) {
-        console.error(err)
         return next(err);
     } finally {
         await client.release(true);
@@ -185,7 +183,6 @@ export const getMapFeatures = async (req, res, next) => {
             }));
 
     } catch (err) {
-        console.error(err)
         return next(err);
     } finally {
         await client.release(true);
@@ -13,6 +13,12 @@
  * ---------
  * Revisions
  * - 25-08-2023   Streamline participant group upsert/deletion controller and services.
+ * - 19-10-2026   Added partial (PATCH) updates and owner query parameter for resource routes.
+ * - 19-10-2026   Validate submitted metadata before records are saved.
+ * - 19-10-2026   Changes to node metadata are limited to the subtrees granted to restricted users.
+ * - 19-10-2026   Record versions (optimistic concurrency) are checked on updates.
+ * - 19-10-2026   Changes to attached metadata are stored as node revisions.
+ * - 19-10-2026   Attached metadata is checked against metadata relations (allowed owner types).
  */
 /**
  * Module dependencies.
@@ -26,7 +32,11 @@ import { prepare } from '../lib/api.utils.js';
 import pool from '../services/db.services.js';
 import {humanize, sanitize} from '../lib/data.utils.js';
 import * as fserve from '../services/import.services.js';
-import {getParticipantGroupTypes} from "../services/schema.services.js";
+import {checkRelation, getParticipantGroupTypes} from "../services/schema.services.js";
+import {validate} from '../services/validation.services.js';
+import {authorizeNode} from '../services/grants.services.js';
+import {checkVersion, getSubmittedVersion, getVersion} from '../services/versions.services.js';
+import * as revisions from '../services/revisions.services.js';
 
 
 /**
@@ -82,10 +92,21 @@ export default function MetadataController(metadataType) {
             ? parseInt(req.params[metadataModel.key])
             : null;
     };
+
+    /**
+     * Get owner id value from request parameters or query string
+     * (resource routes).
+     *
+     * @param {Object} req
+     * @return {Number} owner Id
+     * @src public
+     */
+
     this.getOwnerId = function(req) {
-        return req.params.hasOwnProperty('owner_id')
-            ? parseInt(req.params['owner_id'])
-            : null;
+        const { owner_id = null } = req.params.hasOwnProperty('owner_id')
+            ? req.params
+            : req.query || {};
+        return owner_id ? parseInt(owner_id) : null;
     };
 
     /**
@@ -106,7 +127,6 @@ export default function MetadataController(metadataType) {
                 }));
 
         } catch (err) {
-            console.error(err)
             return next(err);
         }
     };
@@ -132,7 +152,6 @@ export default function MetadataController(metadataType) {
                 }));
 
         } catch (err) {
-            console.error(err)
             return next(err);
         }
         finally {
@@ -169,12 +188,11 @@ export default function MetadataController(metadataType) {
             res.status(200).json(
                 prepare({
                     view: 'show',
-                    data: item.getData(),
+                    data: { ...item.getData(), version: getVersion(data) },
                     model: item
                 }));
 
         } catch (err) {
-            console.error(err)
             return next(err);
         } finally {
             await client.release(true);
@@ -196,24 +214,36 @@ export default function MetadataController(metadataType) {
 
         try {
             const ownerID = this.getOwnerId(req);
-            let ownerType = null;
+            let owner = null;
 
             // get owner ID from parameters
             if (ownerID) {
                 // get owner metadata record (if exists)
-                const owner = await nserve.select(ownerID, client);
+                owner = await nserve.select(ownerID, client);
                 // check owner exists
                 if (!owner) return next(new Error('invalidRequest'));
-                // update owner type
-                ownerType = owner.type;
+                // check metadata type can be attached to owner (metadata relations)
+                await checkRelation('metadata', owner, metadataType, client);
+                // check user has access to owner subtree
+                await authorizeNode(req.user, owner, client);
             }
 
             // filter metadata through importer
             // - saves any attached files to library
             // - collates metadata
-            const mdData = await fserve.receive(req, ownerID, ownerType);
-            let item = new Metadata(mdData.data);
-            const data = await metaserve.insert(item, false, client);
+            const mdData = await fserve.receive(req);
+
+            // validate submitted metadata
+            await validate(metadataModel, mdData.metadata, client);
+
+            // attach item to requested owner (if any)
+            let item = new Metadata(owner ? {...mdData.metadata, owner_id: owner.id} : mdData.metadata);
+
+            // insert record (stored as revision of owner node)
+            await client.query('BEGIN');
+            const data = await revisions.track(owner, client,
+                async () => await metaserve.insert(item, false, client));
+            await client.query('COMMIT');
 
             // send create response
             res.status(200).json(
@@ -228,7 +258,7 @@ export default function MetadataController(metadataType) {
                 }));
 
         } catch (err) {
-            console.error(err)
+            await client.query('ROLLBACK');
             return next(err);
         } finally {
             await client.release(true);
@@ -236,7 +266,10 @@ export default function MetadataController(metadataType) {
     };
 
     /**
-     * Update database data.
+     * Update database data. Submitted data replaces the record
+     * data, except for PATCH requests, which only update the
+     * submitted fields. Updates are rejected if the record changed
+     * since the submitted version.
      *
      * @param req
      * @param res
@@ -249,7 +282,6 @@ export default function MetadataController(metadataType) {
         const client = await pool.connect();
 
         try {
-            let ownerType = null;
             let ownerID = null;
 
             // get item ID from parameters
@@ -263,27 +295,42 @@ export default function MetadataController(metadataType) {
             // and corresponds to requested owner type.
             const owner = await nserve.select(selectData.owner_id, client);
             if (owner) {
+                await authorizeNode(req.user, owner, client);
                 ownerID = owner.id;
-                ownerType = owner.type;
             }
 
             // create metadata item from request data
-            const mdData = await fserve.receive(req, ownerID, ownerType);
-            let item = new Metadata(mdData.data);
+            // - partial updates are merged with the current record
+            const mdData = await fserve.receive(req);
+
+            // validate submitted metadata (only submitted fields for partial updates)
+            await validate(metadataModel, mdData.metadata, client, req.method === 'PATCH');
+
+            let item = req.method === 'PATCH'
+                ? new Metadata({...selectData, ...mdData.metadata})
+                : new Metadata(mdData.metadata);
 
             // include requested ID / owner ID
             item.id = id;
             item.owner = ownerID;
 
-            // do the record update
-            const data = await metaserve.update(item, metadataModel, client);
+            await client.query('BEGIN');
+
+            // reject updates of records changed since the submitted version
+            await checkVersion(metadataModel, id, getSubmittedVersion(req, mdData.metadata), client);
+
+            // do the record update (stored as revision of owner node)
+            const data = await revisions.track(owner, client,
+                async () => await metaserve.update(item, metadataModel, client));
+
+            await client.query('COMMIT');
 
             // send create response
             res.status(200).json(
                 prepare({
                     view: 'show',
                     model: metadataModel,
-                    data: data,
+                    data: { ...data, version: getVersion(data) },
                     message: {
                         msg: `${metadataModel.label || humanize(metadataType)} record updated successfully!`,
                         type: 'success'
@@ -291,7 +338,7 @@ export default function MetadataController(metadataType) {
                 }));
 
         } catch (err) {
-            console.error(err)
+            await client.query('ROLLBACK');
             return next(err);
         } finally {
             await client.release(true);
@@ -320,10 +367,16 @@ export default function MetadataController(metadataType) {
             // check relation exists for file type and node type
             if (!selectData)
                 return next(new Error('invalidRequest'));
+            // check user has access to owner subtree (if attached to node)
+            const owner = await nserve.select(selectData.owner_id, client);
+            if (owner) await authorizeNode(req.user, owner, client);
             // retrieve item data
             let item = new Metadata(selectData);
-            // delete the item
-            const data = await metaserve.remove(item, client);
+            // delete the item (stored as revision of owner node)
+            await client.query('BEGIN');
+            const data = await revisions.track(owner, client,
+                async () => await metaserve.remove(item, client));
+            await client.query('COMMIT');
 
             // send response
             res.status(200).json(
@@ -338,7 +391,7 @@ export default function MetadataController(metadataType) {
                 }));
 
         } catch (err) {
-            console.error(err)
+            await client.query('ROLLBACK');
             return next(err);
         } finally {
             await client.release(true);
@@ -388,7 +441,6 @@ export default function MetadataController(metadataType) {
                 }));
 
         } catch (err) {
-            console.error(err)
             return next(err);
         } finally {
             await client.release(true);
@@ -419,8 +471,16 @@ export default function MetadataController(metadataType) {
             // check owner exists
             if (!owner) return next(new Error('invalidRequest'));
 
+            // check participant groups can be attached to owner (metadata relations)
+            await checkRelation('metadata', owner, metadataModel.name, client);
+
+            // check user has access to owner subtree
+            await authorizeNode(req.user, owner, client);
+
             // filter request through data importer
-            const inputMetadata = await fserve.receive(req, owner.id, owner.type);
+            // - participant groups are submitted as request data ('data' field or request body)
+            const { metadata = {} } = await fserve.receive(req);
+            const { data: inputData = metadata } = metadata || {};
 
             // process input request data for participant groups
             // data: {
@@ -430,16 +490,16 @@ export default function MetadataController(metadataType) {
             //     owner_id: <OWNER_ID>
             // }
 
-            // process each group type
+            // process each group type (stored as revision of owner node)
             const result = [];
             const groupTypes = await getParticipantGroupTypes(client);
-            await Promise.all(groupTypes.map( async(groupType) => {
+            await revisions.track(owner, client, async () => await Promise.all(groupTypes.map( async(groupType) => {
                 // Create new participant groups in request
                 // - creates new group for participants sent in request
                 // - OR adds participants to existing groups
                 let newParticipants;
-                if (inputMetadata.data.hasOwnProperty(groupType)) {
-                    newParticipants = Object.values(inputMetadata.data[groupType]).map(id => {
+                if (inputData.hasOwnProperty(groupType)) {
+                    newParticipants = Object.values(inputData[groupType]).map(id => {
                         return {
                             participant_id: id,
                             owner_id: ownerID,
@@ -455,7 +515,7 @@ export default function MetadataController(metadataType) {
                     // remove the group
                     result.push(await metaserve.removeGroup(owner.id, metadataType, groupType, client));
                 }
-            }));
+            })));
 
             // send create response
             res.status(200).json(
@@ -470,7 +530,6 @@ export default function MetadataController(metadataType) {
                 }));
 
         } catch (err) {
-            console.error(err)
             return next(err);
         } finally {
             await client.release(true);
@@ -497,17 +556,25 @@ export default function MetadataController(metadataType) {
             if (!await metaserve.selectByOwner(sanitize(ownerID, 'integer'), metadataType, client))
                 return next(new Error('invalidRequest'));
 
-            // remove all participants in each group
+            // check user has access to owner subtree
+            const owner = await nserve.select(sanitize(ownerID, 'integer'), client);
+            await authorizeNode(req.user, owner, client);
+
+            // remove participant groups (stored as revision of owner node)
             let result;
             const groupTypes = await getParticipantGroupTypes(client);
-            await Promise.all(groupTypes.map( async(groupType) => {
-                await metaserve.updateGroup([], metadataModel.name, ownerID, groupType, 'participant_id');
-            }));
+            await revisions.track(owner, client, async () => {
 
-            // remove the groups
-            await Promise.all(groupTypes.map( async(groupType) => {
-                result = await metaserve.removeGroup(ownerID, metadataType, groupType, client);
-            }));
+                // remove all participants in each group
+                await Promise.all(groupTypes.map( async(groupType) => {
+                    await metaserve.updateGroup([], metadataModel.name, ownerID, groupType, 'participant_id');
+                }));
+
+                // remove the groups
+                await Promise.all(groupTypes.map( async(groupType) => {
+                    result = await metaserve.removeGroup(ownerID, metadataType, groupType, client);
+                }));
+            });
 
 
             // send response
@@ -523,7 +590,6 @@ export default function MetadataController(metadataType) {
                 }));
 
         } catch (err) {
-            console.error(err)
             return next(err);
         } finally {
             await client.release(true);
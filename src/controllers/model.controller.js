@@ -15,11 +15,17 @@
  *              model and setting up services for it.getId: Retrieves the ID of 
  *              the model instance from the request parameters.
  *  - show:     Retrieves a single model instance by ID and returns its data.
+ *              Related data, dependent depth and metadata fields can be
+ *              selected with the 'include', 'depth' and 'fields' parameters.
  *  - add:      Returns the schema for creating a new model instance.
  *  - create:   Creates a new model instance and saves it to the database.
  *  - edit:     Returns the schema for editing an existing model instance.
- *  - update:   Updates an existing model instance with new data.
+ *  - update:   Updates an existing model instance with new data. PUT
+ *              requests replace the record data; other requests merge the
+ *              submitted fields into the existing record.
  *  - move:     Moves a model instance to a new owner.
+ *  - moveAll:  Moves model instances (captures) to a new owner.
+ *  - merge:    Merges duplicate model instances into a surviving instance.
  *  - remove:   Deletes a model instance.
  * 
  * The class uses several external services and functions, such as cserve, 
@@ -30,6 +36,16 @@
  * ---------
  * Revisions
  * - [24-08-2024] Updated file importer module to use formidable.
+ * - [19-10-2026] Added replacement (PUT) and partial (PATCH) updates for resource routes.
+ * - [19-10-2026] Validate submitted metadata before records are saved.
+ * - [19-10-2026] Added sparse fieldsets and embed options for record data.
+ * - [19-10-2026] Changes are limited to the subtrees granted to restricted users.
+ * - [19-10-2026] Deleted records are moved to the trash (capture comparisons deleted with the capture).
+ * - [19-10-2026] Added bulk moves of captures to a new owner.
+ * - [19-10-2026] Added merge of duplicate records.
+ * - [19-10-2026] Records shown with their dependents are loaded together (batch loader).
+ * - [19-10-2026] Updates are rejected if the record changed since the submitted version.
+ * - [19-10-2026] Created records and uploaded files are checked against node and file relations.
  */
 
 
@@ -41,9 +57,15 @@ import * as fserve from '../services/files.services.js';
 import * as importer from '../services/import.services.js';
 import * as metaserve from '../services/metadata.services.js';
 import {humanize, sanitize} from '../lib/data.utils.js';
-import {isRelatable} from '../services/schema.services.js';
-import {deleteComparisons, getComparisonsMetadata, updateComparisons} from "../services/comparisons.services.js";
-import {prepare} from '../lib/api.utils.js';
+import {checkRelation, isRelatable} from '../services/schema.services.js';
+import {getComparisonsMetadata, updateComparisons} from "../services/comparisons.services.js";
+import {applyEmbedOptions, getEmbedOptions, prepare} from '../lib/api.utils.js';
+import {validate} from '../services/validation.services.js';
+import {authorizeNode} from '../services/grants.services.js';
+import * as batch from '../services/batch.services.js';
+import * as merger from '../services/merge.services.js';
+import {withLoader} from '../services/loader.services.js';
+import {checkVersion, getSubmittedVersion} from '../services/versions.services.js';
 
 /**
  * Export controller constructor.
@@ -100,6 +122,22 @@ export default function ModelController(nodeType) {
             : null;
     };
 
+    /**
+     * Get owner id value from request parameters or query string
+     * (resource routes).
+     *
+     * @param {Object} req
+     * @return {Number} owner Id
+     * @src public
+     */
+
+    this.getOwnerId = function(req) {
+        const { owner_id = null } = req.params.hasOwnProperty('owner_id')
+            ? req.params
+            : req.query || {};
+        return owner_id ? sanitize(owner_id, 'integer') : null;
+    };
+
     /**
      * Show record data.
      *
@@ -119,41 +157,65 @@ export default function ModelController(nodeType) {
             // get requested node ID
             let id = this.getId(req);
 
-            // get item node + metadata
-            let itemData = await nserve.get(id, nodeType, client);
-            const {type=''} = itemData || {};
-
-            // item record and/or node not found in database
-            if (!itemData || nodeType !== type) return next(new Error('notFound'));
-
-            // get node path
-            const path = await nserve.getPath(itemData.node);
-
-            // append second-level dependents (if node depth is above threshold)
-            if (model.depth > 1) {
-                itemData.dependents = await Promise.all(
-                    itemData.dependents.map(async (dependent) => {
+            // get requested related data (second-level dependents by default
+            // if node depth is above threshold)
+            const options = getEmbedOptions(req.query, nodeType, model.depth > 1 ? 2 : 1);
+            const { include, depth } = options;
+            const attached = include.filter(key => ['attached', 'comparisons'].includes(key));
+
+            // append dependents of dependents (and their attached metadata)
+            // up to requested depth
+            const appendDependents = async (dependents, level) => {
+                return await Promise.all(
+                    dependents.map(async (dependent) => {
+                        if (level >= depth) return dependent;
                         const { node = {} } = dependent || {};
-                        dependent.dependents = await nserve.selectByOwner(node.id, client);
-                        dependent.attached = await metaserve.getAttachedByNode(node, client);
+                        dependent.dependents = await appendDependents(
+                            await nserve.selectByOwner(node.id, client, { files: include.includes('files') }), level + 1);
+                        if (attached.length > 0) {
+                            dependent.attached = await metaserve.getAttachedByNode(node, client, attached);
+                        }
                         return dependent;
                     }));
-            }
+            };
+
+            // get item node + metadata, dependents and attached metadata
+            // - records of all dependents are loaded together (see loader services)
+            const itemData = await withLoader(client, async () => {
+                const nodeData = await nserve.get(id, nodeType, client, {
+                    files: include.includes('files'),
+                    dependents: depth > 0
+                });
+                const {type=''} = nodeData || {};
+                if (!nodeData || nodeType !== type) return null;
+
+                if (nodeData.dependents) {
+                    nodeData.dependents = await appendDependents(nodeData.dependents, 1);
+                }
+
+                // include attached metadata
+                if (attached.length > 0) {
+                    nodeData.attached = await metaserve.getAttachedByNode(nodeData.node, client, attached);
+                }
+                return nodeData;
+            });
 
-            // include attached metadata
-            itemData.attached = await metaserve.getAttachedByNode(itemData.node, client);
+            // item record and/or node not found in database
+            if (!itemData) return next(new Error('notFound'));
+
+            // get node path
+            const path = include.includes('path') ? await nserve.getPath(itemData.node) : {};
 
             // send response
             res.status(200).json(
                 prepare({
                     view: 'show',
                     model: model,
-                    data: itemData,
+                    data: applyEmbedOptions(itemData, options),
                     path: path
                 }));
 
         } catch (err) {
-            console.error(err)
             return next(err);
         } finally {
             await client.release(true);
@@ -193,7 +255,6 @@ export default function ModelController(nodeType) {
                 }));
 
         } catch (err) {
-            console.error(err)
             return next(err);
         } finally {
             await client.release(true);
@@ -216,98 +277,55 @@ export default function ModelController(nodeType) {
 
         try {
 
-            let fileData, fileOwnerData;
-
-            // start import transaction
-            await client.query('BEGIN');
+            let fileData;
 
             // get owner ID from parameters (if exists)
-            const { owner_id = null } = req.params || {};
+            const owner_id = this.getOwnerId(req);
             // get owner metadata record
             const owner = await nserve.select(owner_id, client);
 
             // confirm node owner exists
             if (!owner && !model.isRoot) return next(new Error('invalidRequest'));
 
-            // callback for importer (busboy)
-            const callback = async (err, result) => {
-
-                // check for errors
-                if (err) return next(err);
-
-                // get importer result
-                // - files: array of uploaded file data
-                // - metadata: object of model metadata
-                const {files, metadata} = result || {};
-
-                // create model instance of file owner (proximate node)
-                const fileOwner = new Model(
-                    {...(metadata || {}), owner_id, owner_type: owner?.type}
-                );
-
-                // save model instance
-                fileOwnerData = await mserve.insert(fileOwner);
-
-                // create capture instance (if required)
-                //if (['historic_captures', 'modern_captures'].includes(item.type)) {
-
-                // const CaptureModel = await cserve.create(model);
-                // const mserve = new ModelServices(new CaptureModel());
-
-                // // set owner id and type for capture
-                // metadata.owner_id = owner.id;
-                // metadata.owner_type = owner.type;
-                // // remove image state from capture data (not in model)
-                // delete metadata.image_state;
-
-                // // insert new capture owner for image file
-                // const capture = new CaptureModel(metadata);
-                // const captureData = await mserve.insert(capture, client);
-
-                // // get new capture node metadata
-                // const { nodes_id = 0 } = captureData || {};
-                // const newCapture = await nserve.select(nodes_id, client) || {};
-                // const { fs_path = '', type='' } = newCapture || {};
-
-                // // check for any capture comparison updates
-                // const { historic_captures = {}, modern_captures = {} } = data || {};
-                // const comparisonCaptures = type === 'historic_captures'
-                //     ? Object.values(modern_captures)
-                //     : Object.values(historic_captures);
-                // await updateComparisons(newCapture, comparisonCaptures, client);
-
-            //     return {
-            //         id: nodes_id,
-            //         type: model,
-            //         fs_path: fs_path,
-            //     };
-            // },
-                // }
-
-                console.log(
-                    'Model Type', nodeType,
-                    'Imported files: ', files, 
-                    'Item: ', fileOwner.getData(),
-                );
-
-            //    return res.status(200).json({
-            //         view: 'new',
-            //         model: model,
-            //         data: item.getData(),
-            //     })
-                
+            // confirm node type can be added to owner (node relations)
+            if (owner) await checkRelation('nodes', owner, model.name, client);
+
+            // confirm user has access to owner subtree
+            await authorizeNode(req.user, owner, client);
+
+            // filter metadata through importer
+            // - saves any attached files to library
+            // - collates metadata
+            // - files: array of uploaded file data
+            // - metadata: object of model metadata
+            const {files, metadata} = await importer.receive(req) || {};
+
+            // validate submitted metadata
+            await validate(model, metadata, client);
+
+            // confirm uploaded file types can be attached to node (file relations)
+            const fileTypes = new Set((files || []).map(({file_type}) => file_type));
+            for (const fileType of fileTypes) await checkRelation('files', { type: model.name }, fileType, client);
+
+            // create model instance of file owner (proximate node)
+            const fileOwner = new Model(
+                {...(metadata || {}), owner_id, owner_type: owner?.type}
+            );
+
+            // start import transaction
+            await client.query('BEGIN');
+
+            // save model instance (within import transaction)
+            const fileOwnerData = await new ModelServices(new Model(), client).insert(fileOwner);
+
             // insert metadata with/without file uploads
             // - Option (A) import: use importer to save file stream data and insert file metadata
             // - Option (B) insert: upload model instance only
             if (Array.isArray(files) && (files || []).length > 0) {
                 fileData = await fserve.insert(files, fileOwner, client);
-                console.log('File Data: ', fileData);
             }
 
-            // get ID for new item
-            // const { nodes_id = null } = resData || {}
-            // const newItem = nodes_id ? await nserve.get(nodes_id, nodeType, client) : {};
-            // const label = `${nodes_id ? newItem.label : model.label}`;
+            await client.query('COMMIT');
 
             // send response
             res.status(200).json(
@@ -316,27 +334,13 @@ export default function ModelController(nodeType) {
                     model: model,
                     data: fileOwnerData,
                     message: {
-                        msg: `'${fileOwner.label}' ${humanize(model.name)}, ${JSON.stringify(fileData)} created successfully!`,
+                        msg: `'${fileOwner.label}' ${humanize(model.name)} created successfully!`,
                         type: 'success'
                     },
                 }));
-            }
-
-            // filter metadata through importer
-            // - saves any attached files to library
-            // - collates metadata
-            importer.receive(req, callback);
-
-        
-
-            return await client.query('COMMIT');
-            
-            
-            
 
         } catch (err) {
             await client.query('ROLLBACK');
-            console.error(err)
             return next(err);
         } finally {
             await client.release(true);
@@ -380,7 +384,6 @@ export default function ModelController(nodeType) {
                 }));
 
         } catch (err) {
-            console.error(err)
             return next(err);
         } finally {
             await client.release(true);
@@ -391,6 +394,8 @@ export default function ModelController(nodeType) {
      * Updates database data with imported metadata.
      * - Retrieves node data from parameters.
      * - Processes imported metadata.
+     * - Replaces (PUT) or merges imported metadata with record data.
+     * - Checks the submitted version of the record (stale updates are rejected).
      * - Updates database record.
      * - Checks for any dependent updates (e.g. comparisons).
      * - Gets updated item.
@@ -412,29 +417,47 @@ export default function ModelController(nodeType) {
             const itemData = await nserve.get(id, nodeType, client);
 
             // item record and/or node not found in database
-            if (!itemData) return next(new Error('notFound'));
+            const {type=''} = itemData || {};
+            if (!itemData || nodeType !== type) return next(new Error('notFound'));
 
             // process imported metadata
             const {node={}, metadata={}} = itemData || {};
-            const {owner_id='', owner_type=''} = node || {};
-            const importedData = await importer.receive(req, owner_id, owner_type);
+            await authorizeNode(req.user, node, client);
+            const importedData = await importer.receive(req);
+
+            // validate submitted metadata (only submitted fields for partial updates)
+            await validate(model, importedData?.metadata, client, req.method !== 'PUT');
 
             // create model instance and inject data
-            const item = new Model(metadata);
-            item.setData(importedData?.data);
+            // - replacement: only record identifiers are retained
+            const item = req.method === 'PUT'
+                ? new Model({
+                    [model.idKey]: metadata[model.idKey],
+                    owner_id: metadata.owner_id,
+                    owner_type: metadata.owner_type
+                })
+                : new Model(metadata);
+            item.setData(importedData?.metadata);
+
+            await client.query('BEGIN');
+
+            // reject updates of records changed since the submitted version
+            await checkVersion(model, id, getSubmittedVersion(req, importedData?.metadata), client);
 
             // update database record
-            await mserve.update(item);
+            await new ModelServices(new Model(), client).update(item);
 
             // capture metadata? check for any dependent updates
             if (node.type === 'historic_captures' || node.type === 'modern_captures') {
-                const {data = {}} = importedData || {};
+                const {metadata: data = {}} = importedData || {};
                 const {historic_captures = {}, modern_captures = {}} = data || {};
                 const comparisonCaptures = node.type === 'historic_captures'
                     ? Object.values(modern_captures) : Object.values(historic_captures);
                 await updateComparisons(node, comparisonCaptures, client);
             }
 
+            await client.query('COMMIT');
+
             // get updated item
             let updatedItem = await nserve.get(id, nodeType, client);
 
@@ -455,7 +478,7 @@ export default function ModelController(nodeType) {
                 }));
 
         } catch (err) {
-            console.error(err)
+            await client.query('ROLLBACK');
             return next(err);
         } finally {
             await client.release(true);
@@ -496,6 +519,10 @@ export default function ModelController(nodeType) {
             const {type='', status='', node} = itemData || {};
             if (!ownerData || !itemData || nodeType !== type) return next(new Error('notFound'));
 
+            // confirm user has access to both current and new owner subtrees
+            await authorizeNode(req.user, node, client);
+            await authorizeNode(req.user, ownerData, client);
+
             // is the move allowed? (i.e. check if owner and node are relatable or not repeated)
             // - confirm nodes can be put into requested relation (e.g., modern capture in location)
             // - confirm capture does not have comparisons.
@@ -534,7 +561,109 @@ export default function ModelController(nodeType) {
                 }));
 
         } catch (err) {
-            console.error(err)
+            return next(err);
+        } finally {
+            await client.release(true);
+        }
+    };
+
+    /**
+     * Move captures to a new container (owner).
+     *
+     * This endpoint expects the following data:
+     * - ids: the IDs of the captures to move
+     * - owner_id: the ID of the new owner
+     *
+     * All captures are checked as for single moves before any are moved.
+     * Captures that cannot be moved are listed with the reason; the others
+     * are moved with their files in a single transaction.
+     *
+     * @param req
+     * @param res
+     * @param next
+     * @src public
+     */
+    this.moveAll = async (req, res, next) => {
+        const client = await pool.connect();
+
+        // file paths relocated by moves
+        const moved = [];
+
+        try {
+            const { ids = null, owner_id = null } = req.body || {};
+            const ownerData = await nserve.select(sanitize(owner_id, 'integer'), client);
+            if (!ownerData) return next(new Error('notFound'));
+
+            await client.query('BEGIN');
+            const result = await batch.moveAll(ids, ownerData, nodeType, {client, user: req.user, moved});
+            await client.query('COMMIT');
+
+            return res.status(200).json(
+                prepare({
+                    view: 'move',
+                    model: model,
+                    data: result,
+                    message: {
+                        msg: `${result.moved.length} ${humanize(nodeType)} moved successfully`
+                            + (result.rejected.length > 0 ? ` (${result.rejected.length} not moved).` : '!'),
+                        type: result.rejected.length > 0 ? 'warning' : 'success'
+                    },
+                }));
+
+        } catch (err) {
+            await client.query('ROLLBACK');
+            await batch.restoreFiles(moved);
+            return next(err);
+        } finally {
+            await client.release(true);
+        }
+    };
+
+    /**
+     * Merge duplicates into the requested record (surviving record).
+     *
+     * This endpoint expects the following data:
+     * - duplicates: the IDs of the duplicate records (same type)
+     * - fields: (optional) the ID of the record whose value is kept, indexed by field
+     *
+     * Dependents, files and attached metadata of the duplicates are moved
+     * to the surviving record and the duplicates are deleted in a single
+     * transaction.
+     *
+     * @param req
+     * @param res
+     * @param next
+     * @src public
+     */
+    this.merge = async (req, res, next) => {
+        const client = await pool.connect();
+
+        // file paths relocated by moves
+        const moved = [];
+
+        try {
+            const { duplicates = null, fields = {} } = req.body || {};
+            const survivor = await nserve.select(this.getId(req), client);
+            if (!survivor || survivor.type !== nodeType) return next(new Error('notFound'));
+
+            await client.query('BEGIN');
+            const result = await merger.merge(survivor, duplicates, fields, {client, user: req.user, moved});
+            await client.query('COMMIT');
+
+            return res.status(200).json(
+                prepare({
+                    view: 'merge',
+                    model: model,
+                    data: result,
+                    message: {
+                        msg: `${result.merged.length} duplicate ${humanize(nodeType)} merged successfully!`,
+                        type: 'success'
+                    },
+                }));
+
+        } catch (err) {
+            await client.query('ROLLBACK');
+            await batch.restoreFiles(moved);
             return next(err);
         } finally {
             await client.release(true);
@@ -565,23 +694,21 @@ export default function ModelController(nodeType) {
             // check if node is valid (exists)
             if (!itemData) return next(new Error('notFound'));
 
+            // confirm user has access to node subtree
+            await authorizeNode(req.user, node, client);
+
             // force user to delete dependent nodes separately
             // - use error code 23503 from FK violation
             if (itemData.hasDependents) return next(new Error('23503'));
 
-            // delete any capture comparisons if they exist
-            const comparisons = await getComparisonsMetadata(node, client);
-            if (Array.isArray(comparisons) && comparisons.length > 0) {
-                await deleteComparisons(node, client);
-            }
-
             // get path of owner node in hierarchy (if exists)
             const item = new Model(itemData.metadata);
             const { owner_id = null } = item.node || {};
             const owner = await nserve.select(owner_id, client);
             const path = await nserve.getPath(owner);
 
-            // delete item (and attached files, if they exist)
+            // delete item (and attached files and capture comparisons, if they exist)
+            // - deleted records are moved to the trash
             await mserve.remove(item, client);
 
             res.status(200).json(
@@ -597,7 +724,6 @@ export default function ModelController(nodeType) {
                 }));
 
         } catch (err) {
-            console.error(err)
             return next(err);
         } finally {
             await client.release(true);
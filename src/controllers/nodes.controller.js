@@ -11,22 +11,47 @@
  * - Show: Returns node data by ID
  * - Map: Returns node data for map navigator component
  * - Tree: Returns node data for tree navigator component
+ * - Children/Roots: Returns pages of node tree levels (with dependents up to a depth)
+ * - Outline: Returns node with all its dependent nodes (labels only)
  * - Exporter: Exports node data to different formats
  * - Search: Returns search results for full-text queries
+ * - History: Returns audit log entries for node and its metadata and files
+ * - Revisions: Returns node metadata revisions, changes between revisions and rollbacks
+ * - Relations: Returns node, file and metadata types that can be added to node
+ * - Visibility: Sets node visibility (public/private) and embargo date
+ * - RemoveSubtree: Deletes node with its dependent nodes (with dry-run report)
+ * - CopySubtree: Copies node (and its dependent nodes) to a new owner
  *
  * Revisions
  * - 31-12-2023   Added map objects to navigation tree data
+ * - 19-10-2026   Added node change history (audit log)
+ * - 19-10-2026   Added node visibility and embargo dates
+ * - 19-10-2026   Added cascading subtree delete
+ * - 19-10-2026   Added subtree copies
+ * - 19-10-2026   Added node tree levels and outlines (recursive queries)
+ * - 19-10-2026   Added node metadata revisions and rollbacks
+ * - 19-10-2026   Added allowed dependent types of nodes (relations)
  */
 
 import {prepare} from '../lib/api.utils.js';
+import {getPage, getPagination} from '../lib/pagination.utils.js';
 import * as nserve from '../services/nodes.services.js';
 import * as statserve from '../services/stats.services.js';
 import * as expserve from '../services/export.services.js';
 import * as srchserve from '../services/search.services.js';
+import * as audit from '../services/audit.services.js';
+import * as revisions from '../services/revisions.services.js';
+import * as vserve from '../services/visibility.services.js';
+import * as subtree from '../services/subtree.services.js';
+import * as fserve from '../services/files.services.js';
+import {authorizeNode} from '../services/grants.services.js';
+import {getSubmittedVersion} from '../services/versions.services.js';
+import {getDependentTypes} from '../services/schema.services.js';
 import {sanitize} from '../lib/data.utils.js';
 import {json2csv} from '../lib/file.utils.js';
 import {Readable} from 'stream';
 import pool from '../services/db.services.js';
+import logger from '../lib/logger.utils.js';
 
 /**
  * Controller initialization.
@@ -36,6 +61,22 @@ import pool from '../services/db.services.js';
 
 export const init = async () => {};
 
+/**
+ * Root node types of the node tree.
+ *
+ * @private
+ */
+
+const rootTypes = ['surveyors', 'projects', 'map_objects'];
+
+/**
+ * Maximum depth of tree levels.
+ *
+ * @private
+ */
+
+const maxTreeDepth = 5;
+
 /**
  * Show node data request controller. Does not return dependents.
  *
@@ -69,6 +110,364 @@ export const show = async (req, res, next) => {
     }
 };
 
+/**
+ * Node history request controller. Returns a page of audit log
+ * entries (newest first) for changes to the node and its attached
+ * metadata and files. Entries can be filtered by user, model,
+ * operation and date range (from/to). Removed nodes keep their
+ * history.
+ *
+ * @param req
+ * @param res
+ * @param next
+ * @src public
+ */
+
+export const history = async (req, res, next) => {
+
+    // NOTE: client undefined if connection fails.
+    const client = await pool.connect();
+
+    try {
+
+        const id = sanitize((req.params || {}).id, 'integer');
+        const filters = {...audit.getFilters(req.query), node_id: id};
+        const { results, page } = await audit.query(filters, getPage(req.query, 50), client);
+
+        // node not found and has no history
+        if (!id || (results.length === 0 && !await nserve.select(id, client)))
+            return next(new Error('notFound'));
+
+        res.status(200).json(
+            prepare({
+                view: 'history',
+                data: results,
+                pagination: getPagination(req, page),
+            }));
+
+    } catch (err) {
+        return next(err);
+    }
+    finally {
+        await client.release(true);
+    }
+};
+
+/**
+ * Node relations request controller. Returns the node, file and
+ * metadata types that can be added to the node (node, file and
+ * metadata relations), e.g. to list the types of new dependents.
+ *
+ * @param req
+ * @param res
+ * @param next
+ * @src public
+ */
+
+export const relations = async (req, res, next) => {
+
+    // NOTE: client undefined if connection fails.
+    const client = await pool.connect();
+
+    try {
+
+        const id = sanitize((req.params || {}).id, 'integer');
+        const node = await nserve.select(id, client);
+        if (!node) return next(new Error('notFound'));
+
+        res.status(200).json(
+            prepare({
+                view: 'relations',
+                data: {
+                    node: { id: node.id, type: node.type },
+                    dependents: await getDependentTypes(node.type, client)
+                },
+            }));
+
+    } catch (err) {
+        return next(err);
+    }
+    finally {
+        await client.release(true);
+    }
+};
+
+/**
+ * Node revisions request controller. Returns a page of revisions
+ * (newest first) of the node metadata and attached metadata. Removed
+ * nodes keep their revisions.
+ *
+ * @param req
+ * @param res
+ * @param next
+ * @src public
+ */
+
+export const revisionList = async (req, res, next) => {
+
+    // NOTE: client undefined if connection fails.
+    const client = await pool.connect();
+
+    try {
+
+        const id = sanitize((req.params || {}).id, 'integer');
+        const { results, page } = await revisions.list(id, getPage(req.query, 50), client);
+
+        // node not found and has no revisions
+        if (!id || (results.length === 0 && !await nserve.select(id, client)))
+            return next(new Error('notFound'));
+
+        res.status(200).json(
+            prepare({
+                view: 'revisions',
+                data: results,
+                pagination: getPagination(req, page),
+            }));
+
+    } catch (err) {
+        return next(err);
+    }
+    finally {
+        await client.release(true);
+    }
+};
+
+/**
+ * Node revision changes request controller. Returns the changes
+ * between two revisions of the node (from/to revision IDs).
+ *
+ * @param req
+ * @param res
+ * @param next
+ * @src public
+ */
+
+export const revisionChanges = async (req, res, next) => {
+
+    // NOTE: client undefined if connection fails.
+    const client = await pool.connect();
+
+    try {
+
+        const id = sanitize((req.params || {}).id, 'integer');
+        const { from = null, to = null } = req.query || {};
+        const data = await revisions.getChanges({ id: id }, from, to, client);
+
+        res.status(200).json(
+            prepare({
+                view: 'revisionChanges',
+                data: data,
+            }));
+
+    } catch (err) {
+        return next(err);
+    }
+    finally {
+        await client.release(true);
+    }
+};
+
+/**
+ * Node rollback request controller. Restores the node metadata and
+ * attached metadata of a revision. Rollbacks are rejected if the node
+ * metadata changed since the submitted version.
+ *
+ * @param req
+ * @param res
+ * @param next
+ * @src public
+ */
+
+export const rollback = async (req, res, next) => {
+
+    // NOTE: client undefined if connection fails.
+    const client = await pool.connect();
+
+    try {
+
+        const { id = null, revision_id = null } = req.params || {};
+        const node = await nserve.select(sanitize(id, 'integer'), client);
+        if (!node) return next(new Error('notFound'));
+        await authorizeNode(req.user, node, client);
+
+        await client.query('BEGIN');
+        const revision = await revisions.rollback(node, revision_id, getSubmittedVersion(req, req.body), client);
+        await client.query('COMMIT');
+
+        const data = await nserve.get(node.id, node.type, client);
+
+        res.status(200).json(
+            prepare({
+                view: 'rollback',
+                data: { ...data, revision: revision },
+                message: {
+                    msg: `'${data.label}' restored to revision ${revision.source_id}.`,
+                    type: 'success'
+                }
+            }));
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        return next(err);
+    }
+    finally {
+        await client.release(true);
+    }
+};
+
+/**
+ * Node visibility request controller. Sets the node visibility
+ * (public or private) and embargo date; restricted nodes are hidden
+ * from visitors with their dependents and files.
+ *
+ * @param req
+ * @param res
+ * @param next
+ * @src public
+ */
+
+export const visibility = async (req, res, next) => {
+
+    // NOTE: client undefined if connection fails.
+    const client = await pool.connect();
+
+    try {
+
+        const node = await nserve.select(sanitize((req.params || {}).id, 'integer'), client);
+        if (!node) return next(new Error('notFound'));
+
+        // check user has access to node subtree
+        await authorizeNode(req.user, node, client);
+
+        res.status(200).json(
+            prepare({
+                view: 'visibility',
+                data: await vserve.update('nodes', node, req.body, client),
+                message: {
+                    msg: 'Node visibility updated.',
+                    type: 'success'
+                }
+            }));
+
+    } catch (err) {
+        return next(err);
+    }
+    finally {
+        await client.release(true);
+    }
+};
+
+/**
+ * Node subtree delete request controller. Returns the impact report
+ * (nodes by type, files and bytes, deleted comparisons) of deleting the
+ * node with all its dependent nodes; the subtree is deleted when
+ * confirmed (POST with confirm set).
+ *
+ * @param req
+ * @param res
+ * @param next
+ * @src public
+ */
+
+export const removeSubtree = async (req, res, next) => {
+
+    // NOTE: client undefined if connection fails.
+    const client = await pool.connect();
+
+    try {
+
+        const node = await nserve.select(sanitize((req.params || {}).id, 'integer'), client);
+        if (!node) return next(new Error('notFound'));
+
+        // check user has access to node subtree
+        await authorizeNode(req.user, node, client);
+
+        // dry run unless confirmed
+        const { confirm = false } = req.body || {};
+        const isConfirmed = req.method === 'POST' && [true, 'true'].includes(confirm);
+        const report = isConfirmed
+            ? await subtree.remove(node, client)
+            : await subtree.getImpact(node, client);
+
+        res.status(200).json(
+            prepare({
+                view: 'removeSubtree',
+                data: { ...report, dry_run: !isConfirmed },
+                message: isConfirmed
+                    ? {
+                        msg: `'${report.label}' and ${report.nodes - 1} dependent item(s) deleted.`,
+                        type: 'success'
+                    }
+                    : {
+                        msg: `Deleting '${report.label}' also deletes ${report.nodes - 1} dependent item(s), ${report.files} file(s) and ${report.comparisons.length} comparison(s).`,
+                        type: 'warning'
+                    }
+            }));
+
+    } catch (err) {
+        return next(err);
+    }
+    finally {
+        await client.release(true);
+    }
+};
+
+/**
+ * Copy node subtree request controller. Dependent nodes, attached files
+ * and capture comparisons are copied if requested.
+ *
+ * @param req
+ * @param res
+ * @param next
+ * @src public
+ */
+
+export const copySubtree = async (req, res, next) => {
+
+    // NOTE: client undefined if connection fails.
+    const client = await pool.connect();
+
+    // copied file paths (deleted on rollback)
+    const copied = [];
+
+    try {
+
+        const { id = null, owner_id = null } = req.params || {};
+        const node = await nserve.select(sanitize(id, 'integer'), client);
+        const owner = await nserve.select(sanitize(owner_id, 'integer'), client);
+        if (!node || !owner) return next(new Error('notFound'));
+
+        const { dependents = false, files = false, comparisons = false } = req.body || {};
+        const options = {
+            dependents: [true, 'true'].includes(dependents),
+            files: [true, 'true'].includes(files),
+            comparisons: [true, 'true'].includes(comparisons)
+        };
+
+        await client.query('BEGIN');
+        const result = await subtree.copy(node, owner, options, { client, user: req.user, copied });
+        await client.query('COMMIT');
+
+        res.status(200).json(
+            prepare({
+                view: 'copySubtree',
+                data: result,
+                message: {
+                    msg: `${Object.keys(result.ids).length} item(s) copied.`,
+                    type: 'success'
+                }
+            }));
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        await fserve.deleteFiles(copied).catch(error => logger.error('Copied files could not be deleted', error));
+        return next(err);
+    }
+    finally {
+        await client.release(true);
+    }
+};
+
 /**
  * Node tree request controller.
  *
@@ -88,9 +487,9 @@ export const tree = async (req, res, next) => {
                 view: 'tree',
                 data: {
                     nodes: {
-                        surveyors: await nserve.getTree('surveyors'),
-                        projects: await nserve.getTree('projects'),
-                        map_objects: await nserve.getTree('map_objects')
+                        surveyors: await nserve.getTree('surveyors', req.restricted),
+                        projects: await nserve.getTree('projects', req.restricted),
+                        map_objects: await nserve.getTree('map_objects', req.restricted)
                     },
                     stats: {
                         summary: await statserve.summary()
@@ -103,6 +502,136 @@ export const tree = async (req, res, next) => {
     }
 };
 
+/**
+ * Get requested depth of tree levels ('depth' query parameter).
+ *
+ * @private
+ * @param {Object} query - request query parameters
+ * @return {Number} depth (throws invalidDepth error)
+ */
+
+const getTreeDepth = (query) => {
+    const { depth = 1 } = query || {};
+    const levels = sanitize(depth, 'integer');
+    if (levels === null || levels < 1 || String(levels) !== String(depth).trim()) {
+        throw new Error('invalidDepth');
+    }
+    return Math.min(levels, maxTreeDepth);
+};
+
+/**
+ * Node tree level request controller. Returns page of dependent nodes
+ * of a node (sorted by label), with their dependents up to the
+ * requested depth.
+ *
+ * @param req
+ * @param res
+ * @param next
+ * @src public
+ */
+
+export const children = async (req, res, next) => {
+
+    // NOTE: client undefined if connection fails.
+    const client = await pool.connect();
+
+    try {
+
+        const node = await nserve.select(sanitize((req.params || {}).id, 'integer'), client);
+        if (!node || vserve.isRestricted(node, req.restricted)) return next(new Error('notFound'));
+
+        const { results, page } = await nserve.getLevel(
+            {owner_id: node.id}, getTreeDepth(req.query), getPage(req.query, 50), req.restricted, client);
+
+        res.status(200).json(
+            prepare({
+                view: 'children',
+                data: results,
+                pagination: getPagination(req, page),
+            }));
+
+    } catch (err) {
+        return next(err);
+    }
+    finally {
+        await client.release(true);
+    }
+};
+
+/**
+ * Node tree root level request controller. Returns page of root nodes
+ * of the requested type (surveyors, projects or map objects), with
+ * their dependents up to the requested depth.
+ *
+ * @param req
+ * @param res
+ * @param next
+ * @src public
+ */
+
+export const roots = async (req, res, next) => {
+
+    // NOTE: client undefined if connection fails.
+    const client = await pool.connect();
+
+    try {
+
+        const { model = '' } = req.params || {};
+        if (!rootTypes.includes(model)) return next(new Error('notFound'));
+
+        const { results, page } = await nserve.getLevel(
+            {type: model}, getTreeDepth(req.query), getPage(req.query, 50), req.restricted, client);
+
+        res.status(200).json(
+            prepare({
+                view: 'roots',
+                data: results,
+                pagination: getPagination(req, page),
+            }));
+
+    } catch (err) {
+        return next(err);
+    }
+    finally {
+        await client.release(true);
+    }
+};
+
+/**
+ * Node outline request controller. Returns a node (e.g. a project or
+ * surveyor) with all its dependent nodes (labels and dependent counts
+ * only).
+ *
+ * @param req
+ * @param res
+ * @param next
+ * @src public
+ */
+
+export const outline = async (req, res, next) => {
+
+    // NOTE: client undefined if connection fails.
+    const client = await pool.connect();
+
+    try {
+
+        const node = await nserve.select(sanitize((req.params || {}).id, 'integer'), client);
+        if (!node || vserve.isRestricted(node, req.restricted)) return next(new Error('notFound'));
+
+        res.status(200).json(
+            prepare({
+                view: 'outline',
+                data: await nserve.getOutline(node, req.restricted, client),
+            }));
+
+    } catch (err) {
+        return next(err);
+    }
+    finally {
+        await client.release(true);
+    }
+};
+
 /**
  * Node tree request controller.
  *
@@ -187,19 +716,18 @@ export const exporter = async (req, res, next) => {
 
         // create data stream and pipe to response
         res.on('error', (err) => {
-            console.error('Error in write stream:', err);
+            logger.error('Error in write stream:', err);
         });
         let rs = new Readable();
         rs.pipe(res);
         rs.on('error',function(err) {
-            console.error(err)
+            logger.error(err)
             res.status(404).end();
         });
         rs.push(filtered);
         rs.push(null);
 
     } catch (err) {
-        console.error(err)
         return next(err);
     }
 };
@@ -218,7 +746,8 @@ export const filter = async (req, res, next) => {
     try {
 
         // get query parameters
-        const { ids='', offset=0, limit=10 } = req.query || {};
+        const { ids='' } = req.query || {};
+        const page = getPage(req.query);
 
         // sanitize + convert query string to node id array
         const nodeIDs = ids
@@ -228,12 +757,13 @@ export const filter = async (req, res, next) => {
             });
 
         // get results for each model requested
-        const resultData = await nserve.filterNodesByID(nodeIDs, offset, limit);
+        const resultData = await nserve.filterNodesByID(nodeIDs, page);
 
         res.status(200).json(
             prepare({
                 view: 'filter',
-                data: resultData
+                data: resultData,
+                pagination: getPagination(req, resultData.page)
             }));
 
     } catch (err) {
@@ -254,15 +784,24 @@ export const search = async (req, res, next) => {
     try {
 
         // get query parameters
-        const { q='', offset=0, limit=10, filter=[] } = req.query || {};
+        const { q='', filter=[] } = req.query || {};
+        const page = getPage(req.query);
 
         // get query results
-        const resultData = await srchserve.fulltext(q, offset, limit, filter);
+        const resultData = await srchserve.fulltext(q, page, filter, req.restricted);
+
+        // paginate each searched table separately
+        const { pages = {} } = resultData || {};
+        const pagination = Object.keys(pages).reduce((o, tbl) => {
+            o[tbl] = getPagination(req, pages[tbl], { filter: tbl });
+            return o;
+        }, {});
 
         res.status(200).json(
             prepare({
                 view: 'search',
-                data: resultData
+                data: resultData,
+                pagination: pagination
             }));
 
     } catch (err) {
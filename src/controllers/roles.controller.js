@@ -0,0 +1,222 @@
+/*!
+ * MLP.API.Controllers.Roles
+ * File: roles.controller.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * Version 2.0
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * User role and view permission management controller. Administrators
+ * can list, create, edit and delete roles, view the permission matrix
+ * (roles allowed to access each view) and grant or revoke a role's
+ * access to a view. Permission changes apply to subsequent requests.
+ *
+ * ---------
+ * Revisions
+ * - 19-10-2026   Initial release.
+ */
+
+/**
+ * Module dependencies.
+ * @private
+ */
+
+import * as users from '../services/users.services.js';
+import { getRoutes } from '../services/docs.services.js';
+import { prepare } from '../lib/api.utils.js';
+
+/**
+ * Get names of registered route views.
+ *
+ * @private
+ * @return {Array} views
+ */
+
+const getViews = () => {
+    return [...new Set(getRoutes().map(route => route.view))];
+};
+
+/**
+ * List user roles.
+ *
+ * @param req
+ * @param res
+ * @param next
+ * @src public
+ */
+
+export const list = async (req, res, next) => {
+    try {
+        res.status(200).json(
+            prepare({
+                view: 'roles',
+                data: await users.getRoleData() || [],
+                user: req.user
+            }));
+    } catch (err) {
+        return next(err);
+    }
+};
+
+/**
+ * Create user role.
+ *
+ * @param req
+ * @param res
+ * @param next
+ * @src public
+ */
+
+export const create = async (req, res, next) => {
+    try {
+        const role = await users.createRole(req.body);
+        res.status(200).json(
+            prepare({
+                view: 'roles',
+                data: role,
+                user: req.user,
+                message: {
+                    msg: `Role '${role.label}' created successfully!`,
+                    type: 'success'
+                }
+            }));
+    } catch (err) {
+        return next(err);
+    }
+};
+
+/**
+ * Update user role label.
+ *
+ * @param req
+ * @param res
+ * @param next
+ * @src public
+ */
+
+export const update = async (req, res, next) => {
+    try {
+        const role = await users.updateRole(req.params.role, req.body);
+        if (!role) return next(new Error('notFound'));
+        res.status(200).json(
+            prepare({
+                view: 'roles',
+                data: role,
+                user: req.user,
+                message: {
+                    msg: `Role '${role.label}' updated successfully!`,
+                    type: 'success'
+                }
+            }));
+    } catch (err) {
+        return next(err);
+    }
+};
+
+/**
+ * Delete user role (and its view permissions).
+ *
+ * @param req
+ * @param res
+ * @param next
+ * @src public
+ */
+
+export const remove = async (req, res, next) => {
+    try {
+        const role = await users.removeRole(req.params.role);
+        if (!role) return next(new Error('notFound'));
+        res.status(200).json(
+            prepare({
+                view: 'roles',
+                data: role,
+                user: req.user,
+                message: {
+                    msg: `Role '${role.label}' deleted successfully!`,
+                    type: 'success'
+                }
+            }));
+    } catch (err) {
+        return next(err);
+    }
+};
+
+/**
+ * Show view permission matrix.
+ *
+ * @param req
+ * @param res
+ * @param next
+ * @src public
+ */
+
+export const permissions = async (req, res, next) => {
+    try {
+        res.status(200).json(
+            prepare({
+                view: 'permissions',
+                data: await users.getPermissionMatrix(getViews()),
+                user: req.user
+            }));
+    } catch (err) {
+        return next(err);
+    }
+};
+
+/**
+ * Grant role access to view.
+ *
+ * @param req
+ * @param res
+ * @param next
+ * @src public
+ */
+
+export const grant = async (req, res, next) => {
+    try {
+        const { view = '', role = '' } = req.body || {};
+        await users.setPermission(req.body, true, getViews());
+        res.status(200).json(
+            prepare({
+                view: 'permissions',
+                data: await users.getPermissionMatrix(getViews()),
+                user: req.user,
+                message: {
+                    msg: `Role '${role}' granted access to '${view}'.`,
+                    type: 'success'
+                }
+            }));
+    } catch (err) {
+        return next(err);
+    }
+};
+
+/**
+ * Revoke role access to view.
+ *
+ * @param req
+ * @param res
+ * @param next
+ * @src public
+ */
+
+export const revoke = async (req, res, next) => {
+    try {
+        const { view = '', role = '' } = req.body || {};
+        await users.setPermission(req.body, false, getViews());
+        res.status(200).json(
+            prepare({
+                view: 'permissions',
+                data: await users.getPermissionMatrix(getViews()),
+                user: req.user,
+                message: {
+                    msg: `Role '${role}' access to '${view}' revoked.`,
+                    type: 'success'
+                }
+            }));
+    } catch (err) {
+        return next(err);
+    }
+};
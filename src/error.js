@@ -12,6 +12,7 @@
 
 import { prepare } from './lib/api.utils.js';
 import {imageMIMETypes, supplementalMIMETypes} from './lib/file.utils.js';
+import logger from './lib/logger.utils.js';
 
 'use strict';
 
@@ -46,6 +47,12 @@ export const errors = {
         status: 422,
         type: 'error'
     },
+    invalidFields: {
+        hint: 'Submitted data failed schema validation.',
+        msg: 'Some fields are invalid. Please correct the highlighted fields and try again.',
+        status: 422,
+        type: 'error'
+    },
     invalidMIMEType: {
         hint: 'Invalid MIME for this operation.',
         msg: `Operation does not support file format. 
@@ -60,6 +67,42 @@ export const errors = {
         status: 422,
         type: 'error'
     },
+    invalidLimit: {
+        hint: 'Page limit is not a positive integer.',
+        msg: 'Requested page size is invalid.',
+        status: 422,
+        type: 'error'
+    },
+    invalidCursor: {
+        hint: 'Page cursor token is malformed or does not match the listing.',
+        msg: 'Requested page cursor is invalid.',
+        status: 422,
+        type: 'error'
+    },
+    invalidInclude: {
+        hint: 'Requested embedded data is not one of the available options.',
+        msg: 'Requested related data is not available.',
+        status: 422,
+        type: 'error'
+    },
+    invalidDepth: {
+        hint: 'Dependents depth is not a non-negative integer.',
+        msg: 'Requested depth of dependent records is invalid.',
+        status: 422,
+        type: 'error'
+    },
+    invalidBatch: {
+        hint: 'Batch operations are missing, exceed the maximum size, or have an unknown operation or model.',
+        msg: 'Batch request is invalid.',
+        status: 422,
+        type: 'error'
+    },
+    invalidReference: {
+        hint: 'Batch operation references a record not created by an earlier operation.',
+        msg: 'Batch operation references an unknown record.',
+        status: 422,
+        type: 'error'
+    },
     invalidEmail: {
         hint: 'Invalid email.',
         msg: 'Invalid email address.',
@@ -108,6 +151,30 @@ export const errors = {
         status: 401,
         type: 'error'
     },
+    restrictedNode: {
+        hint: 'User access grants do not include this node or its owners.',
+        msg: 'You can only make changes to the projects or surveyors you have been granted access to.',
+        status: 403,
+        type: 'error'
+    },
+    accountsUnavailable: {
+        hint: 'User accounts are managed by the external authentication provider (local provider not selected).',
+        msg: 'User accounts are managed by the identity provider.',
+        status: 404,
+        type: 'error'
+    },
+    invalidToken: {
+        hint: 'JWT token signature, issuer or audience is invalid.',
+        msg: 'Unauthorized access!',
+        status: 401,
+        type: 'error'
+    },
+    invalidKey: {
+        hint: 'API key is invalid, expired or revoked.',
+        msg: 'Unauthorized access!',
+        status: 401,
+        type: 'error'
+    },
     noToken: {
         hint: 'JWT authorization token was not set.',
         msg: 'Access denied!',
@@ -168,6 +235,54 @@ export const errors = {
         status: 422,
         type: 'error'
     },
+    invalidRelation: {
+        hint: 'Owner type is not allowed for the node, file or metadata type (node, file and metadata relations).',
+        msg: 'Item cannot be added to this owner. Select an owner of one of the allowed types.',
+        status: 422,
+        type: 'error'
+    },
+    invalidCopy: {
+        hint: 'Copied node must be relatable to the new owner (node relations).',
+        msg: 'Item cannot be copied to this owner.',
+        status: 422,
+        type: 'error'
+    },
+    invalidMerge: {
+        hint: 'Merged duplicates must exist, be of the same type as the surviving item, and not include it.',
+        msg: 'Items cannot be merged. Select duplicates of the same type as the item to keep.',
+        status: 422,
+        type: 'error'
+    },
+    restrictedByRelations: {
+        hint: 'Dependents of merged duplicates must be relatable to the surviving node (node relations).',
+        msg: 'Items cannot be merged: some dependent items cannot belong to the item to keep.',
+        status: 422,
+        type: 'error'
+    },
+    staleVersion: {
+        hint: 'Record was changed since the submitted version was loaded (optimistic concurrency).',
+        msg: 'This record was changed by another user while you were editing it. Review the current values and submit your changes again.',
+        status: 409,
+        type: 'error'
+    },
+    versionRequired: {
+        hint: 'Update did not include the version of the edited record (version field or If-Match header).',
+        msg: 'Record version is missing. Reload the record and submit your changes again.',
+        status: 428,
+        type: 'error'
+    },
+    invalidRevision: {
+        hint: 'Requested revision does not exist or is not a revision of the requested node.',
+        msg: 'Revision not found for this item. Select a revision from the item history.',
+        status: 422,
+        type: 'error'
+    },
+    restoreConflict: {
+        hint: 'Trash entry references a record that no longer exists (e.g. deleted owner) or conflicts with an existing record.',
+        msg: 'Deleted item cannot be restored. Restore its owner first, or check for records that replaced it.',
+        status: 422,
+        type: 'error'
+    },
     invalidComparison: {
         hint: 'The requested capture is not sorted and therefore cannot be compared.',
         msg: 'This capture is not sorted. Only sorted captures can be compared (see documentation).',
@@ -226,9 +341,17 @@ function decodeError(err = null) {
 export function globalHandler(err, req, res, next) {
     const e = decodeError(err);
 
-    // report to logger
-    console.error(`ERROR (${err.message})\t${e.msg}\t${e.status}\t${e.hint}`)
-    console.error(`Details:\n\n${err}\n\n`)
+    // report to logger (server errors include the stack trace)
+    logger[e.status >= 500 ? 'error' : 'warn'](`ERROR (${err.message})`, {
+        status: e.status,
+        hint: e.hint,
+        err: {name: err.name, message: err.message, code: err.code, stack: e.status >= 500 ? err.stack : undefined}
+    });
+
+    // error responses are not cached
+    res.removeHeader('ETag');
+    res.removeHeader('Last-Modified');
+    res.set('Cache-Control', 'no-store');
 
     // send response
     return res.status(e.status).json(
@@ -236,7 +359,15 @@ export function globalHandler(err, req, res, next) {
             view: e.status,
             message: {
                 msg: e.msg,
-                type: e.type
+                type: e.type,
+                // field-level errors (validation)
+                ...(err.fields ? {fields: err.fields} : {}),
+                // current record data (stale updates)
+                ...(err.current ? {current: err.current} : {}),
+                // index of failed batch operation
+                ...(Number.isInteger(err.operation) ? {operation: err.operation} : {}),
+                // request ID for log lookup
+                ...(req.id ? {requestId: req.id} : {})
             }
         })
     );
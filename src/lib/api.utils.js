@@ -7,6 +7,13 @@
 
 'use strict';
 
+/**
+ * Module dependencies.
+ * @private
+ */
+
+import { sanitize } from './data.utils.js';
+
 /**
  * Package JSON data for HTTP response.
  *
@@ -19,6 +26,7 @@
  * @param path
  * @param dependent
  * @param filter
+ * @param pagination
  */
 
 export function prepare({
@@ -28,7 +36,8 @@ export function prepare({
                             user=null,
                             data=null,
                             path={},
-                            filter = []
+                            filter = [],
+                            pagination = null
 }) {
 
     // get model attributes
@@ -48,6 +57,122 @@ export function prepare({
         view: view,
         message: message,
         data: submissionData,
+        pagination: pagination,
         user: user
     }
 }
+
+/**
+ * Related data that can be embedded in record (show) responses.
+ *
+ * @src public
+ */
+
+export const embeddable = ['dependents', 'attached', 'files', 'comparisons', 'path'];
+
+/**
+ * Maximum depth of embedded dependent records.
+ *
+ * @src public
+ */
+
+export const maxDepth = 3;
+
+/**
+ * Split comma-separated (or repeated) query parameter into list.
+ *
+ * @private
+ * @param value
+ * @return {Array} list
+ */
+
+const toList = (value) => {
+    return [].concat(value)
+        .join(',')
+        .split(',')
+        .map(item => item.trim())
+        .filter(Boolean);
+};
+
+/**
+ * Get embed options for record (show) responses from query parameters:
+ * - include: related data to embed (all by default), e.g. 'dependents,files'
+ * - depth: levels of dependent records to embed
+ * - fields: metadata fields to return, either as a list for the requested
+ *   model (fields=name,lat) or by model (fields[stations]=name)
+ *
+ * @src public
+ * @param {Object} query - request query parameters
+ * @param {String} type - requested model name
+ * @param {Number} depth - default depth of dependents
+ * @return {Object} options
+ */
+
+export function getEmbedOptions(query = {}, type = '', depth = 1) {
+
+    const { include = null, fields = null, depth: requestedDepth = depth } = query || {};
+
+    // embedded related data
+    const included = include === null ? embeddable : toList(include);
+    if (included.some(key => !embeddable.includes(key))) {
+        throw new Error('invalidInclude');
+    }
+
+    // levels of dependents
+    const levels = sanitize(requestedDepth, 'integer');
+    if (levels === null || levels < 0 || String(levels) !== String(requestedDepth).trim()) {
+        throw new Error('invalidDepth');
+    }
+
+    // sparse fieldsets indexed by model
+    const fieldsets = fields === null
+        ? {}
+        : typeof fields === 'object' && !Array.isArray(fields)
+            ? Object.keys(fields).reduce((o, key) => {
+                o[key] = toList(fields[key]);
+                return o;
+            }, {})
+            : { [type]: toList(fields) };
+
+    return {
+        include: included,
+        depth: included.includes('dependents') ? Math.min(levels, maxDepth) : 0,
+        fields: fieldsets
+    };
+}
+
+/**
+ * Apply embed options to record data: select requested metadata fields
+ * and remove files not requested. Applied to embedded dependents.
+ *
+ * @src public
+ * @param {Object} item - record data
+ * @param {Object} options - embed options
+ * @return {Object} record data
+ */
+
+export function applyEmbedOptions(item, options = {}) {
+
+    if (!item) return item;
+    const { include = embeddable, fields = {} } = options || {};
+    const { type = '', metadata = null, dependents = null } = item || {};
+
+    // select metadata fields (record identifiers are always returned)
+    if (metadata && fields.hasOwnProperty(type)) {
+        item.metadata = Object.keys(metadata)
+            .filter(key => ['id', 'nodes_id', ...fields[type]].includes(key))
+            .reduce((o, key) => {
+                o[key] = metadata[key];
+                return o;
+            }, {});
+    }
+
+    // capture files are loaded to select reference images
+    if (!include.includes('files')) delete item.files;
+
+    if (Array.isArray(dependents)) {
+        item.dependents = dependents.map(dependent => applyEmbedOptions(dependent, options));
+    }
+
+    return item;
+}
@@ -0,0 +1,294 @@
+/*!
+ * MLP.API.Utilities.Logger
+ * File: logger.utils.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * Structured (JSON) logger for the API and queue worker. Each entry is
+ * written as one JSON line to standard output and to a daily log file
+ * (<LOG_DIR>/<service>-<YYYY-MM-DD>.jsonl). Entries include the request
+ * context (request ID, user, queue job) of the code that logged them:
+ * the context is set once per request or job and propagates through
+ * async calls. Credentials (passwords, tokens, keys, cookies) are
+ * redacted.
+ *
+ * Settings (ENV):
+ * - LOG_LEVEL: minimum level written (debug, info, warn, error; default info)
+ * - LOG_DIR: log file directory (default <NODE_PATH>/logs)
+ *
+ * ---------
+ * Revisions
+ * - 19-10-2026   Initial release.
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ * @private
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Log levels (in order of severity).
+ *
+ * @public
+ */
+
+export const levels = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * Log file directory.
+ *
+ * @public
+ */
+
+export const logDir = process.env.LOG_DIR || path.join(process.env.NODE_PATH || '.', 'logs');
+
+/**
+ * Logger settings.
+ *
+ * @private
+ */
+
+const minLevel = levels.includes(process.env.LOG_LEVEL) ? levels.indexOf(process.env.LOG_LEVEL) : 1;
+const context = new AsyncLocalStorage();
+let service = 'api';
+let sequence = 0;
+let stream = null;
+let streamDate = null;
+
+/**
+ * Redacted keys and value patterns.
+ *
+ * @private
+ */
+
+const redactedKeys = /^pass(word)?$|secret|token|authorization|cookie|api[_-]?key|^key$|key_hash/i;
+const redactedValues = [
+    /mle_[a-f0-9]{12}_[A-Za-z0-9_-]+/g,
+    /(bearer\s+)[A-Za-z0-9._~+\/-]+=*/gi,
+    /((?:access|refresh)_token=)[^&\s;]+/gi
+];
+
+/**
+ * Redact credentials in logged value.
+ *
+ * @public
+ * @param value
+ * @param {Number} depth
+ * @return redacted value
+ */
+
+export function redact(value, depth = 0) {
+    if (typeof value === 'string') {
+        return redactedValues.reduce((str, pattern) => {
+            return str.replace(pattern, (match, prefix) => {
+                return `${typeof prefix === 'string' ? prefix : ''}[REDACTED]`;
+            });
+        }, value);
+    }
+    if (!value || typeof value !== 'object' || depth > 5) return value;
+    if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+    return Object.keys(value).reduce((o, key) => {
+        o[key] = redactedKeys.test(key) ? '[REDACTED]' : redact(value[key], depth + 1);
+        return o;
+    }, {});
+}
+
+/**
+ * Serialize error for log entry.
+ *
+ * @private
+ * @param {Error} err
+ * @return {Object} error data
+ */
+
+const serializeError = (err) => {
+    const { name, message, code, stack } = err || {};
+    return { name, message, ...(code ? { code } : {}), stack };
+};
+
+/**
+ * Compose log entry from logged arguments: strings (and other values)
+ * form the message, errors are serialized and objects are merged into
+ * the entry fields.
+ *
+ * @private
+ * @param {String} level
+ * @param {Array} args
+ * @return {Object} entry
+ */
+
+const toEntry = (level, args) => {
+    const messages = [];
+    const fields = {};
+    args.forEach(arg => {
+        if (arg instanceof Error) {
+            fields.err = serializeError(arg);
+            messages.push(arg.message);
+        }
+        else if (arg && typeof arg === 'object') Object.assign(fields, arg);
+        else if (arg !== undefined) messages.push(String(arg));
+    });
+    return redact({
+        time: new Date().toISOString(),
+        // sortable within process (entries logged in the same millisecond)
+        id: `${String(sequence++).padStart(12, '0')}${crypto.randomBytes(4).toString('hex')}`,
+        level: level,
+        service: service,
+        pid: process.pid,
+        ...(context.getStore() || {}),
+        msg: messages.join(' '),
+        ...fields
+    });
+};
+
+/**
+ * Get log file stream for current date.
+ *
+ * @private
+ * @param {String} date
+ * @return {fs.WriteStream} stream
+ */
+
+const getStream = (date) => {
+    if (stream && streamDate === date) return stream;
+    if (stream) stream.end();
+    fs.mkdirSync(logDir, { recursive: true });
+    stream = fs.createWriteStream(path.join(logDir, `${service}-${date}.jsonl`), { flags: 'a' });
+    stream.on('error', err => {
+        process.stderr.write(`Log file error: ${err.message}\n`);
+    });
+    streamDate = date;
+    return stream;
+};
+
+/**
+ * Write log entry.
+ *
+ * @private
+ * @param {String} level
+ * @param {Array} args
+ */
+
+const write = (level, args) => {
+    if (levels.indexOf(level) < minLevel) return;
+    const entry = toEntry(level, args);
+    const line = JSON.stringify(entry) + '\n';
+    (level === 'error' || level === 'warn' ? process.stderr : process.stdout).write(line);
+    try {
+        getStream(entry.time.slice(0, 10)).write(line);
+    } catch (err) {
+        process.stderr.write(`Log file error: ${err.message}\n`);
+    }
+};
+
+/**
+ * Set service name for log entries and files (e.g. 'api', 'queue').
+ *
+ * @public
+ * @param {String} name
+ */
+
+export function setService(name) {
+    service = name;
+}
+
+/**
+ * Run function with log context (e.g. request ID, queue job).
+ *
+ * @public
+ * @param {Object} values
+ * @param {Function} fn
+ * @return result of function
+ */
+
+export function runWithContext(values, fn) {
+    return context.run({ ...(context.getStore() || {}), ...values }, fn);
+}
+
+/**
+ * Add values to the current log context (e.g. authorized user).
+ *
+ * @public
+ * @param {Object} values
+ */
+
+export function setContext(values) {
+    const store = context.getStore();
+    if (store) Object.assign(store, values);
+}
+
+/**
+ * Get current log context.
+ *
+ * @public
+ * @return {Object} context
+ */
+
+export function getContext() {
+    return context.getStore() || {};
+}
+
+/**
+ * Logger instance.
+ *
+ * @public
+ */
+
+const logger = levels.reduce((o, level) => {
+    o[level] = (...args) => write(level, args);
+    return o;
+}, {});
+
+export default logger;
+
+/**
+ * Request logging middleware. Assigns the request ID (from the
+ * X-Request-ID header set by a proxy, or generated), runs the request
+ * in a log context and logs the completed request.
+ *
+ * @public
+ * @param req
+ * @param res
+ * @param next
+ */
+
+export function requestLogger(req, res, next) {
+
+    const header = req.get('X-Request-ID') || '';
+    const requestId = /^[A-Za-z0-9._-]{1,64}$/.test(header) ? header : crypto.randomUUID();
+    const start = process.hrtime.bigint();
+
+    req.id = requestId;
+    res.set('X-Request-ID', requestId);
+
+    context.run({ requestId: requestId }, () => {
+
+        // keep context (incl. user set on authorization) for response log
+        const store = context.getStore();
+        res.on('finish', () => {
+            const { statusCode = 0 } = res;
+            const level = statusCode >= 500 ? 'error' : statusCode >= 400 ? 'warn' : 'info';
+            context.run(store, () => {
+                logger[level](`${req.method} ${req.originalUrl} ${statusCode}`, {
+                    method: req.method,
+                    url: req.originalUrl,
+                    status: statusCode,
+                    duration_ms: Number(process.hrtime.bigint() - start) / 1e6,
+                    length: parseInt(res.get('Content-Length')) || 0
+                });
+            });
+        });
+
+        next();
+    });
+}
@@ -0,0 +1,179 @@
+/*!
+ * MLP.API.Utilities.Pagination
+ * File: pagination.utils.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * Keyset (cursor) pagination for listings. Pages are requested with
+ * 'limit' and 'cursor' query parameters. Cursors are opaque tokens that
+ * encode the sort key of the first (prev) or last (next) row of the
+ * current page, so that the next page can be selected by key rather
+ * than by offset.
+ *
+ * ---------
+ * Revisions
+ * - 19-10-2026   Initial release.
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ * @private
+ */
+
+import { sanitize } from './data.utils.js';
+
+/**
+ * Default and maximum number of rows per page.
+ *
+ * @public
+ */
+
+export const defaultLimit = 10;
+export const maxLimit = parseInt(process.env.API_MAX_PAGE_SIZE) || 100;
+
+/**
+ * Encode cursor token for page key.
+ *
+ * @public
+ * @param {Array} key - sort key values
+ * @param {String} direction - 'next' or 'prev'
+ * @return {String} cursor
+ */
+
+export function encodeCursor(key, direction = 'next') {
+    return Buffer
+        .from(JSON.stringify({ d: direction, k: key }))
+        .toString('base64url');
+}
+
+/**
+ * Decode cursor token.
+ *
+ * @public
+ * @param {String} cursor
+ * @return {Object} direction and key
+ */
+
+export function decodeCursor(cursor) {
+    try {
+        const { d, k } = JSON.parse(
+            Buffer.from(String(cursor), 'base64url').toString('utf8')
+        ) || {};
+        if (!['next', 'prev'].includes(d) || !Array.isArray(k)) {
+            throw new Error('invalidCursor');
+        }
+        return { direction: d, key: k };
+    } catch (err) {
+        throw new Error('invalidCursor');
+    }
+}
+
+/**
+ * Get requested page from query parameters. Limits above the
+ * server maximum are reduced to the maximum.
+ *
+ * @public
+ * @param {Object} query - request query parameters
+ * @param {Number} limit - default page size
+ * @return {Object} page
+ */
+
+export function getPage(query = {}, limit = defaultLimit) {
+    const { limit: requestedLimit = limit, cursor = null } = query || {};
+
+    // validate page size
+    const size = sanitize(requestedLimit, 'integer');
+    if (!size || size < 1 || String(size) !== String(requestedLimit).trim()) {
+        throw new Error('invalidLimit');
+    }
+
+    const { direction = 'next', key = null } = cursor ? decodeCursor(cursor) : {};
+
+    return {
+        limit: Math.min(size, maxLimit),
+        direction: direction,
+        key: key
+    };
+}
+
+/**
+ * Collate page of results from rows selected by keyset query. The
+ * query is expected to select one row over the limit (to detect
+ * whether more rows exist) in the requested direction.
+ *
+ * @public
+ * @param {Array} rows - selected rows
+ * @param {Object} page - requested page
+ * @param {Function} getKey - returns sort key of row
+ * @param {Number} total - total number of rows (if known)
+ * @return {Object} results and page
+ */
+
+export function toPage(rows = [], page = {}, getKey = (row) => [row.id], total = null) {
+
+    const { limit = defaultLimit, direction = 'next', key = null } = page || {};
+    const hasMore = rows.length > limit;
+    const results = rows.slice(0, limit);
+
+    // rows of previous pages are selected in reverse order
+    if (direction === 'prev') results.reverse();
+
+    const first = results[0];
+    const last = results[results.length - 1];
+    const hasNext = direction === 'prev' ? key !== null : hasMore;
+    const hasPrev = direction === 'prev' ? hasMore : key !== null;
+
+    return {
+        results: results,
+        page: {
+            limit: limit,
+            total: total === null ? null : parseInt(total),
+            next: hasNext && last ? encodeCursor(getKey(last), 'next') : null,
+            prev: hasPrev && first ? encodeCursor(getKey(first), 'prev') : null
+        }
+    };
+}
+
+/**
+ * Generate pagination envelope with next/prev links for request.
+ *
+ * @public
+ * @param {Object} req - request
+ * @param {Object} page - page generated by toPage()
+ * @param {Object} params - query parameters to override in links
+ * @return {Object} pagination
+ */
+
+export function getPagination(req, page, params = {}) {
+
+    const { limit = defaultLimit, total = null, next = null, prev = null } = page || {};
+
+    const link = (cursor) => {
+        if (!cursor) return null;
+        const search = new URLSearchParams();
+        Object.entries({ ...(req.query || {}), ...params })
+            .filter(([key]) => !['cursor', 'limit', 'offset'].includes(key))
+            .forEach(([key, value]) => {
+                [].concat(value).forEach(v => search.append(key, v));
+            });
+        search.set('limit', limit);
+        search.set('cursor', cursor);
+        return `${req.baseUrl}${req.path}?${search.toString()}`;
+    };
+
+    return {
+        limit: limit,
+        total: total,
+        next: next,
+        prev: prev,
+        links: {
+            next: link(next),
+            prev: link(prev)
+        }
+    };
+}
@@ -0,0 +1,222 @@
+/*!
+ * MLP.API.Services.Queries.Accounts
+ * File: accounts.queries.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * MIT Licensed
+ */
+
+'use strict';
+
+/**
+ * Query: Create local user account and session tables (local
+ * authentication provider). Only password hashes are stored.
+ *
+ * @return {Object} query binding
+ */
+
+export function init() {
+    return {
+        sql: `
+            CREATE TABLE IF NOT EXISTS user_accounts (
+                id serial PRIMARY KEY,
+                email varchar(255) NOT NULL UNIQUE,
+                password_hash varchar(255) NOT NULL,
+                role varchar(255) NOT NULL,
+                last_login_at timestamp,
+                created_at timestamp NOT NULL DEFAULT NOW(),
+                updated_at timestamp NOT NULL DEFAULT NOW()
+            );
+            CREATE TABLE IF NOT EXISTS user_sessions (
+                id varchar(64) PRIMARY KEY,
+                account_id integer NOT NULL REFERENCES user_accounts (id) ON DELETE CASCADE,
+                expires_at timestamp NOT NULL,
+                created_at timestamp NOT NULL DEFAULT NOW()
+            );`,
+        data: [],
+    };
+}
+
+/**
+ * Query: Get all user accounts (excluding password hashes).
+ *
+ * @return {Object} query binding
+ */
+
+export function selectAll() {
+    return {
+        sql: `
+            SELECT id, email, role, last_login_at, created_at, updated_at
+            FROM user_accounts
+            ORDER BY email;`,
+        data: [],
+    };
+}
+
+/**
+ * Query: Get user account by email.
+ *
+ * @param {String} email
+ * @return {Object} query binding
+ */
+
+export function selectByEmail(email) {
+    return {
+        sql: `
+            SELECT *
+            FROM user_accounts
+            WHERE lower(email) = lower($1::varchar);`,
+        data: [email],
+    };
+}
+
+/**
+ * Query: Count user accounts.
+ *
+ * @return {Object} query binding
+ */
+
+export function count() {
+    return {
+        sql: `SELECT count(*)::integer AS count FROM user_accounts;`,
+        data: [],
+    };
+}
+
+/**
+ * Query: Insert user account.
+ *
+ * @param {Object} account
+ * @return {Object} query binding
+ */
+
+export function insert({email, password_hash, role}) {
+    return {
+        sql: `
+            INSERT INTO user_accounts (email, password_hash, role)
+            VALUES ($1::varchar, $2::varchar, $3::varchar)
+            RETURNING id, email, role, last_login_at, created_at, updated_at;`,
+        data: [email, password_hash, role],
+    };
+}
+
+/**
+ * Query: Update user account role and password (null values are
+ * not changed).
+ *
+ * @param {Integer} id
+ * @param {Object} account
+ * @return {Object} query binding
+ */
+
+export function update(id, {password_hash = null, role = null}) {
+    return {
+        sql: `
+            UPDATE user_accounts
+            SET password_hash = COALESCE($2::varchar, password_hash),
+                role = COALESCE($3::varchar, role),
+                updated_at = NOW()
+            WHERE id = $1::integer
+            RETURNING id, email, role, last_login_at, created_at, updated_at;`,
+        data: [id, password_hash, role],
+    };
+}
+
+/**
+ * Query: Delete user account (sessions are deleted with the account).
+ *
+ * @param {Integer} id
+ * @return {Object} query binding
+ */
+
+export function remove(id) {
+    return {
+        sql: `
+            DELETE FROM user_accounts
+            WHERE id = $1::integer
+            RETURNING id, email, role, last_login_at, created_at, updated_at;`,
+        data: [id],
+    };
+}
+
+/**
+ * Query: Insert session and update account last login.
+ *
+ * @param {String} id
+ * @param {Integer} account_id
+ * @param {Integer} ttl - session lifetime (seconds)
+ * @return {Object} query binding
+ */
+
+export function insertSession(id, account_id, ttl) {
+    return {
+        sql: `
+            WITH session AS (
+                INSERT INTO user_sessions (id, account_id, expires_at)
+                VALUES ($1::varchar, $2::integer, NOW() + make_interval(secs => $3::integer))
+                RETURNING *
+            )
+            UPDATE user_accounts
+            SET last_login_at = NOW()
+            FROM session
+            WHERE user_accounts.id = session.account_id
+            RETURNING session.*;`,
+        data: [id, account_id, ttl],
+    };
+}
+
+/**
+ * Query: Get active session with the current account email and role.
+ *
+ * @param {String} id
+ * @return {Object} query binding
+ */
+
+export function selectSession(id) {
+    return {
+        sql: `
+            SELECT user_sessions.*, user_accounts.email, user_accounts.role
+            FROM user_sessions
+            INNER JOIN user_accounts ON user_accounts.id = user_sessions.account_id
+            WHERE user_sessions.id = $1::varchar
+              AND user_sessions.expires_at > NOW();`,
+        data: [id],
+    };
+}
+
+/**
+ * Query: Extend active session.
+ *
+ * @param {String} id
+ * @param {Integer} ttl - session lifetime (seconds)
+ * @return {Object} query binding
+ */
+
+export function extendSession(id, ttl) {
+    return {
+        sql: `
+            UPDATE user_sessions
+            SET expires_at = NOW() + make_interval(secs => $2::integer)
+            WHERE id = $1::varchar
+              AND expires_at > NOW()
+            RETURNING *;`,
+        data: [id, ttl],
+    };
+}
+
+/**
+ * Query: Delete session (and any expired sessions).
+ *
+ * @param {String} id
+ * @return {Object} query binding
+ */
+
+export function removeSession(id) {
+    return {
+        sql: `
+            DELETE FROM user_sessions
+            WHERE id = $1::varchar
+               OR expires_at <= NOW()
+            RETURNING *;`,
+        data: [id],
+    };
+}
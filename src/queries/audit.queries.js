@@ -0,0 +1,95 @@
+/*!
+ * MLP.API.Services.Queries.Audit
+ * File: audit.queries.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * MIT Licensed
+ */
+
+'use strict';
+
+import * as defaults from './defaults.queries.js';
+
+/**
+ * Query: Create audit log table. Entries record changes to node,
+ * metadata and file records with the field-level changes (diff).
+ *
+ * @return {Object} query binding
+ */
+
+export function init() {
+    return {
+        sql: `
+            CREATE TABLE IF NOT EXISTS audit_log (
+                id serial PRIMARY KEY,
+                operation varchar(20) NOT NULL,
+                model varchar(255) NOT NULL,
+                record_id integer,
+                node_id integer,
+                user_email varchar(255),
+                request_id varchar(64),
+                changes jsonb NOT NULL DEFAULT '{}'::jsonb,
+                created_at timestamp NOT NULL DEFAULT NOW()
+            );
+            CREATE INDEX IF NOT EXISTS audit_log_node_id_idx ON audit_log (node_id);
+            CREATE INDEX IF NOT EXISTS audit_log_created_at_idx ON audit_log (created_at);`,
+        data: [],
+    };
+}
+
+/**
+ * Query: Insert audit log entry.
+ *
+ * @param {Object} entry
+ * @return {Object} query binding
+ */
+
+export function insert({operation, model, record_id, node_id, user_email, request_id, changes}) {
+    return {
+        sql: `
+            INSERT INTO audit_log (operation, model, record_id, node_id, user_email, request_id, changes)
+            VALUES ($1::varchar, $2::varchar, $3::integer, $4::integer, $5::varchar, $6::varchar, $7::jsonb)
+            RETURNING *;`,
+        data: [operation, model, record_id, node_id, user_email, request_id, JSON.stringify(changes)],
+    };
+}
+
+/**
+ * Query: Get page of audit log entries (newest first) filtered by
+ * node, user, model, operation and date range.
+ *
+ * @param {Object} filters
+ * @param {Object} page
+ * @return {Object} query binding
+ */
+
+export function select(filters, page) {
+
+    const { node_id = null, user = null, model = null, operation = null, from = null, to = null } = filters || {};
+    const conditions = [];
+    const params = [];
+
+    const addCondition = (condition, value) => {
+        params.push(value);
+        conditions.push(condition.replace('?', `$${params.length}`));
+    };
+
+    if (node_id) addCondition('node_id = ?::integer', node_id);
+    if (user) addCondition('user_email = ?::varchar', user);
+    if (model) addCondition('model = ?::varchar', model);
+    if (operation) addCondition('operation = ?::varchar', operation);
+    if (from) addCondition('created_at >= ?::timestamp', from);
+    if (to) addCondition('created_at <= ?::timestamp', to);
+
+    const { where, order, limit, data } = defaults.paginate(
+        page, [{col: 'id', type: 'integer'}], 'DESC', params.length);
+
+    return {
+        sql: `
+            SELECT *
+            FROM audit_log
+            WHERE ${[...conditions, where].join(' AND ')}
+            ORDER BY ${order}
+            LIMIT ${limit};`,
+        data: [...params, ...data],
+    };
+}
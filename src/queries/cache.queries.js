@@ -0,0 +1,170 @@
+/*!
+ * MLP.API.Services.Queries.Cache
+ * File: cache.queries.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * MIT Licensed
+ */
+
+'use strict';
+
+/**
+ * Generate audit log version subquery (latest change and change
+ * counter). Every create, update, move, remove and restore is recorded
+ * in the audit log, so the version changes on deletes and restores,
+ * which leave the update times and row counts of tables unchanged
+ * (e.g. a delete followed by an insert).
+ *
+ * @private
+ * @param {String} filter - audit entries filter (optional)
+ * @return {String} sql subquery
+ */
+
+function auditVersion(filter = '') {
+    return `SELECT MAX(created_at) AS updated_at, 0 AS total, MAX(id) AS changes FROM audit_log${filter}`;
+}
+
+/**
+ * Query: Get version (latest update, row count and change counter)
+ * of tables.
+ *
+ * @param {Array} tables
+ * @return {Object} query binding
+ */
+
+export function getVersion(tables) {
+    const versions = tables.map(tbl => {
+        return `SELECT MAX(updated_at) AS updated_at, COUNT(*) AS total, 0 AS changes FROM ${tbl}`;
+    });
+    let sql = `
+            SELECT MAX(updated_at) AS last_modified, SUM(total)::integer AS total, MAX(changes)::integer AS changes
+            FROM (${[...versions, auditVersion()].join(' UNION ALL ')}) AS versions;`;
+    return {
+        sql: sql,
+        data: [],
+    };
+}
+
+/**
+ * Node metadata tables (node types).
+ *
+ * @private
+ */
+
+const nodeTypes = [
+    'projects', 'surveyors', 'surveys', 'survey_seasons', 'stations',
+    'historic_visits', 'modern_visits', 'locations',
+    'historic_captures', 'modern_captures', 'map_objects', 'map_features'
+];
+
+/**
+ * Metadata tables attached to nodes (by owner ID).
+ *
+ * @private
+ */
+
+const attachedTables = ['participant_groups', 'glass_plate_listings', 'maps'];
+
+/**
+ * Generate node metadata update expression (latest update of the
+ * metadata record of the node type).
+ *
+ * @private
+ * @param {String} alias - nodes table alias
+ * @return {String} sql expression
+ */
+
+function metadataUpdate(alias) {
+    const cases = nodeTypes.map(type => {
+        return `WHEN '${type}' THEN (SELECT updated_at FROM ${type} WHERE nodes_id = ${alias}.id)`;
+    });
+    return `CASE ${alias}.type ${cases.join(' ')} END`;
+}
+
+/**
+ * Query: Get version of node. Includes everything embedded in node
+ * responses: the node and its ancestors (path labels), dependent
+ * nodes (two levels), node metadata, attached files and metadata
+ * (participant groups, glass plate listings, maps) and capture
+ * comparisons. Changes to records of the node and its dependents, and
+ * all removals and restores (removed dependents are no longer in the
+ * node tree) are included from the audit log. No rows are returned
+ * if the node does not exist.
+ *
+ * @param {Integer} id
+ * @return {Object} query binding
+ */
+
+export function getNodeVersion(id) {
+    const attached = attachedTables.map(tbl => {
+        return `
+                UNION ALL
+                SELECT MAX(updated_at) AS updated_at, COUNT(*) AS total, 0 AS changes
+                FROM ${tbl}
+                WHERE owner_id IN (SELECT id FROM items)`;
+    });
+    let sql = `
+            WITH RECURSIVE
+            ancestors AS (
+                SELECT id, owner_id, type, updated_at
+                FROM nodes
+                WHERE id = $1::integer
+                UNION ALL
+                SELECT n.id, n.owner_id, n.type, n.updated_at
+                FROM nodes n
+                    JOIN ancestors ON n.id = ancestors.owner_id
+            ),
+            items AS (
+                SELECT id, type, updated_at
+                FROM nodes
+                WHERE owner_id = $1::integer
+                   OR owner_id IN (SELECT id FROM nodes WHERE owner_id = $1::integer)
+                UNION
+                SELECT id, type, updated_at
+                FROM ancestors
+            )
+            SELECT MAX(updated_at) AS last_modified, SUM(total)::integer AS total, MAX(changes)::integer AS changes
+            FROM (
+                SELECT MAX(updated_at) AS updated_at, COUNT(*) AS total, 0 AS changes
+                FROM items
+                UNION ALL
+                SELECT MAX(${metadataUpdate('items')}) AS updated_at, 0 AS total, 0 AS changes
+                FROM items
+                UNION ALL
+                SELECT MAX(updated_at) AS updated_at, COUNT(*) AS total, 0 AS changes
+                FROM files
+                WHERE owner_id IN (SELECT id FROM items)${attached.join('')}
+                UNION ALL
+                SELECT MAX(updated_at) AS updated_at, COUNT(*) AS total, 0 AS changes
+                FROM comparison_indices
+                WHERE historic_captures IN (SELECT id FROM items)
+                   OR modern_captures IN (SELECT id FROM items)
+                UNION ALL
+                ${auditVersion(`
+                WHERE node_id IN (SELECT id FROM items)
+                   OR operation IN ('remove', 'restore')`)}
+            ) AS versions
+            HAVING EXISTS (SELECT 1 FROM nodes WHERE id = $1::integer);`;
+    return {
+        sql: sql,
+        data: [id],
+    };
+}
+
+/**
+ * Query: Get version of file. No rows are returned if the file
+ * does not exist.
+ *
+ * @param {Integer} id
+ * @return {Object} query binding
+ */
+
+export function getFileVersion(id) {
+    let sql = `
+            SELECT updated_at AS last_modified, 1 AS total, 0 AS changes
+            FROM files
+            WHERE id = $1::integer;`;
+    return {
+        sql: sql,
+        data: [id],
+    };
+}
@@ -7,6 +7,8 @@
 
 'use strict';
 
+import * as defaults from './defaults.queries.js';
+
 /**
  * Query: Insert comparison for given capture pair IDs.
  *
@@ -67,23 +69,27 @@ export function deleteCaptureComparisons(node) {
 }
 
 /**
- * Generate query: Retrieve comparisons by id array.
+ * Query: Get page of comparisons by id array (ordered by id).
  *
- * @return {Function} query function
+ * @param {Array} ids
+ * @param {Object} page
+ * @return {Object} query binding
  * @public
  */
 
-export function filterByIDArray(ids, offset, limit) {
+export function filterByIDArray(ids, page) {
+    const { where, order, limit, data } = defaults.paginate(
+        page, [{col: 'id', type: 'integer'}], 'ASC', 1);
     const sql = `SELECT 
             *, 
             (SELECT COUNT(*) FROM comparison_indices WHERE id = ANY($1)) as total
             FROM comparison_indices 
-            WHERE id = ANY($1)
-            OFFSET ${offset}
+            WHERE id = ANY($1) AND ${where}
+            ORDER BY ${order}
             LIMIT ${limit}`;
     return {
         sql: sql,
-        data: [ids],
+        data: [ids, ...data],
     };
 }
 
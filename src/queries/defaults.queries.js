@@ -40,6 +40,41 @@ export function getAll(model, offset = 0, order='') {
     };
 }
 
+/**
+ * Generate query clauses for keyset (cursor) pagination. Rows after
+ * the page key are selected in the sort order for 'next' pages and
+ * in reverse order for 'prev' pages. One row over the page limit is
+ * selected to indicate whether more rows exist.
+ *
+ * @param {Object} page - requested page (see pagination utilities)
+ * @param {Array} keys - sort key columns ({col, type})
+ * @param {String} order - sort order ('ASC' or 'DESC')
+ * @param {int} index - number of preceding query parameters
+ * @return {Object} query clauses and parameter data
+ * @public
+ */
+
+export function paginate(page, keys, order = 'ASC', index = 0) {
+    const { limit = 10, direction = 'next', key = null } = page || {};
+    const isAscending = (order === 'ASC') === (direction === 'next');
+    const hasKey = Array.isArray(key);
+
+    // page key must match sort key columns
+    if (hasKey && key.length !== keys.length) throw new Error('invalidCursor');
+
+    const cols = keys.map(({col}) => col);
+    const params = keys.map(({type}, i) => `$${index + i + 1}::${type}`);
+
+    return {
+        where: hasKey
+            ? `(${cols.join(', ')}) ${isAscending ? '>' : '<'} (${params.join(', ')})`
+            : 'TRUE',
+        order: cols.map(col => `${col} ${isAscending ? 'ASC' : 'DESC'}`).join(', '),
+        limit: `$${index + (hasKey ? keys.length : 0) + 1}::integer`,
+        data: [...(hasKey ? key : []), limit + 1]
+    };
+}
+
 /**
  * Query: Get grouped metadata for given owner and group type.
  *
@@ -44,32 +44,35 @@ export function getFilesByType(fileType, limit=10) {
 }
 
 /**
- * Generate query: Retrieve files by id array.
+ * Query: Get page of files by id array (ordered by id). File type
+ * metadata is included for a given file type.
  *
- * @param ids
- * @param file_type
- * @param offset
- * @param limit
- * @return {Function} query function
+ * @param {Array} ids
+ * @param {String} file_type
+ * @param {Object} page
+ * @return {Object} query binding
  * @public
  */
 
-export function filterByIDArray(ids, file_type, offset, limit) {
+export function filterByIDArray(ids, file_type, page) {
 
     // get metadata for given file type
-    const fileTypeTbl = `INNER JOIN ${file_type} ON id = ${file_type}.files_id`;
+    const fileTypeTbl = `INNER JOIN ${file_type} ON files.id = ${file_type}.files_id`;
 
+    const { where, order, limit, data } = defaults.paginate(
+        page, [{col: 'files.id', type: 'integer'}], 'ASC', 1);
     const sql = `SELECT 
             *, 
+            files.id as id,
             (SELECT COUNT(*) FROM files WHERE id = ANY($1)) as total
             FROM files 
             ${file_type ? fileTypeTbl : ''}
-            WHERE id = ANY($1)
-            OFFSET ${offset}
+            WHERE files.id = ANY($1) AND ${where}
+            ORDER BY ${order}
             LIMIT ${limit}`;
     return {
         sql: sql,
-        data: [ids],
+        data: [ids, ...data],
     };
 }
 
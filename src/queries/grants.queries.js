@@ -0,0 +1,180 @@
+/*!
+ * MLP.API.Services.Queries.Grants
+ * File: grants.queries.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * MIT Licensed
+ */
+
+'use strict';
+
+/**
+ * Query: Create access grants and restricted users tables. Each grant
+ * gives a user (or service account) edit access to a node and its
+ * dependents. Restricted users can only change records within their
+ * granted subtrees (users with existing grants are restricted).
+ *
+ * @return {Object} query binding
+ */
+
+export function init() {
+    return {
+        sql: `
+            CREATE TABLE IF NOT EXISTS access_grants (
+                id serial PRIMARY KEY,
+                email varchar(255) NOT NULL,
+                node_id integer NOT NULL REFERENCES nodes (id) ON DELETE CASCADE,
+                created_by varchar(255),
+                created_at timestamp NOT NULL DEFAULT NOW(),
+                updated_at timestamp NOT NULL DEFAULT NOW(),
+                UNIQUE (email, node_id)
+            );
+            CREATE TABLE IF NOT EXISTS restricted_users (
+                email varchar(255) PRIMARY KEY,
+                created_by varchar(255),
+                created_at timestamp NOT NULL DEFAULT NOW()
+            );
+            INSERT INTO restricted_users (email)
+            SELECT DISTINCT email FROM access_grants
+            ON CONFLICT (email) DO NOTHING;`,
+        data: [],
+    };
+}
+
+/**
+ * Query: Get all access grants (with granted node types).
+ *
+ * @return {Object} query binding
+ */
+
+export function selectAll() {
+    return {
+        sql: `
+            SELECT access_grants.*, nodes.type AS node_type
+            FROM access_grants
+            INNER JOIN nodes ON nodes.id = access_grants.node_id
+            ORDER BY access_grants.email, access_grants.node_id;`,
+        data: [],
+    };
+}
+
+/**
+ * Query: Get access grants of user.
+ *
+ * @param {String} email
+ * @return {Object} query binding
+ */
+
+export function selectByUser(email) {
+    return {
+        sql: `
+            SELECT *
+            FROM access_grants
+            WHERE email = $1::varchar;`,
+        data: [email],
+    };
+}
+
+/**
+ * Query: Insert access grant (existing grants are returned unchanged).
+ *
+ * @param {Object} grant
+ * @return {Object} query binding
+ */
+
+export function insert({email, node_id, created_by}) {
+    return {
+        sql: `
+            INSERT INTO access_grants (email, node_id, created_by)
+            VALUES ($1::varchar, $2::integer, $3::varchar)
+            ON CONFLICT (email, node_id) DO UPDATE SET updated_at = access_grants.updated_at
+            RETURNING *;`,
+        data: [email, node_id, created_by],
+    };
+}
+
+/**
+ * Query: Delete access grant.
+ *
+ * @param {Integer} id
+ * @return {Object} query binding
+ */
+
+export function remove(id) {
+    return {
+        sql: `
+            DELETE FROM access_grants
+            WHERE id = $1::integer
+            RETURNING *;`,
+        data: [id],
+    };
+}
+
+/**
+ * Query: Delete access grants of user.
+ *
+ * @param {String} email
+ * @return {Object} query binding
+ */
+
+export function removeByUser(email) {
+    return {
+        sql: `
+            DELETE FROM access_grants
+            WHERE email = $1::varchar
+            RETURNING *;`,
+        data: [email],
+    };
+}
+
+/**
+ * Query: Get restriction of user.
+ *
+ * @param {String} email
+ * @return {Object} query binding
+ */
+
+export function selectRestriction(email) {
+    return {
+        sql: `
+            SELECT *
+            FROM restricted_users
+            WHERE email = $1::varchar;`,
+        data: [email],
+    };
+}
+
+/**
+ * Query: Restrict user to granted subtrees (existing restrictions are
+ * unchanged).
+ *
+ * @param {String} email
+ * @param {String} created_by
+ * @return {Object} query binding
+ */
+
+export function insertRestriction(email, created_by) {
+    return {
+        sql: `
+            INSERT INTO restricted_users (email, created_by)
+            VALUES ($1::varchar, $2::varchar)
+            ON CONFLICT (email) DO NOTHING;`,
+        data: [email, created_by],
+    };
+}
+
+/**
+ * Query: Delete restriction of user.
+ *
+ * @param {String} email
+ * @return {Object} query binding
+ */
+
+export function removeRestriction(email) {
+    return {
+        sql: `
+            DELETE FROM restricted_users
+            WHERE email = $1::varchar
+            RETURNING *;`,
+        data: [email],
+    };
+}
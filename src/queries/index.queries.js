@@ -24,6 +24,18 @@ import * as users from './users.queries.js';
 import * as stats from './stats.queries.js';
 import * as other from './other.queries.js';
 import * as maps from './maps.queries.js';
+import * as cache from './cache.queries.js';
+import * as keys from './keys.queries.js';
+import * as grants from './grants.queries.js';
+import * as audit from './audit.queries.js';
+import * as accounts from './accounts.queries.js';
+import * as visibility from './visibility.queries.js';
+import * as trash from './trash.queries.js';
+import * as merge from './merge.queries.js';
+import * as tree from './tree.queries.js';
+import * as loader from './loader.queries.js';
+import * as versions from './versions.queries.js';
+import * as revisions from './revisions.queries.js';
 
 /**
  * Index of module exports.
@@ -42,5 +54,17 @@ export default {
     users: users,
     stats: stats,
     other: other,
-    maps: maps
+    maps: maps,
+    cache: cache,
+    keys: keys,
+    grants: grants,
+    audit: audit,
+    accounts: accounts,
+    visibility: visibility,
+    trash: trash,
+    merge: merge,
+    tree: tree,
+    loader: loader,
+    versions: versions,
+    revisions: revisions
 };
@@ -0,0 +1,123 @@
+/*!
+ * MLP.API.Services.Queries.Keys
+ * File: keys.queries.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * MIT Licensed
+ */
+
+'use strict';
+
+/**
+ * Query: Create API keys table (service accounts). Only a hash of
+ * each key is stored; the key prefix is used to look up keys.
+ *
+ * @return {Object} query binding
+ */
+
+export function init() {
+    return {
+        sql: `
+            CREATE TABLE IF NOT EXISTS api_keys (
+                id serial PRIMARY KEY,
+                name varchar(255) NOT NULL,
+                role varchar(255) NOT NULL,
+                prefix varchar(32) NOT NULL UNIQUE,
+                key_hash varchar(64) NOT NULL,
+                created_by varchar(255),
+                expires_at timestamp,
+                revoked_at timestamp,
+                last_used_at timestamp,
+                created_at timestamp NOT NULL DEFAULT NOW(),
+                updated_at timestamp NOT NULL DEFAULT NOW()
+            );`,
+        data: [],
+    };
+}
+
+/**
+ * Query: Get all API keys (excluding key hashes).
+ *
+ * @return {Object} query binding
+ */
+
+export function selectAll() {
+    return {
+        sql: `
+            SELECT id, name, role, prefix, created_by, expires_at, revoked_at,
+                   last_used_at, created_at, updated_at
+            FROM api_keys
+            ORDER BY created_at DESC;`,
+        data: [],
+    };
+}
+
+/**
+ * Query: Get API key by prefix.
+ *
+ * @param {String} prefix
+ * @return {Object} query binding
+ */
+
+export function selectByPrefix(prefix) {
+    return {
+        sql: `
+            SELECT *
+            FROM api_keys
+            WHERE prefix = $1::varchar;`,
+        data: [prefix],
+    };
+}
+
+/**
+ * Query: Insert API key.
+ *
+ * @param {Object} key
+ * @return {Object} query binding
+ */
+
+export function insert({name, role, prefix, key_hash, created_by, expires_at}) {
+    return {
+        sql: `
+            INSERT INTO api_keys (name, role, prefix, key_hash, created_by, expires_at)
+            VALUES ($1::varchar, $2::varchar, $3::varchar, $4::varchar, $5::varchar, $6::timestamp)
+            RETURNING id, name, role, prefix, created_by, expires_at, revoked_at,
+                      last_used_at, created_at, updated_at;`,
+        data: [name, role, prefix, key_hash, created_by, expires_at],
+    };
+}
+
+/**
+ * Query: Revoke API key.
+ *
+ * @param {Integer} id
+ * @return {Object} query binding
+ */
+
+export function revoke(id) {
+    return {
+        sql: `
+            UPDATE api_keys
+            SET revoked_at = NOW(), updated_at = NOW()
+            WHERE id = $1::integer AND revoked_at IS NULL
+            RETURNING id, name, role, prefix, created_by, expires_at, revoked_at,
+                      last_used_at, created_at, updated_at;`,
+        data: [id],
+    };
+}
+
+/**
+ * Query: Record API key use.
+ *
+ * @param {Integer} id
+ * @return {Object} query binding
+ */
+
+export function touch(id) {
+    return {
+        sql: `
+            UPDATE api_keys
+            SET last_used_at = NOW()
+            WHERE id = $1::integer;`,
+        data: [id],
+    };
+}
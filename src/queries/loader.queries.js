@@ -0,0 +1,63 @@
+/*!
+ * MLP.API.Services.Queries.Loader
+ * File: loader.queries.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * MIT Licensed
+ */
+
+'use strict';
+
+/**
+ * Query: Get records by a list of column values (e.g. nodes by ID,
+ * metadata by node ID, files by owner ID).
+ *
+ * @param {String} table
+ * @param {String} column
+ * @param {Array} values
+ * @param {String} datatype - column datatype
+ * @param {String} order - sort order (optional)
+ * @return {Object} query binding
+ */
+
+export function selectIn(table, column, values, datatype = 'integer', order = null) {
+    return {
+        sql: `SELECT *
+              FROM ${table}
+              WHERE ${column} = ANY($1::${datatype}[])
+              ${order ? `ORDER BY ${order}` : ''};`,
+        data: [values],
+    };
+}
+
+/**
+ * Query: Get labels of records by ID (see metadata queries
+ * selectLabel).
+ *
+ * @param {String} table
+ * @param {Array} ids
+ * @param {Array} labelCols
+ * @param {String} prefix
+ * @param {String} delimiter
+ * @param {String} idCol
+ * @return {Object} query binding
+ */
+
+export function selectLabels(
+    table,
+    ids,
+    labelCols = ['id'],
+    prefix = null,
+    delimiter = ' ',
+    idCol = 'nodes_id'
+) {
+    prefix = prefix ? `'${prefix}',` : '';
+    return {
+        sql: `
+            SELECT
+                ${idCol} AS id,
+                CONCAT_WS('${delimiter}', ${prefix} ${labelCols.join(',')}) AS label
+            FROM ${table}
+            WHERE ${idCol} = ANY($1::integer[]);`,
+        data: [ids],
+    };
+}
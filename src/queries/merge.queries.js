@@ -0,0 +1,40 @@
+/*!
+ * MLP.API.Services.Queries.Merge
+ * File: merge.queries.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * MIT Licensed
+ */
+
+'use strict';
+
+/**
+ * Query: Re-point records referencing a merged node to the surviving
+ * node. Records that would duplicate a record of the surviving node
+ * (same values in the key columns) are not changed; they are deleted
+ * with the merged node.
+ *
+ * @param {String} table
+ * @param {String} column - reference column
+ * @param {Integer} fromID - merged node ID
+ * @param {Integer} toID - surviving node ID
+ * @param {Array} keys - columns identifying duplicate records
+ * @return {Object} query binding
+ */
+
+export function reassign(table, column, fromID, toID, keys = []) {
+    const duplicates = keys.length > 0
+        ? `AND NOT EXISTS (
+                SELECT 1 FROM ${table} existing
+                WHERE existing.${column} = $2::integer
+                  ${keys.map(key => `AND existing.${key} IS NOT DISTINCT FROM ${table}.${key}`).join(' ')}
+              )`
+        : '';
+    return {
+        sql: `UPDATE ${table}
+              SET ${column} = $2::integer, updated_at = NOW()
+              WHERE ${column} = $1::integer
+              ${duplicates}
+              RETURNING *;`,
+        data: [fromID, toID],
+    };
+}
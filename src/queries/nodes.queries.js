@@ -95,23 +95,27 @@ export function selectByOwner(id) {
 }
 
 /**
- * Generate query: Retrieve dependent nodes by id array.
+ * Generate query: Retrieve page of nodes by id array (ordered by id).
  *
- * @return {Function} query function
+ * @param {Array} ids
+ * @param {Object} page
+ * @return {Object} query binding
  * @public
  */
 
-export function filterByIDArray(ids, offset, limit) {
+export function filterByIDArray(ids, page) {
+    const { where, order, limit, data } = defaults.paginate(
+        page, [{col: 'id', type: 'integer'}], 'ASC', 1);
     const sql = `SELECT 
             *, 
             (SELECT COUNT(*) FROM nodes WHERE id = ANY($1)) as total
             FROM nodes 
-            WHERE id = ANY($1)
-            OFFSET ${offset}
+            WHERE id = ANY($1) AND ${where}
+            ORDER BY ${order}
             LIMIT ${limit}`;
     return {
         sql: sql,
-        data: [ids],
+        data: [ids, ...data],
     };
 }
 
@@ -0,0 +1,114 @@
+/*!
+ * MLP.API.Services.Queries.Revisions
+ * File: revisions.queries.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * MIT Licensed
+ */
+
+'use strict';
+
+import * as defaults from './defaults.queries.js';
+
+/**
+ * Query: Create node revisions table. Revisions hold snapshots of the
+ * node metadata and attached metadata (as JSON) after each update.
+ *
+ * @return {Object} query binding
+ */
+
+export function init() {
+    return {
+        sql: `
+            CREATE TABLE IF NOT EXISTS node_revisions (
+                id serial PRIMARY KEY,
+                node_id integer NOT NULL,
+                model varchar(255) NOT NULL,
+                operation varchar(20) NOT NULL,
+                source_id integer,
+                metadata jsonb NOT NULL DEFAULT '{}'::jsonb,
+                attached jsonb NOT NULL DEFAULT '{}'::jsonb,
+                user_email varchar(255),
+                request_id varchar(64),
+                created_at timestamp NOT NULL DEFAULT NOW()
+            );
+            CREATE INDEX IF NOT EXISTS node_revisions_node_id_idx ON node_revisions (node_id);`,
+        data: [],
+    };
+}
+
+/**
+ * Query: Insert node revision.
+ *
+ * @param {Object} revision
+ * @return {Object} query binding
+ */
+
+export function insert({node_id, model, operation, source_id, metadata, attached, user_email, request_id}) {
+    return {
+        sql: `
+            INSERT INTO node_revisions (
+                node_id, model, operation, source_id, metadata, attached, user_email, request_id)
+            VALUES ($1::integer, $2::varchar, $3::varchar, $4::integer, $5::jsonb, $6::jsonb, $7::varchar, $8::varchar)
+            RETURNING *;`,
+        data: [
+            node_id, model, operation, source_id,
+            JSON.stringify(metadata), JSON.stringify(attached), user_email, request_id
+        ],
+    };
+}
+
+/**
+ * Query: Get revision by ID.
+ *
+ * @param {Number} id
+ * @return {Object} query binding
+ */
+
+export function selectByID(id) {
+    return {
+        sql: `SELECT * FROM node_revisions WHERE id = $1::integer;`,
+        data: [id],
+    };
+}
+
+/**
+ * Query: Get latest revision of node.
+ *
+ * @param {Number} node_id
+ * @return {Object} query binding
+ */
+
+export function selectLatest(node_id) {
+    return {
+        sql: `
+            SELECT *
+            FROM node_revisions
+            WHERE node_id = $1::integer
+            ORDER BY id DESC
+            LIMIT 1;`,
+        data: [node_id],
+    };
+}
+
+/**
+ * Query: Get page of node revisions (newest first). Snapshots are not
+ * included.
+ *
+ * @param {Number} node_id
+ * @param {Object} page
+ * @return {Object} query binding
+ */
+
+export function select(node_id, page) {
+    const { where, order, limit, data } = defaults.paginate(
+        page, [{col: 'id', type: 'integer'}], 'DESC', 1);
+    return {
+        sql: `
+            SELECT id, node_id, model, operation, source_id, user_email, request_id, created_at
+            FROM node_revisions
+            WHERE node_id = $1::integer AND ${where}
+            ORDER BY ${order}
+            LIMIT ${limit};`,
+        data: [node_id, ...data],
+    };
+}
@@ -29,7 +29,11 @@ export function getTables() {
  * Reference: https://stackoverflow.com/a/21125640
  * col: column name
  * type: column datatype
+ * is_nullable: column accepts null values ('YES'/'NO')
+ * column_default: column default value
+ * max_length: maximum length of character columns
  * fk_table: referenced table
+ * ref_col: referenced column
  *
  * @public
  * @param {String} targetTable
@@ -40,8 +44,8 @@ export function getColumns(targetTable) {
     return {
         sql: `WITH fk_cols AS (
             SELECT col.attname    as col,
-                   rel_fk.relname as ref_table
---                 fk_col.attname as ref_id
+                   rel_fk.relname as ref_table,
+                   fk_col.attname as ref_col
             FROM pg_catalog.pg_constraint con
                      INNER JOIN pg_catalog.pg_class rel
                                 ON rel.oid = con.conrelid
@@ -51,12 +55,19 @@ export function getColumns(targetTable) {
                                 ON nsp.oid = connamespace
                      INNER JOIN pg_catalog.pg_attribute col
                                 ON (col.attrelid = rel.oid AND ARRAY [col.attnum] <@ con.conkey)
---                      INNER JOIN pg_catalog.pg_attribute fk_col
---                                 ON (fk_col.attrelid = rel_fk.oid AND ARRAY[fk_col.attnum] <@ con.confkey)
+                     INNER JOIN pg_catalog.pg_attribute fk_col
+                                ON (fk_col.attrelid = rel_fk.oid AND ARRAY[fk_col.attnum] <@ con.confkey)
             WHERE nsp.nspname = 'public'
+              AND con.contype = 'f'
               AND rel.relname = $1::varchar)
 
-              select column_name as col, data_type, fk_cols.ref_table
+              select column_name as col, 
+                     data_type, 
+                     is_nullable, 
+                     column_default, 
+                     character_maximum_length as max_length,
+                     fk_cols.ref_table,
+                     fk_cols.ref_col
               from information_schema.columns
                        LEFT JOIN fk_cols ON column_name = fk_cols.col
               where table_name = $1::varchar
@@ -65,6 +76,23 @@ export function getColumns(targetTable) {
     };
 }
 
+/**
+ * Query: Check that value exists in column of reference table.
+ *
+ * @public
+ * @param {String} table
+ * @param {String} col
+ * @param value
+ * @return {Object} query binding
+ */
+
+export function hasReference(table, col, value) {
+    return {
+        sql: `SELECT 1 FROM "${table}" WHERE "${col}"::text = $1::text LIMIT 1;`,
+        data: [String(value)],
+    };
+}
+
 /**
  * Query: Check node relation allowed for given node and owner types.
  *
@@ -94,4 +122,45 @@ export function isRelatable(nodeID, ownerID) {
                     );`,
         data: [nodeID, ownerID],
     };
-}
\ No newline at end of file
+}
+
+/**
+ * Query: Get owner types allowed for dependent type in relation table
+ * (node, file or metadata relations), with owner type labels.
+ *
+ * @param {String} relation - relation table
+ * @param {String} dependentType
+ * @return {Object} query binding
+ */
+
+export function getOwnerTypes(relation, dependentType) {
+    return {
+        sql: `SELECT DISTINCT r.owner_type AS name, COALESCE(t.label, r.owner_type) AS label
+              FROM ${relation} r
+                  LEFT JOIN node_types t ON t.name = r.owner_type
+              WHERE r.dependent_type = $1::varchar
+              ORDER BY label;`,
+        data: [dependentType],
+    };
+}
+
+/**
+ * Query: Get dependent types allowed for owner type in relation table
+ * (node, file or metadata relations), with dependent type labels.
+ *
+ * @param {String} relation - relation table
+ * @param {String} types - dependent types table
+ * @param {String} ownerType
+ * @return {Object} query binding
+ */
+
+export function getDependentTypes(relation, types, ownerType) {
+    return {
+        sql: `SELECT DISTINCT r.dependent_type AS name, COALESCE(t.label, r.dependent_type) AS label
+              FROM ${relation} r
+                  LEFT JOIN ${types} t ON t.name = r.dependent_type
+              WHERE r.owner_type = $1::varchar
+              ORDER BY label;`,
+        data: [ownerType],
+    };
+}
@@ -7,18 +7,56 @@
 
 'use strict';
 
+import * as defaults from './defaults.queries.js';
+
+/**
+ * Generate query: Select page of search results ordered by rank. Each
+ * node is listed once (with its highest rank). Excluded (restricted)
+ * node IDs are bound to the second query parameter.
+ *
+ * @private
+ * @param {String} ctes - common table expressions for search items
+ * @param {String} select - search results query
+ * @param {Object} page
+ * @param {Integer} offset - number of preceding query parameters
+ * @return {Object} query clauses and parameter data
+ */
+
+const paginate = (ctes, select, page, offset = 2) => {
+    const { where, order, limit, data } = defaults.paginate(
+        page, [{col: 'rank', type: 'real'}, {col: 'id', type: 'integer'}], 'DESC', offset);
+    return {
+        sql: `
+            WITH ${ctes},
+            matches AS (${select}),
+            results AS (
+                SELECT DISTINCT ON (id) * 
+                FROM matches 
+                WHERE id <> ALL($2::integer[])
+                ORDER BY id, rank DESC
+            )
+            SELECT *, (SELECT COUNT(*) FROM results) as total
+            FROM results
+            WHERE ${where}
+            ORDER BY ${order}
+            LIMIT ${limit};
+            `,
+        data: data
+    };
+};
+
 /**
  * Query: Full text search query for node tables.
  *
  * @param {String} tbl
  * @param fields
  * @param {Array} q
- * @param {Integer} limit
- * @param {Integer} offset
+ * @param {Object} page
+ * @param {Object} excluded - restricted node and file IDs
  * @return {Object} query binding
  */
 
-export function fulltextNodeSearch(tbl, fields, q, offset=0, limit=5) {
+export function fulltextNodeSearch(tbl, fields, q, page, excluded = {}) {
     let queryString = q.join(' | ');
     const requiredFields = fields.required;
     const coalescedFields = fields.coalesce.map(field => {
@@ -28,9 +66,7 @@ export function fulltextNodeSearch(tbl, fields, q, offset=0, limit=5) {
     const blurbFields = fields.coalesce.join(', ');
     const heading = fields.heading.join(', ');
 
-    return {
-        sql: `
-            WITH search_items as (
+    const { sql, data } = paginate(`search_items as (
                 SELECT
                    nodes_id as id,
                    CONCAT_WS(' ', ${heading}) as heading,
@@ -39,29 +75,20 @@ export function fulltextNodeSearch(tbl, fields, q, offset=0, limit=5) {
                 FROM ${tbl}, to_tsvector('english', ${searchFields}) searchtext, to_tsquery($1::varchar) query
                 WHERE searchtext @@ query
                 GROUP BY id, heading, blurb, rank, searchtext
-            )
+            )`, `
             SELECT 
                    search_items.id, 
                    search_items.heading, 
                    search_items.blurb, 
                    search_items.rank,
                    n.type as type,
-                   n.updated_at as last_modified,
-                   (SELECT COUNT(*) FROM search_items) as total
+                   n.updated_at as last_modified
             FROM search_items
-            JOIN nodes n ON n.id = search_items.id
-            GROUP BY 
-                     search_items.id, 
-                     search_items.heading, 
-                     search_items.blurb,
-                     search_items.rank,
-                     type,
-                     last_modified
-            ORDER BY rank DESC
-            OFFSET ${offset}
-            LIMIT ${limit};
-            `,
-        data: [queryString],
+            JOIN nodes n ON n.id = search_items.id`, page);
+
+    return {
+        sql: sql,
+        data: [queryString, excluded.nodes || [], ...data],
     };
 }
 
@@ -71,12 +98,12 @@ export function fulltextNodeSearch(tbl, fields, q, offset=0, limit=5) {
  * @param {String} tbl
  * @param fields
  * @param {Array} q
- * @param {Integer} limit
- * @param {Integer} offset
+ * @param {Object} page
+ * @param {Object} excluded - restricted node and file IDs
  * @return {Object} query binding
  */
 
-export function fulltextMetadataSearch(tbl, fields, q, offset=0, limit=5) {
+export function fulltextMetadataSearch(tbl, fields, q, page, excluded = {}) {
     let queryString = q.join(' | ');
     const requiredFields = fields.required;
     const coalescedFields = fields.coalesce.map(field => {
@@ -86,9 +113,7 @@ export function fulltextMetadataSearch(tbl, fields, q, offset=0, limit=5) {
     const blurbFields = fields.coalesce.join(', ');
     const heading = fields.heading.join(', ');
 
-    return {
-        sql: `
-            WITH search_items as (
+    const { sql, data } = paginate(`search_items as (
                 SELECT
                    owner_id,
                    CONCAT_WS(' ', ${heading}) as heading,
@@ -97,22 +122,20 @@ export function fulltextMetadataSearch(tbl, fields, q, offset=0, limit=5) {
                 FROM ${tbl}, to_tsvector('english', ${searchFields}) searchtext, to_tsquery($1::varchar) query
                 WHERE searchtext @@ query
                 GROUP BY owner_id, heading, blurb, rank, searchtext
-            )
+            )`, `
             SELECT 
                 search_items.owner_id as id,
                 nodes.type as type,
                 search_items.heading,
                 search_items.blurb,
                 search_items.rank,
-                nodes.updated_at as last_modified,
-               (SELECT COUNT(*) FROM search_items) as total
+                nodes.updated_at as last_modified
             FROM search_items
-            JOIN nodes ON nodes.id = search_items.owner_id
-            ORDER BY rank DESC
-            OFFSET ${offset}
-            LIMIT ${limit};
-            `,
-        data: [queryString],
+            JOIN nodes ON nodes.id = search_items.owner_id`, page);
+
+    return {
+        sql: sql,
+        data: [queryString, excluded.nodes || [], ...data],
     };
 }
 
@@ -122,12 +145,12 @@ export function fulltextMetadataSearch(tbl, fields, q, offset=0, limit=5) {
  *
  * @param fields
  * @param {Array} q
- * @param {Integer} limit
- * @param {Integer} offset
+ * @param {Object} page
+ * @param {Object} excluded - restricted node and file IDs
  * @return {Object} query binding
  */
 
-export function fulltextParticipantSearch(fields, q, offset=0, limit=5) {
+export function fulltextParticipantSearch(fields, q, page, excluded = {}) {
     let queryString = q.join(' | ');
     const requiredFields = fields.required;
     const coalescedFields = fields.coalesce.map(field => {
@@ -136,9 +159,7 @@ export function fulltextParticipantSearch(fields, q, offset=0, limit=5) {
     const searchFields = requiredFields.concat(coalescedFields).join( ` || ' ' || `);
     const blurbFields = fields.coalesce.join(', ');
 
-    return {
-        sql: `
-            WITH search_items as (
+    const { sql, data } = paginate(`search_items as (
                 SELECT
                    id,
                    CONCAT_WS(' ', ${blurbFields}) as blurb,
@@ -146,27 +167,22 @@ export function fulltextParticipantSearch(fields, q, offset=0, limit=5) {
                 FROM participants, to_tsvector('english', ${searchFields}) searchtext, to_tsquery($1::varchar) query
                 WHERE searchtext @@ query
                 GROUP BY id, blurb, rank, searchtext
-            ),
-            results as (
-                SELECT 
-                    participant_groups.owner_id as id,
-                    nodes.type as type,
-                    search_items.blurb,
-                    CONCAT_WS(' ', modern_visits.date) as heading,
-                    search_items.rank,
-                    nodes.updated_at as last_modified
-                FROM search_items
-                JOIN participant_groups ON participant_groups.participant_id = search_items.id
-                    JOIN nodes ON nodes.id = participant_groups.owner_id
-                        JOIN modern_visits ON nodes.id = modern_visits.nodes_id
-            )
-            SELECT *, (SELECT COUNT(*) FROM results) as total
-            FROM results
-            ORDER BY rank DESC
-            OFFSET ${offset}
-            LIMIT ${limit};
-            `,
-        data: [queryString],
+            )`, `
+            SELECT 
+                participant_groups.owner_id as id,
+                nodes.type as type,
+                search_items.blurb,
+                CONCAT_WS(' ', modern_visits.date) as heading,
+                search_items.rank,
+                nodes.updated_at as last_modified
+            FROM search_items
+            JOIN participant_groups ON participant_groups.participant_id = search_items.id
+                JOIN nodes ON nodes.id = participant_groups.owner_id
+                    JOIN modern_visits ON nodes.id = modern_visits.nodes_id`, page);
+
+    return {
+        sql: sql,
+        data: [queryString, excluded.nodes || [], ...data],
     };
 }
 
@@ -175,39 +191,38 @@ export function fulltextParticipantSearch(fields, q, offset=0, limit=5) {
  *
  * @param {Array} q
  * @param fields
- * @param {Integer} limit
- * @param {Integer} offset
+ * @param {Object} page
+ * @param {Object} excluded - restricted node and file IDs
  * @return {Object} query binding
  */
 
-export function fulltextFileSearch(fields, q, offset=0, limit=5) {
+export function fulltextFileSearch(fields, q, page, excluded = {}) {
     let queryString = q.join(' | ');
     const blurbFields = fields.coalesce.join(', ');
     const heading = fields.heading.join(', ');
 
-    return {
-        sql: `
-            WITH search_items as (
+    const { sql, data } = paginate(`search_items as (
                 SELECT
                    owner_id,
                    CONCAT_WS(' ', ${heading}) as heading,
                    CONCAT_WS(' ', ${blurbFields}) as blurb
                 FROM files
                 WHERE filename LIKE $1::varchar
+                  AND id <> ALL($3::integer[])
                 GROUP BY owner_id, heading, blurb
-            )
+            )`, `
             SELECT 
                 search_items.owner_id as id,
                 nodes.type as type,
                 search_items.heading,
                 search_items.blurb,
-                nodes.updated_at as last_modified,
-               (SELECT COUNT(*) FROM search_items) as total
+                0::real as rank,
+                nodes.updated_at as last_modified
             FROM search_items
-            JOIN nodes ON nodes.id = search_items.owner_id
-            OFFSET ${offset}
-            LIMIT ${limit};
-            `,
-        data: ["%" + queryString + "%"],
+            JOIN nodes ON nodes.id = search_items.owner_id`, page, 3);
+
+    return {
+        sql: sql,
+        data: ["%" + queryString + "%", excluded.nodes || [], excluded.files || [], ...data],
     };
 }
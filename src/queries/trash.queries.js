@@ -0,0 +1,207 @@
+/*!
+ * MLP.API.Services.Queries.Trash
+ * File: trash.queries.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * MIT Licensed
+ */
+
+'use strict';
+
+import * as defaults from './defaults.queries.js';
+
+/**
+ * Query: Create trash table. Entries hold the deleted records (as JSON
+ * in insertion order) and the paths of the deleted files.
+ *
+ * @return {Object} query binding
+ */
+
+export function init() {
+    return {
+        sql: `
+            CREATE TABLE IF NOT EXISTS trash (
+                id serial PRIMARY KEY,
+                model varchar(255) NOT NULL,
+                item_id integer NOT NULL,
+                node_id integer,
+                label text,
+                records jsonb NOT NULL DEFAULT '[]'::jsonb,
+                file_paths jsonb NOT NULL DEFAULT '[]'::jsonb,
+                deleted_by varchar(255),
+                deleted_at timestamp NOT NULL DEFAULT NOW()
+            );
+            CREATE INDEX IF NOT EXISTS trash_deleted_at_idx ON trash (deleted_at);`,
+        data: [],
+    };
+}
+
+/**
+ * Query: Get foreign keys referencing table (single-column keys only),
+ * with the delete action ('c' cascade, 'n' set null, 'd' set default,
+ * 'a' no action, 'r' restrict) and the primary key columns of the
+ * referencing table.
+ *
+ * @param {String} table
+ * @return {Object} query binding
+ */
+
+export function selectReferences(table) {
+    return {
+        sql: `
+            SELECT c.conrelid::regclass::text AS table_name,
+                   a.attname AS column_name,
+                   r.attname AS referenced,
+                   c.confdeltype AS action,
+                   COALESCE((
+                       SELECT array_agg(k.attname::text ORDER BY k.attnum)
+                       FROM pg_index i
+                       INNER JOIN pg_attribute k ON k.attrelid = i.indrelid AND k.attnum = ANY(i.indkey)
+                       WHERE i.indrelid = c.conrelid AND i.indisprimary
+                   ), '{}'::text[]) AS key_columns
+            FROM pg_constraint c
+            INNER JOIN pg_attribute a ON a.attrelid = c.conrelid AND a.attnum = c.conkey[1]
+            INNER JOIN pg_attribute r ON r.attrelid = c.confrelid AND r.attnum = c.confkey[1]
+            WHERE c.contype = 'f'
+              AND c.confrelid = $1::regclass
+              AND array_length(c.conkey, 1) = 1
+            ORDER BY 1, 2;`,
+        data: [table],
+    };
+}
+
+/**
+ * Query: Get records (as JSON) by column values.
+ *
+ * @param {String} table
+ * @param {String} column
+ * @param {Array} values
+ * @return {Object} query binding
+ */
+
+export function selectRecords(table, column, values) {
+    return {
+        sql: `
+            SELECT row_to_json(t) AS record
+            FROM ${table} t
+            WHERE t.${column} = ANY($1);`,
+        data: [values],
+    };
+}
+
+/**
+ * Query: Restore record from JSON.
+ *
+ * @param {String} table
+ * @param {Object} record
+ * @return {Object} query binding
+ */
+
+export function insertRecord(table, record) {
+    return {
+        sql: `
+            INSERT INTO ${table}
+            SELECT * FROM json_populate_record(NULL::${table}, $1::json);`,
+        data: [JSON.stringify(record)],
+    };
+}
+
+/**
+ * Query: Restore reference (column value) of record that was kept when
+ * the referenced record was deleted (set null / set default).
+ *
+ * @param {String} table
+ * @param {Array} keys - primary key columns
+ * @param {String} column - reference column
+ * @param {Object} record
+ * @return {Object} query binding
+ */
+
+export function updateReference(table, keys, column, record) {
+    return {
+        sql: `
+            UPDATE ${table} t
+            SET ${column} = r.${column}
+            FROM json_populate_record(NULL::${table}, $1::json) r
+            WHERE ${keys.map(key => `t.${key} = r.${key}`).join(' AND ')};`,
+        data: [JSON.stringify(record)],
+    };
+}
+
+/**
+ * Query: Insert trash entry.
+ *
+ * @param {Object} entry
+ * @return {Object} query binding
+ */
+
+export function insert({model, item_id, node_id, label, records, file_paths, deleted_by}) {
+    return {
+        sql: `
+            INSERT INTO trash (model, item_id, node_id, label, records, file_paths, deleted_by)
+            VALUES ($1::varchar, $2::integer, $3::integer, $4::text, $5::jsonb, $6::jsonb, $7::varchar)
+            RETURNING id, model, item_id, node_id, label, deleted_by, deleted_at;`,
+        data: [model, item_id, node_id, label, JSON.stringify(records), JSON.stringify(file_paths), deleted_by],
+    };
+}
+
+/**
+ * Query: Get page of trash entries (newest first), without the deleted
+ * records.
+ *
+ * @param {String} model - filter by model (optional)
+ * @param {Object} page
+ * @return {Object} query binding
+ */
+
+export function select(model, page) {
+
+    const params = model ? [model] : [];
+    const { where, order, limit, data } = defaults.paginate(
+        page, [{col: 'id', type: 'integer'}], 'DESC', params.length);
+
+    return {
+        sql: `
+            SELECT id, model, item_id, node_id, label, deleted_by, deleted_at,
+                   jsonb_array_length(records) AS record_count,
+                   jsonb_array_length(file_paths) AS file_count
+            FROM trash
+            WHERE ${model ? 'model = $1::varchar AND ' : ''}${where}
+            ORDER BY ${order}
+            LIMIT ${limit};`,
+        data: [...params, ...data],
+    };
+}
+
+/**
+ * Query: Delete trash entry (returns the deleted records).
+ *
+ * @param {Integer} id
+ * @return {Object} query binding
+ */
+
+export function remove(id) {
+    return {
+        sql: `
+            DELETE FROM trash
+            WHERE id = $1::integer
+            RETURNING *;`,
+        data: [id],
+    };
+}
+
+/**
+ * Query: Delete trash entries older than the retention period.
+ *
+ * @param {Integer} days - retention period
+ * @return {Object} query binding
+ */
+
+export function removeExpired(days) {
+    return {
+        sql: `
+            DELETE FROM trash
+            WHERE deleted_at < NOW() - ($1::integer * INTERVAL '1 day')
+            RETURNING id, model, item_id, file_paths;`,
+        data: [days],
+    };
+}
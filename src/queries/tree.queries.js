@@ -0,0 +1,306 @@
+/*!
+ * MLP.API.Services.Queries.Tree
+ * File: tree.queries.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * Set-based node hierarchy queries. Levels and subtrees of the node
+ * hierarchy are selected with recursive queries that include the
+ * node labels, dependent counts and status (stations and captures) of
+ * all selected nodes, instead of querying each node separately.
+ *
+ * ---------
+ * Revisions
+ * - 19-10-2026   Initial release.
+ */
+
+'use strict';
+
+import * as defaults from './defaults.queries.js';
+
+/**
+ * Label columns by node type (see metadata services getNodeLabel).
+ *
+ * @private
+ */
+
+const nodeLabels = {
+    projects: { cols: ['name'] },
+    surveyors: { cols: ['last_name', 'given_names'], delimiter: ', ', fallback: ['affiliation'] },
+    surveys: { cols: ['name'] },
+    survey_seasons: { cols: ['year'] },
+    stations: { cols: ['name'] },
+    historic_visits: { cols: ['date'], prefix: 'Historic Visit' },
+    modern_visits: { cols: ['date'] },
+    locations: { cols: ['location_identity'], prefix: 'Loc' },
+    historic_captures: { cols: ['fn_photo_reference'], images: 'historic_images' },
+    modern_captures: { cols: ['fn_photo_reference'], images: 'modern_images' },
+    map_objects: { cols: ['name'] },
+    map_features: { cols: ['name'] }
+};
+
+/**
+ * Maximum depth of outlines.
+ *
+ * @private
+ */
+
+const maxOutlineDepth = 10;
+
+/**
+ * Generate node label expression. Captures without a photo reference
+ * are labelled with the filename of their first image.
+ *
+ * @private
+ * @param {String} alias - nodes table alias
+ * @return {String} sql expression
+ */
+
+function label(alias) {
+    const cases = Object.keys(nodeLabels).map(type => {
+        const { cols, prefix = null, delimiter = ' ', fallback = null, images = null } = nodeLabels[type];
+        const concat = (columns, withPrefix) => `NULLIF(TRIM(CONCAT_WS('${delimiter}',
+            ${withPrefix && prefix ? `'${prefix}', ` : ''}${columns.join(', ')})), '')`;
+        const values = [concat(cols, true), ...(fallback ? [concat(fallback, false)] : [])];
+        const value = `(SELECT COALESCE(${values.join(', ')}) FROM ${type} WHERE nodes_id = ${alias}.id)`;
+        return images
+            ? `WHEN '${type}' THEN COALESCE(${value}, (
+                SELECT filename FROM files
+                WHERE owner_id = ${alias}.id AND file_type = '${images}'
+                ORDER BY id LIMIT 1), 'Empty Capture')`
+            : `WHEN '${type}' THEN ${value}`;
+    });
+    return `COALESCE(CASE ${alias}.type ${cases.join(' ')} END, '')`;
+}
+
+/**
+ * Generate capture status query for selected nodes (see metadata
+ * queries getHistoricCaptureStatus and getModernCaptureStatus).
+ *
+ * @private
+ * @param {String} type - capture type
+ * @param {String} images - capture image type
+ * @param {String} owner - sorted capture owner type
+ * @return {String} sql
+ */
+
+function captureStatus(type, images, owner) {
+    const mastered = `COUNT(DISTINCT (
+        CASE WHEN img.image_state = 'master' AND img.owner_id = cmp.${type} THEN cmp.${type} END))`;
+    return `
+        SELECT cap.nodes_id AS id,
+            COUNT(DISTINCT img.files_id) = 0 AS missing,
+            COUNT(DISTINCT cmp.id) > 0 AS repeated,
+            own.nodes_id IS NOT NULL AS sorted,
+            ${mastered} > 0 AS partial,
+            ${mastered} = COUNT(DISTINCT cmp.id) AND ${mastered} = COUNT(DISTINCT cap.nodes_id) AS mastered
+        FROM tree
+            JOIN ${type} cap ON cap.nodes_id = tree.id
+            LEFT JOIN comparison_indices cmp ON cmp.${type} = cap.nodes_id
+            LEFT JOIN ${images} img ON img.owner_id = cap.nodes_id
+            LEFT JOIN ${owner} own ON own.nodes_id = cap.owner_id
+        GROUP BY cap.nodes_id, own.nodes_id`;
+}
+
+/**
+ * Generate station status query for selected nodes (see metadata
+ * queries getStationStatus).
+ *
+ * @private
+ * @return {String} sql
+ */
+
+function stationStatus() {
+    const mastered = `COUNT(DISTINCT (
+        CASE WHEN hi.image_state = 'master' AND hi.owner_id = cmp.historic_captures THEN cmp.historic_captures END))`;
+    return `
+        SELECT stn.nodes_id AS id,
+            COUNT(DISTINCT hc.nodes_id) > 0 AND stn.lat IS NULL AND stn.lng IS NULL AS grouped,
+            COUNT(DISTINCT hc.nodes_id) > 0 AND stn.lat IS NOT NULL AND stn.lng IS NOT NULL AS located,
+            COUNT(DISTINCT cmp.id) > 0 AS repeated,
+            ${mastered} > 0 AS partial,
+            COUNT(DISTINCT cmp.id) >= COUNT(DISTINCT hc.nodes_id)
+                AND ${mastered} = COUNT(DISTINCT cmp.id)
+                AND ${mastered} = COUNT(DISTINCT hc.nodes_id) AS mastered
+        FROM tree
+            JOIN stations stn ON stn.nodes_id = tree.id
+            JOIN historic_visits hv ON hv.owner_id = stn.nodes_id
+            JOIN historic_captures hc ON hc.owner_id = hv.nodes_id
+            LEFT JOIN comparison_indices cmp ON cmp.historic_captures = hc.nodes_id
+            LEFT JOIN historic_images hi ON hi.owner_id = hc.nodes_id
+        WHERE stn.lat IS NOT NULL AND stn.lng IS NOT NULL
+        GROUP BY stn.nodes_id`;
+}
+
+/**
+ * Status expression for selected nodes (see metadata services
+ * getStatus).
+ *
+ * @private
+ */
+
+const status = `
+    CASE tree.type
+        WHEN 'stations' THEN CASE
+            WHEN stn_status.mastered THEN 'mastered'
+            WHEN stn_status.partial THEN 'partial'
+            WHEN stn_status.repeated THEN 'repeated'
+            WHEN stn_status.located THEN 'located'
+            WHEN stn_status.grouped THEN 'grouped'
+            ELSE 'unprocessed' END
+        WHEN 'historic_captures' THEN CASE
+            WHEN hc_status.mastered THEN 'mastered'
+            WHEN hc_status.partial THEN 'partial'
+            WHEN hc_status.repeated THEN 'repeated'
+            WHEN hc_status.missing THEN 'missing'
+            WHEN hc_status.sorted THEN 'sorted'
+            ELSE 'unsorted' END
+        WHEN 'modern_captures' THEN CASE
+            WHEN mc_status.mastered THEN 'mastered'
+            WHEN mc_status.partial THEN 'partial'
+            WHEN mc_status.repeated THEN 'repeated'
+            WHEN mc_status.missing THEN 'missing'
+            WHEN mc_status.sorted THEN 'sorted'
+            ELSE 'unsorted' END
+        ELSE '' END`;
+
+/**
+ * Query: Get page of nodes in a level of the node hierarchy (dependents
+ * of owner, or root nodes of given type), with their dependents up to
+ * the given depth. Levels are sorted by label (all nodes in the level
+ * are selected if no page is given). Includes the labels,
+ * dependent counts and status of the selected nodes. Excluded
+ * (restricted) nodes are omitted with their dependents.
+ *
+ * @param {Object} level - owner ID or root node type
+ * @param {Number} depth - levels of nodes to select
+ * @param {Object} page - requested page of level nodes (optional)
+ * @param {Array} excluded - excluded node IDs
+ * @return {Object} query binding
+ */
+
+export function selectLevel({ owner_id = null, type = null }, depth, page, excluded = []) {
+    const { where, order, limit, data } = page
+        ? defaults.paginate(page, [{col: 'label', type: 'text'}, {col: 'id', type: 'integer'}], 'ASC', 3)
+        : { where: 'TRUE', order: 'label ASC, id ASC', limit: 'ALL', data: [] };
+    return {
+        sql: `
+            WITH RECURSIVE
+            level AS (
+                SELECT * FROM (
+                    SELECT n.*, ${label('n')} AS label, COUNT(*) OVER () AS total
+                    FROM nodes n
+                    WHERE ${owner_id ? 'n.owner_id = $1::integer' : 'n.type = $1::varchar'}
+                      AND NOT (n.id = ANY($2::integer[]))
+                ) AS items
+                WHERE ${where}
+                ORDER BY ${order}
+                LIMIT ${limit}
+            ),
+            tree AS (
+                SELECT level.*, 1 AS depth
+                FROM level
+                UNION ALL
+                SELECT n.*, ${label('n')}, tree.total, tree.depth + 1
+                FROM nodes n
+                    JOIN tree ON n.owner_id = tree.id
+                WHERE tree.depth < $3::integer
+                  AND NOT (n.id = ANY($2::integer[]))
+            ),
+            dependents AS (
+                SELECT owner_id AS id, COUNT(*) AS n
+                FROM nodes
+                WHERE owner_id IN (SELECT id FROM tree)
+                  AND NOT (id = ANY($2::integer[]))
+                GROUP BY owner_id
+            ),
+            stn_status AS (${stationStatus()}),
+            hc_status AS (${captureStatus('historic_captures', 'historic_images', 'historic_visits')}),
+            mc_status AS (${captureStatus('modern_captures', 'modern_images', 'locations')})
+            SELECT tree.*, COALESCE(dependents.n, 0)::integer AS n_dependents, ${status} AS status
+            FROM tree
+                LEFT JOIN dependents ON dependents.id = tree.id
+                LEFT JOIN stn_status ON stn_status.id = tree.id
+                LEFT JOIN hc_status ON hc_status.id = tree.id
+                LEFT JOIN mc_status ON mc_status.id = tree.id
+            ORDER BY tree.depth, tree.label, tree.id;`,
+        data: [owner_id || type, excluded, depth, ...data],
+    };
+}
+
+/**
+ * Query: Get metadata of nodes of given type.
+ *
+ * @param {String} type - node type
+ * @param {Array} ids - node IDs
+ * @return {Object} query binding
+ */
+
+export function selectMetadata(type, ids) {
+    return {
+        sql: `SELECT * FROM ${type} WHERE nodes_id = ANY($1::integer[]);`,
+        data: [ids],
+    };
+}
+
+/**
+ * Query: Get status of nodes (stations and captures).
+ *
+ * @param {Array} ids - node IDs
+ * @return {Object} query binding
+ */
+
+export function selectStatus(ids) {
+    return {
+        sql: `
+            WITH
+            tree AS (
+                SELECT * FROM nodes WHERE id = ANY($1::integer[])
+            ),
+            stn_status AS (${stationStatus()}),
+            hc_status AS (${captureStatus('historic_captures', 'historic_images', 'historic_visits')}),
+            mc_status AS (${captureStatus('modern_captures', 'modern_images', 'locations')})
+            SELECT tree.id, ${status} AS status
+            FROM tree
+                LEFT JOIN stn_status ON stn_status.id = tree.id
+                LEFT JOIN hc_status ON hc_status.id = tree.id
+                LEFT JOIN mc_status ON mc_status.id = tree.id;`,
+        data: [ids],
+    };
+}
+
+/**
+ * Query: Get outline of node subtree: the node and all its dependent
+ * nodes with their labels and dependent counts (no status). Excluded
+ * (restricted) nodes are omitted with their dependents.
+ *
+ * @param {Number} id - root node ID
+ * @param {Array} excluded - excluded node IDs
+ * @return {Object} query binding
+ */
+
+export function selectOutline(id, excluded = []) {
+    return {
+        sql: `
+            WITH RECURSIVE tree AS (
+                SELECT n.id, n.owner_id, n.type, ${label('n')} AS label, 0 AS depth
+                FROM nodes n
+                WHERE n.id = $1::integer
+                UNION ALL
+                SELECT n.id, n.owner_id, n.type, ${label('n')}, tree.depth + 1
+                FROM nodes n
+                    JOIN tree ON n.owner_id = tree.id
+                WHERE tree.depth < ${maxOutlineDepth}
+                  AND NOT (n.id = ANY($2::integer[]))
+            )
+            SELECT tree.*, COUNT(dependent.id)::integer AS n_dependents
+            FROM tree
+                LEFT JOIN tree dependent ON dependent.owner_id = tree.id
+            GROUP BY tree.id, tree.owner_id, tree.type, tree.label, tree.depth
+            ORDER BY tree.depth, tree.label, tree.id;`,
+        data: [id, excluded],
+    };
+}
@@ -23,7 +23,7 @@ export function getRoles() {
 }
 
 /**
- * Update user role.
+ * Update user role label.
  *
  * @param {String} name
  * @param {String} label
@@ -33,9 +33,7 @@ export function getRoles() {
 export function updateRole(name, label) {
     return {
         sql: `UPDATE user_roles
-              SET 
-                  name = $1::varchar, 
-                  label = $1::varchar
+              SET label = $2::varchar
               WHERE name = $1::varchar RETURNING *`,
         data: [name, label],
     };
@@ -52,7 +50,7 @@ export function updateRole(name, label) {
 export function insertRole(name, label) {
     return {
         sql: `INSERT INTO user_roles(name, label)
-              VALUES($1::varchar, $2::integer) RETURNING *`,
+              VALUES($1::varchar, $2::varchar) RETURNING *`,
         data: [name, label],
     };
 }
@@ -86,4 +84,57 @@ export function getPermissions() {
         FROM user_permissions`,
     data: [],
   };
+}
+
+/**
+ * Query: Grant role access to view (if not granted).
+ *
+ * @param {String} view
+ * @param {String} role
+ * @return {Object} query binding
+ */
+
+export function insertPermission(view, role) {
+    return {
+        sql: `INSERT INTO user_permissions(view, role)
+              SELECT $1::varchar, $2::varchar
+              WHERE NOT EXISTS (
+                  SELECT 1 FROM user_permissions
+                  WHERE view = $1::varchar AND role = $2::varchar
+              ) RETURNING *`,
+        data: [view, role],
+    };
+}
+
+/**
+ * Query: Revoke role access to view.
+ *
+ * @param {String} view
+ * @param {String} role
+ * @return {Object} query binding
+ */
+
+export function removePermission(view, role) {
+    return {
+        sql: `DELETE
+              FROM user_permissions
+              WHERE view = $1::varchar AND role = $2::varchar RETURNING *`,
+        data: [view, role],
+    };
+}
+
+/**
+ * Query: Revoke role access to all views.
+ *
+ * @param {String} role
+ * @return {Object} query binding
+ */
+
+export function removePermissionsByRole(role) {
+    return {
+        sql: `DELETE
+              FROM user_permissions
+              WHERE role = $1::varchar RETURNING *`,
+        data: [role],
+    };
 }
\ No newline at end of file
@@ -0,0 +1,28 @@
+/*!
+ * MLP.API.Services.Queries.Versions
+ * File: versions.queries.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * MIT Licensed
+ */
+
+'use strict';
+
+/**
+ * Query: Get record for update (the record is locked until the end
+ * of the transaction).
+ *
+ * @param {String} table
+ * @param {String} idKey - ID column
+ * @param {Integer} id
+ * @return {Object} query binding
+ */
+
+export function selectForUpdate(table, idKey, id) {
+    return {
+        sql: `SELECT *
+              FROM ${table}
+              WHERE ${idKey} = $1::integer
+              FOR UPDATE;`,
+        data: [id],
+    };
+}
@@ -0,0 +1,97 @@
+/*!
+ * MLP.API.Services.Queries.Visibility
+ * File: visibility.queries.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * MIT Licensed
+ */
+
+'use strict';
+
+/**
+ * Query: Add visibility and embargo date columns to nodes and files.
+ * Existing records are public.
+ *
+ * @return {Object} query binding
+ */
+
+export function init() {
+    return {
+        sql: `
+            ALTER TABLE nodes
+                ADD COLUMN IF NOT EXISTS visibility varchar(10) NOT NULL DEFAULT 'public',
+                ADD COLUMN IF NOT EXISTS embargo_until timestamp;
+            ALTER TABLE files
+                ADD COLUMN IF NOT EXISTS visibility varchar(10) NOT NULL DEFAULT 'public',
+                ADD COLUMN IF NOT EXISTS embargo_until timestamp;
+            CREATE INDEX IF NOT EXISTS nodes_restricted_idx ON nodes (id)
+                WHERE visibility <> 'public' OR embargo_until IS NOT NULL;
+            CREATE INDEX IF NOT EXISTS files_restricted_idx ON files (id)
+                WHERE visibility <> 'public' OR embargo_until IS NOT NULL;`,
+        data: [],
+    };
+}
+
+/**
+ * Query: Get restricted nodes and files. Nodes are restricted if they
+ * are private or under embargo, or are within the subtree of a
+ * restricted node; files are restricted if they are private, under
+ * embargo, or attached to a restricted node. Includes the secure tokens
+ * of restricted images (used in image URLs).
+ *
+ * @return {Object} query binding
+ */
+
+export function selectRestricted() {
+    return {
+        sql: `
+            WITH RECURSIVE restricted_nodes AS (
+                SELECT id
+                FROM nodes
+                WHERE visibility <> 'public' OR embargo_until > NOW()
+                UNION
+                SELECT nodes.id
+                FROM nodes
+                INNER JOIN restricted_nodes ON nodes.owner_id = restricted_nodes.id
+            ),
+            restricted_files AS (
+                SELECT id
+                FROM files
+                WHERE visibility <> 'public'
+                   OR embargo_until > NOW()
+                   OR owner_id IN (SELECT id FROM restricted_nodes)
+            )
+            SELECT
+                (SELECT COALESCE(array_agg(id ORDER BY id), '{}') FROM restricted_nodes) AS nodes,
+                (SELECT COALESCE(array_agg(id ORDER BY id), '{}') FROM restricted_files) AS files,
+                (SELECT COALESCE(array_agg(secure_token), '{}') FROM (
+                    SELECT secure_token FROM historic_images WHERE files_id IN (SELECT id FROM restricted_files)
+                    UNION ALL
+                    SELECT secure_token FROM modern_images WHERE files_id IN (SELECT id FROM restricted_files)
+                    UNION ALL
+                    SELECT secure_token FROM supplemental_images WHERE files_id IN (SELECT id FROM restricted_files)
+                ) AS images) AS tokens;`,
+        data: [],
+    };
+}
+
+/**
+ * Query: Update visibility and embargo date of node or file.
+ *
+ * @param {String} table - nodes or files
+ * @param {Integer} id
+ * @param {Object} settings
+ * @return {Object} query binding
+ */
+
+export function update(table, id, {visibility, embargo_until}) {
+    return {
+        sql: `
+            UPDATE ${table === 'files' ? 'files' : 'nodes'}
+            SET visibility = $2::varchar,
+                embargo_until = $3::timestamp,
+                updated_at = NOW()
+            WHERE id = $1::integer
+            RETURNING *;`,
+        data: [id, visibility, embargo_until],
+    };
+}
@@ -0,0 +1,74 @@
+/*!
+ * Core.API.Router.Accounts
+ * File: accounts.routes.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * MIT Licensed
+ */
+
+/**
+ * Module dependencies
+ */
+
+import * as accountsController from '../controllers/accounts.controller.js';
+import path from 'path';
+
+/**
+ * Express router
+ */
+
+let routes = new AccountsRoutes();
+export default routes;
+
+/**
+ * Local user account routes constructor. Accounts are managed by
+ * administrators unless the views are listed in the user
+ * permissions table.
+ *
+ * @public
+ */
+
+function AccountsRoutes() {
+
+    // create model identifier key
+    this.model = 'user_accounts';
+    this.key = 'account_id';
+
+    // initialize accounts controller
+    this.controller = accountsController;
+
+    // add controller routes
+    this.routes = {
+        accounts: {
+            path: path.join('/accounts'),
+            get: this.controller.list,
+            put: null,
+            post: null,
+            delete: null,
+            roles: ['super_administrator', 'administrator'],
+        },
+        createAccount: {
+            path: path.join('/accounts/new'),
+            get: null,
+            put: null,
+            post: this.controller.create,
+            delete: null,
+            roles: ['super_administrator', 'administrator'],
+        },
+        editAccount: {
+            path: path.join('/accounts/edit', ':' + this.key),
+            get: null,
+            put: null,
+            post: this.controller.update,
+            delete: null,
+            roles: ['super_administrator', 'administrator'],
+        },
+        removeAccount: {
+            path: path.join('/accounts/remove', ':' + this.key),
+            get: null,
+            put: null,
+            post: this.controller.remove,
+            delete: null,
+            roles: ['super_administrator', 'administrator'],
+        }
+    }
+}
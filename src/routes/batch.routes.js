@@ -0,0 +1,47 @@
+/*!
+ * Core.API.Router.Batch
+ * File: batch.routes.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * MIT Licensed
+ */
+
+import * as batchController from '../controllers/batch.controller.js';
+
+/**
+ * Express router
+ */
+
+let routes = new BatchRoutes();
+export default routes;
+
+/**
+ * Batch operation routes constructor. The batch route uses the 'create'
+ * view permissions; each operation is also checked against the
+ * permissions of its own view.
+ *
+ * @public
+ */
+
+function BatchRoutes() {
+
+    // initialize batch controller
+    this.controller = batchController;
+
+    // add controller routes
+    this.routes = {
+        /**
+         * POST /batch
+         * Runs batch operations in a single transaction.
+         *
+         * @public
+         */
+        batch: {
+            path: '/batch',
+            get: null,
+            put: null,
+            post: this.controller.run,
+            delete: null,
+            permissions: {post: 'create'}
+        }
+    }
+}
@@ -0,0 +1,61 @@
+/*!
+ * Core.API.Router.Docs
+ * File: docs.routes.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * MIT Licensed
+ */
+
+import * as docsController from '../controllers/docs.controller.js';
+
+/**
+ * Express router
+ */
+
+let routes = new DocsRoutes();
+export default routes;
+
+/**
+ * API documentation routes constructor. Documentation routes
+ * are public unless restricted in the user permissions table.
+ *
+ * @public
+ */
+
+function DocsRoutes() {
+
+    // initialize docs controller
+    this.controller = docsController;
+
+    // add controller routes
+    this.routes = {
+        /**
+         * GET /api/openapi.json
+         * Returns the OpenAPI 3 specification.
+         *
+         * @public
+         */
+        openapi: {
+            path: '/api/openapi.json',
+            get: this.controller.spec,
+            put: null,
+            post: null,
+            delete: null,
+            roles: ['visitor'],
+        },
+
+        /**
+         * GET /api/docs
+         * Returns the browsable API documentation page.
+         *
+         * @public
+         */
+        docs: {
+            path: '/api/docs',
+            get: this.controller.docs,
+            put: null,
+            post: null,
+            delete: null,
+            roles: ['visitor'],
+        }
+    }
+}
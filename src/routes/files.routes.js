@@ -13,6 +13,8 @@
  * ---------
  * Revisions
  * - 18-11-2023    Added admin-only list of files paths.
+ * - 19-10-2026    Added versioned resource routes.
+ * - 19-10-2026    Added file visibility route.
  */
 
 
@@ -47,6 +49,7 @@ function FilesRoutes(modelType) {
             put: null,
             post: null,
             delete: null,
+            cache: {scope: 'file', param: this.key}
         },
         filter: {
             path: path.join('/files/filter'),
@@ -83,6 +86,33 @@ function FilesRoutes(modelType) {
             post: this.controller.remove,
             delete: null,
         },
+        visibility: {
+            path: path.join('/', this.model, 'visibility', ':' + this.key),
+            get: null,
+            put: null,
+            post: this.controller.visibility,
+            delete: null,
+            roles: ['super_administrator', 'administrator', 'editor'],
+        },
+        // resource routes (permissions of corresponding views apply)
+        resource: {
+            path: path.join('/v2', this.model, ':' + this.key),
+            get: this.controller.show,
+            put: this.controller.update,
+            patch: this.controller.update,
+            post: null,
+            delete: this.controller.remove,
+            permissions: {get: 'show', put: 'edit', patch: 'edit', delete: 'remove'},
+            cache: {scope: 'file', param: this.key}
+        },
+        collection: {
+            path: path.join('/v2', this.model),
+            get: null,
+            put: null,
+            post: this.controller.upload,
+            delete: null,
+            permissions: {post: 'create'}
+        },
         raw: {
             path: '/files/download/raw',
             get: this.controller.raw,
@@ -0,0 +1,74 @@
+/*!
+ * Core.API.Router.Grants
+ * File: grants.routes.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * MIT Licensed
+ */
+
+/**
+ * Module dependencies
+ */
+
+import * as grantsController from '../controllers/grants.controller.js';
+import path from 'path';
+
+/**
+ * Express router
+ */
+
+let routes = new GrantsRoutes();
+export default routes;
+
+/**
+ * Node access grant routes constructor. Grants are managed by
+ * administrators unless the views are listed in the user
+ * permissions table.
+ *
+ * @public
+ */
+
+function GrantsRoutes() {
+
+    // create model identifier key
+    this.model = 'access_grants';
+    this.key = 'grant_id';
+
+    // initialize grants controller
+    this.controller = grantsController;
+
+    // add controller routes
+    this.routes = {
+        grants: {
+            path: path.join('/grants'),
+            get: this.controller.list,
+            put: null,
+            post: null,
+            delete: null,
+            roles: ['super_administrator', 'administrator'],
+        },
+        createGrant: {
+            path: path.join('/grants/new'),
+            get: null,
+            put: null,
+            post: this.controller.create,
+            delete: null,
+            roles: ['super_administrator', 'administrator'],
+        },
+        removeGrant: {
+            path: path.join('/grants/remove', ':' + this.key),
+            get: null,
+            put: null,
+            post: this.controller.remove,
+            delete: this.controller.remove,
+            roles: ['super_administrator', 'administrator'],
+        },
+        unrestrictUser: {
+            path: path.join('/grants/unrestrict'),
+            get: null,
+            put: null,
+            post: this.controller.unrestrict,
+            delete: null,
+            roles: ['super_administrator', 'administrator'],
+        }
+    }
+}
@@ -10,8 +10,11 @@
  */
 
 import express from 'express';
-import * as schema from '../services/schema.services.js';
 import * as auth from '../services/auth.services.js';
+import * as docs from '../services/docs.services.js';
+import * as cache from '../services/cache.services.js';
+import * as visibility from '../services/visibility.services.js';
+import {getPermissionSettings, loadPermissions} from '../services/users.services.js';
 import main from './main.routes.js';
 import users from './users.routes.js';
 import nodes from './nodes.routes.js';
@@ -21,11 +24,108 @@ import files from './files.routes.js';
 import master from './comparison.routes.js';
 import other from './other.routes.js';
 import maps from './maps.routes.js';
+import apiDocs from './docs.routes.js';
+import batch from './batch.routes.js';
+import keys from './keys.routes.js';
+import grants from './grants.routes.js';
+import accounts from './accounts.routes.js';
 import pool from "../services/db.services.js";
+import logger, {setContext} from '../lib/logger.utils.js';
+import {globalHandler} from '../error.js';
+
+/**
+ * Request methods handled by route tables.
+ */
+
+const methods = ['get', 'put', 'patch', 'post', 'delete'];
+
+/**
+ * Remove restricted (private or embargoed) records from response
+ * data and path (ancestor labels) for all request methods. Requests
+ * for a restricted record respond with Not Found.
+ *
+ * @param req
+ * @param res
+ */
+
+const redactResponse = (req, res) => {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        if (!body || typeof body !== 'object') return json(body);
+        const { data = null, path = null } = body;
+        if (!visibility.isRestricted(data, req.restricted)) {
+            const redacted = {...body};
+            if (body.hasOwnProperty('data')) redacted.data = visibility.redact(data, req.restricted);
+            if (body.hasOwnProperty('path')) redacted.path = visibility.redact(path, req.restricted);
+            return json(redacted);
+        }
+        res.json = json;
+        return globalHandler(new Error('notFound'), req, res);
+    };
+};
+
+/**
+ * Views using the default roles of their route table (logged once).
+ *
+ * @private
+ */
+
+const defaultViews = new Set();
+
+/**
+ * Get roles allowed to access a view. Views that are not listed in
+ * the user permissions table are denied, unless the route table sets
+ * default roles for the view (logged as a warning, so that missing
+ * permission settings can be added).
+ *
+ * @param {Array} permissions
+ * @param {String} view
+ * @param {Object} route
+ * @return {Array} allowed roles
+ */
+
+function getAllowedRoles(permissions, view, route) {
+    const allowedRoles = permissions
+        .filter(viewPermissions => {
+            return viewPermissions.view === view;
+        })
+        .map(permission => {
+            return permission.role;
+        });
+    if (allowedRoles.length > 0) return allowedRoles;
+    const { roles = [] } = route || {};
+    if (roles.length > 0 && !defaultViews.has(view)) {
+        defaultViews.add(view);
+        logger.warn(`View '${view}' has no permission settings: using default roles (${roles.join(', ')}).`);
+    }
+    return roles;
+}
+
+/**
+ * Get roles allowed to access a route indexed by request method.
+ * Route tables can map request methods to the views used for
+ * authorization (e.g. resource routes reuse 'show' and 'edit'
+ * permissions); otherwise the route view is used.
+ *
+ * @param {Array} permissions
+ * @param {String} view
+ * @param {Object} route
+ * @return {Object} allowed roles by method
+ */
+
+function getAllowedRolesByMethod(permissions, view, route) {
+    const { permissions: views = {} } = route || {};
+    return methods.reduce((o, method) => {
+        o[method] = getAllowedRoles(permissions, views[method] || view, route);
+        return o;
+    }, {});
+}
 
 /**
  * Routes initialization. Routes only generated for
- * defined models in the node_types relation.
+ * defined models in the node_types relation. Allowed roles
+ * are read from the current user permission settings on each
+ * request, so permission changes apply without a restart.
  */
 
 async function initRoutes(routes, baseRouter) {
@@ -33,15 +133,17 @@ async function initRoutes(routes, baseRouter) {
     // Generate secondary express router
     let router = express.Router({strict: true});
 
-    // get user permission settings
-    // NOTE: client undefined if connection fails.
-    const client = await pool.connect();
-
     try {
-        let permissions = await schema.getPermissions(client);
 
         // add API endpoints
         Object.entries(routes.routes).forEach(([view, route]) => {
+
+            // filter permissions for given view
+            const getRoles = () => getAllowedRolesByMethod(getPermissionSettings(), view, route);
+
+            // add route to API documentation index
+            docs.registerRoute(view, route, routes.model, getRoles);
+
             router.route(route.path)
                 .all(async (req, res, next) => {
                     try {
@@ -52,31 +154,37 @@ async function initRoutes(routes, baseRouter) {
                                 throw err;
                             });
 
-                        // filter permissions for given view
-                        const allowedRoles = permissions
-                            .filter(viewPermissions => {
-                                return viewPermissions.view === view;
-                            })
-                            .map(permission => {
-                                return permission.role;
-                            });
-
                         // authorize user access based on role permissions
                         // - user data set to null for anonymous users (visitors)
-                        req.user = await auth.authorize(req, res, allowedRoles)
+                        req.user = await auth.authorize(req, res, getRoles()[req.method.toLowerCase()] || [])
                             .catch(err => {
                                 throw err;
                             });
 
+                        // include user in request log entries
+                        if (req.user) setContext({user: req.user.email});
+
+                        // hide restricted records from users without access
+                        req.restricted = await visibility.getRestricted(req.user);
+                        if (req.restricted) redactResponse(req, res);
+
                     }
                     catch (err) {
                         return next(err);
                     }
                     next();
                 })
-                .get(function(req, res, next) {
+                .get(async function(req, res, next) {
                     if (!route.get)
                         return next(new Error(`${view} [get] route not implemented.`));
+                    try {
+                        // respond with 304 (Not Modified) for current cached copies
+                        if (route.cache && await cache.isFresh(req, res, route.cache))
+                            return res.status(304).end();
+                    }
+                    catch (err) {
+                        return next(err);
+                    }
                     route.get(req, res, next);
                 })
                 .put(function(req, res, next) {
@@ -84,6 +192,11 @@ async function initRoutes(routes, baseRouter) {
                         return next(new Error(`${view} [put] route not implemented.`));
                     route.put(req, res, next);
                 })
+                .patch(function(req, res, next) {
+                    if (!route.patch)
+                        return next(new Error(`${view} [patch] route not implemented.`));
+                    route.patch(req, res, next);
+                })
                 .post(function(req, res, next) {
                     if (!route.post)
                         return next(new Error(`${view} [post] route not implemented.`));
@@ -100,10 +213,8 @@ async function initRoutes(routes, baseRouter) {
         });
 
     } catch (err) {
-        console.error(err)
-        return next(err);
-    } finally {
-        await client.release(true);
+        logger.error(err);
+        throw err;
     }
 }
 
@@ -124,6 +235,9 @@ export default async function initRouter() {
 
         const baseRouter = express.Router({strict: true});
 
+        // load user permission settings
+        await loadPermissions(client);
+
         // initialize main routes
         await initRoutes(main, baseRouter);
 
@@ -139,6 +253,21 @@ export default async function initRouter() {
         // initialize map routes
         await initRoutes(maps, baseRouter)
 
+        // initialize API documentation routes
+        await initRoutes(apiDocs, baseRouter)
+
+        // initialize batch operation routes
+        await initRoutes(batch, baseRouter)
+
+        // initialize API key (service account) routes
+        await initRoutes(keys, baseRouter)
+
+        // initialize node access grant routes
+        await initRoutes(grants, baseRouter)
+
+        // initialize local user account routes
+        await initRoutes(accounts, baseRouter)
+
         // initialize model routes
         const modelsRoutes = await models(client);
         await Promise.all(modelsRoutes
@@ -0,0 +1,66 @@
+/*!
+ * Core.API.Router.Keys
+ * File: keys.routes.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * MIT Licensed
+ */
+
+/**
+ * Module dependencies
+ */
+
+import * as keysController from '../controllers/keys.controller.js';
+import path from 'path';
+
+/**
+ * Express router
+ */
+
+let routes = new KeysRoutes();
+export default routes;
+
+/**
+ * API key (service account) routes constructor. Keys are managed
+ * by administrators unless the views are listed in the user
+ * permissions table.
+ *
+ * @public
+ */
+
+function KeysRoutes() {
+
+    // create model identifier key
+    this.model = 'api_keys';
+    this.key = 'key_id';
+
+    // initialize keys controller
+    this.controller = keysController;
+
+    // add controller routes
+    this.routes = {
+        keys: {
+            path: path.join('/keys'),
+            get: this.controller.list,
+            put: null,
+            post: null,
+            delete: null,
+            roles: ['super_administrator', 'administrator'],
+        },
+        createKey: {
+            path: path.join('/keys/new'),
+            get: null,
+            put: null,
+            post: this.controller.create,
+            delete: null,
+            roles: ['super_administrator', 'administrator'],
+        },
+        revokeKey: {
+            path: path.join('/keys/revoke', ':' + this.key),
+            get: null,
+            put: null,
+            post: this.controller.revoke,
+            delete: null,
+            roles: ['super_administrator', 'administrator'],
+        }
+    }
+}
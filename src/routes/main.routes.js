@@ -20,7 +20,10 @@ export default routes;
  * This constructor adds routes to the main Express router instance.
  * The routes are:
  * - GET / : Returns the main MLE application page.
- * - GET /admin/logs : Returns the jobs log page.
+ * - GET /admin/logs : Returns filtered pages of log entries.
+ * - GET /admin/audit : Returns filtered pages of audit log entries.
+ * - GET /admin/trash : Returns pages of deleted records (trash).
+ * - POST /admin/trash/restore/:trash_id : Restores deleted records.
  * - GET /admin/jobs : Returns the jobs list page.
  *
  * @public
@@ -48,16 +51,62 @@ function MainRoutes() {
 
         /**
          * GET /admin/logs
-         * Returns the jobs log page.
+         * Returns filtered pages of log entries.
          *
          * @public
          */
-        export: {
+        logs: {
             path: '/admin/logs',
             get: this.controller.logs,
             put: null,
             post: null,
             delete: null,
+            roles: ['super_administrator', 'administrator'],
+        },
+
+        /**
+         * GET /admin/audit
+         * Returns filtered pages of audit log entries.
+         *
+         * @public
+         */
+        audit: {
+            path: '/admin/audit',
+            get: this.controller.audit,
+            put: null,
+            post: null,
+            delete: null,
+            roles: ['super_administrator', 'administrator'],
+        },
+
+        /**
+         * GET /admin/trash
+         * Returns pages of deleted records (trash).
+         *
+         * @public
+         */
+        trash: {
+            path: '/admin/trash',
+            get: this.controller.trash,
+            put: null,
+            post: null,
+            delete: null,
+            roles: ['super_administrator', 'administrator'],
+        },
+
+        /**
+         * POST /admin/trash/restore/:trash_id
+         * Restores deleted records.
+         *
+         * @public
+         */
+        restoreTrash: {
+            path: '/admin/trash/restore/:trash_id',
+            get: null,
+            put: null,
+            post: this.controller.restoreTrash,
+            delete: null,
+            roles: ['super_administrator', 'administrator'],
         },
 
         /**
@@ -48,6 +48,7 @@ function MetadataRoutes(metadataType) {
             put: null,
             post: null,
             delete: null,
+            cache: {scope: 'options', maxAge: 300}
         },
         options: {
             path: path.join('/options'),
@@ -55,6 +56,7 @@ function MetadataRoutes(metadataType) {
             put: null,
             post: null,
             delete: null,
+            cache: {scope: 'options', maxAge: 300}
         },
         show: {
             path: path.join('/', this.model, 'show', ':' + this.key),
@@ -94,6 +96,34 @@ function MetadataRoutes(metadataType) {
                 : this.controller.remove,
             delete: null,
         },
+        // resource routes (permissions of corresponding views apply)
+        resource: {
+            path: path.join('/v2', this.model, ':' + this.key),
+            get: this.model === 'participant_groups'
+                ? this.controller.showParticipants
+                : this.controller.show,
+            put: this.model === 'participant_groups'
+                ? this.controller.updateParticipants
+                : this.controller.update,
+            patch: this.model === 'participant_groups'
+                ? this.controller.updateParticipants
+                : this.controller.update,
+            post: null,
+            delete: this.model === 'participant_groups'
+                ? this.controller.removeParticipants
+                : this.controller.remove,
+            permissions: {get: 'show', put: 'edit', patch: 'edit', delete: 'remove'}
+        },
+        collection: {
+            path: path.join('/v2', this.model),
+            get: null,
+            put: null,
+            post: this.model === 'participant_groups'
+                ? this.controller.updateParticipants
+                : this.controller.create,
+            delete: null,
+            permissions: {post: 'create'}
+        },
     }
 }
 
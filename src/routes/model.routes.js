@@ -37,6 +37,7 @@ function ModelRoutes(modelType) {
             put: null,
             post: null,
             delete: null,
+            cache: {scope: 'node', param: this.key}
         },
         create: {
             path: this.model === 'surveyors' || this.model === 'projects' || this.model === 'map_objects'
@@ -60,6 +61,33 @@ function ModelRoutes(modelType) {
             put: null,
             post: this.controller.remove,
             delete: null,
+        },
+        merge: {
+            path: path.join('/', this.model, 'merge', ':' + this.key),
+            get: null,
+            put: null,
+            post: this.controller.merge,
+            delete: null,
+            roles: ['super_administrator', 'administrator'],
+        },
+        // resource routes (permissions of corresponding views apply)
+        resource: {
+            path: path.join('/v2', this.model, ':' + this.key),
+            get: this.controller.show,
+            put: this.controller.update,
+            patch: this.controller.update,
+            post: null,
+            delete: this.controller.remove,
+            permissions: {get: 'show', put: 'edit', patch: 'edit', delete: 'remove'},
+            cache: {scope: 'node', param: this.key}
+        },
+        collection: {
+            path: path.join('/v2', this.model),
+            get: null,
+            put: null,
+            post: this.controller.create,
+            delete: null,
+            permissions: {post: 'create'}
         }
     };
 
@@ -81,6 +109,15 @@ function ModelRoutes(modelType) {
             post: null,
             delete: null,
         }
+        // move captures to new owner (uses 'move' view permissions)
+        this.routes.moveAll = {
+            path: path.join('/', this.model, 'move'),
+            get: null,
+            put: null,
+            post: this.controller.moveAll,
+            delete: null,
+            permissions: {post: 'move'}
+        }
     }
 }
 
@@ -52,6 +52,34 @@ function NodesRoutes() {
             put: null,
             post: null,
             delete: null,
+            cache: {scope: 'nodes', maxAge: 300}
+        },
+        roots: {
+            path: path.join('/nodes/roots/:model'),
+            get: this.controller.roots,
+            put: null,
+            post: null,
+            delete: null,
+            cache: {scope: 'nodes', maxAge: 300},
+            permissions: {get: 'tree'}
+        },
+        children: {
+            path: path.join('/nodes/children/:id'),
+            get: this.controller.children,
+            put: null,
+            post: null,
+            delete: null,
+            cache: {scope: 'nodes', maxAge: 300},
+            permissions: {get: 'tree'}
+        },
+        outline: {
+            path: path.join('/nodes/outline/:id'),
+            get: this.controller.outline,
+            put: null,
+            post: null,
+            delete: null,
+            cache: {scope: 'nodes', maxAge: 300},
+            permissions: {get: 'tree'}
         },
         map: {
             path: '/nodes/map',
@@ -59,6 +87,7 @@ function NodesRoutes() {
             put: null,
             post: null,
             delete: null,
+            cache: {scope: 'nodes', maxAge: 300}
         },
         show: {
             path: path.join('/nodes/show/:id'),
@@ -66,6 +95,71 @@ function NodesRoutes() {
             put: null,
             post: null,
             delete: null,
+            cache: {scope: 'node', param: 'id'}
+        },
+        history: {
+            path: path.join('/nodes/history/:id'),
+            get: this.controller.history,
+            put: null,
+            post: null,
+            delete: null,
+            roles: ['super_administrator', 'administrator', 'editor'],
+        },
+        relations: {
+            path: path.join('/nodes/relations/:id'),
+            get: this.controller.relations,
+            put: null,
+            post: null,
+            delete: null,
+            roles: ['super_administrator', 'administrator', 'editor'],
+        },
+        revisions: {
+            path: path.join('/nodes/revisions/:id'),
+            get: this.controller.revisionList,
+            put: null,
+            post: null,
+            delete: null,
+            roles: ['super_administrator', 'administrator', 'editor'],
+        },
+        revisionChanges: {
+            path: path.join('/nodes/revisions/:id/changes'),
+            get: this.controller.revisionChanges,
+            put: null,
+            post: null,
+            delete: null,
+            roles: ['super_administrator', 'administrator', 'editor'],
+        },
+        rollback: {
+            path: path.join('/nodes/rollback/:id/:revision_id'),
+            get: null,
+            put: null,
+            post: this.controller.rollback,
+            delete: null,
+            roles: ['super_administrator', 'administrator', 'editor'],
+        },
+        visibility: {
+            path: path.join('/nodes/visibility/:id'),
+            get: null,
+            put: null,
+            post: this.controller.visibility,
+            delete: null,
+            roles: ['super_administrator', 'administrator', 'editor'],
+        },
+        removeSubtree: {
+            path: path.join('/nodes/remove/:id'),
+            get: this.controller.removeSubtree,
+            put: null,
+            post: this.controller.removeSubtree,
+            delete: null,
+            roles: ['super_administrator', 'administrator'],
+        },
+        copySubtree: {
+            path: path.join('/nodes/copy/:id/:owner_id'),
+            get: null,
+            put: null,
+            post: this.controller.copySubtree,
+            delete: null,
+            roles: ['super_administrator', 'administrator', 'editor'],
         },
         export: {
             path: path.join('/nodes/export/:schema/:format'),
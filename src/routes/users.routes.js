@@ -10,6 +10,7 @@
  */
 
 import * as auth from '../controllers/auth.controller.js'
+import * as roles from '../controllers/roles.controller.js';
 import path from 'path';
 
 /**
@@ -21,7 +22,9 @@ let routes = new UserRoutes();
 export default routes;
 
 /**
- * Model user routes constructor
+ * Model user routes constructor. Role and permission management
+ * routes are restricted to administrators unless the views are
+ * listed in the user permissions table.
  *
  * @public
  */
@@ -57,6 +60,62 @@ function UserRoutes() {
             put: null,
             post: this.controller.refresh,
             delete: null,
+        },
+        roles: {
+            path: path.join('/roles'),
+            get: roles.list,
+            put: null,
+            post: null,
+            delete: null,
+            roles: ['super_administrator', 'administrator'],
+        },
+        createRole: {
+            path: path.join('/roles/new'),
+            get: null,
+            put: null,
+            post: roles.create,
+            delete: null,
+            roles: ['super_administrator', 'administrator'],
+        },
+        editRole: {
+            path: path.join('/roles/edit/:role'),
+            get: null,
+            put: roles.update,
+            post: roles.update,
+            delete: null,
+            roles: ['super_administrator', 'administrator'],
+        },
+        removeRole: {
+            path: path.join('/roles/remove/:role'),
+            get: null,
+            put: null,
+            post: roles.remove,
+            delete: roles.remove,
+            roles: ['super_administrator', 'administrator'],
+        },
+        permissions: {
+            path: path.join('/permissions'),
+            get: roles.permissions,
+            put: null,
+            post: null,
+            delete: null,
+            roles: ['super_administrator', 'administrator'],
+        },
+        grantPermission: {
+            path: path.join('/permissions/grant'),
+            get: null,
+            put: null,
+            post: roles.grant,
+            delete: null,
+            roles: ['super_administrator', 'administrator'],
+        },
+        revokePermission: {
+            path: path.join('/permissions/revoke'),
+            get: null,
+            put: null,
+            post: roles.revoke,
+            delete: null,
+            roles: ['super_administrator', 'administrator'],
         }
     }
 }
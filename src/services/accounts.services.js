@@ -0,0 +1,243 @@
+/*!
+ * MLP.API.Services.Accounts
+ * File: accounts.services.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * Version 2.0
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * Local user accounts (local authentication provider). Passwords must
+ * meet the login password rules and are stored as salted scrypt hashes.
+ * Each account is assigned a user role. If no accounts exist when the
+ * provider is initialized, an administrator account is created from
+ * AUTH_ADMIN_EMAIL and AUTH_ADMIN_PASSWORD (if set).
+ *
+ * ---------
+ * Revisions
+ * - 19-10-2026   Initial release.
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ * @private
+ */
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+import pool from './db.services.js';
+import queries from '../queries/index.queries.js';
+import valid from '../lib/validate.utils.js';
+import { getRoleData } from './users.services.js';
+import { sanitize } from '../lib/data.utils.js';
+import logger from '../lib/logger.utils.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Password hash key length (bytes).
+ *
+ * @private
+ */
+
+const keyLength = 64;
+
+/**
+ * Hash password (format: 'scrypt$<salt>$<hash>').
+ *
+ * @public
+ * @param {String} password
+ * @return {Promise} password hash
+ */
+
+export const hashPassword = async (password) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(String(password), salt, keyLength);
+    return `scrypt$${salt}$${hash.toString('hex')}`;
+};
+
+/**
+ * Check password against stored hash.
+ *
+ * @public
+ * @param {String} password
+ * @param {String} passwordHash
+ * @return {Promise} result
+ */
+
+export const checkPassword = async (password, passwordHash) => {
+    const [scheme, salt, hash] = String(passwordHash || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scrypt(String(password), salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Initialize user account tables and create the administrator
+ * account (if no accounts exist).
+ *
+ * @public
+ * @return {Promise} result
+ */
+
+export const init = async () => {
+    const { sql, data } = queries.accounts.init();
+    await pool.query(sql, data);
+
+    const { AUTH_ADMIN_EMAIL: email, AUTH_ADMIN_PASSWORD: password } = process.env;
+    const { sql: countSQL, data: countData } = queries.accounts.count();
+    const { rows = [] } = await pool.query(countSQL, countData);
+    if (rows[0].count > 0) return;
+    if (!email || !password) {
+        logger.warn('No local user accounts exist. Set AUTH_ADMIN_EMAIL and AUTH_ADMIN_PASSWORD to create an administrator.');
+        return;
+    }
+    const account = await check({ email: email, password: password, role: 'super_administrator' }, true, ['super_administrator']);
+    await insert(account, pool);
+    logger.info(`Created administrator account '${email}'.`);
+};
+
+/**
+ * Check submitted account data.
+ *
+ * @private
+ * @param {Object} data - email, password and role
+ * @param {Boolean} isNew - account is created (email and password required)
+ * @param {Array} protectedRoles - allowed roles not listed in the user roles (e.g. super administrator)
+ * @return {Promise} checked data (throws invalidFields error)
+ */
+
+const check = async (data, isNew, protectedRoles = []) => {
+
+    const { email = '', password = '', role = '' } = data || {};
+    const fields = {};
+    const roles = [...(await getRoleData() || []).map(r => r.name), ...protectedRoles];
+
+    if (isNew) {
+        try {
+            valid.load(email).isEmail();
+        } catch (err) {
+            fields.email = ['Must be a valid email address.'];
+        }
+    }
+    if (isNew || password) {
+        try {
+            valid.load(password).isPassword();
+        } catch (err) {
+            fields.password = ['Must be 8 to 20 characters, with an uppercase letter, a lowercase letter, a number and one of @$!%*?&.'];
+        }
+    }
+    if ((isNew || role) && !roles.includes(role))
+        fields.role = ['Value is not one of the allowed options.'];
+
+    if (Object.keys(fields).length > 0) {
+        const err = new Error('invalidFields');
+        err.fields = fields;
+        throw err;
+    }
+
+    return {
+        email: String(email).trim(),
+        password_hash: password ? await hashPassword(password) : null,
+        role: role || null
+    };
+};
+
+/**
+ * Insert user account.
+ *
+ * @private
+ * @param {Object} account - checked account data
+ * @param client
+ * @return {Promise} account record
+ */
+
+const insert = async (account, client) => {
+    const { sql, data } = queries.accounts.insert(account);
+    const { rows = [] } = await client.query(sql, data);
+    return rows[0];
+};
+
+/**
+ * Get all user accounts.
+ *
+ * @public
+ * @param client
+ * @return {Promise} result
+ */
+
+export const list = async (client) => {
+    const { sql, data } = queries.accounts.selectAll();
+    const { rows = [] } = await client.query(sql, data);
+    return rows;
+};
+
+/**
+ * Get user account by email (includes password hash).
+ *
+ * @public
+ * @param {String} email
+ * @param client
+ * @return {Promise} account record (null if not found)
+ */
+
+export const selectByEmail = async (email, client) => {
+    const { sql, data } = queries.accounts.selectByEmail(email);
+    const { rows = [] } = await client.query(sql, data);
+    return rows.length > 0 ? rows[0] : null;
+};
+
+/**
+ * Create user account.
+ *
+ * @public
+ * @param {Object} data - email, password and role
+ * @param client
+ * @return {Promise} account record
+ */
+
+export const create = async (data, client) => {
+    const account = await check(data, true);
+    if (await selectByEmail(account.email, client)) {
+        const err = new Error('invalidFields');
+        err.fields = { email: ['An account with this email already exists.'] };
+        throw err;
+    }
+    return await insert(account, client);
+};
+
+/**
+ * Update user account password or role.
+ *
+ * @public
+ * @param id
+ * @param {Object} data - password and role (optional)
+ * @param client
+ * @return {Promise} account record (null if not found)
+ */
+
+export const update = async (id, data, client) => {
+    const account = await check(data, false);
+    const { sql, data: values } = queries.accounts.update(sanitize(id, 'integer'), account);
+    const { rows = [] } = await client.query(sql, values);
+    return rows.length > 0 ? rows[0] : null;
+};
+
+/**
+ * Remove user account.
+ *
+ * @public
+ * @param id
+ * @param client
+ * @return {Promise} removed account record (null if not found)
+ */
+
+export const remove = async (id, client) => {
+    const { sql, data } = queries.accounts.remove(sanitize(id, 'integer'));
+    const { rows = [] } = await client.query(sql, data);
+    return rows.length > 0 ? rows[0] : null;
+};
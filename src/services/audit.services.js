@@ -0,0 +1,192 @@
+/*!
+ * MLP.API.Services.Audit
+ * File: audit.services.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * Version 2.0
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * Audit trail of changes to node, metadata and file records. Services
+ * that create, update, move or delete records add an entry with the
+ * field-level changes (previous and new values) in the same transaction
+ * as the change. The user and request ID are taken from the request
+ * context (see logger utilities), which is set when the request (or
+ * queue job) is authorized. Records restored from the trash are
+ * recorded as restore operations.
+ *
+ * ---------
+ * Revisions
+ * - 19-10-2026   Initial release.
+ * - 19-10-2026   Added restore operation (trash).
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ * @private
+ */
+
+import pool from './db.services.js';
+import queries from '../queries/index.queries.js';
+import { getContext } from '../lib/logger.utils.js';
+import { toPage } from '../lib/pagination.utils.js';
+import { sanitize } from '../lib/data.utils.js';
+
+/**
+ * Audited operations.
+ *
+ * @public
+ */
+
+export const operations = ['create', 'update', 'move', 'remove', 'restore'];
+
+/**
+ * Fields excluded from change sets (set by the database).
+ *
+ * @private
+ */
+
+const ignoredFields = ['created_at', 'updated_at'];
+
+/**
+ * Initialize audit log table.
+ *
+ * @public
+ * @return {Promise} result
+ */
+
+export const init = async () => {
+    const { sql, data } = queries.audit.init();
+    await pool.query(sql, data);
+};
+
+/**
+ * Compare record values.
+ *
+ * @private
+ * @param a
+ * @param b
+ * @return {Boolean} result
+ */
+
+const isEqual = (a, b) => {
+    return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+};
+
+/**
+ * Get field-level changes between record versions. Created records
+ * have no previous values; removed records have no new values.
+ *
+ * @public
+ * @param {Object} before - previous record data
+ * @param {Object} after - new record data
+ * @return {Object} changes indexed by field ({from, to})
+ */
+
+export const diff = (before, after) => {
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    return [...fields]
+        .filter(field => !ignoredFields.includes(field))
+        .reduce((o, field) => {
+            const from = (before || {})[field];
+            const to = (after || {})[field];
+            if (!isEqual(from, to)) o[field] = {
+                from: from === undefined ? null : from,
+                to: to === undefined ? null : to
+            };
+            return o;
+        }, {});
+};
+
+/**
+ * Record change in audit log. Updates without changes are not
+ * recorded.
+ *
+ * @public
+ * @param {Object} change - operation, model, record ID, node ID and record versions
+ * @param client
+ * @return {Promise} audit log entry
+ */
+
+export const record = async (change, client) => {
+
+    const { operation, model, id = null, node_id = null, before = null, after = null } = change || {};
+    const { user = null, requestId = null } = getContext();
+
+    const changes = diff(before, after);
+    if (operation === 'update' && Object.keys(changes).length === 0) return null;
+
+    const { sql, data } = queries.audit.insert({
+        operation: operation,
+        model: model,
+        record_id: sanitize(id, 'integer'),
+        node_id: sanitize(node_id, 'integer'),
+        user_email: user,
+        request_id: requestId,
+        changes: changes
+    });
+    const { rows = [] } = await client.query(sql, data);
+    return rows[0];
+};
+
+/**
+ * Get audit log filters from query parameters.
+ *
+ * @public
+ * @param {Object} query - request query parameters
+ * @return {Object} filters (throws invalidFields error)
+ */
+
+export const getFilters = (query = {}) => {
+
+    const { user = null, model = null, operation = null, from = null, to = null } = query || {};
+    const fields = {};
+
+    if (operation && !operations.includes(operation))
+        fields.operation = [`Must be one of: ${operations.join(', ')}.`];
+
+    const toDate = (value, key) => {
+        if (!value) return null;
+        const date = new Date(value);
+        if (isNaN(date.getTime())) {
+            fields[key] = ['Must be a valid date and time.'];
+            return null;
+        }
+        return date.toISOString();
+    };
+
+    const filters = {
+        user: user,
+        model: model,
+        operation: operation,
+        from: toDate(from, 'from'),
+        to: toDate(to, 'to')
+    };
+
+    if (Object.keys(fields).length > 0) {
+        const err = new Error('invalidFields');
+        err.fields = fields;
+        throw err;
+    }
+
+    return filters;
+};
+
+/**
+ * Get page of audit log entries (newest first).
+ *
+ * @public
+ * @param {Object} filters
+ * @param {Object} page
+ * @param client
+ * @return {Promise} results and page
+ */
+
+export const query = async (filters, page, client) => {
+    const { sql, data } = queries.audit.select(filters, page);
+    const { rows = [] } = await client.query(sql, data);
+    return toPage(rows, page);
+};
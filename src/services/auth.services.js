@@ -3,6 +3,24 @@
  * File: auth.services.js
  * Copyright(c) 2021 Runtime Software Development Inc.
  * MIT Licensed
+ *
+ * Description
+ *
+ * Authentication and authorization of API requests. Sign-in, token
+ * verification, refresh and sign-out are delegated to the authentication
+ * provider selected with AUTH_PROVIDER:
+ * - 'keycloak' (default): KeyCloak identity server
+ * - 'local': user accounts stored in the database
+ *
+ * Providers export: name, init(), authenticate(credentials),
+ * verify(access_token), refresh(refresh_token) and
+ * logout(access_token, refresh_token). Token data returned by
+ * authenticate and refresh include the user email and roles; verify
+ * returns the user email and roles, or null if the token has expired.
+ *
+ * Revisions
+ * - 19-10-2026   Access tokens are verified locally with the realm signing keys.
+ * - 19-10-2026   Added pluggable authentication providers (KeyCloak, local).
  */
 
 'use strict';
@@ -12,125 +30,135 @@
  * @private
  */
 
-import jwt from 'jsonwebtoken';
-import fetch from 'node-fetch';
 import { getRoleData } from './users.services.js';
+import * as keys from './keys.services.js';
+import * as keycloak from './providers/keycloak.provider.js';
+import * as local from './providers/local.provider.js';
 
 /**
- * KeyCloak Settings (set in ENV)
- * Check endpoints at http://localhost:8080/auth/realms/MLP-Explorer/.well-known/openid-configuration
+ * Available authentication providers.
+ *
  * @private
  */
 
-const settings = {
-    serverURL: process.env.KC_SERVER_URL,
-    realm: process.env.KC_REALM,
-    clientId: process.env.KC_CLIENT_ID,
-    clientSecret: process.env.KC_CLIENT_SECRET,
-    grantType: 'password',
-    ssl: "external",
-    bearerOnly: true
-}
+const providers = {
+    keycloak: keycloak,
+    local: local
+};
 
 /**
- * Compose request urls (KeyCloak endpoints)
+ * Get selected authentication provider.
  *
  * @public
+ * @return {Object} provider
  */
 
-const kcBaseURL = `${settings.serverURL}/realms/${settings.realm}/protocol/openid-connect`
-const kcTokenURL = `${kcBaseURL}/token`;
-const kcInfoURL = `${kcBaseURL}/userinfo`;
-const kcLogoutURL = `${kcBaseURL}/logout`;
+export const getProvider = () => {
+    const name = process.env.AUTH_PROVIDER || 'keycloak';
+    if (!providers.hasOwnProperty(name)) throw new Error(`Authentication provider '${name}' is not supported.`);
+    return providers[name];
+};
 
 /**
- * Compose authentication request.
+ * Initialize selected authentication provider.
  *
  * @public
+ * @return {Promise} result
  */
 
-export function getOpts(payload=null, method='POST') {
-
-    // compose request headers/options
-    const opts = {
-        method: method,
-        mode: 'cors',
-        cache: 'no-cache',
-        credentials: 'same-origin', // to include cookie data
-        headers: {
-            'Content-Type': 'application/x-www-form-urlencoded;charset=UTF-8'
-        },
-        redirect: 'follow',
-        referrerPolicy: 'no-referrer',
-    };
-
-    // add GET payload (if exists)
-    if (payload) {
-        // request access token
-        opts.body = Object.keys(payload)
-            .map(key => {
-                const encodedKey = encodeURIComponent(key);
-                const encodedValue = encodeURIComponent(payload[key]);
-                return `${encodedKey}=${encodedValue}`;
-            })
-            .join("&");
-    }
-
-    return opts;
-}
+export const init = async () => {
+    await getProvider().init();
+};
 
 /**
- * Authenticate user password. Returns JSON web token on successful
+ * Authenticate user password. Returns tokens on successful
  * authentication of password.
  *
  * @public
- * @return {String} JSON web token
- * @param {Object} user credentials
+ * @return {Promise} tokens, user email and roles
+ * @param {Object} credentials
  */
 
-export const authenticate = async ({email:email, password:password}) => {
-
-    // Prepare credentials for openid-connect token request
-    // ref: http://openid.net/specs/openid-connect-core-1_0.html#TokenEndpoint
-    const payload = {
-        username: email,
-        password: password,
-        grant_type: settings.grantType,
-        client_secret: settings.clientSecret,
-        client_id: settings.clientId
-    };
-
-    // send request to API
-    let data = await fetch(kcTokenURL, getOpts(payload))
-        .then(response => response.json())
-        .then(data => {
-            const { error=null } = data || {};
-            if (error) {
-                throw error;
-            }
-            return data
-        })
-        .catch(err => {
-            console.error('KeyCloak error:', err);
-            throw new Error('invalidCredentials');
-        });
-
-    if (!data) return null;
-
-    // decode KeyCloak JWT token
-    const { access_token='' } = data || {};
-    const decoded = jwt.decode(access_token);
-
-    // append user roles to fetched data
-    data.roles = decoded.resource_access[settings.clientId].roles;
-
-    return data;
+export const authenticate = async (credentials) => {
+    return await getProvider().authenticate(credentials);
 }
 
+/**
+ * Get bearer token from Authorization header (if provided).
+ *
+ * @private
+ * @param req
+ * @return {String} token
+ */
+
+const getBearerToken = (req) => {
+    const [scheme = '', token = null] = (req.get('Authorization') || '').split(' ');
+    return scheme.toLowerCase() === 'bearer' ? token : null;
+};
+
+/**
+ * Check user roles and compose user data.
+ *
+ * @private
+ * @param {String} email
+ * @param {Array} roles
+ * @param {Array} allowedRoles - (null to identify user only)
+ * @return {Promise} user data
+ */
+
+const getUser = async (email, roles, allowedRoles) => {
+
+    // deny users with lesser admin privileges
+    // i.e. check if any user roles are allowed.
+    if ( allowedRoles && !allowedRoles.some(role => roles.includes(role)) )
+        throw new Error('restricted');
+
+    // get user role label
+    const roleData = await getRoleData();
+    const role = roles.length > 0 ? roleData.find(r => r.name === roles[0])  : 'Administrator';
+
+    // compose user data
+    return {
+        email: email,
+        role: roles,
+        label: (role || {}).label || 'Registered'
+    }
+};
+
+/**
+ * Authorize access with bearer token: either a service account API key
+ * or a provider access token (tokens are not refreshed).
+ *
+ * @private
+ * @param {String} token
+ * @param {Array} allowedRoles
+ * @return {Promise} user data
+ */
+
+const authorizeBearer = async (token, allowedRoles) => {
+
+    // service account API key
+    if (keys.isKey(token)) {
+        const key = await keys.verify(token);
+        if (!key) throw new Error('invalidKey');
+        const user = await getUser(`service:${key.name}`, [key.role], allowedRoles);
+        return { ...user, service: { id: key.id, name: key.name } };
+    }
+
+    // verify access token (expired tokens are rejected)
+    const verified = await getProvider().verify(token);
+    if (!verified) throw new Error('noAuth');
+
+    return await getUser(verified.email, verified.roles, allowedRoles);
+};
+
 /**
  * Authorize user access based on permissions set for user role.
- * - validates current access token
- * - if invalid, refreshes token
+ * - authorizes bearer tokens in the Authorization header (service accounts)
+ * - verifies current access token with the authentication provider
+ * - if expired, refreshes token
+ * Routes open to visitors are authorized for all; signed-in users
+ * are identified (e.g. to show restricted records to editors).
  *
  * @param req
  * @param res
@@ -141,7 +169,42 @@ export const authenticate = async ({email:email, password:password}) => {
 export const authorize = async (req, res, allowedRoles) => {
 
     // authorize all for 'visitor' restrictions
-    if ( allowedRoles.includes('visitor') ) return null;
+    if ( allowedRoles.includes('visitor') ) return await identify(req, res);
+
+    return await authorizeUser(req, res, allowedRoles);
+}
+
+/**
+ * Identify signed-in user or service account without restricting
+ * access. Invalid or expired credentials are ignored.
+ *
+ * @public
+ * @param req
+ * @param res
+ * @return {Promise} user data (null for anonymous users)
+ */
+
+export const identify = async (req, res) => {
+    const { access_token = null } = req.signedCookies || {};
+    if (!access_token && !getBearerToken(req)) return null;
+    return await authorizeUser(req, res, null).catch(() => null);
+}
+
+/**
+ * Authorize user with bearer token or session tokens.
+ *
+ * @private
+ * @param req
+ * @param res
+ * @param {Array} allowedRoles - (null to identify user only)
+ * @return {Promise} user data
+ */
+
+const authorizeUser = async (req, res, allowedRoles) => {
+
+    // authorize bearer token (if provided)
+    const bearer = getBearerToken(req);
+    if (bearer) return await authorizeBearer(bearer, allowedRoles);
 
     // get current tokens
     const { access_token=null, refresh_token=null } = req.signedCookies || {};
@@ -150,14 +213,12 @@ export const authorize = async (req, res, allowedRoles) => {
     if (!access_token || !refresh_token)
         throw new Error('noToken');
 
-    // assign access token
-    let token = access_token;
+    // verify access token
+    const provider = getProvider();
+    let verified = await provider.verify(access_token);
 
-    // validate access token
-    const isValid = await validate(access_token);
-
-    // if invalid, try to refresh the token
-    if (!isValid) {
+    // if expired, try to refresh the token
+    if (!verified) {
 
         const data = await refresh(req);
 
@@ -166,46 +227,24 @@ export const authorize = async (req, res, allowedRoles) => {
 
         // get token value
         const { access_token=null, refresh_token=null } = data || {};
-        token = access_token;
+        verified = await provider.verify(access_token);
+        if (!verified) throw new Error('noAuth');
 
         // send access token to the client inside a cookie
         res.cookie("access_token", access_token, {httpOnly: true, sameSite: 'strict', signed: true, secure: true});
         res.cookie("refresh_token", refresh_token, {httpOnly: true, sameSite: 'strict', signed: true, secure: true});
     }
 
-    // verify token
-    const decoded = jwt.decode(token);
-
-    // reject invalid user data
-    if (!decoded)
-        throw new Error('invalidToken');
-
     // get current user role and check authorization
-    const {roles=[]} = decoded.resource_access[settings.clientId];
-
-    // deny users with lesser admin privileges
-    // i.e. check if any user roles are allowed.
-    if ( !allowedRoles.some(role => roles.includes(role)) )
-        throw new Error('restricted');
-
-    // get user role label
-    const roleData = await getRoleData();
-    const role = roles.length > 0 ? roleData.find(r => r.name === roles[0])  : 'Administrator';
-
-    // compose user data
-    return {
-        email: decoded.email,
-        role: roles,
-        label: role.label || 'Registered'
-    }
+    return await getUser(verified.email, verified.roles, allowedRoles);
 
 }
 
 /**
- * Logout user from KeyCloak.
+ * Logout user session with the authentication provider.
  *
  * @public
- * @return {Promise} JSON web token
+ * @return {Promise} result
  * @param access_token
  * @param refresh_token
  */
@@ -213,26 +252,16 @@ export const authorize = async (req, res, allowedRoles) => {
 export const logout = async (access_token, refresh_token) => {
 
     // stop logout if no token found
-    if (!access_token) return null;
-
-    const payload = {
-        client_secret: settings.clientSecret,
-        client_id: settings.clientId,
-        refresh_token: refresh_token
-    };
-
-    // request options for logout (KeyCloak API)
-    const opts = getOpts(payload, 'POST');
+    if (!access_token) return false;
 
-    // send logout request to KeyCloak endpoint
-    return await fetch(kcLogoutURL, opts);
+    return await getProvider().logout(access_token, refresh_token);
 }
 
 /**
- * Validate access token in session cookie with KeyCloak server.
+ * Validate access token in session cookie.
  *
  * @public
- * @return {Promise} JSON web token
+ * @return {Promise} user email and roles (null if invalid or expired)
  * @param access_token
  */
 
@@ -241,28 +270,14 @@ export const validate = async (access_token) => {
     // stop verification if no token found
     if (!access_token) return null;
 
-    // check whether access token is invalid
-    const opts = getOpts(null, 'GET');
-    opts.headers = {
-        authorization: 'Bearer ' + access_token,
-        grant_type: settings.grantType,
-        client_secret: settings.clientSecret,
-        client_id: settings.clientId
-    };
-
-    // send a request to the 'userinfo' endpoint on Keycloak
-    // to validate access token
-    return await fetch(kcInfoURL, opts).then(res => {
-        if (!res || res.status !== 200) return null;
-        return res;
-    });
+    return await getProvider().verify(access_token).catch(() => null);
 }
 
 /**
- * Validate access token in session cookie with Keycloak server.
+ * Refresh tokens in session cookie with the authentication provider.
  *
  * @public
- * @return {Promise} JSON web token
+ * @return {Promise} tokens, user email and roles (null if session is not active)
  * @param req
  */
 
@@ -274,40 +289,5 @@ export const refresh = async (req) => {
     // stop refresh if no tokens found
     if (!refresh_token) return null;
 
-    const payload = {
-        grant_type: 'refresh_token',
-        client_secret: settings.clientSecret,
-        client_id: settings.clientId,
-        refresh_token: refresh_token
-    };
-
-    // request options for refresh (KeyCloak API)
-    const opts = getOpts(payload, 'POST');
-
-    // refresh token via KeyCloak endpoint
-    let data = await fetch(kcTokenURL, opts)
-        .then(res => {
-            // token is invalid or session is not active
-            if (!res || res.status !== 200) throw new Error('noauth');
-            return res
-        })
-        .then(res => res.json())
-        .catch(err => {
-            console.warn('KeyCloak error:', err);
-            return null;
-        });
-
-    // extract user data if response valid
-    if (data) {
-
-        // decode KeyCloak JWT token
-        const { access_token = '' } = data || {};
-        const decoded = jwt.decode(access_token);
-
-        // append user email, roles to fetched data
-        data.email = decoded.email;
-        data.roles = decoded.resource_access[settings.clientId].roles;
-    }
-    return data;
-
+    return await getProvider().refresh(refresh_token);
 }
@@ -0,0 +1,365 @@
+/*!
+ * MLP.API.Services.Batch
+ * File: batch.services.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * Version 2.0
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * Batch operations on node records. A batch is an ordered list of
+ * create/update/move/remove operations run within a single database
+ * transaction (opened by the caller). Operations can reference the IDs
+ * of records created (or changed) by earlier operations in the same
+ * batch with {"$ref": "<name>"} values, where <name> is the 'ref' given
+ * to the earlier operation.
+ *
+ * Example:
+ *   {"operations": [
+ *     {"op": "create", "model": "modern_visits", "owner_id": 312,
+ *      "data": {"date": "2026-08-01"}, "ref": "visit"},
+ *     {"op": "create", "model": "locations", "owner_id": {"$ref": "visit"},
+ *      "data": {"location_identity": "A"}}
+ *   ]}
+ *
+ * ---------
+ * Revisions
+ * - 19-10-2026   Initial release.
+ * - 19-10-2026   Operations are limited to the subtrees granted to restricted users.
+ * - 19-10-2026   Removed nodes are moved to the trash.
+ * - 19-10-2026   Added bulk moves of nodes to a new owner.
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ * @private
+ */
+
+import {rename} from 'fs/promises';
+import ModelServices from './model.services.js';
+import * as cserve from './construct.services.js';
+import * as nserve from './nodes.services.js';
+import {checkRelation, getNodeTypes, isRelatable} from './schema.services.js';
+import {getComparisonsMetadata, updateComparisons} from './comparisons.services.js';
+import {validate} from './validation.services.js';
+import {authorizeNode} from './grants.services.js';
+import {sanitize} from '../lib/data.utils.js';
+import {errors} from '../error.js';
+import logger from '../lib/logger.utils.js';
+
+/**
+ * Maximum number of operations in a batch.
+ *
+ * @public
+ */
+
+export const maxOperations = parseInt(process.env.API_MAX_BATCH_SIZE) || 100;
+
+/**
+ * Views used to authorize batch operations (see user permissions).
+ *
+ * @private
+ */
+
+const operationViews = {
+    create: 'create',
+    update: 'edit',
+    move: 'move',
+    remove: 'remove'
+};
+
+/**
+ * Resolve batch references ({"$ref": "<name>"}) in operation value.
+ *
+ * @private
+ * @param value
+ * @param {Object} refs - record IDs indexed by reference name
+ * @return resolved value
+ */
+
+const resolve = (value, refs) => {
+    if (Array.isArray(value)) return value.map(item => resolve(item, refs));
+    if (value && typeof value === 'object') {
+        if (Object.keys(value).length === 1 && value.hasOwnProperty('$ref')) {
+            if (!refs.hasOwnProperty(value.$ref)) throw new Error('invalidReference');
+            return refs[value.$ref];
+        }
+        return Object.keys(value).reduce((o, key) => {
+            o[key] = resolve(value[key], refs);
+            return o;
+        }, {});
+    }
+    return value;
+};
+
+/**
+ * Update comparisons of capture with compared captures listed
+ * in submitted data (see model controller update).
+ *
+ * @private
+ * @param {Object} node
+ * @param {Object} data
+ * @param client
+ * @return {Promise} result
+ */
+
+const linkComparisons = async (node, data, client) => {
+    const {type = ''} = node || {};
+    if (type !== 'historic_captures' && type !== 'modern_captures') return;
+    const {historic_captures = null, modern_captures = null} = data || {};
+    const compared = type === 'historic_captures' ? modern_captures : historic_captures;
+    if (compared) await updateComparisons(node, Object.values(compared), client);
+};
+
+/**
+ * Get node record data of given type for batch operation.
+ *
+ * @private
+ * @param id
+ * @param {String} type
+ * @param client
+ * @return {Promise} record data
+ */
+
+const getItem = async (id, type, client) => {
+    const itemData = await nserve.get(sanitize(id, 'integer'), type, client, {files: false});
+    if (!itemData || itemData.type !== type) throw new Error('notFound');
+    return itemData;
+};
+
+/**
+ * Check that node can be moved to owner. Moves are restricted as for
+ * the capture move route: the user must have access to both subtrees,
+ * captures with comparisons cannot be moved, and the node must be
+ * relatable to the owner and unsorted, sorted or missing.
+ *
+ * @private
+ * @param {Object} itemData - node record data
+ * @param {Object} owner - new owner node
+ * @param {Object} user
+ * @param client
+ * @return {Promise} result (throws error if not moveable)
+ */
+
+const checkMove = async (itemData, owner, user, client) => {
+    const {node = {}, status = ''} = itemData || {};
+    await authorizeNode(user, node, client);
+    await authorizeNode(user, owner, client);
+
+    const comparisons = await getComparisonsMetadata(node, client);
+    if (Array.isArray(comparisons) && comparisons.length > 0)
+        throw new Error('restrictedByComparisons');
+    if (!await isRelatable(node.id, owner.id, client)
+        || !['unsorted', 'sorted', 'missing'].includes(status))
+        throw new Error('invalidMove');
+};
+
+/**
+ * Batch operation handlers. Handlers return the ID of the created
+ * or changed record.
+ *
+ * @private
+ */
+
+const operations = {
+
+    create: async ({data = {}, owner_id = null}, Model, context) => {
+        const {client, mserve, user} = context;
+        const model = new Model();
+
+        // confirm node owner exists
+        const ownerId = sanitize(owner_id, 'integer');
+        const owner = await nserve.select(ownerId, client);
+        if (!owner && !model.isRoot) throw new Error('invalidRequest');
+        if (owner) await checkRelation('nodes', owner, model.name, client);
+        await authorizeNode(user, owner, client);
+
+        await validate(model, data, client);
+
+        const item = new Model({...(data || {}), owner_id: ownerId, owner_type: owner?.type});
+        await mserve.insert(item);
+
+        await linkComparisons(await nserve.select(item.id, client), data, client);
+        return item.id;
+    },
+
+    update: async ({id = null, data = {}}, Model, context) => {
+        const {client, mserve, type, user} = context;
+        const {node = {}, metadata = {}} = await getItem(id, type, client);
+        await authorizeNode(user, node, client);
+
+        // merge submitted fields into record data
+        await validate(new Model(), data, client, true);
+        const item = new Model(metadata);
+        item.setData(data);
+        await mserve.update(item);
+
+        await linkComparisons(node, data, client);
+        return node.id;
+    },
+
+    move: async ({id = null, owner_id = null}, Model, context) => {
+        const {client, mserve, type, user} = context;
+        const itemData = await getItem(id, type, client);
+        const owner = await nserve.select(sanitize(owner_id, 'integer'), client);
+        if (!owner) throw new Error('notFound');
+        await checkMove(itemData, owner, user, client);
+
+        await mserve.move(new Model(itemData.metadata), owner, client);
+        return itemData.node.id;
+    },
+
+    remove: async ({id = null}, Model, context) => {
+        const {client, mserve, type, user} = context;
+        const {node = {}, metadata = {}, hasDependents = false} = await getItem(id, type, client);
+        await authorizeNode(user, node, client);
+
+        // dependent nodes must be removed first (FK violation)
+        if (hasDependents) throw new Error('23503');
+
+        // capture comparisons are deleted with the capture
+        await mserve.remove(new Model(metadata), client);
+        return node.id;
+    }
+};
+
+/**
+ * Check that operations are well-formed (before any are run).
+ *
+ * @public
+ * @param {Array} ops - batch operations
+ * @param client
+ * @return {Promise} result (throws invalidBatch error)
+ */
+
+export const check = async (ops, client) => {
+    const nodeTypes = await getNodeTypes(client);
+    if (!Array.isArray(ops) || ops.length === 0 || ops.length > maxOperations)
+        throw new Error('invalidBatch');
+    ops.forEach((operation, index) => {
+        const {op = '', model = ''} = operation || {};
+        if (!operations.hasOwnProperty(op) || !nodeTypes.includes(model)) {
+            const err = new Error('invalidBatch');
+            err.operation = index;
+            throw err;
+        }
+    });
+};
+
+/**
+ * Run batch operations in order. The client must be in an open
+ * transaction; the caller commits or rolls back the transaction.
+ * Errors report the index of the failed operation.
+ *
+ * @public
+ * @param {Array} ops - batch operations
+ * @param {Object} context - client, user and user permissions
+ * @return {Promise} operation results
+ */
+
+export const run = async (ops, context) => {
+
+    const {client, user = null, permissions = [], moved = []} = context || {};
+    const {role = []} = user || {};
+    const refs = {};
+    const results = [];
+
+    for (const [index, operation] of ops.entries()) {
+        try {
+            const {op = '', model = '', ref = null} = operation || {};
+
+            // check user role is permitted operation view
+            const allowedRoles = permissions
+                .filter(permission => permission.view === operationViews[op])
+                .map(permission => permission.role);
+            if (!allowedRoles.some(allowedRole => [].concat(role).includes(allowedRole)))
+                throw new Error('restricted');
+
+            const Model = await cserve.create(model);
+            // relocated file paths are kept to restore on rollback
+            const mserve = new ModelServices(new Model(), client, moved);
+            const id = await operations[op](resolve(operation, refs), Model, {client, mserve, type: model, user});
+
+            // record reference for later operations
+            if (ref) refs[ref] = id;
+
+            results.push({
+                index: index,
+                op: op,
+                model: model,
+                ref: ref,
+                id: id,
+                data: op === 'remove' ? null : await nserve.get(id, model, client, {files: false, dependents: false})
+            });
+
+        } catch (err) {
+            err.operation = index;
+            throw err;
+        }
+    }
+
+    return results;
+};
+
+/**
+ * Move nodes to new owner. All nodes are checked before any are
+ * moved; nodes that cannot be moved are rejected (with the error and
+ * message) and the others are moved. The client must be in an open
+ * transaction; the caller commits or rolls back the transaction.
+ *
+ * @public
+ * @param {Array} ids - node IDs
+ * @param {Object} owner - new owner node
+ * @param {String} type - node type
+ * @param {Object} context - client and user
+ * @return {Promise} moved node IDs and rejected nodes
+ */
+
+export const moveAll = async (ids, owner, type, context) => {
+
+    const {client, user = null, moved = []} = context || {};
+    if (!Array.isArray(ids) || ids.length === 0 || ids.length > maxOperations)
+        throw new Error('invalidBatch');
+
+    const accepted = [];
+    const rejected = [];
+    for (const id of new Set(ids.map(id => sanitize(id, 'integer')))) {
+        try {
+            const itemData = await getItem(id, type, client);
+            await checkMove(itemData, owner, user, client);
+            accepted.push(itemData);
+        } catch (err) {
+            if (!errors.hasOwnProperty(err.message)) throw err;
+            rejected.push({id: id, error: err.message, message: errors[err.message].msg});
+        }
+    }
+
+    // relocated file paths are kept to restore on rollback
+    const Model = await cserve.create(type);
+    const mserve = new ModelServices(new Model(), client, moved);
+    for (const {metadata} of accepted) {
+        await mserve.move(new Model(metadata), owner, client);
+    }
+
+    return {
+        moved: accepted.map(({node}) => node.id),
+        rejected: rejected
+    };
+};
+
+/**
+ * Restore files relocated by batch moves (after rollback).
+ *
+ * @public
+ * @param {Array} moved - relocated file paths
+ * @return {Promise} result
+ */
+
+export const restoreFiles = async (moved = []) => {
+    for (const {from, to} of [...moved].reverse()) {
+        await rename(to, from).catch(logger.error);
+    }
+};
@@ -0,0 +1,176 @@
+/*!
+ * MLP.API.Services.Cache
+ * File: cache.services.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * Version 2.0
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * HTTP caching for read routes. Routes declare a cache scope in their
+ * route table (e.g. cache: {scope: 'node', param: 'stations_id'}); the
+ * scope version (latest 'updated_at' and row count of the underlying
+ * node, file and metadata records, and the latest audit log entry, so
+ * that deletes change the version) is used to generate ETag and
+ * Last-Modified validators before the response data is computed. Conditional
+ * requests with matching validators receive 304 (Not Modified).
+ *
+ * ---------
+ * Revisions
+ * - 19-10-2026   Initial release.
+ * - 19-10-2026   Included audit log changes in scope versions.
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ * @private
+ */
+
+import crypto from 'crypto';
+import pool from './db.services.js';
+import queries from '../queries/index.queries.js';
+import { sanitize } from '../lib/data.utils.js';
+
+/**
+ * Server start time. Included in validators so that cached responses
+ * are invalidated on deployment.
+ *
+ * @private
+ */
+
+const bootTime = Date.now();
+
+/**
+ * Metadata option tables included in the 'options' scope.
+ *
+ * @private
+ */
+
+const optionTables = ['cameras', 'lens', 'participants'];
+
+/**
+ * Default max age (seconds) of public responses.
+ *
+ * @private
+ */
+
+const defaultMaxAge = 60;
+
+/**
+ * Check if request is from an authenticated user or service account.
+ * Note that user data is not set when credentials are missing or invalid.
+ *
+ * @private
+ * @param {Object} req
+ * @return {Boolean} result
+ */
+
+const isAuthenticated = (req) => {
+    const { access_token = null } = req.signedCookies || {};
+    return !!(req.user || access_token || req.get('Authorization'));
+};
+
+/**
+ * Version query builders for cache scopes.
+ *
+ * @private
+ */
+
+const scopes = {
+    nodes: () => {
+        return queries.cache.getVersion(['nodes', 'files', 'comparison_indices']);
+    },
+    options: () => {
+        return queries.cache.getVersion(['nodes', 'files', ...optionTables]);
+    },
+    node: (req, param) => {
+        const id = sanitize(req.params[param], 'integer');
+        return id ? queries.cache.getNodeVersion(id) : null;
+    },
+    file: (req, param) => {
+        const id = sanitize(req.params[param], 'integer');
+        return id ? queries.cache.getFileVersion(id) : null;
+    }
+};
+
+/**
+ * Get version validators for cached route.
+ *
+ * @public
+ * @param {Object} req
+ * @param {Object} cache - route cache settings
+ * @param client
+ * @return {Promise} validators (null if not found)
+ */
+
+export const getValidators = async (req, cache, client) => {
+
+    const { scope = '', param = '' } = cache || {};
+    if (!scopes.hasOwnProperty(scope)) return null;
+
+    const query = scopes[scope](req, param);
+    if (!query) return null;
+
+    const { sql, data } = query;
+    const version = await client.query(sql, data)
+        .then(res => {
+            return res.rows.length > 0 ? res.rows[0] : null;
+        });
+    if (!version) return null;
+
+    // responses differ by user role
+    const { last_modified = null, total = 0, changes = 0 } = version || {};
+    const { role = isAuthenticated(req) ? 'authenticated' : 'visitor' } = req.user || {};
+    const { key: restrictedKey = '' } = req.restricted || {};
+    const lastModified = new Date(last_modified || bootTime);
+    const hash = crypto
+        .createHash('sha1')
+        .update([scope, lastModified.getTime(), total, changes, [].concat(role).join(','), restrictedKey, bootTime].join(':'))
+        .digest('base64url');
+
+    return {
+        etag: `W/"${hash}"`,
+        lastModified: lastModified
+    };
+};
+
+/**
+ * Set caching headers for response and check whether the client's
+ * cached copy is current. Anonymous (visitor) responses can be cached
+ * publicly; responses for authenticated users are private and are
+ * revalidated on each request.
+ *
+ * @public
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Object} cache - route cache settings
+ * @return {Promise} true if cached copy is current
+ */
+
+export const isFresh = async (req, res, cache) => {
+
+    // NOTE: client undefined if connection fails.
+    const client = await pool.connect();
+
+    try {
+        const validators = await getValidators(req, cache, client);
+        if (!validators) return false;
+
+        const { maxAge = defaultMaxAge } = cache || {};
+        res.set('Cache-Control', isAuthenticated(req)
+            ? 'private, no-cache'
+            : `public, max-age=${maxAge}, must-revalidate`);
+        res.set('ETag', validators.etag);
+        res.set('Last-Modified', validators.lastModified.toUTCString());
+        res.vary('Cookie');
+        res.vary('Authorization');
+
+        return req.fresh;
+
+    } finally {
+        await client.release(true);
+    }
+};
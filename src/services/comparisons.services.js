@@ -10,19 +10,20 @@ import * as cmpqueries from '../queries/comparisons.queries.js';
 import * as nserve from './nodes.services.js';
 import queries from "../queries/index.queries.js";
 import {get} from "./nodes.services.js";
+import {toPage} from '../lib/pagination.utils.js';
+import {getLoader, withLoader} from './loader.services.js';
 
 
 /**
- * Filter comparisons by comparison ID array.
+ * Filter page of comparisons by comparison ID array.
  *
  * @public
  * @return {Promise} result
  * @param comparisonIDs
- * @param offset
- * @param limit
+ * @param page
  */
 
-export const filterComparisonsByID = async (comparisonIDs, offset, limit) => {
+export const filterComparisonsByID = async (comparisonIDs, page) => {
 
     if (!comparisonIDs) return null;
 
@@ -34,13 +35,15 @@ export const filterComparisonsByID = async (comparisonIDs, offset, limit) => {
         await client.query('BEGIN');
 
         // get filtered nodes
-        let { sql, data } = queries.comparisons.filterByIDArray(comparisonIDs, offset, limit);
-        let comparisons = await client.query(sql, data)
+        let { sql, data } = queries.comparisons.filterByIDArray(comparisonIDs, page);
+        let rows = await client.query(sql, data)
             .then(res => {
                 return res.rows
             });
 
-        const count = comparisons.length > 0 ? comparisons[0].total : 0;
+        const count = rows.length > 0 ? rows[0].total : 0;
+        const { results: comparisons, page: resultPage } = toPage(
+            rows, page, comparison => [comparison.id], count);
 
         // append model data for modern/historic captures
         let items = await Promise.all(
@@ -57,10 +60,9 @@ export const filterComparisonsByID = async (comparisonIDs, offset, limit) => {
 
         return {
             query: comparisonIDs,
-            limit: limit,
-            offset: offset,
             results: items,
-            count: count
+            count: count,
+            page: resultPage
         };
 
     } catch (err) {
@@ -210,21 +212,23 @@ export const getComparisonsMetadata = async (node, client) => {
             });
 
         // get associated capture metadata
-        // append full data for each returned capture
-        return await Promise.all(
-            (comparisons || [])
-                // .filter(comparison => comparison)
-                .map(async (comparison) => {
-                    const historic_data = await nserve.get(
-                        comparison.historic_captures, 'historic_captures', client);
-                    const modern_data = await nserve.get(
-                        comparison.modern_captures, 'modern_captures', client);
-                    return {
-                        id: comparison.id,
-                        historic_captures: historic_data,
-                        modern_captures: modern_data
-                    };
-                }));
+        // append full data for each returned capture (loaded together)
+        return await withLoader(client, async () => {
+            return await Promise.all(
+                (comparisons || [])
+                    // .filter(comparison => comparison)
+                    .map(async (comparison) => {
+                        const historic_data = await nserve.get(
+                            comparison.historic_captures, 'historic_captures', client);
+                        const modern_data = await nserve.get(
+                            comparison.modern_captures, 'modern_captures', client);
+                        return {
+                            id: comparison.id,
+                            historic_captures: historic_data,
+                            modern_captures: modern_data
+                        };
+                    }));
+        });
     }
     return [];
 };
@@ -239,12 +243,9 @@ export const getComparisonsMetadata = async (node, client) => {
  */
 
 export const getComparisonsByCapture = async (node, client ) => {
-    let { sql, data } = cmpqueries.getComparisons(node);
-    return await client.query(sql, data)
-        .then(res => {
-            return res.hasOwnProperty('rows')
-            && res.rows.length > 0 ? res.rows : null;
-        });
+    const { type = '', id = '' } = node || {};
+    const comparisons = await getLoader(client).selectAll('comparison_indices', type, id);
+    return comparisons.length > 0 ? comparisons : null;
 };
 
 /**
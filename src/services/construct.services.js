@@ -37,6 +37,7 @@ import { humanize, sanitize } from '../lib/data.utils.js';
 import * as schemaConstructor from './schema.services.js';
 import { select as nselect } from './nodes.services.js';
 import pool from "./db.services.js";
+import logger from '../lib/logger.utils.js';
 
 /**
  * Create derived model through composition. The model schema
@@ -277,7 +278,7 @@ function setData(data=null) {
         Object.keys(inputData)
             .filter(key => !(this.attributes && this.attributes.hasOwnProperty(key)))
             .map(key => {
-                console.warn(`Attribute key \'${key}\' was not in model schema for \'${this.name}\'.`);
+                logger.warn(`Attribute key \'${key}\' was not in model schema for \'${this.name}\'.`);
             });
 
         // set attribute values from data
@@ -291,17 +292,20 @@ function setData(data=null) {
 }
 
 /**
- * Generates node object from given model instance.
+ * Generates node object from given model instance. The owner is read
+ * with the given client (if provided), so that owners created in an
+ * open transaction are found.
  *
  * @public
  * @params {Object} item
+ * @params {Object} txClient - client in open transaction (optional)
  * @return {Promise} result
  */
 
-export const createNode = async function(item) {
+export const createNode = async function(item, txClient = null) {
 
     // NOTE: client undefined if connection fails.
-    const client = await pool.connect();
+    const client = txClient || await pool.connect();
 
     try {
         if (!item.node) return null;
@@ -333,10 +337,10 @@ export const createNode = async function(item) {
         });
 
     } catch (err) {
-        console.error(err)
+        logger.error(err)
         throw err;
     } finally {
-        await client.release(true);
+        if (!txClient) await client.release(true);
     }
 };
 
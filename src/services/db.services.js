@@ -15,6 +15,7 @@
 
 import pg from 'pg';
 import dotenv from 'dotenv';
+import logger from '../lib/logger.utils.js';
 dotenv.config();
 
 /**
@@ -40,7 +41,7 @@ const pool = new pg.Pool({
  */
 
 pool.on('error', (err, client) => {
-  console.error('Unexpected error on idle client', err, client);
+  logger.error('Unexpected error on idle client', err);
 });
 
 pool.on('acquire', function (client) {});
@@ -0,0 +1,369 @@
+/*!
+ * MLP.API.Services.Docs
+ * File: docs.services.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * Version 2.0
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * Generates an OpenAPI 3 specification for the MLE API from the
+ * route tables registered by the router and the database schema
+ * (model attributes and view permissions).
+ *
+ * ---------
+ * Revisions
+ * - 19-10-2026   Initial release.
+ * - 19-10-2026   Allowed roles reflect current permission settings.
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ * @private
+ */
+
+import * as schema from './schema.services.js';
+import {humanize} from '../lib/data.utils.js';
+
+/**
+ * Registered route index. Populated by the router on initialization.
+ *
+ * @private
+ */
+
+const registry = [];
+
+/**
+ * Request methods supported by route tables.
+ *
+ * @private
+ */
+
+const methods = ['get', 'put', 'patch', 'post', 'delete'];
+
+/**
+ * Attributes set by the database (omitted from request bodies).
+ *
+ * @private
+ */
+
+const readOnlyAttributes = ['id', 'nodes_id', 'files_id', 'created_at', 'updated_at'];
+
+/**
+ * Map PostgreSQL column data types to OpenAPI schema types.
+ *
+ * @private
+ */
+
+const dataTypes = {
+    'integer': {type: 'integer'},
+    'bigint': {type: 'integer', format: 'int64'},
+    'smallint': {type: 'integer'},
+    'double precision': {type: 'number', format: 'double'},
+    'real': {type: 'number', format: 'float'},
+    'numeric': {type: 'number'},
+    'boolean': {type: 'boolean'},
+    'date': {type: 'string', format: 'date'},
+    'timestamp without time zone': {type: 'string', format: 'date-time'},
+    'timestamp with time zone': {type: 'string', format: 'date-time'},
+    'time without time zone': {type: 'string', format: 'time'},
+    'json': {type: 'object'},
+    'jsonb': {type: 'object'},
+    'USER-DEFINED': {type: 'array', items: {type: 'number'}},
+    'default': {type: 'string'}
+};
+
+/**
+ * Register route in documentation index.
+ *
+ * @public
+ * @param {String} view
+ * @param {Object} route
+ * @param {String} model
+ * @param {Object|Function} roles - allowed roles indexed by request method
+ *   (or function returning the current allowed roles)
+ */
+
+export const registerRoute = (view, route, model = null, roles = {}) => {
+    const {path = ''} = route || {};
+    registry.push({
+        view: view,
+        path: path,
+        model: model,
+        roles: roles,
+        methods: methods.filter(method => typeof route[method] === 'function')
+    });
+};
+
+/**
+ * Get registered routes.
+ *
+ * @public
+ * @return {Array} routes
+ */
+
+export const getRoutes = () => {
+    return registry;
+};
+
+/**
+ * Convert Express route path to OpenAPI path template.
+ *
+ * @private
+ * @param {String} path
+ * @return {{path: String, params: Array}}
+ */
+
+const toTemplate = (path) => {
+    const params = [];
+    const template = path.replace(/:(\w+)/g, (_, param) => {
+        params.push(param);
+        return `{${param}}`;
+    });
+    return {path: template, params: params};
+};
+
+/**
+ * Generate component schema for model attributes.
+ *
+ * @private
+ * @param {Object} attributes
+ * @return {Object} schema
+ */
+
+const toSchema = (attributes) => {
+    return {
+        type: 'object',
+        properties: Object.keys(attributes || {})
+            .reduce((o, key) => {
+                const {type = '', label = '', ref = null} = attributes[key] || {};
+                o[key] = {
+                    ...(dataTypes[type] || dataTypes.default),
+                    description: ref ? `${label} (references ${ref})` : label,
+                    ...(readOnlyAttributes.includes(key) ? {readOnly: true} : {})
+                };
+                return o;
+            }, {})
+    };
+};
+
+/**
+ * Generate OpenAPI operation for route method.
+ *
+ * @private
+ * @param {Object} route
+ * @param {String} method
+ * @param {Array} params
+ * @param {Boolean} hasSchema
+ * @return {Object} operation
+ */
+
+const toOperation = (route, method, params, hasSchema) => {
+
+    const {view, model, roles = {}} = route || {};
+    const allowedRoles = (typeof roles === 'function' ? roles() : roles)[method] || [];
+    const isPublic = allowedRoles.includes('visitor');
+
+    const operation = {
+        tags: [model ? humanize(model) : 'General'],
+        summary: `${humanize(view)}${model ? ` (${humanize(model)})` : ''}`,
+        operationId: [method, model, view, ...params].filter(Boolean).join('_'),
+        parameters: params.map(param => {
+            return {
+                name: param,
+                in: 'path',
+                required: true,
+                schema: param.endsWith('_id') || param === 'id'
+                    ? {type: 'integer'}
+                    : {type: 'string'}
+            };
+        }),
+        responses: {
+            '200': {
+                description: 'Successful response.',
+                content: {'application/json': {schema: {$ref: '#/components/schemas/Response'}}}
+            },
+            default: {
+                description: 'Error response.',
+                content: {'application/json': {schema: {$ref: '#/components/schemas/Response'}}}
+            }
+        },
+        security: isPublic ? [] : [{cookieAuth: []}, {bearerAuth: []}],
+        'x-allowed-roles': allowedRoles
+    };
+
+    // include model request body for data submissions
+    if (['post', 'put', 'patch'].includes(method) && hasSchema) {
+        operation.requestBody = {
+            content: {
+                'multipart/form-data': {schema: {$ref: `#/components/schemas/${model}`}},
+                'application/json': {schema: {$ref: `#/components/schemas/${model}`}}
+            }
+        };
+    }
+
+    return operation;
+};
+
+/**
+ * Generate OpenAPI specification for registered routes.
+ *
+ * @public
+ * @param client
+ * @return {Promise} specification
+ */
+
+export const getSpec = async (client) => {
+
+    // generate component schemas for documented models
+    const models = [...new Set(registry.map(route => route.model).filter(Boolean))];
+    const schemas = {};
+    await Promise.all(models.map(async (model) => {
+        const attributes = await schema.getAttributes(model, client);
+        if (attributes) schemas[model] = toSchema(attributes);
+    }));
+
+    // generate path operations (shared paths are documented once)
+    const paths = registry.reduce((o, route) => {
+        const {path, params} = toTemplate(route.path);
+        o[path] = o[path] || {};
+        route.methods
+            .filter(method => !o[path].hasOwnProperty(method))
+            .forEach(method => {
+                o[path][method] = toOperation(route, method, params, schemas.hasOwnProperty(route.model));
+            });
+        return o;
+    }, {});
+
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'Mountain Legacy Explorer API',
+            version: process.env.npm_package_version || '1.0.0',
+            description: 'Metadata management API for the Mountain Legacy Project (MLP) collection.'
+        },
+        servers: [{url: process.env.API_HOST || '/'}],
+        paths: paths,
+        components: {
+            securitySchemes: {
+                cookieAuth: {type: 'apiKey', in: 'cookie', name: 'access_token'},
+                bearerAuth: {
+                    type: 'http',
+                    scheme: 'bearer',
+                    description: 'API key (service accounts) or KeyCloak access token.'
+                }
+            },
+            schemas: {
+                Response: {
+                    type: 'object',
+                    properties: {
+                        model: {
+                            type: 'object',
+                            properties: {name: {type: 'string'}, attributes: {type: 'object'}}
+                        },
+                        path: {type: 'object'},
+                        view: {type: 'string'},
+                        message: {
+                            type: 'object',
+                            properties: {msg: {type: 'string'}, type: {type: 'string'}}
+                        },
+                        data: {},
+                        pagination: {
+                            type: 'object',
+                            nullable: true,
+                            properties: {
+                                limit: {type: 'integer'},
+                                total: {type: 'integer', nullable: true},
+                                next: {type: 'string', nullable: true},
+                                prev: {type: 'string', nullable: true},
+                                links: {
+                                    type: 'object',
+                                    properties: {
+                                        next: {type: 'string', nullable: true},
+                                        prev: {type: 'string', nullable: true}
+                                    }
+                                }
+                            }
+                        },
+                        user: {type: 'object', nullable: true}
+                    }
+                },
+                ...schemas
+            }
+        }
+    };
+};
+
+/**
+ * Render browsable HTML documentation page from specification.
+ *
+ * @public
+ * @param {Object} spec
+ * @return {String} HTML
+ */
+
+export const toHTML = (spec) => {
+
+    const escape = (str) => String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+
+    // group operations by tag
+    const groups = Object.entries(spec.paths || {})
+        .reduce((o, [path, operations]) => {
+            Object.entries(operations).forEach(([method, operation]) => {
+                const [tag] = operation.tags || ['General'];
+                (o[tag] = o[tag] || []).push({path, method, operation});
+            });
+            return o;
+        }, {});
+
+    const sections = Object.keys(groups).sort().map(tag => {
+        const rows = groups[tag].map(({path, method, operation}) => {
+            const {requestBody = null} = operation || {};
+            const ref = requestBody
+                ? requestBody.content['application/json'].schema.$ref.split('/').pop()
+                : '';
+            const fields = ref && spec.components.schemas[ref]
+                ? Object.keys(spec.components.schemas[ref].properties)
+                    .filter(key => !spec.components.schemas[ref].properties[key].readOnly)
+                    .join(', ')
+                : '';
+            return `<tr>
+                <td><code>${method.toUpperCase()}</code></td>
+                <td><code>${escape(path)}</code></td>
+                <td>${escape(operation.summary)}</td>
+                <td>${escape((operation['x-allowed-roles'] || []).join(', '))}</td>
+                <td>${escape(fields)}</td>
+            </tr>`;
+        }).join('');
+        return `<h2>${escape(tag)}</h2>
+            <table>
+                <thead><tr><th>Method</th><th>Path</th><th>Summary</th><th>Roles</th><th>Fields</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>`;
+    }).join('');
+
+    return `<!DOCTYPE html>
+        <html lang="en">
+        <head>
+            <meta charset="utf-8">
+            <title>${escape(spec.info.title)}</title>
+            <style>
+                body { font-family: sans-serif; margin: 2em; }
+                table { border-collapse: collapse; width: 100%; margin-bottom: 2em; }
+                th, td { border: 1px solid #ccc; padding: 0.4em; text-align: left; vertical-align: top; }
+                th { background: #eee; }
+            </style>
+        </head>
+        <body>
+            <h1>${escape(spec.info.title)} <small>${escape(spec.info.version)}</small></h1>
+            <p>${escape(spec.info.description)} Machine-readable specification: <a href="/api/openapi.json">/api/openapi.json</a></p>
+            ${sections}
+        </body>
+        </html>`;
+};
@@ -5,6 +5,14 @@
  * MIT Licensed
  * 
  * Description: File services module for the API.
+ *
+ * Revisions
+ * - 19-10-2026   Changes to file records are recorded in the audit log.
+ * - 19-10-2026   Restricted (private or embargoed) files are excluded from bulk downloads.
+ * - 19-10-2026   Deleted files are moved to the trash (stored files are deleted when purged).
+ * - 19-10-2026   Added file copies (node subtree copies).
+ * - 19-10-2026   Attached files and their metadata are loaded together (batch loader).
+ * - 19-10-2026   File metadata updates check the version of the edited record.
  */
 
 'use strict';
@@ -15,7 +23,8 @@ import {Buffer} from 'node:buffer';
 import {copyFile, mkdir, rename, unlink} from 'fs/promises';
 import pool from './db.services.js';
 import queries from '../queries/index.queries.js';
-import {sanitize} from '../lib/data.utils.js';
+import {genUUID, sanitize} from '../lib/data.utils.js';
+import {getPage, maxLimit, toPage} from '../lib/pagination.utils.js';
 import * as cserve from './construct.services.js';
 import * as metaserve from '../services/metadata.services.js';
 import ModelServices from './model.services.js';
@@ -27,6 +36,12 @@ import AdmZip from 'adm-zip';
 import archiver from 'archiver';
 import {Readable} from "stream";
 import queue from './queue.services.js';
+import logger from '../lib/logger.utils.js';
+import * as audit from './audit.services.js';
+import {isRestricted} from './visibility.services.js';
+import * as trash from './trash.services.js';
+import {getLoader} from './loader.services.js';
+import {checkVersion, getVersion} from './versions.services.js';
 
 /**
  * Maximum file size (non-images) = 1GB
@@ -57,17 +72,16 @@ export const select = async function(id, client ) {
 
 
 /**
- * Get list of requested files by IDs.
+ * Get page of requested files by IDs.
  *
  * @public
  * @return {Promise} result
  * @param fileIDs
  * @param file_type
- * @param offset
- * @param limit
+ * @param page
  */
 
-export const filterFilesByID = async (fileIDs, file_type, offset, limit) => {
+export const filterFilesByID = async (fileIDs, file_type, page) => {
 
     if (!fileIDs) return null;
 
@@ -79,23 +93,23 @@ export const filterFilesByID = async (fileIDs, file_type, offset, limit) => {
         await client.query('BEGIN');
 
         // get filtered nodes
-        let { sql, data } = queries.files.filterByIDArray(fileIDs, file_type, offset, limit);
-        let files = await client.query(sql, data)
+        let { sql, data } = queries.files.filterByIDArray(fileIDs, file_type, page);
+        let rows = await client.query(sql, data)
             .then(res => {
                 return res.rows
             });
 
-        const count = files.length > 0 ? files[0].total : 0;
+        const count = rows.length > 0 ? rows[0].total : 0;
+        const { results: files, page: resultPage } = toPage(rows, page, file => [file.id], count);
 
         // end transaction
         await client.query('COMMIT');
 
         return {
             query: fileIDs,
-            limit: limit,
-            offset: offset,
             results: files,
-            count: count
+            count: count,
+            page: resultPage
         };
 
     } catch (err) {
@@ -121,10 +135,11 @@ export const getFileLabel = async (file, client) => {
     const {file_type = '', owner_id = '', filename = ''} = file || {};
 
     // get image owner
-    const owner = await nserve.select(sanitize(owner_id, 'integer'), client);
+    const loader = getLoader(client);
+    const owner = await loader.select('nodes', 'id', sanitize(owner_id, 'integer'));
     // check that owner node exists
     if (!owner) return '';
-    const metadata = await nserve.selectByNode(owner, client);
+    const metadata = await loader.select(owner.type, 'nodes_id', owner.id);
 
     const queriesByType = {
         historic_images: async () => {
@@ -185,6 +200,7 @@ export const get = async (id, client ) => {
         label: label,
         filename: (filename || '').replace(`_${secure_token}`, ''),
         metadata: metadata,
+        version: getVersion(metadata),
         metadata_type: await metaserve.selectByName('metadata_file_types', type, client),
         url: getImageURL(file_type, metadata),
         status: await metaserve.getStatus(owner, client),
@@ -204,22 +220,22 @@ export const get = async (id, client ) => {
 export const selectByOwner = async (id, client ) => {
 
     // get all dependent files for requested owner
-    const { sql, data } = queries.files.selectByOwner(id);
-    const { rows = [] } = await client.query(sql, data);
+    const loader = getLoader(client);
+    const rows = await loader.selectAll('files', 'owner_id', sanitize(id, 'integer'), 'updated_at DESC');
 
-    // append full data for each dependent node
+    // append full data for each dependent node (loaded together)
     let files = await Promise.all(
         rows.map(
             async (file) => {
                 const { file_type = '', filename = '' } = file || {};
-                const fileMetadata = await selectByFile(file, client);
+                const fileMetadata = await loader.select(file_type, 'files_id', file.id);
                 const { type = '', secure_token = '' } = fileMetadata || {};
                 return {
                     file: file,
                     label: await getFileLabel(file, client),
                     filename: (filename || '').replace(`_${secure_token}`, ''),
                     metadata: fileMetadata,
-                    metadata_type: await metaserve.selectByName('metadata_file_types', type, client),
+                    metadata_type: await loader.select('metadata_file_types', 'name', type, 'varchar'),
                     url: getImageURL(file_type, fileMetadata),
                 };
             }),
@@ -376,7 +392,7 @@ export const listFiles = (localPath, done=()=>{}) => {
             if (!file) return done(null, results);
             file = path.resolve(dir, file);
             fs.stat(file, function(err, stat) {
-                console.log(stat)
+                logger.debug('Listed file', {file: file, size: stat?.size})
                 if (stat && stat.isDirectory()) {
                     listFiles(file, function(err, res) {
                         results = results.concat(res);
@@ -443,21 +459,31 @@ export const insert = async (files, owner, client) => {
 };
 
 /**
- * Update file metadata in existing record.
+ * Update file metadata in existing record. Updates with a submitted
+ * version are rejected if the file metadata has changed since (see
+ * versions services).
  *
  * @public
  * @param file
  * @param metadata
  * @param client
+ * @param {String} version - submitted version (optional)
  * @return {Promise} result
  */
 
-export const update = async (file, metadata, client) => {
+export const update = async (file, metadata, client, version = undefined) => {
 
     try {
         // start transaction
         await client.query('BEGIN');
 
+        // check version of edited metadata
+        if (version !== undefined) await checkVersion(metadata, metadata.id, version, client);
+
+        // get file metadata before update (for audit log)
+        const selectQuery = queries.defaults.select(metadata)(metadata);
+        const { rows: [before = null] = [] } = await client.query(selectQuery.sql, selectQuery.data);
+
         // touch file node record
         const fileNodeQuery = queries.files.touch(file);
         await client.query(fileNodeQuery.sql, fileNodeQuery.data);
@@ -469,12 +495,24 @@ export const update = async (file, metadata, client) => {
         // update metadata record
         const metadataQuery = queries.files.update(metadata);
         let response = await client.query(metadataQuery.sql, metadataQuery.data);
+        const updated = response.hasOwnProperty('rows') && response.rows.length > 0
+            ? response.rows[0]
+            : null;
+
+        // record change in audit log
+        const { owner_id = null } = await select(metadata.id, client) || {};
+        await audit.record({
+            operation: 'update',
+            model: metadata.name,
+            id: metadata.id,
+            node_id: owner_id,
+            before: before,
+            after: updated
+        }, client);
 
         await client.query('COMMIT');
 
-        return response.hasOwnProperty('rows') && response.rows.length > 0
-            ? response.rows[0]
-            : null;
+        return updated;
 
     } catch (err) {
         await client.query('ROLLBACK');
@@ -500,10 +538,10 @@ export const download = async (res, src) => {
             readStream.pipe(res);
 
             readStream.on('error', (err) => {
-                console.warn('Error in read stream...', err);
+                logger.warn('Error in read stream...', err);
             });
             res.on('error', (err) => {
-                console.warn('Error in write stream...', err);
+                logger.warn('Error in write stream...', err);
             });
 
         } catch (err) {
@@ -622,6 +660,15 @@ export const insertFile = async (file, owner, client) => {
     const stmtFileData = queries.defaults.insert(fileItem)(fileItem);
     let modelRes = await client.query(stmtFileData.sql, stmtFileData.data);
 
+    // record file in audit log
+    await audit.record({
+        operation: 'create',
+        model: fileItem.name,
+        id: id,
+        node_id: (owner || {}).id,
+        after: (modelRes.rows || [])[0]
+    }, client);
+
     // return confirmation data
     return modelRes.hasOwnProperty('rows') && modelRes.rows.length > 0
         ? {
@@ -632,15 +679,18 @@ export const insertFile = async (file, owner, client) => {
 }
 
 /**
- * Move files to new owner (container)
+ * Move files to new owner (container). Relocated file paths are added
+ * to the moved list (if provided) so they can be restored if the
+ * enclosing transaction is rolled back.
  *
  * @src public
  * @param files
  * @param node
  * @param client
+ * @param {Array} moved - relocated file paths
  */
 
-export const moveFiles = async (files, node, client) => {
+export const moveFiles = async (files, node, client, moved = null) => {
     await Promise.all(
         // handle move for each file type
         Object.keys(files).map(async (fileType) => {
@@ -670,7 +720,10 @@ export const moveFiles = async (files, node, client) => {
                     // move file to new directory path
                     const newFileUploadPath = path.join(newFileUploadDir, tokenizedFilename);
                     // rename file path (if exists)
-                    if (fs.existsSync(oldFileUploadPath)) await rename(oldFileUploadPath, newFileUploadPath);
+                    if (fs.existsSync(oldFileUploadPath)) {
+                        await rename(oldFileUploadPath, newFileUploadPath);
+                        if (moved) moved.push({from: oldFileUploadPath, to: newFileUploadPath});
+                    }
 
                     // update owner in file metadata model
                     const FileModel = await cserve.create(file_type);
@@ -690,7 +743,96 @@ export const moveFiles = async (files, node, client) => {
 }
 
 /**
- * Delete model-type-indexed files and metadata.
+ * Copy files to new owner (container). Copies are saved with new
+ * secure tokens (including resampled image versions). Copied file
+ * paths are added to the copied list (if provided) so they can be
+ * deleted if the enclosing transaction is rolled back.
+ *
+ * @src public
+ * @param files
+ * @param node
+ * @param client
+ * @param {Array} copied - copied file paths
+ * @return {Promise} copied file records
+ */
+
+export const copyFiles = async (files, node, client, copied = null) => {
+    const copies = [];
+    for (const fileType of Object.keys(files || {})) {
+        for (const fileData of files[fileType] || []) {
+            const {metadata = {}, file = {}, url = null} = fileData || {};
+            const {image_state = '', secure_token = ''} = metadata || {};
+            const {filename = '', file_type = ''} = file || {};
+
+            // check node has file directory path
+            if (!node.getValue('fs_path') || !file.fs_path) continue;
+
+            // insert new token into filename
+            const token = genUUID();
+            const tokenizedFilename = [
+                filename.slice(0, filename.lastIndexOf('.')),
+                token,
+                filename.slice(filename.lastIndexOf('.'))
+            ].join('');
+
+            // create new directory (if does not exist)
+            const newFileNodePath = path.join(node.getValue('fs_path'), image_state || file_type);
+            const newFileUploadDir = path.join(process.env.UPLOAD_DIR, newFileNodePath);
+            await mkdir(newFileUploadDir, {recursive: true});
+
+            // copy file and resampled versions (if they exist)
+            const paths = [[
+                path.join(process.env.UPLOAD_DIR, file.fs_path),
+                path.join(newFileUploadDir, tokenizedFilename)
+            ]];
+            if (url && secure_token) Object.keys(url).forEach(key => paths.push([
+                path.join(process.env.LOWRES_PATH, `${key}_${secure_token}.jpeg`),
+                path.join(process.env.LOWRES_PATH, `${key}_${token}.jpeg`)
+            ]));
+            for (const [from, to] of paths) {
+                if (!fs.existsSync(from)) continue;
+                await copyFile(from, to);
+                if (copied) copied.push(to);
+            }
+
+            // insert file record for copy
+            const fileNode = await cserve.createFile({
+                ...file,
+                id: null,
+                owner_id: node.id,
+                owner_type: node.getValue('type'),
+                fs_path: path.join(newFileNodePath, tokenizedFilename)
+            });
+            const fileQuery = queries.files.insert(fileNode);
+            const { rows: [fileRecord] } = await client.query(fileQuery.sql, fileQuery.data);
+
+            // insert file metadata record for copy
+            const FileModel = await cserve.create(file_type);
+            const fileMetadata = new FileModel(metadata);
+            fileMetadata.id = fileRecord.id;
+            fileMetadata.owner = node.id;
+            fileMetadata.setValue('secure_token', token);
+            const metadataQuery = queries.defaults.insert(fileMetadata)(fileMetadata);
+            const { rows: [metadataRecord = null] = [] } = await client.query(metadataQuery.sql, metadataQuery.data);
+
+            // record file in audit log
+            await audit.record({
+                operation: 'create',
+                model: file_type,
+                id: fileRecord.id,
+                node_id: node.id,
+                after: metadataRecord
+            }, client);
+
+            copies.push({file: fileRecord, metadata: metadataRecord});
+        }
+    }
+    return copies;
+};
+
+/**
+ * Delete model-type-indexed files and metadata. Removed with the owner
+ * node, so the records are kept in the owner node's trash entry.
  *
  * @param files
  * @param client
@@ -704,24 +846,24 @@ export const removeAll = async (files=null, client ) => {
             async (file_type) => {
                 await Promise.all(
                     files[file_type].map( async (file) => {
-                        return await remove(file, client);
+                        return await removeRecord(file, client);
                     }));
             })
     );
 }
 
 /**
- * Delete file(s) and metadata for given file entry.
+ * Get paths of stored file(s) for given file entry (includes original
+ * or raw file and any image resampled versions).
  *
  * @param fileItem
- * @param client
- * @return Response data
+ * @return {Array} file paths
  * @public
  */
 
-export const remove = async (fileItem=null, client ) => {
+export const getFilePaths = (fileItem=null) => {
     const { file=null, url=null } = fileItem || {};
-    const { id='', fs_path='' } = file || {};
+    const { fs_path='' } = file || {};
 
     // create filepath array (include original or raw file)
     let filePaths = [path.join(process.env.UPLOAD_DIR, fs_path)];
@@ -735,13 +877,34 @@ export const remove = async (fileItem=null, client ) => {
         }, filePaths)
     }
 
-    // [1] remove file + metadata records
+    return filePaths;
+};
+
+/**
+ * Delete file and metadata records for given file entry.
+ *
+ * @param fileItem
+ * @param client
+ * @return Response data
+ * @private
+ */
+
+const removeRecord = async (fileItem=null, client ) => {
+    const { file=null, metadata = null } = fileItem || {};
+    const { id='', file_type = '', owner_id = null, filename = null } = file || {};
+
+    // remove file + metadata records
     const {sql, data} = queries.files.remove(id);
     const response = await client.query(sql, data) || [];
 
-    // [2] delete attached files
-    // - assumes file paths are to regular files.
-    // await deleteFiles(filePaths);
+    // record removal in audit log
+    await audit.record({
+        operation: 'remove',
+        model: file_type,
+        id: id,
+        node_id: owner_id,
+        before: {...metadata, filename: filename}
+    }, client);
 
     // return response data
     return response.hasOwnProperty('rows') && response.rows.length > 0
@@ -749,6 +912,33 @@ export const remove = async (fileItem=null, client ) => {
         : null;
 };
 
+/**
+ * Delete file and metadata for given file entry. The records are moved
+ * to the trash; the stored files are deleted when the trash entry is
+ * purged.
+ *
+ * @param fileItem
+ * @param client
+ * @return Response data
+ * @public
+ */
+
+export const remove = async (fileItem=null, client ) => {
+    const { file=null, label=null } = fileItem || {};
+    const { id='', file_type = '', owner_id = null } = file || {};
+
+    // [1] copy file + metadata records to trash
+    await trash.discard(
+        { model: file_type, id: id, node_id: owner_id, label: label },
+        [{ table: 'files', values: [id] }],
+        getFilePaths(fileItem),
+        client
+    );
+
+    // [2] remove file + metadata records
+    return await removeRecord(fileItem, client);
+};
+
 /**
  * Delete files from filesystem (by file paths).
  *
@@ -760,17 +950,14 @@ export const remove = async (fileItem=null, client ) => {
 export const deleteFiles = async (filePaths=[]) => {
     await Promise.all(
         filePaths.map(async (filePath) => {
-            fs.stat(filePath, async (err) => {
-                if (err == null) {
-                    return await unlink(filePath);
-                } else if (err.code === 'ENOENT') {
-                    // file does not exist (ignore)
-                    console.warn(err);
-                    return null;
-                } else {
-                    throw err;
-                }
-            });
+            try {
+                return await unlink(filePath);
+            } catch (err) {
+                // file does not exist (ignore)
+                if (err.code !== 'ENOENT') throw err;
+                logger.warn(err);
+                return null;
+            }
         })
     );
 };
@@ -789,7 +976,7 @@ export const deleteFiles = async (filePaths=[]) => {
 export const streamArchive = async (res, files={}, version, metadata={}) => {
 
     res.on('error',function(err) {
-        console.error(err);
+        logger.error(err);
         res.status(404).end();
     });
 
@@ -801,15 +988,14 @@ export const streamArchive = async (res, files={}, version, metadata={}) => {
     // listen for all archive data to be written
     // 'close' event is fired only when a file descriptor is involved
     res.on('close', function() {
-        console.log(archive.pointer() + ' total bytes');
-        console.log('archiver has been finalized and the output file descriptor has closed.');
+        logger.debug('Archive finalized', {bytes: archive.pointer()});
     });
 
     // This event is fired when the data source is drained no matter what was the data source.
     // It is not part of this library but rather from the NodeJS Stream API.
     // @see: https://nodejs.org/api/stream.html#stream_event_end
     res.on('end', function() {
-        console.log('Data has been drained');
+        logger.debug('Archive data drained');
     });
 
     // good practice to catch warnings (ie stat failures and other non-blocking errors)
@@ -877,7 +1063,7 @@ export const streamDownload = (res, buffer) => {
     // pipe stream to response
     rs.pipe(res);
     rs.on('error',function(err) {
-        console.error(err);
+        logger.error(err);
         res.status(404).end();
     });
     // pipe archive data to the file
@@ -887,7 +1073,8 @@ export const streamDownload = (res, buffer) => {
 }
 
 /**
- * Bulk download files
+ * Bulk download files. Restricted files (see visibility services)
+ * are excluded.
  *
  * @public
  * @param req
@@ -899,8 +1086,7 @@ export const streamDownload = (res, buffer) => {
 
 export const bulkDownload = async (req, res, next, version, client) => {
 
-    const offset = 0;
-    const limit = 100;
+    const page = getPage({}, maxLimit);
 
     // extract query parameters
     const {
@@ -935,6 +1121,9 @@ export const bulkDownload = async (req, res, next, version, client) => {
         // file does not exist
         if (!file) return next(new Error('invalidRequest'));
 
+        // file is restricted (private or embargoed)
+        if (isRestricted(file, req.restricted)) return next(new Error('notFound'));
+
         res.setHeader('Content-disposition', 'attachment; filename=' + filename);
         res.setHeader('Content-type', mime_type);
 
@@ -977,21 +1166,25 @@ export const bulkDownload = async (req, res, next, version, client) => {
 
     // get filtered files by ID
     const singleFile = await select(singleFileId, client);
-    const historicFiles = await filterFilesByID(historicFileIDs, 'historic_images', offset, limit);
-    const modernFiles = await filterFilesByID(modernFileIDs, 'modern_images', offset, limit);
-    const metadataFiles = await filterFilesByID(metadataFileIDs, 'metadata_files', offset, limit);
-    const supplementalFiles = await filterFilesByID(supplementalFileIDs, 'supplemental_images', offset, limit);
-    const unsortedFiles = await filterFilesByID(unsortedFileIDs, null, offset, limit);
+    const historicFiles = await filterFilesByID(historicFileIDs, 'historic_images', page);
+    const modernFiles = await filterFilesByID(modernFileIDs, 'modern_images', page);
+    const metadataFiles = await filterFilesByID(metadataFileIDs, 'metadata_files', page);
+    const supplementalFiles = await filterFilesByID(supplementalFileIDs, 'supplemental_images', page);
+    const unsortedFiles = await filterFilesByID(unsortedFileIDs, null, page);
+
+    // exclude restricted files
+    const visible = (files) => files.filter(file => !isRestricted(file, req.restricted));
+    if (singleFile && isRestricted(singleFile, req.restricted)) return next(new Error('notFound'));
 
     // stream archive data for either single file or compressed image folder
     return singleFile
         ? await streamArchive(res, {file: [singleFile]}, version)
         : await streamArchive(res, {
-            'historic_images': historicFiles.results,
-            'modern_images': modernFiles.results,
-            'unsorted_images': unsortedFiles.results,
-            'metadata_files': metadataFiles.results,
-            'supplemental_files': supplementalFiles.results,
+            'historic_images': visible(historicFiles.results),
+            'modern_images': visible(modernFiles.results),
+            'unsorted_images': visible(unsortedFiles.results),
+            'metadata_files': visible(metadataFiles.results),
+            'supplemental_files': visible(supplementalFiles.results),
         }, version);
 }
 
@@ -0,0 +1,226 @@
+/*!
+ * MLP.API.Services.Grants
+ * File: grants.services.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * Version 2.0
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * Node access grants. Role permissions decide which views a user can
+ * access; grants further limit where a user can make changes. A grant
+ * gives a user edit access to a node (e.g. a project or surveyor) and
+ * everything under it. Granting access restricts the user: restricted
+ * users can only change records within their granted subtrees and keep
+ * read access elsewhere. Users stay restricted when their grants are
+ * removed (they cannot change any records) until the restriction is
+ * lifted. Other users (and administrators) are not restricted.
+ *
+ * ---------
+ * Revisions
+ * - 19-10-2026   Initial release.
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ * @private
+ */
+
+import pool from './db.services.js';
+import queries from '../queries/index.queries.js';
+import * as nserve from './nodes.services.js';
+import { sanitize } from '../lib/data.utils.js';
+
+/**
+ * Roles not restricted by access grants.
+ *
+ * @private
+ */
+
+const unrestrictedRoles = ['super_administrator', 'administrator'];
+
+/**
+ * Initialize access grants table.
+ *
+ * @public
+ * @return {Promise} result
+ */
+
+export const init = async () => {
+    const { sql, data } = queries.grants.init();
+    await pool.query(sql, data);
+};
+
+/**
+ * Get all access grants.
+ *
+ * @public
+ * @param client
+ * @return {Promise} result
+ */
+
+export const list = async (client) => {
+    const { sql, data } = queries.grants.selectAll();
+    const { rows = [] } = await client.query(sql, data);
+    return rows;
+};
+
+/**
+ * Get access grants of user.
+ *
+ * @public
+ * @param {String} email
+ * @param client
+ * @return {Promise} result
+ */
+
+export const listByUser = async (email, client) => {
+    if (!email) return [];
+    const { sql, data } = queries.grants.selectByUser(email);
+    const { rows = [] } = await client.query(sql, data);
+    return rows;
+};
+
+/**
+ * Grant user edit access to node subtree.
+ *
+ * @public
+ * @param {Object} data - user email (or service account) and node ID
+ * @param {Object} user - granting user
+ * @param client
+ * @return {Promise} grant record
+ */
+
+export const create = async (data, user, client) => {
+
+    const { email = '', node_id = null } = data || {};
+    const fields = {};
+
+    // check submitted data
+    const nodeId = sanitize(node_id, 'integer');
+    if (!String(email).trim()) fields.email = ['Value is required.'];
+    if (!nodeId || !await nserve.select(nodeId, client)) fields.node_id = ['Node does not exist.'];
+    if (Object.keys(fields).length > 0) {
+        const err = new Error('invalidFields');
+        err.fields = fields;
+        throw err;
+    }
+
+    const grantee = String(email).trim();
+    const createdBy = (user || {}).email || null;
+
+    try {
+        await client.query('BEGIN');
+        const { sql, data: values } = queries.grants.insert({
+            email: grantee,
+            node_id: nodeId,
+            created_by: createdBy
+        });
+        const { rows = [] } = await client.query(sql, values);
+
+        // restrict user to granted subtrees
+        const restriction = queries.grants.insertRestriction(grantee, createdBy);
+        await client.query(restriction.sql, restriction.data);
+
+        await client.query('COMMIT');
+        return rows[0];
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    }
+};
+
+/**
+ * Remove access grant.
+ *
+ * @public
+ * @param id
+ * @param client
+ * @return {Promise} removed grant record (null if not found)
+ */
+
+export const remove = async (id, client) => {
+    const { sql, data } = queries.grants.remove(sanitize(id, 'integer'));
+    const { rows = [] } = await client.query(sql, data);
+    return rows.length > 0 ? rows[0] : null;
+};
+
+/**
+ * Check if user is restricted to granted subtrees.
+ *
+ * @public
+ * @param {String} email
+ * @param client
+ * @return {Promise} result
+ */
+
+export const isRestricted = async (email, client) => {
+    if (!email) return false;
+    const { sql, data } = queries.grants.selectRestriction(email);
+    const { rows = [] } = await client.query(sql, data);
+    return rows.length > 0;
+};
+
+/**
+ * Lift restriction of user and remove the user's access grants.
+ *
+ * @public
+ * @param {Object} data - user email (or service account)
+ * @param client
+ * @return {Promise} lifted restriction and removed grants (null if not restricted)
+ */
+
+export const unrestrict = async (data, client) => {
+    const { email = '' } = data || {};
+    try {
+        await client.query('BEGIN');
+        const restriction = queries.grants.removeRestriction(String(email).trim());
+        const { rows: [restricted = null] = [] } = await client.query(restriction.sql, restriction.data);
+        if (!restricted) {
+            await client.query('ROLLBACK');
+            return null;
+        }
+        const { sql, data: values } = queries.grants.removeByUser(restricted.email);
+        const { rows = [] } = await client.query(sql, values);
+        await client.query('COMMIT');
+        return { ...restricted, grants: rows };
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    }
+};
+
+/**
+ * Check that user can change node (or file) records. Changes by
+ * restricted users are only allowed if the node, or any node above it
+ * in the tree, is granted to the user. Records added at the root of the tree (no owner) are
+ * not within any granted subtree.
+ *
+ * @public
+ * @param {Object} user
+ * @param {Object} node - node or file record (null for root)
+ * @param client
+ * @return {Promise} result (throws restrictedNode error)
+ */
+
+export const authorizeNode = async (user, node, client) => {
+
+    const { email = null, role = [] } = user || {};
+    if ([].concat(role).some(r => unrestrictedRoles.includes(r))) return;
+
+    // unrestricted users can change all records
+    if (!await isRestricted(email, client)) return;
+
+    // restricted users without grants cannot change any records
+    const grants = await listByUser(email, client);
+    if (grants.length === 0) throw new Error('restrictedNode');
+
+    // get IDs of node and its owners
+    const ancestors = await nserve.getAncestors(node, client);
+
+    if (!grants.some(grant => ancestors.includes(grant.node_id)))
+        throw new Error('restrictedNode');
+};
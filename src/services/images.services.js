@@ -22,6 +22,7 @@ import {mkdir} from 'fs/promises';
 import path from 'path';
 import {genUUID} from '../lib/data.utils.js';
 import { addQueueJob } from '../../queue/worker.services.js';
+import logger, { getContext } from '../lib/logger.utils.js';
 
 /**
  * Available image version sizes 
@@ -56,9 +57,6 @@ export const saveImage = async (filename, metadata, owner, imageState, options,
     // generate unique filename ID token
     const imgToken = genUUID();
 
-    // get filename
-    const filename = 
-
     // insert token into filename
     const tokenizedFilename = [
         filename.slice(0, filename.lastIndexOf('.')),
@@ -111,14 +109,17 @@ export const saveImage = async (filename, metadata, owner, imageState, options,
         imageState: imageState,
         versions: versions,
         options: options,
+        // request ID and user for job log (and audit log) entries
+        requestId: getContext().requestId || null,
+        user: getContext().user || null,
     };
 
     // Add file to processing queue
     try {
         await queue.add(jobData);
-        console.log('Job added to queue');
+        logger.info('Job added to queue', { src: jobData.src });
     } catch (error) {
-        console.error('Error adding job to queue:', error);
+        logger.error('Error adding job to queue:', error);
         await addQueueJob(error, jobData);
     }
     
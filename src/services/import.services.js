@@ -26,6 +26,7 @@
  * ---------
  * Revisions
  * - [24-08-2024] Updated file importer module to use new version of Busboy.
+ * - [19-10-2026] Returns a promise when no callback is given; accepts JSON request bodies.
  */
 
 'use strict';
@@ -36,15 +37,33 @@ import { genUUID } from '../lib/data.utils.js';
 import fs from 'fs';
 import path from 'path';
 import { createFile } from './construct.services.js';
+import logger from '../lib/logger.utils.js';
 
 /**
  * Receive a multi-part form data and parse it into files and fields.
+ * Non-multipart requests (e.g. JSON bodies already parsed by Express)
+ * are returned as metadata without files. Returns a promise of the
+ * parsed data if no callback is provided.
  *
  * @public
  * @param {Object} req - Node request object.
  * @param {Function} [callback] - Callback function.
+ * @return {Promise|undefined} parsed data
  */
 export const receive = (req, callback) => {
+
+    if (!callback) {
+        return new Promise((resolve, reject) => {
+            receive(req, (err, result) => {
+                return err ? reject(err) : resolve(result);
+            });
+        });
+    }
+
+    if (!req.is('multipart/form-data')) {
+        return callback(null, { files: [], metadata: req.body || {} });
+    }
+
     /**
      * create busboy instance to parse form data
      */
@@ -57,7 +76,7 @@ export const receive = (req, callback) => {
      * @private
      */
     function abort(err) {
-        console.error(err)
+        logger.error(err)
         // Unpipe the request from the busboy instance
         req.unpipe(bb);
         callback(err, null);
@@ -182,7 +201,7 @@ export const onFile = (name, file, info, files, abort) => {
             }
             fileSize += data.length; // Accumulate file size
         }).on('close', () => {
-            console.log(`${Date.now()} Uploaded file [${name}] processed.`);
+            logger.info(`Uploaded file [${name}] processed.`);
         });
 
         // Add the file to the files array
@@ -193,8 +212,8 @@ export const onFile = (name, file, info, files, abort) => {
                     file_type: fileType,
                     filename: safeFilename,
                     mimetype: mimeType,
-                    owner_type='',
-                    owner_id='',
+                    owner_type: '',
+                    owner_id: '',
                     fs_path: null,
                     file_size: fileSize,
                     filename_tmp: saveTo
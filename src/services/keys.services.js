@@ -0,0 +1,186 @@
+/*!
+ * MLP.API.Services.Keys
+ * File: keys.services.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * Version 2.0
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * API keys for service accounts (headless scripts). Each key is assigned
+ * a user role, can have an expiry date and can be revoked. Keys are sent
+ * as bearer tokens in the Authorization header. Keys have the format
+ * 'mle_<prefix>_<secret>'; only a hash of the key is stored, so the key
+ * is shown only once, when it is created.
+ *
+ * ---------
+ * Revisions
+ * - 19-10-2026   Initial release.
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ * @private
+ */
+
+import crypto from 'crypto';
+import pool from './db.services.js';
+import queries from '../queries/index.queries.js';
+import { canAssignRole, getRoleData } from './users.services.js';
+import { sanitize } from '../lib/data.utils.js';
+
+/**
+ * API key format.
+ *
+ * @private
+ */
+
+const keyPattern = /^mle_([a-f0-9]{12})_([A-Za-z0-9_-]{32})$/;
+
+/**
+ * Hash API key.
+ *
+ * @private
+ * @param {String} key
+ * @return {String} hash
+ */
+
+const hash = (key) => {
+    return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+/**
+ * Initialize API keys table.
+ *
+ * @public
+ * @return {Promise} result
+ */
+
+export const init = async () => {
+    const { sql, data } = queries.keys.init();
+    await pool.query(sql, data);
+};
+
+/**
+ * Check if bearer token has the API key format.
+ *
+ * @public
+ * @param {String} token
+ * @return {Boolean} result
+ */
+
+export const isKey = (token) => {
+    return keyPattern.test(token || '');
+};
+
+/**
+ * Get all API keys.
+ *
+ * @public
+ * @param client
+ * @return {Promise} result
+ */
+
+export const list = async (client) => {
+    const { sql, data } = queries.keys.selectAll();
+    const { rows = [] } = await client.query(sql, data);
+    return rows;
+};
+
+/**
+ * Create API key for service account. Keys can only be assigned roles
+ * at or below the access of the creating user.
+ *
+ * @public
+ * @param {Object} data - name, role and expiry date (optional)
+ * @param {Object} user - creating user
+ * @param client
+ * @return {Promise} key record with key value
+ */
+
+export const create = async (data, user, client) => {
+
+    const { name = '', role = '', expires_at = null } = data || {};
+    const fields = {};
+
+    // check submitted data
+    const roles = await getRoleData() || [];
+    if (!String(name).trim()) fields.name = ['Value is required.'];
+    if (!roles.some(r => r.name === role)) fields.role = ['Value is not one of the allowed options.'];
+    else if (!canAssignRole(user, role)) fields.role = ['Role cannot exceed your own access.'];
+    if (expires_at && !(new Date(expires_at) > new Date())) fields.expires_at = ['Must be a future date.'];
+    if (Object.keys(fields).length > 0) {
+        const err = new Error('invalidFields');
+        err.fields = fields;
+        throw err;
+    }
+
+    // generate key
+    const prefix = crypto.randomBytes(6).toString('hex');
+    const key = `mle_${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+
+    const { sql, data: values } = queries.keys.insert({
+        name: String(name).trim(),
+        role: role,
+        prefix: prefix,
+        key_hash: hash(key),
+        created_by: (user || {}).email || null,
+        expires_at: expires_at ? new Date(expires_at) : null
+    });
+    const { rows = [] } = await client.query(sql, values);
+
+    return { ...rows[0], key: key };
+};
+
+/**
+ * Revoke API key.
+ *
+ * @public
+ * @param id
+ * @param client
+ * @return {Promise} revoked key record (null if not found)
+ */
+
+export const revoke = async (id, client) => {
+    const { sql, data } = queries.keys.revoke(sanitize(id, 'integer'));
+    const { rows = [] } = await client.query(sql, data);
+    return rows.length > 0 ? rows[0] : null;
+};
+
+/**
+ * Verify API key. Returns the key record for current (not expired
+ * or revoked) keys.
+ *
+ * @public
+ * @param {String} key
+ * @return {Promise} key record (null if invalid)
+ */
+
+export const verify = async (key) => {
+
+    const [, prefix = null] = keyPattern.exec(key || '') || [];
+    if (!prefix) return null;
+
+    const { sql, data } = queries.keys.selectByPrefix(prefix);
+    const { rows = [] } = await pool.query(sql, data);
+    const record = rows[0];
+    if (!record) return null;
+
+    // compare key hashes
+    const isMatch = crypto.timingSafeEqual(
+        Buffer.from(record.key_hash, 'hex'),
+        Buffer.from(hash(key), 'hex')
+    );
+    if (!isMatch || record.revoked_at) return null;
+    if (record.expires_at && new Date(record.expires_at) <= new Date()) return null;
+
+    // record key use
+    const touch = queries.keys.touch(record.id);
+    await pool.query(touch.sql, touch.data);
+
+    const { key_hash, ...keyData } = record;
+    return keyData;
+};
@@ -0,0 +1,249 @@
+/*!
+ * MLP.API.Services.Loader
+ * File: loader.services.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * Version 2.0
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * Batch loader for node and file data. Records requested while
+ * assembling a response (e.g. the metadata, files, labels and status
+ * of each capture of a station) are collected until pending requests
+ * have been made, then selected together with one query per table,
+ * instead of one query per record. Loaded records are cached by the
+ * loader, so repeated requests for the same record are not queried
+ * again.
+ *
+ * A loader is bound to a database client for the duration of a
+ * read-only operation (see withLoader). Loaders are not used to
+ * cache data across changes: outside of an operation, each
+ * request for a loader returns a new (empty) loader.
+ *
+ * ---------
+ * Revisions
+ * - 19-10-2026   Initial release.
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ * @private
+ */
+
+import queries from '../queries/index.queries.js';
+
+/**
+ * Active loaders indexed by database client.
+ *
+ * @private
+ */
+
+const loaders = new WeakMap();
+
+/**
+ * Create batch of keyed requests. Requests are queued and dispatched
+ * together once pending requests have been made; results are cached
+ * by key.
+ *
+ * @private
+ * @param {Function} loadMany - loads results for keys (returns Map)
+ * @return {Function} load function for a single key
+ */
+
+const createBatch = (loadMany) => {
+
+    const cache = new Map();
+    let queue = null;
+
+    const dispatch = async () => {
+        const requests = queue;
+        queue = null;
+        try {
+            const results = await loadMany(requests.map(({key}) => key));
+            requests.forEach(({key, resolve}) => resolve(results.has(key) ? results.get(key) : null));
+        } catch (err) {
+            // failed requests are not cached
+            requests.forEach(({key, reject}) => {
+                cache.delete(key);
+                reject(err);
+            });
+        }
+    };
+
+    return (key) => {
+        if (cache.has(key)) return cache.get(key);
+        const request = new Promise((resolve, reject) => {
+            if (!queue) {
+                queue = [];
+                setImmediate(dispatch);
+            }
+            queue.push({key, resolve, reject});
+        });
+        cache.set(key, request);
+        return request;
+    };
+};
+
+/**
+ * Batch loader constructor.
+ *
+ * @public
+ * @param client - database client
+ */
+
+export default function Loader(client) {
+
+    this.client = client;
+    this.batches = new Map();
+
+    /**
+     * Get batch for given group of requests (created on first use).
+     *
+     * @private
+     * @param {String} group
+     * @param {Function} loadMany
+     * @return {Function} load function
+     */
+
+    const getBatch = (group, loadMany) => {
+        if (!this.batches.has(group)) this.batches.set(group, createBatch(loadMany));
+        return this.batches.get(group);
+    };
+
+    /**
+     * Query rows for the given (unique) keys.
+     *
+     * @private
+     * @param {Object} query - query binding
+     * @return {Promise} rows
+     */
+
+    const query = async ({sql, data}) => {
+        const { rows = [] } = await this.client.query(sql, data);
+        return rows;
+    };
+
+    /**
+     * Load record by column value (e.g. node by ID, metadata by node ID).
+     *
+     * @public
+     * @param {String} table
+     * @param {String} column
+     * @param value
+     * @param {String} datatype - column datatype
+     * @return {Promise} record (or null)
+     */
+
+    this.select = async (table, column, value, datatype = 'integer') => {
+        if (!table || !column || value === null || value === undefined || value === '') return null;
+        const load = getBatch(`select:${table}:${column}`, async (keys) => {
+            const rows = await query(queries.loader.selectIn(table, column, keys, datatype));
+            return new Map(rows.map(row => [String(row[column]), row]));
+        });
+        return await load(String(value));
+    };
+
+    /**
+     * Load all records with column value (e.g. files by owner ID).
+     *
+     * @public
+     * @param {String} table
+     * @param {String} column
+     * @param value
+     * @param {String} order - sort order (optional)
+     * @return {Promise} records
+     */
+
+    this.selectAll = async (table, column, value, order = null) => {
+        if (!table || !column || value === null || value === undefined || value === '') return [];
+        const load = getBatch(`selectAll:${table}:${column}:${order}`, async (keys) => {
+            const rows = await query(queries.loader.selectIn(table, column, keys, 'integer', order));
+            return rows.reduce((o, row) => {
+                const key = String(row[column]);
+                if (!o.has(key)) o.set(key, []);
+                o.get(key).push(row);
+                return o;
+            }, new Map());
+        });
+        return await load(String(value)) || [];
+    };
+
+    /**
+     * Load label of node (or attached metadata record) in given
+     * label format (see metadata services getNodeLabel).
+     *
+     * @public
+     * @param {Object} item - node ID and type
+     * @param {Object} format - label columns, prefix, delimiter and ID column
+     * @return {Promise} label
+     */
+
+    this.label = async (item, format) => {
+        const { id = null, type = '' } = item || {};
+        const { cols = ['id'], prefix = null, delimiter = ' ', idCol = 'nodes_id' } = format || {};
+        if (!id || !type) return '';
+        const load = getBatch(`label:${type}:${cols.join(',')}:${prefix}:${delimiter}:${idCol}`, async (keys) => {
+            const rows = await query(queries.loader.selectLabels(type, keys, cols, prefix, delimiter, idCol));
+            return new Map(rows.map(row => [String(row.id), row.label]));
+        });
+        return (await load(String(id)) || '').trim();
+    };
+
+    /**
+     * Load status of node (stations and captures).
+     *
+     * @public
+     * @param {Object} node
+     * @return {Promise} status
+     */
+
+    this.status = async (node) => {
+        const { id = null } = node || {};
+        if (!id) return '';
+        const load = getBatch('status', async (keys) => {
+            const rows = await query(queries.tree.selectStatus(keys));
+            return new Map(rows.map(row => [String(row.id), row.status]));
+        });
+        return await load(String(id)) || '';
+    };
+}
+
+/**
+ * Get loader of client: the loader of the operation in progress on
+ * the client, or a new loader.
+ *
+ * @public
+ * @param client
+ * @return {Loader} loader
+ */
+
+export const getLoader = (client) => {
+    const { loader = null } = loaders.get(client) || {};
+    return loader || new Loader(client);
+};
+
+/**
+ * Run read-only operation with a loader bound to the client. Nested
+ * (and concurrent) operations on the same client share the loader,
+ * which is released when all operations have completed.
+ *
+ * @public
+ * @param client
+ * @param {Function} operation - receives the loader
+ * @return {Promise} result of operation
+ */
+
+export const withLoader = async (client, operation) => {
+    const active = loaders.get(client) || { loader: new Loader(client), count: 0 };
+    loaders.set(client, active);
+    active.count++;
+    try {
+        return await operation(active.loader);
+    } finally {
+        active.count--;
+        if (active.count === 0) loaders.delete(client);
+    }
+};
@@ -0,0 +1,222 @@
+/*!
+ * MLP.API.Services.Logs
+ * File: logs.services.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * Version 2.0
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * Log viewer queries. Reads the structured (JSON) log files of the API
+ * and queue worker, filters entries and returns pages of entries, newest
+ * first. Log files are streamed line by line; only the entries of the
+ * requested page are held in memory.
+ *
+ * ---------
+ * Revisions
+ * - 19-10-2026   Initial release.
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ * @private
+ */
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { levels, logDir } from '../lib/logger.utils.js';
+import { toPage } from '../lib/pagination.utils.js';
+
+/**
+ * Log file name format: <service>-<YYYY-MM-DD>.jsonl
+ *
+ * @private
+ */
+
+const logFilePattern = /^([a-z]+)-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+/**
+ * Get log filters from query parameters.
+ *
+ * @public
+ * @param {Object} query - request query parameters
+ * @return {Object} filters (throws invalidFields error)
+ */
+
+export const getFilters = (query = {}) => {
+
+    const { level = null, from = null, to = null, requestId = null, user = null, service = null } = query || {};
+    const fields = {};
+
+    const selectedLevels = level ? String(level).split(',').map(l => l.trim()) : null;
+    if (selectedLevels && selectedLevels.some(l => !levels.includes(l)))
+        fields.level = [`Must be one of: ${levels.join(', ')}.`];
+
+    const toDate = (value, key) => {
+        if (!value) return null;
+        const date = new Date(value);
+        if (isNaN(date.getTime())) {
+            fields[key] = ['Must be a valid date and time.'];
+            return null;
+        }
+        return date.toISOString();
+    };
+
+    const filters = {
+        levels: selectedLevels,
+        from: toDate(from, 'from'),
+        to: toDate(to, 'to'),
+        requestId: requestId,
+        user: user,
+        service: service
+    };
+
+    if (Object.keys(fields).length > 0) {
+        const err = new Error('invalidFields');
+        err.fields = fields;
+        throw err;
+    }
+
+    return filters;
+};
+
+/**
+ * Check if log entry matches filters.
+ *
+ * @private
+ * @param {Object} entry
+ * @param {Object} filters
+ * @return {Boolean} result
+ */
+
+const isMatch = (entry, filters) => {
+    const { levels, from, to, requestId, user } = filters || {};
+    return (!levels || levels.includes(entry.level))
+        && (!from || entry.time >= from)
+        && (!to || entry.time <= to)
+        && (!requestId || entry.requestId === requestId)
+        && (!user || entry.user === user);
+};
+
+/**
+ * Compare entry sort keys (time, id).
+ *
+ * @private
+ * @param {Array} a
+ * @param {Array} b
+ * @return {Number} comparison
+ */
+
+const compareKeys = (a, b) => {
+    if (a[0] !== b[0]) return a[0] < b[0] ? -1 : 1;
+    if (a[1] !== b[1]) return a[1] < b[1] ? -1 : 1;
+    return 0;
+};
+
+/**
+ * Get sort key of log entry.
+ *
+ * @private
+ * @param {Object} entry
+ * @return {Array} key
+ */
+
+const getKey = (entry) => [entry.time, entry.id];
+
+/**
+ * Get log files within the filtered services and dates.
+ *
+ * @private
+ * @param {Object} filters
+ * @return {Promise} file paths
+ */
+
+const getLogFiles = async (filters) => {
+    const { from, to, service } = filters || {};
+    const files = await fs.promises.readdir(logDir).catch(() => []);
+    return files
+        .map(file => [file, ...(logFilePattern.exec(file) || []).slice(1)])
+        .filter(([, fileService, date]) => {
+            return date
+                && (!service || fileService === service)
+                && (!from || date >= from.slice(0, 10))
+                && (!to || date <= to.slice(0, 10));
+        })
+        .map(([file]) => path.join(logDir, file));
+};
+
+/**
+ * Select matching entries from log file for page. Entries are written in
+ * time order, so the file is read until the page is complete (newer
+ * entries) or to the end, keeping the latest entries (older entries).
+ *
+ * @private
+ * @param {String} file
+ * @param {Object} filters
+ * @param {Object} page
+ * @return {Promise} entries
+ */
+
+const readLogFile = async (file, filters, page) => {
+
+    const { limit, direction, key } = page;
+    const size = limit + 1;
+    const entries = [];
+
+    const lines = readline.createInterface({
+        input: fs.createReadStream(file, { encoding: 'utf8' }),
+        crlfDelay: Infinity
+    });
+
+    for await (const line of lines) {
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch (err) {
+            continue;
+        }
+        if (!entry || !entry.time || !isMatch(entry, filters)) continue;
+
+        if (direction === 'prev') {
+            if (key && compareKeys(getKey(entry), key) <= 0) continue;
+            entries.push(entry);
+            if (entries.length >= size) break;
+        }
+        else {
+            if (key && compareKeys(getKey(entry), key) >= 0) break;
+            entries.push(entry);
+            if (entries.length > size) entries.shift();
+        }
+    }
+    lines.close();
+
+    return entries;
+};
+
+/**
+ * Get page of filtered log entries (newest first).
+ *
+ * @public
+ * @param {Object} filters
+ * @param {Object} page
+ * @return {Promise} results and page
+ */
+
+export const query = async (filters, page) => {
+
+    const files = await getLogFiles(filters);
+    const entries = (await Promise.all(files.map(file => readLogFile(file, filters, page)))).flat();
+
+    // previous pages are selected in ascending order (see toPage)
+    const sorted = entries.sort((a, b) => {
+        return page.direction === 'prev'
+            ? compareKeys(getKey(a), getKey(b))
+            : compareKeys(getKey(b), getKey(a));
+    });
+
+    return toPage(sorted.slice(0, page.limit + 1), page, getKey);
+};
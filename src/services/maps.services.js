@@ -12,6 +12,7 @@ import {JSDOM} from "jsdom";
 import tj from "@mapbox/togeojson";
 import pool from "./db.services.js";
 import queries from "../queries/index.queries.js";
+import logger from '../lib/logger.utils.js';
 
 /**
  * Get map objects data by node ID.
@@ -155,7 +156,7 @@ export const extractMapFeaturesFromFile = async function (file, owner) {
     // get absolute file path
     const kmzFilePath = fserve.getFilePath(file);
     // check that file exists
-    if (fs.existsSync(kmzFilePath)) console.log('File exists', kmzFilePath);
+    if (fs.existsSync(kmzFilePath)) logger.debug('File exists', {path: kmzFilePath});
     // buffer kmz file as binary data
     const dataBuffer = await fs.promises.readFile(kmzFilePath);
     const zip = await JSZip.loadAsync(dataBuffer);
@@ -0,0 +1,229 @@
+/*!
+ * MLP.API.Services.Merge
+ * File: merge.services.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * Version 2.0
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * Merge of duplicate nodes. Duplicates of a surviving node (same node
+ * type) are merged into it: dependent nodes are moved to the surviving
+ * node, attached files are moved on disk, and comparisons, participant
+ * groups, maps and glass plate listings are re-pointed to it. Selected
+ * field values of the duplicates replace the values of the surviving
+ * node. The duplicates are then removed (and kept in the trash).
+ *
+ * Merges are refused if a dependent node cannot be owned by the
+ * surviving node (node relations).
+ *
+ * ---------
+ * Revisions
+ * - 19-10-2026   Initial release.
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ * @private
+ */
+
+import queries from '../queries/index.queries.js';
+import ModelServices from './model.services.js';
+import * as cserve from './construct.services.js';
+import * as nserve from './nodes.services.js';
+import * as fserve from './files.services.js';
+import * as audit from './audit.services.js';
+import { isRelatable } from './schema.services.js';
+import { managedAttributes } from './validation.services.js';
+import { authorizeNode } from './grants.services.js';
+import { maxOperations } from './batch.services.js';
+import { sanitize } from '../lib/data.utils.js';
+
+/**
+ * Metadata records attached to nodes (re-pointed to the surviving
+ * node). Records already attached to the surviving node with the same
+ * key values are removed with the duplicate.
+ *
+ * @private
+ */
+
+const attachedReferences = [
+    { table: 'participant_groups', column: 'owner_id', keys: ['participant_id', 'group_type'] },
+    { table: 'maps', column: 'owner_id', keys: ['map_features_id'] },
+    { table: 'glass_plate_listings', column: 'owner_id', keys: [] }
+];
+
+/**
+ * Comparison references by capture type.
+ *
+ * @private
+ */
+
+const comparisonReferences = {
+    historic_captures: { table: 'comparison_indices', column: 'historic_captures', keys: ['modern_captures'] },
+    modern_captures: { table: 'comparison_indices', column: 'modern_captures', keys: ['historic_captures'] }
+};
+
+/**
+ * Get node data (without files and dependents).
+ *
+ * @private
+ * @param id
+ * @param {String} type
+ * @param client
+ * @return {Promise} node data (throws invalidMerge error)
+ */
+
+const getItem = async (id, type, client) => {
+    const itemData = await nserve.get(id, type, client, {files: false, dependents: false});
+    if (!itemData || itemData.type !== type) throw new Error('invalidMerge');
+    return itemData;
+};
+
+/**
+ * Get field values selected from the merged nodes. Fields map model
+ * attributes to the ID of the node whose value is kept.
+ *
+ * @private
+ * @param {Object} model
+ * @param {Object} fields - source node IDs indexed by field
+ * @param {Array} items - merged node data
+ * @return {Object} selected values (throws invalidFields error)
+ */
+
+const getFieldValues = (model, fields, items) => {
+    const errors = {};
+    const values = Object.keys(fields || {}).reduce((o, field) => {
+        const source = items.find(({node}) => node.id === sanitize(fields[field], 'integer'));
+        if (!model.hasAttribute(field) || managedAttributes.includes(field) || field === model.idKey)
+            errors[field] = ['Field cannot be selected.'];
+        else if (!source)
+            errors[field] = ['Value must be selected from one of the merged items.'];
+        else
+            o[field] = (source.metadata || {})[field];
+        return o;
+    }, {});
+
+    if (Object.keys(errors).length > 0) {
+        const err = new Error('invalidFields');
+        err.fields = errors;
+        throw err;
+    }
+    return values;
+};
+
+/**
+ * Re-point records referencing merged node to the surviving node.
+ *
+ * @private
+ * @param {Object} reference - table, reference column and key columns
+ * @param {Integer} fromID - merged node ID
+ * @param {Integer} toID - surviving node ID
+ * @param client
+ * @return {Promise} re-pointed records
+ */
+
+const reassign = async ({table, column, keys}, fromID, toID, client) => {
+    const { sql, data } = queries.merge.reassign(table, column, fromID, toID, keys);
+    const { rows = [] } = await client.query(sql, data);
+    return rows;
+};
+
+/**
+ * Merge duplicate nodes into surviving node. The client must be in an
+ * open transaction; the caller commits or rolls back the transaction
+ * (and restores moved files on rollback).
+ *
+ * @public
+ * @param {Object} survivor - surviving node
+ * @param {Array} ids - duplicate node IDs
+ * @param {Object} fields - source node IDs indexed by field
+ * @param {Object} context - client, user and moved file paths
+ * @return {Promise} result
+ */
+
+export const merge = async (survivor, ids, fields, context) => {
+
+    const {client, user = null, moved = []} = context || {};
+    const {type} = survivor || {};
+
+    const duplicateIDs = [...new Set((Array.isArray(ids) ? ids : []).map(id => sanitize(id, 'integer')))];
+    if (duplicateIDs.length === 0 || duplicateIDs.length > maxOperations || duplicateIDs.includes(survivor.id))
+        throw new Error('invalidMerge');
+
+    // load surviving and duplicate nodes (same node type)
+    const survivorData = await getItem(survivor.id, type, client);
+    const duplicates = [];
+    for (const id of duplicateIDs) duplicates.push(await getItem(id, type, client));
+
+    for (const {node} of [survivorData, ...duplicates]) await authorizeNode(user, node, client);
+
+    const Model = await cserve.create(type);
+    const values = getFieldValues(new Model(), fields, [survivorData, ...duplicates]);
+
+    // dependent nodes must be relatable to the surviving node
+    const dependents = [];
+    for (const {node} of duplicates) {
+        for (const dependent of await nserve.selectByOwner(node.id, client) || []) {
+            if (!await isRelatable(dependent.node.id, survivor.id, client))
+                throw new Error('restrictedByRelations');
+            dependents.push(dependent);
+        }
+    }
+
+    // update surviving node with selected field values
+    const mserve = new ModelServices(new Model(), client);
+    const item = new Model(survivorData.metadata);
+    if (Object.keys(values).length > 0) {
+        Object.keys(values).forEach(field => item.setValue(field, values[field]));
+        await mserve.update(item);
+    }
+    const survivorNode = await cserve.createNode(item, client);
+
+    // move dependent nodes (and their files) to surviving node
+    for (const {type: dependentType, metadata} of dependents) {
+        const DependentModel = await cserve.create(dependentType);
+        const dserve = new ModelServices(new DependentModel(), client, moved);
+        await dserve.move(new DependentModel(metadata), survivor, client);
+    }
+
+    let files = 0;
+    for (const {node, metadata} of duplicates) {
+
+        // move attached files
+        const attached = await fserve.selectByOwner(node.id, client) || {};
+        await fserve.moveFiles(attached, survivorNode, client, moved);
+        files += Object.values(attached).flat().length;
+
+        // re-point attached metadata and comparisons
+        for (const reference of attachedReferences) {
+            for (const record of await reassign(reference, node.id, survivor.id, client)) {
+                await audit.record({
+                    operation: 'move',
+                    model: reference.table,
+                    id: record.id,
+                    node_id: survivor.id,
+                    before: { ...record, owner_id: node.id },
+                    after: record
+                }, client);
+            }
+        }
+        if (comparisonReferences.hasOwnProperty(type))
+            await reassign(comparisonReferences[type], node.id, survivor.id, client);
+
+        // remove duplicate (remaining records are kept in the trash)
+        await mserve.remove(new Model(metadata), client);
+    }
+
+    return {
+        node_id: survivor.id,
+        type: type,
+        merged: duplicates.map(({node}) => node.id),
+        dependents: dependents.map(({node}) => node.id),
+        files: files,
+        fields: Object.keys(values)
+    };
+};
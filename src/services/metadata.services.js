@@ -13,6 +13,10 @@
  * ---------
  * Revisions
  * - 23-07-2023 Included created/updated dates for participant data.
+ * - 19-10-2026 Attached metadata and comparisons can be requested separately.
+ * - 19-10-2026 Changes to metadata records are recorded in the audit log.
+ * - 19-10-2026 Deleted metadata records are moved to the trash.
+ * - 19-10-2026 Node labels and status are loaded together (batch loader).
  */
 
 'use strict';
@@ -29,6 +33,41 @@ import * as cserve from './construct.services.js';
 import * as fserve from './files.services.js';
 import {getComparisonsMetadata} from './comparisons.services.js';
 import {getStatusTypes} from "./schema.services.js";
+import * as audit from './audit.services.js';
+import * as trash from './trash.services.js';
+import {getLoader} from './loader.services.js';
+
+/**
+ * Node status types.
+ *
+ * @private
+ */
+
+const statusTypes = ['stations', 'historic_captures', 'modern_captures'];
+
+/**
+ * Label formats by node (or attached metadata) type: label columns,
+ * prefix, delimiter and ID column.
+ *
+ * @private
+ */
+
+const nodeLabels = {
+    projects: { cols: ['name'] },
+    surveyors: { cols: ['last_name', 'given_names'], delimiter: ', ' },
+    surveys: { cols: ['name'] },
+    survey_seasons: { cols: ['year'] },
+    stations: { cols: ['name'] },
+    historic_visits: { cols: ['date'], prefix: 'Historic Visit' },
+    modern_visits: { cols: ['date'] },
+    locations: { cols: ['location_identity'], prefix: 'Loc' },
+    historic_captures: { cols: ['fn_photo_reference'] },
+    modern_captures: { cols: ['fn_photo_reference'] },
+    glass_plate_listings: { cols: ['container', 'plates'], delimiter: ', ', idCol: 'id' },
+    maps: { cols: ['nts_map'], delimiter: ', ', idCol: 'id' },
+    map_objects: { cols: ['name'] },
+    map_features: { cols: ['name'] }
+};
 
 /**
  * Get metadata by ID. Returns single metadata object.
@@ -134,9 +173,17 @@ export const getParticipantGroups = async function(ownerID, groupType, client )
 export const insert = async(item, upsert=false, client) => {
     let { sql, data } = queries.metadata.insert(item, upsert);
     let response = await client.query(sql, data);
-    return response.hasOwnProperty('rows') && response.rows.length > 0
+    const inserted = response.hasOwnProperty('rows') && response.rows.length > 0
         ? response.rows[0]
         : null;
+    if (inserted) await audit.record({
+        operation: 'create',
+        model: item.name,
+        id: inserted.id,
+        node_id: inserted.owner_id,
+        after: inserted
+    }, client);
+    return inserted;
 }
 
 /**
@@ -150,11 +197,21 @@ export const insert = async(item, upsert=false, client) => {
  */
 
 export const update = async(item, model, client) => {
+    const before = await select(item.id, item, client);
     let { sql, data } = queries.metadata.update(item);
     let response = await client.query(sql, data);
-    return response.hasOwnProperty('rows') && response.rows.length > 0
+    const updated = response.hasOwnProperty('rows') && response.rows.length > 0
         ? response.rows[0]
         : null;
+    if (updated) await audit.record({
+        operation: 'update',
+        model: item.name,
+        id: updated.id,
+        node_id: updated.owner_id,
+        before: before,
+        after: updated
+    }, client);
+    return updated;
 }
 
 /**
@@ -190,7 +247,7 @@ export const updateGroup = async (newItems, modelType, ownerID, groupType, idKey
                     newItems.length === 0 || newItems.some(pNew =>
                         parseInt(pOld[idKey]) !== parseInt(pNew[idKey])))
                 .map(async (pOld) => {
-                    return await remove(new ItemModel(pOld), client);
+                    return await removeRecord(new ItemModel(pOld), client);
                 }));
 
         // update existing participants in updated participant list
@@ -217,7 +274,7 @@ export const updateGroup = async (newItems, modelType, ownerID, groupType, idKey
 };
 
 /**
- * Delete metadata item from database.
+ * Delete metadata item from database. The item is moved to the trash.
  *
  * @param {Object} item
  * @param client
@@ -226,11 +283,39 @@ export const updateGroup = async (newItems, modelType, ownerID, groupType, idKey
  */
 
 export const remove = async(item, client) => {
+    await trash.discard(
+        { model: item.name, id: item.id, node_id: item.getValue('owner_id'), label: item.label },
+        [{ table: item.name, column: item.idKey, values: [item.id] }],
+        [],
+        client
+    );
+    return await removeRecord(item, client);
+}
+
+/**
+ * Delete metadata item record from database (e.g. replaced group
+ * members).
+ *
+ * @param {Object} item
+ * @param client
+ * @return {Function} query function / null if no node
+ * @private
+ */
+
+const removeRecord = async(item, client) => {
     let { sql, data } = queries.metadata.remove(item);
     let response = await client.query(sql, data);
-    return response.hasOwnProperty('rows') && response.rows.length > 0
+    const removed = response.hasOwnProperty('rows') && response.rows.length > 0
         ? response.rows[0]
         : null;
+    if (removed) await audit.record({
+        operation: 'remove',
+        model: item.name,
+        id: removed.id,
+        node_id: removed.owner_id,
+        before: removed
+    }, client);
+    return removed;
 }
 
 /**
@@ -252,6 +337,15 @@ export const removeGroup = async (
 ) => {
     let { sql, data } = queries.metadata.removeGroup(ownerID, modelType, groupType, 'group_type');
     let response = await client.query(sql, data);
+    for (const removed of response.rows || []) {
+        await audit.record({
+            operation: 'remove',
+            model: modelType,
+            id: removed.id,
+            node_id: removed.owner_id,
+            before: removed
+        }, client);
+    }
     return response.hasOwnProperty('rows') && response.rows.length > 0
         ? response.rows[0]
         : null;
@@ -431,13 +525,18 @@ export const getAllSettings = async function(client) {
 };
 
 /**
- * Get (any) attached metadata for node.
+ * Get (any) attached metadata for node. Attached metadata (glass plate
+ * listings, maps, participants) and comparisons can be requested
+ * separately.
  *
  * @public
+ * @param {Object} node
+ * @param client
+ * @param {Array} include - 'attached' and/or 'comparisons'
  * @return {Promise} result
  */
 
-export const getAttachedByNode = async function(node, client) {
+export const getAttachedByNode = async function(node, client, include = ['attached', 'comparisons']) {
 
     const {id=''} = node || {};
 
@@ -463,10 +562,14 @@ export const getAttachedByNode = async function(node, client) {
     }
 
     return {
-        glass_plate_listings: await getAttachedData(id, 'glass_plate_listings'),
-        maps: await getAttachedData(id, 'maps'),
-        participant_groups: await getParticipantGroups(id),
-        comparisons: await getComparisonsMetadata(node, client) || []
+        ...(include.includes('attached') ? {
+            glass_plate_listings: await getAttachedData(id, 'glass_plate_listings'),
+            maps: await getAttachedData(id, 'maps'),
+            participant_groups: await getParticipantGroups(id)
+        } : {}),
+        ...(include.includes('comparisons') ? {
+            comparisons: await getComparisonsMetadata(node, client) || []
+        } : {})
     }
 };
 
@@ -592,43 +695,8 @@ export const getModernCaptureMetadata = async function (id, client) {
  */
 
 export const getStatus = async (node, client) => {
-
-    const { id='', type = '' } = node || {};
-
-    // initialize image versions
-    const statusInfo = {
-        stations: async () => {
-            const stationMetadata = await getStationStatus(id, client);
-            if (stationMetadata.mastered) return 'mastered';
-            if (stationMetadata.partial) return 'partial';
-            if (stationMetadata.repeated) return 'repeated';
-            if (stationMetadata.located) return 'located';
-            if (stationMetadata.grouped) return 'grouped';
-            return 'unprocessed';
-        },
-        historic_captures: async () => {
-            const captureMetadata = await getHistoricCaptureMetadata(id, client);
-            if (captureMetadata.mastered) return 'mastered';
-            if (captureMetadata.partial) return 'partial';
-            if (captureMetadata.repeated) return 'repeated';
-            if (captureMetadata.missing) return 'missing';
-            if (captureMetadata.sorted) return 'sorted';
-            return 'unsorted';
-
-        },
-        modern_captures: async () => {
-            const captureMetadata = await getModernCaptureMetadata(id, client);
-            if (captureMetadata.mastered) return 'mastered';
-            if (captureMetadata.partial) return 'partial';
-            if (captureMetadata.repeated) return 'repeated';
-            if (captureMetadata.missing) return 'missing';
-            if (captureMetadata.sorted) return 'sorted';
-            return 'unsorted';
-        },
-    };
-
-    // route database callback after file upload
-    return statusInfo.hasOwnProperty(type) ? statusInfo[type]() : '';
+    const { type = '' } = node || {};
+    return statusTypes.includes(type) ? await getLoader(client).status(node) : '';
 };
 
 /**
@@ -651,71 +719,15 @@ export const getNodeLabel = async (node, files=[], client) => {
 
     const {type='', id=null} = node || {};
 
-    const queriesByType = {
-        projects: queries.metadata.selectLabel(
-            id, type, ['name']
-        ),
-        surveyors: queries.metadata.selectLabel(
-            id, type, ['last_name', 'given_names'], '', ', '
-        ),
-        surveys: queries.metadata.selectLabel(
-            id, type, ['name']
-        ),
-        survey_seasons: queries.metadata.selectLabel(id, type, ['year']
-        ),
-        stations: queries.metadata.selectLabel(
-            id, type, ['name']
-        ),
-        historic_visits: queries.metadata.selectLabel(
-            id, type, ['date'], 'Historic Visit'
-        ),
-        modern_visits: queries.metadata.selectLabel(
-            id, type, ['date'], ''
-        ),
-        locations: queries.metadata.selectLabel(
-            id, type, ['location_identity'], 'Loc'
-        ),
-        historic_captures: queries.metadata.selectLabel(
-            id, type, ['fn_photo_reference'], ''
-        ),
-        modern_captures: queries.metadata.selectLabel(
-            id, type, ['fn_photo_reference'], ''
-        ),
-        glass_plate_listings: queries.metadata.selectLabel(
-            id, type, ['container', 'plates'], '', ', ', 'id'
-        ),
-        maps: queries.metadata.selectLabel(
-            id, type, ['nts_map'], '', ', ', 'id'
-        ),
-        map_objects: queries.metadata.selectLabel(
-            id, type, ['name'], '', ' '
-        ),
-        map_features: queries.metadata.selectLabel(
-            id, type, ['name'], '', ' '
-        ),
-    };
-
-    if (queriesByType.hasOwnProperty(type)) {
-        let { sql, data } = queriesByType[type];
+    if (nodeLabels.hasOwnProperty(type)) {
+        const loader = getLoader(client);
 
         // get model label value
-        label = await client.query(sql, data)
-            .then(res => {
-                return res.hasOwnProperty('rows')
-                && res.rows.length > 0 ? res.rows[0].label.trim() : '';
-            });
+        label = await loader.label(node, nodeLabels[type]);
 
         // Handle problematic Surveyor Labels
         if (type === 'surveyors' && label === '') {
-            // get model label value
-            let { sql, data } = queries.metadata.selectLabel(
-                id, type, ['affiliation'], '', ', '
-            );
-            label = await client.query(sql, data)
-                .then(res => {
-                    return res.hasOwnProperty('rows')
-                    && res.rows.length > 0 ? res.rows[0].label.trim() : '';
-                });
+            label = await loader.label(node, {cols: ['affiliation'], delimiter: ', '});
         }
 
         // For captures, check if photo reference label is missing. If so, use
@@ -733,4 +745,3 @@ export const getNodeLabel = async (node, files=[], client) => {
     }
     return label;
 };
-
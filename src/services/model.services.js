@@ -18,20 +18,37 @@ import * as nqueries from '../queries/nodes.queries.js';
 import * as cserve from '../services/construct.services.js';
 import {moveFiles, removeAll} from "./files.services.js";
 import * as fserve from "./files.services.js";
+import logger from '../lib/logger.utils.js';
+import * as audit from './audit.services.js';
+import * as trash from './trash.services.js';
+import {deleteComparisons} from './comparisons.services.js';
+import {getNodeLabel} from './metadata.services.js';
+import * as revisions from './revisions.services.js';
 
 /**
- * Export database model services constructor
+ * Export database model services constructor. Services created with a
+ * client run their statements within the client's open transaction
+ * (e.g. batch operations) instead of committing each change. Inserts,
+ * updates, moves and removals are recorded in the audit log; removed
+ * records are kept in the trash. Updates are stored as node revisions.
  *
  * @public
  * @param {Object} model
+ * @param client - client in open transaction (optional)
+ * @param {Array} moved - list of relocated file paths (optional)
  * @return {Promise} result
  */
 
-export default function ModelServices(model) {
+export default function ModelServices(model, client = null, moved = []) {
 
     this.model = model;
+    this.client = client;
     this.queries = {};
 
+    // file paths relocated by moves (recorded as each file is moved, so
+    // callers can restore them when a later operation fails)
+    this.moved = moved;
+
     // initialize query strings for specified model
     try {
 
@@ -101,7 +118,7 @@ export default function ModelServices(model) {
         };
 
         // execute transaction
-        return await this.transact(item, stmts);
+        return await this.transact(item, stmts, 'create');
     };
 
     /**
@@ -122,7 +139,7 @@ export default function ModelServices(model) {
         // execute transaction
         // stmts.node: update node entry
         // stmts.model: update model data entry
-        return await this.transact(item, stmts);
+        return await this.transact(item, stmts, 'update');
     };
 
     /**
@@ -141,7 +158,7 @@ export default function ModelServices(model) {
         // get attached files
         const files = await fserve.selectByOwner(item.id, client) || [];
         // generate node model from item reference
-        const node = await cserve.createNode(item);
+        const node = await cserve.createNode(item, client);
 
         let stmts = {
             /**
@@ -159,18 +176,19 @@ export default function ModelServices(model) {
              * @return {Promise} result
              */
             files: async(client) => {
-                await moveFiles(files, node, client);
+                await moveFiles(files, node, client, this.moved);
             }
         };
 
         // execute transaction
-        return await this.transact(item, stmts);
+        return await this.transact(item, stmts, 'move');
     };
 
 
     /**
      * Remove record. Note: need to delete any dependent files/metadata
-     * before removing node.
+     * before removing node. The node, its metadata, attached files and
+     * capture comparisons are moved to the trash.
      *
      * @public
      * @param item
@@ -181,71 +199,151 @@ export default function ModelServices(model) {
     this.remove = async function(item=[], client) {
         // get attached files
         const files = await fserve.selectByOwner(item.id, client) || [];
+        const attached = Object.values(files).flat();
 
         let stmts = {
             node: nqueries.remove,
             model: this.queries.remove,
             files: async (client)=>{
+                const node = { id: item.id, type: this.model.name };
+                await trash.discard(
+                    { model: node.type, id: node.id, node_id: node.id, label: await getNodeLabel(node, [], client) },
+                    [
+                        { table: 'nodes', values: [item.id] },
+                        { table: 'files', values: attached.map(({file}) => file.id) }
+                    ],
+                    attached.map(fserve.getFilePaths).flat(),
+                    client
+                );
+                if (['historic_captures', 'modern_captures'].includes(node.type))
+                    await deleteComparisons(node, client);
                 await removeAll(files, client);
             }
         };
 
         // execute transaction
-        return await this.transact(item, stmts);
+        return await this.transact(item, stmts, 'remove');
     };
 
 
     /**
-     * Perform transaction query.
+     * Get current record data (for audit log).
      *
      * @param {Object} item
-     * @param {Object} statements
+     * @param client
+     * @return {Promise} record data
+     */
+
+    const snapshot = async (item, client) => {
+        const { sql, data } = this.queries.select(item);
+        const { rows = [] } = await client.query(sql, data);
+        return rows[0] || null;
+    };
+
+    /**
+     * Execute transaction statements with client. Changes made by
+     * audited operations are recorded in the audit log.
+     *
+     * @param {Object} item
+     * @param {Object} stmts
+     * @param client
+     * @param {String} operation - audited operation (optional)
      * @return {Promise} db response
      */
 
-    this.transact = async function(item, stmts) {
+    const execute = async (item, stmts, client, operation = null) => {
 
-        const client = await pool.connect();
+        // transaction result
+        let res;
 
-        try {
+        // get record data before change
+        const before = operation && operation !== 'create' ? await snapshot(item, client) : null;
+
+        // [1] process file queries (if provided)
+        if (stmts.files) {
+            res = await stmts.files(client);
+        }
 
-            // transaction result
-            let res;
+        // [2] process node query (if provided)
+        if (stmts.node) {
 
-            await client.query('BEGIN');
+            // create node model from item reference
+            let node = await cserve.createNode(item, client);
 
-            // [1] process file queries (if provided)
-            if (stmts.files) {
-                res = await stmts.files(client);
-            }
+            // generate prepared statements collated with data
+            const {sql, data} = stmts.node(node);
+            logger.debug('Node query', {sql: sql, data: data});
+            res = await client.query(sql, data);
 
-            // [2] process node query (if provided)
-            if (stmts.node) {
+            // update item with returned data for further processing
+            item.id = res.rows[0].id;
+        }
 
-                // create node model from item reference
-                let node = await cserve.createNode(item);
+        // [3] process model data query (if provided)
+        if (stmts.model) {
+            const { sql, data } = stmts.model(item);
+            res = await client.query(sql, data);
+        }
 
-                // generate prepared statements collated with data
-                const {sql, data} = stmts.node(node);
-                console.log(sql, data)
-                res = await client.query(sql, data);
+        // [4] record change in audit log
+        if (operation) {
+            await audit.record({
+                operation: operation,
+                model: this.model.name,
+                id: item.id,
+                node_id: item.id,
+                before: before,
+                after: operation !== 'remove' ? await snapshot(item, client) : null
+            }, client);
+        }
 
-                // update item with returned data for further processing
-                item.id = res.rows[0].id;
-            }
+        // return confirmation data
+        return res.hasOwnProperty('rows') && res.rows.length > 0
+            ? res.rows[0]
+            : null;
+    };
 
-            // [3] process model data query (if provided)
-            if (stmts.model) {
-                const { sql, data } = stmts.model(item);
-                res = await client.query(sql, data);
-            }
+    /**
+     * Execute transaction statements with client. Updates are tracked
+     * as node revisions (see revisions services).
+     *
+     * @param {Object} item
+     * @param {Object} stmts
+     * @param client
+     * @param {String} operation - audited operation (optional)
+     * @return {Promise} db response
+     */
+
+    const run = async (item, stmts, client, operation = null) => {
+        if (operation !== 'update') return await execute(item, stmts, client, operation);
+        return await revisions.track({ id: item.id, type: this.model.name }, client,
+            async () => await execute(item, stmts, client, operation));
+    };
+
+    /**
+     * Perform transaction query.
+     *
+     * @param {Object} item
+     * @param {Object} statements
+     * @param {String} operation - audited operation (optional)
+     * @return {Promise} db response
+     */
+
+    this.transact = async function(item, stmts, operation = null) {
+
+        // run within enclosing transaction
+        if (this.client) return await run(item, stmts, this.client, operation);
 
+        const client = await pool.connect();
+
+        try {
+
+            await client.query('BEGIN');
+            const res = await run(item, stmts, client, operation);
             await client.query('COMMIT');
 
             // return confirmation data
-            return res.hasOwnProperty('rows') && res.rows.length > 0
-                ? res.rows[0]
-                : null;
+            return res;
 
         } catch (err) {
             await client.query('ROLLBACK');
@@ -255,4 +353,3 @@ export default function ModelServices(model) {
         }
     };
 }
-
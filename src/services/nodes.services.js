@@ -15,10 +15,21 @@
 import pool from './db.services.js';
 import queries from '../queries/index.queries.js';
 import {mapToObj, sanitize} from '../lib/data.utils.js';
+import {toPage} from '../lib/pagination.utils.js';
 import * as mserve from './metadata.services.js';
 import {getCaptureImage, getStatus} from './metadata.services.js';
 import * as fserve from './files.services.js';
 import {getFileLabel} from './files.services.js';
+import {getLoader, withLoader} from './loader.services.js';
+import {getVersion} from './versions.services.js';
+
+/**
+ * Capture node types (reference images are selected from capture files).
+ *
+ * @private
+ */
+
+const captureTypes = ['historic_captures', 'modern_captures'];
 
 /**
  * Get node by ID. Returns single node object.
@@ -58,40 +69,52 @@ export const selectByNode = async (node, client) => {
 
 /**
  * Get node + data + dependents by ID. Returns single node object.
+ * Attached files and dependent nodes can be omitted to reduce the
+ * response size (capture files are still loaded for the reference image).
+ * Records of dependent nodes are loaded together (see loader services).
  *
  * @public
  * @param {integer} id
  * @param type
  * @param client
+ * @param {Object} options - include files/dependents
  * @return {Promise} result
  */
 
-export const get = async (id, type, client) => {
+export const get = async (id, type, client, options = {}) => {
 
-        if (!id) return null;
+    const { files: withFiles = true, dependents: withDependents = true } = options || {};
+
+    if (!id) return null;
+
+    return await withLoader(client, async (loader) => {
 
         // get requested node by ID
-        const node = await select(id, client);
+        const node = await loader.select('nodes', 'id', sanitize(id, 'integer'));
 
         // check that node exists and node type matches
         if (!node || type !== node.type) return null;
 
         // get node model metadata
-        const metadata = await selectByNode(node, client);
-        const files = await fserve.selectByOwner(id, client) || [];
+        const metadata = await loader.select(node.type, 'nodes_id', node.id);
+        const files = withFiles || captureTypes.includes(node.type)
+            ? await fserve.selectByOwner(node.id, client) || []
+            : {};
 
         // append model data, files and dependents (child nodes)
         return {
             type: node.type,
             node: node,
             metadata: metadata,
+            version: getVersion(metadata),
             label: await mserve.getNodeLabel(node, files, client),
-            files: files,
+            ...(withFiles ? { files: files } : {}),
             refImage: getCaptureImage(files, node),
-            dependents: await selectByOwner(id, client) || [],
-            hasDependents: await hasDependents(id, client),
+            ...(withDependents ? { dependents: await selectByOwner(node.id, client, { files: withFiles }) || [] } : {}),
+            hasDependents: await hasDependents(node.id, client),
             status: await getStatus(node, client),
         }
+    });
 };
 
 /**
@@ -123,112 +146,177 @@ export const getMap = async function(client) {
 }
 
 /**
- * Get all nodes for top-level node tree. Includes dependents data.
+ * Get all nodes for top-level node tree. Labels, dependents and status
+ * are selected for all nodes of the level at once.
  *
  * @public
  * @param {String} model
+ * @param {Object} restricted - restricted records (excluded from tree)
  * @return {Promise} result
  */
 
-export const getTree = async function(model) {
+export const getTree = async function(model, restricted = null) {
 
     // NOTE: client undefined if connection fails.
     const client = await pool.connect();
 
     try {
 
-        // start transaction
-        await client.query('BEGIN');
-
-        // get all nodes for model
-        let { sql, data } = queries.nodes.selectByModel(model);
-        let nodes = await client.query(sql, data)
-            .then(res => {
-                return res.rows
-            });
-
-        // append model data and dependents (child nodes)
-        let items = await Promise.all(
-            nodes.map(async (node) => {
-                const metadata = await selectByNode(node, client);
-                return {
-                    node: node,
-                    label: await mserve.getNodeLabel(node, [], client),
-                    type: node.type,
-                    metadata: metadata,
-                    hasDependents: await hasDependents(node.id, client) || false,
-                    status: await getStatus(node, client)
-                }
-            })
-        );
+        const { results } = await getLevel({type: model}, 1, null, restricted, client);
 
-        // end transaction
-        await client.query('COMMIT');
+        // append model data
+        let { sql, data } = queries.tree.selectMetadata(model, results.map(({node}) => node.id));
+        const { rows = [] } = await client.query(sql, data);
+        const metadata = new Map(rows.map(row => [row.nodes_id, row]));
 
-        // return nodes
-        return items;
+        return results.map(item => ({ ...item, metadata: metadata.get(item.node.id) || {} }));
 
-    } catch (err) {
-        await client.query('ROLLBACK');
-        throw err;
     } finally {
         await client.release(true);
     }
 };
 
+/**
+ * Collate nested tree items from selected node rows (owners before
+ * dependents). Items below the requested depth include their
+ * dependents; rows of nodes without a selected owner are omitted.
+ *
+ * @private
+ * @param {Array} roots - rows of top-level nodes
+ * @param {Array} rows - rows of dependent nodes
+ * @param {Number} depth - levels of nodes
+ * @return {Array} tree items
+ */
+
+const toTree = (roots, rows, depth) => {
+    const items = new Map();
+    const toItem = ({label, total, depth: level, n_dependents, status, ...node}) => {
+        const item = {
+            node: node,
+            label: label,
+            type: node.type,
+            status: status,
+            dependents_count: n_dependents,
+            hasDependents: n_dependents > 0,
+            ...(level < depth ? { dependents: [] } : {})
+        };
+        items.set(node.id, item);
+        return item;
+    };
+    const tree = roots.map(toItem);
+    rows.forEach(row => {
+        const { dependents = null } = items.get(row.owner_id) || {};
+        if (dependents) dependents.push(toItem(row));
+    });
+    return tree;
+};
+
+/**
+ * Get level of node hierarchy: dependents of owner (or root nodes of
+ * given type) with their dependents up to the given depth, sorted by
+ * label. Levels are paginated if a page is requested.
+ *
+ * @public
+ * @param {Object} level - owner ID or root node type
+ * @param {Number} depth - levels of nodes
+ * @param {Object} page - requested page (optional)
+ * @param {Object} restricted - restricted records (excluded from tree)
+ * @param client
+ * @return {Promise} results and page
+ */
+
+export const getLevel = async (level, depth, page, restricted, client) => {
+    const excluded = restricted ? [...restricted.nodes] : [];
+    const { sql, data } = queries.tree.selectLevel(level, depth, page, excluded);
+    const { rows = [] } = await client.query(sql, data);
+
+    // level rows are selected in page order
+    const levelRows = rows.filter(row => row.depth === 1);
+    if (page && page.direction === 'prev') levelRows.reverse();
+    const dependentRows = rows.filter(row => row.depth > 1);
+
+    if (!page) return { results: toTree(levelRows, dependentRows, depth), page: null };
+
+    const { total = 0 } = levelRows[0] || {};
+    const { results, page: resultsPage } = toPage(levelRows, page, row => [row.label, row.id], total);
+    return { results: toTree(results, dependentRows, depth), page: resultsPage };
+};
+
+/**
+ * Get outline of node subtree: node and all dependent nodes with
+ * labels and dependent counts.
+ *
+ * @public
+ * @param {Object} node
+ * @param {Object} restricted - restricted records (excluded from outline)
+ * @param client
+ * @return {Promise} outline (nested)
+ */
+
+export const getOutline = async (node, restricted, client) => {
+    const excluded = restricted ? [...restricted.nodes] : [];
+    const { sql, data } = queries.tree.selectOutline(node.id, excluded);
+    const { rows = [] } = await client.query(sql, data);
+    const [root = null] = toTree(rows.slice(0, 1), rows.slice(1), Infinity);
+    return root;
+};
+
 /**
  * Get referenced child node(s) by parent ID value.
- * Use within a client transaction.
+ * Use within a client transaction. Attached files can be omitted
+ * (capture files are still loaded for the reference image).
  *
  * @public
  * @param {integer} id
  * @param client
+ * @param {Object} options - include files
  * @return {Promise} result
  */
 
-export const selectByOwner = async (id, client) => {
+export const selectByOwner = async (id, client, options = {}) => {
+
+    const { files: withFiles = true } = options || {};
 
     id = sanitize(id, 'integer');
 
-    // get dependent nodes for owner
-    let { sql, data } = queries.nodes.selectByOwner(id);
-    let nodes = await client.query(sql, data)
-        .then(res => {
-            return res.rows
-        });
+    return await withLoader(client, async (loader) => {
 
-    // append full data for each dependent node
-    nodes = await Promise.all(
-        nodes.map(async (node) => {
-            const metadata = await selectByNode(node, client);
-            const files = await fserve.selectByOwner(node.id, client);
-            return {
-                node: node,
-                label: await mserve.getNodeLabel(node, [], client),
-                type: node.type,
-                metadata: metadata,
-                files: files,
-                refImage: getCaptureImage(files, node),
-                hasDependents: await hasDependents(node.id, client),
-                status: await getStatus(node, client)
-            }
-    }));
+        // get dependent nodes for owner
+        const nodes = await loader.selectAll('nodes', 'owner_id', id);
 
-    // return nodes
-    return nodes;
+        // append full data for each dependent node (loaded together)
+        return await Promise.all(
+            nodes.map(async (node) => {
+                const metadata = await loader.select(node.type, 'nodes_id', node.id);
+                const files = withFiles || captureTypes.includes(node.type)
+                    ? await fserve.selectByOwner(node.id, client)
+                    : {};
+                return {
+                    node: node,
+                    label: await mserve.getNodeLabel(node, [], client),
+                    type: node.type,
+                    metadata: metadata,
+                    ...(withFiles ? { files: files } : {}),
+                    refImage: getCaptureImage(files, node),
+                    hasDependents: await hasDependents(node.id, client),
+                    status: await getStatus(node, client)
+                }
+        }));
+    });
 
 };
 
 
 /**
- * Get list of requested nodes by IDs.
+ * Get page of requested nodes by IDs.
  *
  * @public
- * @params {Object} inputNode
+ * @param {Array} nodeIDs
+ * @param {Object} page
  * @return {Promise} result
  */
 
-export const filterNodesByID = async (nodeIDs, offset, limit) => {
+export const filterNodesByID = async (nodeIDs, page) => {
 
     if (!nodeIDs) return null;
 
@@ -240,30 +328,32 @@ export const filterNodesByID = async (nodeIDs, offset, limit) => {
         await client.query('BEGIN');
 
         // get filtered nodes
-        let { sql, data } = queries.nodes.filterByIDArray(nodeIDs, offset, limit);
-        let nodes = await client.query(sql, data)
+        let { sql, data } = queries.nodes.filterByIDArray(nodeIDs, page);
+        let rows = await client.query(sql, data)
             .then(res => {
                 return res.rows
             });
 
-        const count = nodes.length > 0 ? nodes[0].total : 0;
+        const count = rows.length > 0 ? rows[0].total : 0;
+        const { results: nodes, page: resultPage } = toPage(rows, page, node => [node.id], count);
 
         // append model data and dependents (child nodes)
-        let items = await Promise.all(
-            nodes.map(async (node) => {
-                return await get(node.id, node.type, client);
-            })
-        );
+        let items = await withLoader(client, async () => {
+            return await Promise.all(
+                nodes.map(async (node) => {
+                    return await get(node.id, node.type, client);
+                })
+            );
+        });
 
         // end transaction
         await client.query('COMMIT');
 
         return {
             query: nodeIDs,
-            limit: limit,
-            offset: offset,
             results: items,
-            count: count
+            count: count,
+            page: resultPage
         };
 
     } catch (err) {
@@ -283,14 +373,40 @@ export const filterNodesByID = async (nodeIDs, offset, limit) => {
  * @return {Promise}
  */
 
-const hasDependents = async function(id, client) {
-    let { sql, data } = queries.nodes.hasDependent(id);
-    return await client.query(sql, data)
-        .then(res => {
-            return res.hasOwnProperty('rows') && res.rows.length > 0
-                ? res.rows[0].exists
-                : false;
-    });
+export const hasDependents = async function(id, client) {
+    const dependents = await getLoader(client).selectAll('nodes', 'owner_id', id);
+    return dependents.length > 0;
+};
+
+/**
+ * Get IDs of node and its owners, following the same owner
+ * traversal as node paths (see getPath) with the given client, so
+ * nodes created in an open transaction are included. File owners
+ * are the first node in the list.
+ *
+ * @public
+ * @params {Object} inputNode - node or file record
+ * @param client
+ * @return {Promise} node IDs (leaf first)
+ */
+
+export const getAncestors = async (inputNode, client) => {
+
+    if (!inputNode) return [];
+
+    const isFile = inputNode.hasOwnProperty('file_type');
+    const ancestors = isFile ? [] : [inputNode.id];
+    let { owner_id = null } = inputNode;
+
+    // limit traversal of node tree to 9 iterations
+    for (let n = 1; owner_id && n < 9; n++) {
+        const owner = await select(owner_id, client);
+        if (!owner) break;
+        ancestors.push(owner.id);
+        owner_id = owner.owner_id;
+    }
+
+    return ancestors;
 };
 
 /**
@@ -0,0 +1,243 @@
+/*!
+ * MLP.API.Services.Providers.KeyCloak
+ * File: keycloak.provider.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * Version 2.0
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * KeyCloak authentication provider. Users sign in with the OpenID
+ * Connect password grant; access tokens are verified locally with the
+ * realm signing keys (see tokens services).
+ *
+ * ---------
+ * Revisions
+ * - 19-10-2026   Moved from authentication services.
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ * @private
+ */
+
+import jwt from 'jsonwebtoken';
+import fetch from 'node-fetch';
+import * as tokens from '../tokens.services.js';
+import logger from '../../lib/logger.utils.js';
+
+/**
+ * Provider name.
+ *
+ * @public
+ */
+
+export const name = 'keycloak';
+
+/**
+ * KeyCloak Settings (set in ENV)
+ * Check endpoints at http://localhost:8080/auth/realms/MLP-Explorer/.well-known/openid-configuration
+ * @private
+ */
+
+const settings = {
+    serverURL: process.env.KC_SERVER_URL,
+    realm: process.env.KC_REALM,
+    clientId: process.env.KC_CLIENT_ID,
+    clientSecret: process.env.KC_CLIENT_SECRET,
+    grantType: 'password',
+    ssl: "external",
+    bearerOnly: true
+}
+
+/**
+ * Compose request urls (KeyCloak endpoints)
+ *
+ * @private
+ */
+
+const kcBaseURL = `${settings.serverURL}/realms/${settings.realm}/protocol/openid-connect`
+const kcTokenURL = `${kcBaseURL}/token`;
+const kcLogoutURL = `${kcBaseURL}/logout`;
+
+/**
+ * Compose authentication request.
+ *
+ * @public
+ */
+
+export function getOpts(payload=null, method='POST') {
+
+    // compose request headers/options
+    const opts = {
+        method: method,
+        mode: 'cors',
+        cache: 'no-cache',
+        credentials: 'same-origin', // to include cookie data
+        headers: {
+            'Content-Type': 'application/x-www-form-urlencoded;charset=UTF-8'
+        },
+        redirect: 'follow',
+        referrerPolicy: 'no-referrer',
+    };
+
+    // add GET payload (if exists)
+    if (payload) {
+        // request access token
+        opts.body = Object.keys(payload)
+            .map(key => {
+                const encodedKey = encodeURIComponent(key);
+                const encodedValue = encodeURIComponent(payload[key]);
+                return `${encodedKey}=${encodedValue}`;
+            })
+            .join("&");
+    }
+
+    return opts;
+}
+
+/**
+ * Get user email and client roles from access token payload.
+ *
+ * @private
+ * @param {Object} decoded - token payload
+ * @return {Object} user email and roles
+ */
+
+const getUserData = (decoded) => {
+    const { roles = [] } = ((decoded || {}).resource_access || {})[settings.clientId] || {};
+    return { email: (decoded || {}).email, roles: roles };
+};
+
+/**
+ * Initialize provider.
+ *
+ * @public
+ * @return {Promise} result
+ */
+
+export const init = async () => {};
+
+/**
+ * Authenticate user password. Returns tokens on successful
+ * authentication of password.
+ *
+ * @public
+ * @param {Object} credentials
+ * @return {Promise} tokens, user email and roles
+ */
+
+export const authenticate = async ({email:email, password:password}) => {
+
+    // Prepare credentials for openid-connect token request
+    // ref: http://openid.net/specs/openid-connect-core-1_0.html#TokenEndpoint
+    const payload = {
+        username: email,
+        password: password,
+        grant_type: settings.grantType,
+        client_secret: settings.clientSecret,
+        client_id: settings.clientId
+    };
+
+    // send request to API
+    let data = await fetch(kcTokenURL, getOpts(payload))
+        .then(response => response.json())
+        .then(data => {
+            const { error=null } = data || {};
+            if (error) {
+                throw error;
+            }
+            return data
+        })
+        .catch(err => {
+            logger.error('KeyCloak error:', err);
+            throw new Error('invalidCredentials');
+        });
+
+    if (!data) return null;
+
+    // decode KeyCloak JWT token (received from the token endpoint)
+    const { access_token='' } = data || {};
+    return { ...data, ...getUserData(jwt.decode(access_token)) };
+}
+
+/**
+ * Verify access token with the realm signing keys.
+ *
+ * @public
+ * @param {String} access_token
+ * @return {Promise} user email and roles (null if expired)
+ */
+
+export const verify = async (access_token) => {
+    const decoded = await tokens.verify(access_token);
+    return decoded ? getUserData(decoded) : null;
+};
+
+/**
+ * Refresh tokens with KeyCloak server.
+ *
+ * @public
+ * @param {String} refresh_token
+ * @return {Promise} tokens, user email and roles (null if session is not active)
+ */
+
+export const refresh = async (refresh_token) => {
+
+    const payload = {
+        grant_type: 'refresh_token',
+        client_secret: settings.clientSecret,
+        client_id: settings.clientId,
+        refresh_token: refresh_token
+    };
+
+    // request options for refresh (KeyCloak API)
+    const opts = getOpts(payload, 'POST');
+
+    // refresh token via KeyCloak endpoint
+    let data = await fetch(kcTokenURL, opts)
+        .then(res => {
+            // token is invalid or session is not active
+            if (!res || res.status !== 200) throw new Error('noauth');
+            return res
+        })
+        .then(res => res.json())
+        .catch(err => {
+            logger.warn('KeyCloak error:', err);
+            return null;
+        });
+
+    if (!data) return null;
+
+    // decode KeyCloak JWT token (received from the token endpoint)
+    const { access_token = '' } = data || {};
+    return { ...data, ...getUserData(jwt.decode(access_token)) };
+}
+
+/**
+ * Logout user session from KeyCloak.
+ *
+ * @public
+ * @param {String} access_token
+ * @param {String} refresh_token
+ * @return {Promise} result
+ */
+
+export const logout = async (access_token, refresh_token) => {
+
+    const payload = {
+        client_secret: settings.clientSecret,
+        client_id: settings.clientId,
+        refresh_token: refresh_token
+    };
+
+    // request options for logout (KeyCloak API)
+    const opts = getOpts(payload, 'POST');
+
+    // send logout request to KeyCloak endpoint
+    const res = await fetch(kcLogoutURL, opts);
+    return res.status === 204;
+}
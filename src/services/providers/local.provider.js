@@ -0,0 +1,240 @@
+/*!
+ * MLP.API.Services.Providers.Local
+ * File: local.provider.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * Version 2.0
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * Local authentication provider for deployments without KeyCloak. Users
+ * are stored in the user accounts table. Signing in starts a session and
+ * returns a short-lived access token and a refresh token (JWTs signed
+ * with AUTH_SECRET, or COOKIE_SECRET if not set). Access tokens are only
+ * accepted while their session is active, so signing out or removing
+ * the account ends access immediately; role changes apply to the next
+ * request.
+ *
+ * Settings (ENV):
+ * - AUTH_SECRET: token signing secret (default: COOKIE_SECRET)
+ * - AUTH_TOKEN_TTL: access token lifetime in seconds (default 300)
+ * - AUTH_SESSION_TTL: session (refresh token) lifetime in seconds (default 28800)
+ *
+ * ---------
+ * Revisions
+ * - 19-10-2026   Initial release.
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ * @private
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import pool from '../db.services.js';
+import queries from '../../queries/index.queries.js';
+import * as accounts from '../accounts.services.js';
+
+/**
+ * Provider name.
+ *
+ * @public
+ */
+
+export const name = 'local';
+
+/**
+ * Token issuer.
+ *
+ * @private
+ */
+
+const issuer = 'mle-api';
+
+/**
+ * Password hash compared when the account does not exist (keeps
+ * response times for unknown and known emails alike).
+ *
+ * @private
+ */
+
+let placeholderHash = null;
+
+/**
+ * Get provider settings.
+ *
+ * @private
+ * @return {Object} settings
+ */
+
+const getSettings = () => {
+    return {
+        secret: process.env.AUTH_SECRET || process.env.COOKIE_SECRET,
+        tokenTTL: parseInt(process.env.AUTH_TOKEN_TTL) || 300,
+        sessionTTL: parseInt(process.env.AUTH_SESSION_TTL) || 28800
+    };
+};
+
+/**
+ * Initialize provider (user account tables).
+ *
+ * @public
+ * @return {Promise} result
+ */
+
+export const init = async () => {
+    if (!getSettings().secret) throw new Error('Local authentication requires AUTH_SECRET or COOKIE_SECRET.');
+    await accounts.init();
+};
+
+/**
+ * Issue access and refresh tokens for session.
+ *
+ * @private
+ * @param {Object} session - session ID, account email and role
+ * @return {Object} tokens, user email and roles
+ */
+
+const issue = ({id, email, role}) => {
+    const { secret, tokenTTL, sessionTTL } = getSettings();
+    const sign = (type, ttl) => jwt.sign({ typ: type, sid: id, email: email }, secret, {
+        algorithm: 'HS256',
+        issuer: issuer,
+        expiresIn: ttl
+    });
+    return {
+        access_token: sign('access', tokenTTL),
+        refresh_token: sign('refresh', sessionTTL),
+        expires_in: tokenTTL,
+        refresh_expires_in: sessionTTL,
+        email: email,
+        roles: [role]
+    };
+};
+
+/**
+ * Decode and verify token signature and type.
+ *
+ * @private
+ * @param {String} token
+ * @param {String} type - token type (access or refresh)
+ * @param {Object} opts - verification options
+ * @return {Object} token payload (null if expired; throws invalidToken error)
+ */
+
+const decode = (token, type, opts = {}) => {
+    let payload;
+    try {
+        payload = jwt.verify(token, getSettings().secret, {
+            algorithms: ['HS256'],
+            issuer: issuer,
+            ...opts
+        });
+    } catch (err) {
+        if (err instanceof jwt.TokenExpiredError) return null;
+        throw new Error('invalidToken');
+    }
+    if (payload.typ !== type || !payload.sid) throw new Error('invalidToken');
+    return payload;
+};
+
+/**
+ * Get active session.
+ *
+ * @private
+ * @param {String} id
+ * @return {Promise} session with account email and role (null if not active)
+ */
+
+const getSession = async (id) => {
+    const { sql, data } = queries.accounts.selectSession(id);
+    const { rows = [] } = await pool.query(sql, data);
+    return rows.length > 0 ? rows[0] : null;
+};
+
+/**
+ * Authenticate user password and start session.
+ *
+ * @public
+ * @param {Object} credentials
+ * @return {Promise} tokens, user email and roles
+ */
+
+export const authenticate = async ({email:email, password:password}) => {
+
+    const account = await accounts.selectByEmail(email, pool);
+    if (!placeholderHash) placeholderHash = await accounts.hashPassword(crypto.randomUUID());
+    const isValid = await accounts.checkPassword(password, account ? account.password_hash : placeholderHash);
+    if (!account || !isValid) throw new Error('invalidCredentials');
+
+    const id = crypto.randomBytes(24).toString('hex');
+    const { sql, data } = queries.accounts.insertSession(id, account.id, getSettings().sessionTTL);
+    await pool.query(sql, data);
+
+    return issue({ id: id, email: account.email, role: account.role });
+}
+
+/**
+ * Verify access token. The session must be active; the current
+ * account role is returned.
+ *
+ * @public
+ * @param {String} access_token
+ * @return {Promise} user email and roles (null if expired)
+ */
+
+export const verify = async (access_token) => {
+    const payload = decode(access_token, 'access');
+    if (!payload) return null;
+    const session = await getSession(payload.sid);
+    if (!session) throw new Error('invalidToken');
+    return { email: session.email, roles: [session.role] };
+};
+
+/**
+ * Refresh tokens and extend session.
+ *
+ * @public
+ * @param {String} refresh_token
+ * @return {Promise} tokens, user email and roles (null if session is not active)
+ */
+
+export const refresh = async (refresh_token) => {
+    let payload;
+    try {
+        payload = decode(refresh_token, 'refresh');
+    } catch (err) {
+        return null;
+    }
+    if (!payload) return null;
+    const session = await getSession(payload.sid);
+    if (!session) return null;
+    const { sql, data } = queries.accounts.extendSession(session.id, getSettings().sessionTTL);
+    await pool.query(sql, data);
+    return issue(session);
+}
+
+/**
+ * End user session.
+ *
+ * @public
+ * @param {String} access_token
+ * @param {String} refresh_token
+ * @return {Promise} result
+ */
+
+export const logout = async (access_token, refresh_token) => {
+    let payload;
+    try {
+        payload = decode(refresh_token, 'refresh', { ignoreExpiration: true });
+    } catch (err) {
+        return false;
+    }
+    const { sql, data } = queries.accounts.removeSession(payload.sid);
+    await pool.query(sql, data);
+    return true;
+}
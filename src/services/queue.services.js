@@ -20,6 +20,7 @@
 import dotenv from 'dotenv';
 import Queue from "bull";
 import redis from "redis";
+import logger from '../lib/logger.utils.js';
 dotenv.config();
 
 
@@ -48,14 +49,12 @@ const client = redis.createClient({
 
 // handle Redis connection error
 client.on('error', error => {
-    console.error('ERROR initialising Redis connection', error.message);
+    logger.error('ERROR initialising Redis connection', error.message);
 });
 
 // test Redis connection.
 client.on('connect', async () => {
-    console.log(
-        `Connected to Redis: ${client}`,
-    );
+    logger.info('Connected to Redis');
     // console.log(`Queue API: ${await ready() ? 'Ready' : 'Not Ready'}`);
 });
 
@@ -86,7 +85,7 @@ export const getQueueJobs = async () => {
         };
 
     } catch (err) {
-        console.error(err);
+        logger.error(err);
         throw new Error('queueUnavailable');
     }
 };
@@ -105,12 +104,12 @@ async function getJobDetails(jobId) {
         if (jobData) {
             return JSON.parse(jobData);
         } else {
-            console.log('Job not found in Redis');
+            logger.info('Job not found in Redis');
             return null;
         }
     } catch (error) {
         // If there is an error, log it and return null
-        console.error('Error fetching job details from Redis:', error);
+        logger.error('Error fetching job details from Redis:', error);
         return null;
     }
 }
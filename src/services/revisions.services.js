@@ -0,0 +1,440 @@
+/*!
+ * MLP.API.Services.Revisions
+ * File: revisions.services.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * Version 2.0
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * Revision history of node metadata. Each update of a node's metadata
+ * or attached metadata (glass plate listings, maps and participant
+ * groups) stores a revision: a snapshot of the node metadata and
+ * attached metadata after the update, recorded in the same
+ * transaction as the change. The state of the node before its first
+ * tracked update is stored as a baseline revision. Updates without
+ * changes are not stored.
+ *
+ * Any two revisions of a node can be compared; a node can be rolled
+ * back to a revision, which re-applies the revision data through the
+ * model and metadata services (audit log, trash) and is itself stored
+ * as a revision.
+ *
+ * ---------
+ * Revisions
+ * - 19-10-2026   Initial release.
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ * @private
+ */
+
+import pool from './db.services.js';
+import queries from '../queries/index.queries.js';
+import ModelServices from './model.services.js';
+import * as cserve from './construct.services.js';
+import * as metaserve from './metadata.services.js';
+import { diff } from './audit.services.js';
+import { checkVersion } from './versions.services.js';
+import { getContext } from '../lib/logger.utils.js';
+import { toPage } from '../lib/pagination.utils.js';
+import { sanitize } from '../lib/data.utils.js';
+
+/**
+ * Attached metadata types with records listed by owner.
+ *
+ * @private
+ */
+
+const attachedTypes = ['glass_plate_listings', 'maps'];
+
+/**
+ * Tracked node updates indexed by database client (node IDs).
+ *
+ * @private
+ */
+
+const tracked = new WeakMap();
+
+/**
+ * Initialize node revisions table.
+ *
+ * @public
+ * @return {Promise} result
+ */
+
+export const init = async () => {
+    const { sql, data } = queries.revisions.init();
+    await pool.query(sql, data);
+};
+
+/**
+ * Get current node metadata and attached metadata.
+ *
+ * @private
+ * @param {Object} node
+ * @param client
+ * @return {Promise} snapshot
+ */
+
+const getSnapshot = async (node, client) => {
+    const { sql, data } = queries.tree.selectMetadata(node.type, [node.id]);
+    const { rows: [metadata = {}] = [] } = await client.query(sql, data);
+    const { glass_plate_listings = [], maps = [], participant_groups = {} } =
+        await metaserve.getAttachedByNode(node, client, ['attached']);
+    return {
+        metadata: metadata,
+        attached: {
+            glass_plate_listings: glass_plate_listings,
+            maps: maps,
+            participant_groups: participant_groups
+        }
+    };
+};
+
+/**
+ * Get latest revision of node.
+ *
+ * @private
+ * @param {Object} node
+ * @param client
+ * @return {Promise} revision (or null)
+ */
+
+const getLatest = async (node, client) => {
+    const { sql, data } = queries.revisions.selectLatest(node.id);
+    const { rows: [revision = null] = [] } = await client.query(sql, data);
+    return revision;
+};
+
+/**
+ * Store revision of node.
+ *
+ * @private
+ * @param {Object} node
+ * @param {Object} snapshot
+ * @param {String} operation - 'baseline', 'update' or 'rollback'
+ * @param {Number} source_id - restored revision (rollbacks)
+ * @param client
+ * @return {Promise} revision
+ */
+
+const insert = async (node, snapshot, operation, source_id, client) => {
+    const { user = null, requestId = null } = getContext();
+    const { sql, data } = queries.revisions.insert({
+        node_id: node.id,
+        model: node.type,
+        operation: operation,
+        source_id: source_id,
+        metadata: snapshot.metadata,
+        attached: snapshot.attached,
+        user_email: operation !== 'baseline' ? user : null,
+        request_id: requestId
+    });
+    const { rows: [revision = null] = [] } = await client.query(sql, data);
+    return revision;
+};
+
+/**
+ * Compare attached metadata records (by ID).
+ *
+ * @private
+ * @param {Array} from - previous records ({label, data})
+ * @param {Array} to - new records ({label, data})
+ * @return {Object} created, removed and updated records
+ */
+
+const compareRecords = (from = [], to = []) => {
+    const index = (items) => new Map(items.map(item => [item.data.id, item]));
+    const previous = index(from);
+    const current = index(to);
+    return {
+        created: to.filter(({data}) => !previous.has(data.id)),
+        removed: from.filter(({data}) => !current.has(data.id)),
+        updated: to
+            .filter(({data}) => previous.has(data.id))
+            .map(({label, data}) => ({ id: data.id, label: label, changes: diff(previous.get(data.id).data, data) }))
+            .filter(({changes}) => Object.keys(changes).length > 0)
+    };
+};
+
+/**
+ * Compare participant groups (by participant).
+ *
+ * @private
+ * @param {Object} from - previous participants by group type
+ * @param {Object} to - new participants by group type
+ * @return {Object} added and removed participants by group type
+ */
+
+const compareGroups = (from = {}, to = {}) => {
+    const groupTypes = new Set([...Object.keys(from), ...Object.keys(to)]);
+    const toParticipant = ({id, full_name}) => ({ id: id, full_name: full_name });
+    return [...groupTypes].reduce((o, groupType) => {
+        const previous = from[groupType] || [];
+        const current = to[groupType] || [];
+        const added = current.filter(({id}) => !previous.some(p => p.id === id)).map(toParticipant);
+        const removed = previous.filter(({id}) => !current.some(p => p.id === id)).map(toParticipant);
+        if (added.length > 0 || removed.length > 0) o[groupType] = { added: added, removed: removed };
+        return o;
+    }, {});
+};
+
+/**
+ * Get changes between node snapshots (revisions): field-level
+ * changes of the node metadata, and created, removed and updated
+ * attached metadata records.
+ *
+ * @public
+ * @param {Object} from - previous snapshot
+ * @param {Object} to - new snapshot
+ * @return {Object} changes
+ */
+
+export const compare = (from, to) => {
+    const { metadata: fromMetadata = {}, attached: fromAttached = {} } = from || {};
+    const { metadata: toMetadata = {}, attached: toAttached = {} } = to || {};
+    return {
+        metadata: diff(fromMetadata, toMetadata),
+        attached: {
+            ...attachedTypes.reduce((o, type) => {
+                o[type] = compareRecords(fromAttached[type], toAttached[type]);
+                return o;
+            }, {}),
+            participant_groups: compareGroups(fromAttached.participant_groups, toAttached.participant_groups)
+        }
+    };
+};
+
+/**
+ * Check whether comparison of snapshots includes changes.
+ *
+ * @private
+ * @param {Object} changes - see compare()
+ * @return {Boolean} result
+ */
+
+const hasChanges = ({ metadata, attached }) => {
+    const { participant_groups, ...records } = attached;
+    return Object.keys(metadata).length > 0
+        || Object.keys(participant_groups).length > 0
+        || Object.values(records).some(({created, removed, updated}) =>
+            created.length > 0 || removed.length > 0 || updated.length > 0);
+};
+
+/**
+ * Track node update: stores the baseline revision of the node (before
+ * its first tracked update), runs the update and stores the revision
+ * of the updated node. The client should be in an open transaction.
+ * Nested updates of the same node (e.g. model updates in a rollback)
+ * are stored as a single revision.
+ *
+ * @public
+ * @param {Object} node - node ID and type
+ * @param client
+ * @param {Function} update - update operation
+ * @param {String} operation - 'update' or 'rollback'
+ * @param {Number} source_id - restored revision (rollbacks)
+ * @return {Promise} result of update
+ */
+
+export const track = async (node, client, update, operation = 'update', source_id = null) => {
+
+    const { id = null, type = null } = node || {};
+    const nodes = tracked.get(client) || new Set();
+    if (!id || !type || nodes.has(id)) return await update();
+
+    nodes.add(id);
+    tracked.set(client, nodes);
+
+    try {
+        const latest = await getLatest(node, client)
+            || await insert(node, await getSnapshot(node, client), 'baseline', null, client);
+
+        const result = await update();
+
+        const snapshot = await getSnapshot(node, client);
+        if (operation === 'rollback' || hasChanges(compare(latest, snapshot)))
+            await insert(node, snapshot, operation, source_id, client);
+
+        return result;
+    } finally {
+        nodes.delete(id);
+        if (nodes.size === 0) tracked.delete(client);
+    }
+};
+
+/**
+ * Get revision by ID.
+ *
+ * @public
+ * @param {Number} id
+ * @param client
+ * @return {Promise} revision (or null)
+ */
+
+export const get = async (id, client) => {
+    const { sql, data } = queries.revisions.selectByID(sanitize(id, 'integer'));
+    const { rows: [revision = null] = [] } = await client.query(sql, data);
+    return revision;
+};
+
+/**
+ * Get revision of node (throws invalidRevision error if the revision
+ * is not a revision of the node).
+ *
+ * @private
+ * @param {Object} node
+ * @param {Number} id
+ * @param client
+ * @return {Promise} revision
+ */
+
+const getNodeRevision = async (node, id, client) => {
+    const revision = id ? await get(id, client) : null;
+    if (!revision || revision.node_id !== node.id) throw new Error('invalidRevision');
+    return revision;
+};
+
+/**
+ * Get page of node revisions (newest first).
+ *
+ * @public
+ * @param {Number} id - node ID
+ * @param {Object} page
+ * @param client
+ * @return {Promise} results and page
+ */
+
+export const list = async (id, page, client) => {
+    const { sql, data } = queries.revisions.select(sanitize(id, 'integer'), page);
+    const { rows = [] } = await client.query(sql, data);
+    return toPage(rows, page);
+};
+
+/**
+ * Get changes between two revisions of a node.
+ *
+ * @public
+ * @param {Object} node
+ * @param {Number} fromID - previous revision
+ * @param {Number} toID - new revision
+ * @param client
+ * @return {Promise} revisions and changes
+ */
+
+export const getChanges = async (node, fromID, toID, client) => {
+    const from = await getNodeRevision(node, sanitize(fromID, 'integer'), client);
+    const to = await getNodeRevision(node, sanitize(toID, 'integer'), client);
+    const { metadata: fromMetadata, attached: fromAttached, ...fromRevision } = from;
+    const { metadata: toMetadata, attached: toAttached, ...toRevision } = to;
+    return {
+        from: fromRevision,
+        to: toRevision,
+        changes: compare(from, to)
+    };
+};
+
+/**
+ * Restore attached metadata records of revision: records added since
+ * are removed (trash), changed records are updated and removed records
+ * are inserted again.
+ *
+ * @private
+ * @param {Object} node
+ * @param {String} type - attached metadata type
+ * @param {Array} records - revision records ({label, data})
+ * @param client
+ * @return {Promise} result
+ */
+
+const restoreRecords = async (node, type, records = [], client) => {
+    const Model = await cserve.create(type);
+    const current = await metaserve.selectByOwner(node.id, type, client) || [];
+
+    for (const record of current.filter(({id}) => !records.some(({data}) => data.id === id)))
+        await metaserve.remove(new Model(record), client);
+
+    for (const { data } of records) {
+        const record = current.find(({id}) => id === data.id);
+        if (!record) await metaserve.insert(new Model({ ...data, owner_id: node.id }), false, client);
+        else if (Object.keys(diff(record, data)).length > 0)
+            await metaserve.update(new Model({ ...data, owner_id: node.id }), null, client);
+    }
+};
+
+/**
+ * Restore participant groups of revision.
+ *
+ * @private
+ * @param {Object} node
+ * @param {Object} groups - revision participants by group type
+ * @param client
+ * @return {Promise} result
+ */
+
+const restoreGroups = async (node, groups = {}, client) => {
+    const Model = await cserve.create('participant_groups');
+    const current = await metaserve.getParticipantGroups(node.id, null, client);
+    const groupTypes = new Set([...Object.keys(current), ...Object.keys(groups)]);
+
+    for (const groupType of groupTypes) {
+        const previous = current[groupType] || [];
+        const restored = groups[groupType] || [];
+
+        for (const { id, pg_id } of previous.filter(({id}) => !restored.some(p => p.id === id)))
+            await metaserve.remove(new Model({ id: pg_id, participant_id: id, owner_id: node.id, group_type: groupType }), client);
+
+        for (const { id } of restored.filter(({id}) => !previous.some(p => p.id === id)))
+            await metaserve.insert(new Model({ participant_id: id, owner_id: node.id, group_type: groupType }), false, client);
+    }
+};
+
+/**
+ * Roll back node to revision. The node metadata is updated through the
+ * model services (owner and identifiers are retained) and attached
+ * metadata is restored through the metadata services. Rollbacks are
+ * rejected if the node metadata changed since the submitted version.
+ * The client must be in an open transaction.
+ *
+ * @public
+ * @param {Object} node
+ * @param {Number} id - revision ID
+ * @param {String} version - submitted version of the node metadata
+ * @param client
+ * @return {Promise} rollback revision
+ */
+
+export const rollback = async (node, id, version, client) => {
+
+    const revision = await getNodeRevision(node, sanitize(id, 'integer'), client);
+    if (revision.model !== node.type) throw new Error('invalidRevision');
+
+    const Model = await cserve.create(node.type);
+    const model = new Model();
+
+    // reject rollbacks of records changed since the submitted version
+    const current = await checkVersion(model, node.id, version, client);
+    if (!current) throw new Error('notFound');
+
+    await track(node, client, async () => {
+        const item = new Model({
+            ...revision.metadata,
+            [model.idKey]: current[model.idKey],
+            owner_id: current.owner_id,
+            owner_type: current.owner_type
+        });
+        await new ModelServices(new Model(), client).update(item);
+
+        const { participant_groups = {}, ...attached } = revision.attached || {};
+        for (const type of attachedTypes) await restoreRecords(node, type, attached[type], client);
+        await restoreGroups(node, participant_groups, client);
+    }, 'rollback', revision.id);
+
+    const { metadata, attached, ...latest } = await getLatest(node, client);
+    return latest;
+};
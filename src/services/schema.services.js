@@ -10,6 +10,7 @@
  *
  * Revisions
  * - 31-12-2023   Added map objects as root
+ * - 19-10-2026   Added node, file and metadata relation checks
  */
 
 'use strict';
@@ -23,6 +24,19 @@ import pool from './db.services.js';
 import queries from '../queries/index.queries.js';
 import {humanize} from '../lib/data.utils.js';
 import { participantGroupTypes } from '../queries/metadata.queries.js';
+import logger from '../lib/logger.utils.js';
+
+/**
+ * Relation tables (and dependent type tables) by relation type.
+ *
+ * @private
+ */
+
+const relations = {
+    nodes: { table: 'node_relations', types: 'node_types' },
+    files: { table: 'file_relations', types: 'file_types' },
+    metadata: { table: 'metadata_relations', types: 'metadata_types' }
+};
 
 /**
  * Export schema constructor. A schema instance is a
@@ -134,7 +148,7 @@ export const create = async (constructorType) => {
         return Schema;
 
     } catch (err) {
-        console.error(err)
+        logger.error(err)
         return next(err);
     } finally {
         await client.release(true);
@@ -172,6 +186,69 @@ export const isRelatable = async function(nodeID, ownerID, client) {
     return res.rows.length > 0 && res.rows[0].exists;
 };
 
+/**
+ * Get owner types allowed for dependent (node, file or metadata) type.
+ *
+ * @public
+ * @param {String} relation - 'nodes', 'files' or 'metadata'
+ * @param {String} dependentType
+ * @param client
+ * @return {Promise} owner types (name and label)
+ */
+
+export const getOwnerTypes = async function(relation, dependentType, client) {
+    const { table } = relations[relation];
+    let { sql, data } = queries.schema.getOwnerTypes(table, dependentType);
+    const res = await client.query(sql, data);
+    return res.rows;
+};
+
+/**
+ * Get node, file and metadata types allowed for dependents of owner
+ * type (e.g. node types that can be added to a station).
+ *
+ * @public
+ * @param {String} ownerType
+ * @param client
+ * @return {Promise} dependent types (name and label) by relation type
+ */
+
+export const getDependentTypes = async function(ownerType, client) {
+    const dependentTypes = {};
+    for (const [relation, { table, types }] of Object.entries(relations)) {
+        let { sql, data } = queries.schema.getDependentTypes(table, types, ownerType);
+        const res = await client.query(sql, data);
+        dependentTypes[relation] = res.rows;
+    }
+    return dependentTypes;
+};
+
+/**
+ * Check that dependent (node, file or metadata) type can be added to
+ * owner. Throws invalidRelation error naming the allowed owner types.
+ *
+ * @public
+ * @param {String} relation - 'nodes', 'files' or 'metadata'
+ * @param {Object} owner - owner node (type)
+ * @param {String} dependentType
+ * @param client
+ * @return {Promise} result
+ */
+
+export const checkRelation = async function(relation, owner, dependentType, client) {
+    const { type = null } = owner || {};
+    const ownerTypes = await getOwnerTypes(relation, dependentType, client);
+    if (type && ownerTypes.some(({name}) => name === type)) return;
+
+    const err = new Error('invalidRelation');
+    err.fields = {
+        owner_id: [ownerTypes.length > 0
+            ? `${humanize(dependentType)} can only be added to: ${ownerTypes.map(({label}) => label).join(', ')}.`
+            : `${humanize(dependentType)} cannot be added to other items.`]
+    };
+    throw err;
+};
+
 /**
  * Get all metadata types.
  *
@@ -245,8 +322,11 @@ export const getAttributes = async function(type, client) {
                 key: x.col,
                 label: humanize(x.col),
                 type: x.data_type,
-                ref: x.ref_table
-                // refId: x.ref_col
+                ref: x.ref_table,
+                refId: x.ref_col,
+                nullable: x.is_nullable !== 'NO',
+                hasDefault: x.column_default !== null && x.column_default !== undefined,
+                maxLength: x.max_length
             } || []);
             return o;
         }, {});
@@ -15,6 +15,7 @@
 import pool from './db.services.js';
 import queries from '../queries/index.queries.js';
 import { sanitize } from '../lib/data.utils.js';
+import { toPage } from '../lib/pagination.utils.js';
 
 // list of commonly used words that can be excluded from search queries
 const stopWords = [
@@ -132,17 +133,19 @@ const searchable = {
 };
 
 /**
- * Full-text search of metadata.
+ * Full-text search of metadata. Results are paged separately for each
+ * searchable table; cursors for a table are keyed to that table (only
+ * the table of a requested cursor is searched).
  *
  * @public
  * @param {String} q
- * @param offset
- * @param limit
+ * @param {Object} page
  * @param {Array} filter
+ * @param {Object} restricted - restricted records (excluded from results)
  * @return {Promise} result
  */
 
-export const fulltext = async (q, offset, limit, filter) => {
+export const fulltext = async (q, page, filter, restricted = null) => {
 
     if (!q) return null;
 
@@ -151,6 +154,12 @@ export const fulltext = async (q, offset, limit, filter) => {
     // filter stop words
     terms = terms.filter(term => !stopWords.includes(term));
 
+    // get table of requested page (if any)
+    // - cursor key: [<table>, <rank>, <id>]
+    const { key = null } = page || {};
+    const [cursorTable = null, ...cursorKey] = key || [];
+    if (key && !searchable.hasOwnProperty(cursorTable)) throw new Error('invalidCursor');
+
     // NOTE: client undefined if connection fails.
     const client = await pool.connect();
 
@@ -160,35 +169,49 @@ export const fulltext = async (q, offset, limit, filter) => {
 
         // list of searchable tables to include
         const results = {};
+        const pages = {};
+
+        // restricted records are excluded from results
+        const excluded = {
+            nodes: restricted ? [...restricted.nodes] : [],
+            files: restricted ? [...restricted.files] : []
+        };
 
         // list of query builders for possible search requests
         const queryBuilders = {
-            metadata: (tbl) => {
-                return queries.search.fulltextMetadataSearch(tbl, searchable[tbl], terms, offset, limit);
+            metadata: (tbl, tblPage) => {
+                return queries.search.fulltextMetadataSearch(tbl, searchable[tbl], terms, tblPage, excluded);
             },
-            participants: (tbl) => {
-                return queries.search.fulltextParticipantSearch(searchable[tbl], terms, offset, limit);
+            participants: (tbl, tblPage) => {
+                return queries.search.fulltextParticipantSearch(searchable[tbl], terms, tblPage, excluded);
             },
-            files: (tbl) => {
-                return queries.search.fulltextFileSearch(searchable[tbl], terms, offset, limit);
+            files: (tbl, tblPage) => {
+                return queries.search.fulltextFileSearch(searchable[tbl], terms, tblPage, excluded);
             },
-            default: (tbl) => {
-                return queries.search.fulltextNodeSearch(tbl, searchable[tbl], terms, offset, limit);
+            default: (tbl, tblPage) => {
+                return queries.search.fulltextNodeSearch(tbl, searchable[tbl], terms, tblPage, excluded);
             }
         }
 
         // collate results for all searchable tables
         await Promise.all(
             Object.keys(searchable)
-                .filter(tbl => filter.length === 0 || filter.includes(tbl))
+                .filter(tbl => cursorTable
+                    ? tbl === cursorTable
+                    : filter.length === 0 || filter.includes(tbl))
                 .map(async (tbl) => {
+                    const tblPage = {...page, key: cursorTable ? cursorKey : null};
                     let { sql, data } = queryBuilders.hasOwnProperty(searchable[tbl].type)
-                        ? queryBuilders[searchable[tbl].type](tbl)
-                        : queryBuilders.default(tbl);
-                    results[tbl] = await client.query(sql, data)
+                        ? queryBuilders[searchable[tbl].type](tbl, tblPage)
+                        : queryBuilders.default(tbl, tblPage);
+                    const rows = await client.query(sql, data)
                         .then(res => {
                             return res.rows;
                         });
+                    const count = rows.length > 0 ? rows[0].total : 0;
+                    const result = toPage(rows, tblPage, row => [tbl, row.rank, row.id], count);
+                    results[tbl] = result.results;
+                    pages[tbl] = result.page;
                 }));
 
         // end transaction
@@ -197,7 +220,8 @@ export const fulltext = async (q, offset, limit, filter) => {
         return {
             terms: terms,
             query: q,
-            results: results
+            results: results,
+            pages: pages
         };
 
     } catch (err) {
@@ -0,0 +1,290 @@
+/*!
+ * MLP.API.Services.Subtree
+ * File: subtree.services.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * Version 2.0
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * Node subtree removal. A node is removed with all its dependent nodes,
+ * their metadata, attached files and capture comparisons in one
+ * transaction. The impact report (dry run) lists the removed nodes by
+ * type, the files and bytes affected and the comparisons that are
+ * deleted. The removed records are kept in a single trash entry, and
+ * each removed node is recorded in the audit log.
+ *
+ * Node subtree copy. A node is copied (with its dependent nodes, if
+ * requested) under a new owner, e.g. to reuse the station structure
+ * of a field season as a template. Node metadata is copied; attached
+ * files and capture comparisons are copied only if requested.
+ *
+ * ---------
+ * Revisions
+ * - 19-10-2026   Initial release.
+ * - 19-10-2026   Added subtree copies.
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ * @private
+ */
+
+import queries from '../queries/index.queries.js';
+import * as cserve from './construct.services.js';
+import ModelServices from './model.services.js';
+import { hasDependents, select, selectByNode } from './nodes.services.js';
+import {
+    deleteComparisons,
+    getComparisonsByCapture,
+    getComparisonsMetadata,
+    upsertComparison
+} from './comparisons.services.js';
+import * as fserve from './files.services.js';
+import { getNodeLabel } from './metadata.services.js';
+import * as trash from './trash.services.js';
+import * as audit from './audit.services.js';
+import { isRelatable } from './schema.services.js';
+import { managedAttributes } from './validation.services.js';
+import { authorizeNode } from './grants.services.js';
+
+/**
+ * Capture node types (compared captures).
+ *
+ * @private
+ */
+
+const captureTypes = ['historic_captures', 'modern_captures'];
+
+/**
+ * Collect node and its dependent nodes with their attached files
+ * (owners before dependents).
+ *
+ * @private
+ * @param {Object} node
+ * @param client
+ * @param {Array} nodes - collected nodes
+ * @return {Promise} nodes and attached files (indexed by file type)
+ */
+
+const collect = async (node, client, nodes = []) => {
+    nodes.push({ node: node, files: await fserve.selectByOwner(node.id, client) || {} });
+    if (await hasDependents(node.id, client)) {
+        const { sql, data } = queries.nodes.selectByOwner(node.id);
+        const { rows = [] } = await client.query(sql, data);
+        for (const dependent of rows) await collect(dependent, client, nodes);
+    }
+    return nodes;
+};
+
+/**
+ * Get capture node ID from comparison capture data.
+ *
+ * @private
+ * @param {Object} capture
+ * @return {Integer} node ID
+ */
+
+const getCaptureID = (capture) => {
+    const { node = {} } = capture || {};
+    return (node || {}).id || null;
+};
+
+/**
+ * Compose impact report for collected nodes.
+ *
+ * @private
+ * @param {Array} nodes - collected nodes
+ * @param client
+ * @return {Promise} report
+ */
+
+const getReport = async (nodes, client) => {
+    const [{ node: root }] = nodes;
+    const ids = new Set(nodes.map(({node}) => node.id));
+    const comparisons = new Map();
+    const report = {
+        node_id: root.id,
+        type: root.type,
+        label: await getNodeLabel(root, [], client),
+        nodes: nodes.length,
+        counts: {},
+        files: 0,
+        bytes: 0,
+        comparisons: []
+    };
+
+    for (const { node, files } of nodes) {
+        const attached = Object.values(files).flat();
+        report.counts[node.type] = (report.counts[node.type] || 0) + 1;
+        report.files += attached.length;
+        report.bytes += attached.reduce((sum, { file }) => sum + (parseInt(file.file_size) || 0), 0);
+
+        if (!captureTypes.includes(node.type)) continue;
+        for (const comparison of await getComparisonsMetadata(node, client) || []) {
+            const historic = getCaptureID(comparison.historic_captures);
+            const modern = getCaptureID(comparison.modern_captures);
+            comparisons.set(comparison.id, {
+                id: comparison.id,
+                historic_captures: historic,
+                modern_captures: modern,
+                // comparison with a capture outside of the subtree
+                broken: !ids.has(historic) || !ids.has(modern)
+            });
+        }
+    }
+
+    report.comparisons = [...comparisons.values()];
+    return report;
+};
+
+/**
+ * Get impact report of removing node subtree (dry run).
+ *
+ * @public
+ * @param {Object} node
+ * @param client
+ * @return {Promise} report
+ */
+
+export const getImpact = async (node, client) => {
+    return await getReport(await collect(node, client), client);
+};
+
+/**
+ * Remove node subtree. Dependent nodes are removed before their
+ * owners; the removed records are moved to the trash.
+ *
+ * @public
+ * @param {Object} node
+ * @param client
+ * @return {Promise} report with trash entry ID
+ */
+
+export const remove = async (node, client) => {
+    try {
+        await client.query('BEGIN');
+
+        const nodes = await collect(node, client);
+        const report = await getReport(nodes, client);
+        const files = nodes.map(({files}) => Object.values(files).flat()).flat();
+
+        const entry = await trash.discard(
+            { model: node.type, id: node.id, node_id: node.id, label: report.label },
+            [
+                { table: 'nodes', values: nodes.map(({node}) => node.id) },
+                { table: 'files', values: files.map(({file}) => file.id) }
+            ],
+            files.map(fserve.getFilePaths).flat(),
+            client
+        );
+
+        const Node = await cserve.create('nodes');
+        for (const { node: item, files: attached } of [...nodes].reverse()) {
+            const before = await selectByNode(item, client);
+            if (captureTypes.includes(item.type)) await deleteComparisons(item, client);
+            await fserve.removeAll(attached, client);
+            const { sql, data } = queries.nodes.remove(new Node(item));
+            await client.query(sql, data);
+            await audit.record({
+                operation: 'remove',
+                model: item.type,
+                id: item.id,
+                node_id: item.id,
+                before: before
+            }, client);
+        }
+
+        await client.query('COMMIT');
+        return { ...report, trash_id: entry.id };
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    }
+};
+
+/**
+ * Copy node (and its dependents, if requested) to owner. Copies are
+ * created in order (owners before dependents), so that their
+ * filesystem paths follow the new hierarchy. The client must be in an
+ * open transaction; the caller commits or rolls back the transaction
+ * (and deletes copied files on rollback).
+ *
+ * @public
+ * @param {Object} node - copied node
+ * @param {Object} owner - owner of the copy
+ * @param {Object} options - copy dependents, files and/or comparisons
+ * @param {Object} context - client, user and copied file paths
+ * @return {Promise} result (IDs of copies indexed by copied node ID)
+ */
+
+export const copy = async (node, owner, options, context) => {
+
+    const { dependents = false, files = false, comparisons = false } = options || {};
+    const { client, user = null, copied = [] } = context || {};
+
+    await authorizeNode(user, owner, client);
+    if (!await isRelatable(node.id, owner.id, client)) throw new Error('invalidCopy');
+
+    const ids = {};
+    const captures = [];
+    let fileCount = 0;
+
+    const copyNode = async (source, target) => {
+        const Model = await cserve.create(source.type);
+        const metadata = await selectByNode(source, client) || {};
+        const model = new Model();
+        const data = Object.keys(metadata)
+            .filter(key => !managedAttributes.includes(key) && key !== model.idKey)
+            .reduce((o, key) => { o[key] = metadata[key]; return o; }, {});
+
+        // insert copy of node metadata
+        const item = new Model({ ...data, owner_id: target.id, owner_type: target.type });
+        await new ModelServices(model, client).insert(item);
+        ids[source.id] = item.id;
+        if (captureTypes.includes(source.type)) captures.push(source);
+
+        // copy attached files to node directory
+        if (files) {
+            const attached = await fserve.selectByOwner(source.id, client) || {};
+            const copies = await fserve.copyFiles(attached, await cserve.createNode(item, client), client, copied);
+            fileCount += copies.length;
+        }
+
+        if (!dependents) return;
+        const created = await select(item.id, client);
+        const { sql, data: params } = queries.nodes.selectByOwner(source.id);
+        const { rows = [] } = await client.query(sql, params);
+        for (const dependent of rows) await copyNode(dependent, created);
+    };
+
+    await copyNode(node, owner);
+
+    // copy comparisons between copied captures (comparisons with
+    // captures outside the subtree are not copied)
+    const copiedComparisons = new Set();
+    if (comparisons) {
+        for (const capture of captures) {
+            for (const comparison of await getComparisonsByCapture(capture, client) || []) {
+                if (copiedComparisons.has(comparison.id)) continue;
+                const historic = ids[comparison.historic_captures];
+                const modern = ids[comparison.modern_captures];
+                if (!historic || !modern) continue;
+                await upsertComparison(historic, modern, client);
+                copiedComparisons.add(comparison.id);
+            }
+        }
+    }
+
+    return {
+        node_id: ids[node.id],
+        type: node.type,
+        owner_id: owner.id,
+        ids: ids,
+        files: fileCount,
+        comparisons: copiedComparisons.size
+    };
+};
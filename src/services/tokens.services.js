@@ -0,0 +1,190 @@
+/*!
+ * MLP.API.Services.Tokens
+ * File: tokens.services.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * Version 2.0
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * Local verification of KeyCloak access tokens (JWT). Tokens are
+ * verified against the realm signing keys, which are fetched from the
+ * JWKS endpoint and cached. Unknown key IDs (key rotation) reload the
+ * key set; if KeyCloak is unavailable, the cached keys are kept.
+ *
+ * Settings (ENV):
+ * - KC_JWKS_URL: JWKS endpoint (default: realm 'certs' endpoint)
+ * - KC_JWKS_FILE: local JWKS file used instead of the endpoint (e.g. offline testing)
+ * - KC_JWKS_TTL: key set cache lifetime in seconds (default 600)
+ * - KC_ISSUER: expected token issuer (default: realm URL)
+ * - KC_AUDIENCE: expected token audience or authorized party (default: KC_CLIENT_ID)
+ *
+ * ---------
+ * Revisions
+ * - 19-10-2026   Initial release.
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ * @private
+ */
+
+import crypto from 'crypto';
+import { readFile } from 'fs/promises';
+import jwt from 'jsonwebtoken';
+import fetch from 'node-fetch';
+import logger from '../lib/logger.utils.js';
+
+/**
+ * Minimum interval between key set reloads for unknown key IDs (ms).
+ *
+ * @private
+ */
+
+const minReloadInterval = 30000;
+
+/**
+ * Cached signing keys indexed by key ID.
+ *
+ * @private
+ */
+
+let signingKeys = new Map();
+let loadedAt = 0;
+let loading = null;
+
+/**
+ * Get token verification settings.
+ *
+ * @private
+ * @return {Object} settings
+ */
+
+const getSettings = () => {
+    const realmURL = `${process.env.KC_SERVER_URL}/realms/${process.env.KC_REALM}`;
+    return {
+        jwksURL: process.env.KC_JWKS_URL || `${realmURL}/protocol/openid-connect/certs`,
+        jwksFile: process.env.KC_JWKS_FILE || null,
+        ttl: (parseInt(process.env.KC_JWKS_TTL) || 600) * 1000,
+        issuer: process.env.KC_ISSUER || realmURL,
+        audience: process.env.KC_AUDIENCE || process.env.KC_CLIENT_ID
+    };
+};
+
+/**
+ * Fetch key set (JWKS) from endpoint or local file.
+ *
+ * @private
+ * @return {Promise} key set
+ */
+
+const fetchKeySet = async () => {
+    const { jwksURL, jwksFile } = getSettings();
+    if (jwksFile) return JSON.parse(await readFile(jwksFile, 'utf8'));
+    const res = await fetch(jwksURL);
+    if (!res || res.status !== 200) throw new Error(`JWKS request failed (${res && res.status}).`);
+    return await res.json();
+};
+
+/**
+ * Load signing keys. Keeps the cached keys if the key set cannot
+ * be loaded.
+ *
+ * @private
+ * @return {Promise} signing keys
+ */
+
+const loadKeys = async () => {
+
+    // share concurrent loads
+    if (loading) return loading;
+
+    loading = (async () => {
+        try {
+            const { keys = [] } = await fetchKeySet() || {};
+            signingKeys = keys
+                .filter(key => key.kid && (!key.use || key.use === 'sig'))
+                .reduce((o, key) => {
+                    o.set(key.kid, {
+                        key: crypto.createPublicKey({ key: key, format: 'jwk' }),
+                        alg: key.alg || 'RS256'
+                    });
+                    return o;
+                }, new Map());
+        } catch (err) {
+            logger.warn('Signing keys could not be loaded; using cached keys.', err);
+        } finally {
+            loadedAt = Date.now();
+            loading = null;
+        }
+        return signingKeys;
+    })();
+
+    return loading;
+};
+
+/**
+ * Get signing key for key ID. Reloads the key set when the cache has
+ * expired, or when the key ID is unknown (e.g. rotated keys).
+ *
+ * @private
+ * @param {String} kid
+ * @return {Promise} signing key (null if not found)
+ */
+
+const getSigningKey = async (kid) => {
+    const { ttl } = getSettings();
+    const age = Date.now() - loadedAt;
+    if (age > ttl || (!signingKeys.has(kid) && age > minReloadInterval)) await loadKeys();
+    return signingKeys.get(kid) || null;
+};
+
+/**
+ * Clear cached signing keys (reloaded on next verification).
+ *
+ * @public
+ */
+
+export const resetKeys = () => {
+    signingKeys = new Map();
+    loadedAt = 0;
+};
+
+/**
+ * Verify access token signature, expiry, issuer and audience.
+ * Returns the token payload, or null if the token has expired
+ * (and can be refreshed).
+ *
+ * @public
+ * @param {String} token
+ * @return {Promise} token payload (throws invalidToken error)
+ */
+
+export const verify = async (token) => {
+
+    const { header = {} } = jwt.decode(token || '', { complete: true }) || {};
+    const signingKey = await getSigningKey(header.kid);
+    if (!signingKey) throw new Error('invalidToken');
+
+    const { issuer, audience } = getSettings();
+    let payload;
+    try {
+        payload = jwt.verify(token, signingKey.key, {
+            algorithms: [signingKey.alg],
+            issuer: issuer,
+            clockTolerance: 5
+        });
+    } catch (err) {
+        if (err instanceof jwt.TokenExpiredError) return null;
+        throw new Error('invalidToken');
+    }
+
+    // KeyCloak access tokens name the client as audience or authorized party
+    const { aud = [], azp = null } = payload || {};
+    if (!([].concat(aud).includes(audience) || azp === audience)) throw new Error('invalidToken');
+
+    return payload;
+};
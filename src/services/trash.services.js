@@ -0,0 +1,356 @@
+/*!
+ * MLP.API.Services.Trash
+ * File: trash.services.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * Version 2.0
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * Trash for deleted nodes, files and metadata. Before a record is
+ * deleted, it is copied to a trash entry together with the records
+ * deleted with it (records referencing it by foreign keys, e.g. node
+ * metadata, attached files and image metadata) and the comparisons of
+ * deleted captures. References of records that are kept (foreign keys
+ * set to null or default on delete) are stored as well and reset on
+ * restore. Deleted records are no longer in their tables, so they are
+ * hidden from all read paths. Administrators can list and
+ * restore trash entries; the files on disk are kept until the entry
+ * is purged.
+ *
+ * A background job purges entries (and deletes their files) after the
+ * retention period.
+ *
+ * Settings (ENV):
+ * - TRASH_RETENTION_DAYS: retention period in days (default 30)
+ * - TRASH_PURGE_INTERVAL: purge job interval in hours (default 24)
+ *
+ * ---------
+ * Revisions
+ * - 19-10-2026   Initial release.
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ * @private
+ */
+
+import pool from './db.services.js';
+import queries from '../queries/index.queries.js';
+import * as audit from './audit.services.js';
+import { deleteFiles } from './files.services.js';
+import { clearRestricted } from './visibility.services.js';
+import { getContext } from '../lib/logger.utils.js';
+import { toPage } from '../lib/pagination.utils.js';
+import { sanitize } from '../lib/data.utils.js';
+import logger from '../lib/logger.utils.js';
+
+/**
+ * Comparisons reference captures without cascading deletes (they are
+ * deleted with the capture by the model services).
+ *
+ * @private
+ */
+
+const comparisonReferences = [
+    { table_name: 'comparison_indices', column_name: 'historic_captures', referenced: 'id' },
+    { table_name: 'comparison_indices', column_name: 'modern_captures', referenced: 'id' }
+];
+
+/**
+ * Foreign key delete actions that keep referencing records (set null,
+ * set default).
+ *
+ * @private
+ */
+
+const nullifiedActions = ['n', 'd'];
+
+/**
+ * Maximum depth of collected references.
+ *
+ * @private
+ */
+
+const maxDepth = 10;
+
+/**
+ * Foreign key references by table (loaded once).
+ *
+ * @private
+ */
+
+const references = new Map();
+
+/**
+ * Get trash settings.
+ *
+ * @public
+ * @return {Object} settings
+ */
+
+export const getSettings = () => {
+    return {
+        retentionDays: parseInt(process.env.TRASH_RETENTION_DAYS) || 30,
+        purgeInterval: parseInt(process.env.TRASH_PURGE_INTERVAL) || 24
+    };
+};
+
+/**
+ * Initialize trash table.
+ *
+ * @public
+ * @return {Promise} result
+ */
+
+export const init = async () => {
+    const { sql, data } = queries.trash.init();
+    await pool.query(sql, data);
+};
+
+/**
+ * Get foreign key references to table.
+ *
+ * @private
+ * @param {String} table
+ * @param client
+ * @return {Promise} references (table, column, referenced column, delete action and keys)
+ */
+
+const getReferences = async (table, client) => {
+    if (!references.has(table)) {
+        const { sql, data } = queries.trash.selectReferences(table);
+        const { rows = [] } = await client.query(sql, data);
+        references.set(table, table === 'nodes' ? [...rows, ...comparisonReferences] : rows);
+    }
+    return references.get(table);
+};
+
+/**
+ * Collect records and the records referencing them (depth-first).
+ *
+ * @private
+ * @param {String} table
+ * @param {String} column
+ * @param {Array} values
+ * @param client
+ * @param {Array} records - collected records
+ * @param {Set} seen - collected record keys
+ * @param {Integer} depth
+ * @return {Promise} collected records ({table, record})
+ */
+
+const collect = async (table, column, values, client, records = [], seen = new Set(), depth = 0) => {
+    if (values.length === 0 || depth > maxDepth) return records;
+
+    const { sql, data } = queries.trash.selectRecords(table, column, values);
+    const { rows = [] } = await client.query(sql, data);
+    const found = rows
+        .map(({record}) => record)
+        .filter(record => {
+            const key = `${table}:${JSON.stringify(record)}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    records.push(...found.map(record => ({ table: table, record: record })));
+
+    for (const ref of await getReferences(table, client)) {
+        const refValues = found
+            .map(record => record[ref.referenced])
+            .filter(value => value !== null && value !== undefined);
+        if (nullifiedActions.includes(ref.action)) {
+            await collectReferences(ref, refValues, client, records, seen);
+            continue;
+        }
+        await collect(ref.table_name, ref.column_name, refValues, client, records, seen, depth + 1);
+    }
+    return records;
+};
+
+/**
+ * Collect references of records that are kept when the referenced
+ * records are deleted (the reference column is reset on restore).
+ * Records without a primary key cannot be updated and are skipped.
+ *
+ * @private
+ * @param {Object} ref - foreign key reference
+ * @param {Array} values - referenced values
+ * @param client
+ * @param {Array} records - collected records
+ * @param {Set} seen - collected record keys
+ * @return {Promise} collected records ({table, record, column, keys})
+ */
+
+const collectReferences = async (ref, values, client, records, seen) => {
+    const { table_name: table, column_name: column, key_columns: keys = [] } = ref;
+    if (values.length === 0 || keys.length === 0) return records;
+
+    const { sql, data } = queries.trash.selectRecords(table, column, values);
+    const { rows = [] } = await client.query(sql, data);
+    rows.forEach(({record}) => {
+        const key = `${table}.${column}:${JSON.stringify(record)}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        records.push({ table: table, record: record, column: column, keys: keys });
+    });
+    return records;
+};
+
+/**
+ * Copy records to trash before they are deleted. Must be called
+ * within the transaction that deletes the records.
+ *
+ * @public
+ * @param {Object} item - deleted item (model, id, owner node ID and label)
+ * @param {Array} targets - table, key column and key values of deleted records
+ * @param {Array} filePaths - paths of deleted files
+ * @param client
+ * @return {Promise} trash entry
+ */
+
+export const discard = async (item, targets, filePaths, client) => {
+    const { model, id, node_id = null, label = null } = item || {};
+    const { user = null } = getContext();
+
+    const records = [];
+    const seen = new Set();
+    for (const { table, column = 'id', values = [] } of targets || []) {
+        await collect(table, column, values, client, records, seen);
+    }
+    const { sql, data } = queries.trash.insert({
+        model: model,
+        item_id: sanitize(id, 'integer'),
+        node_id: sanitize(node_id, 'integer'),
+        label: label,
+        records: records,
+        file_paths: filePaths || [],
+        deleted_by: user
+    });
+    const { rows = [] } = await client.query(sql, data);
+    return rows[0];
+};
+
+/**
+ * Get page of trash entries (newest first).
+ *
+ * @public
+ * @param {String} model - filter by model (optional)
+ * @param {Object} page
+ * @param client
+ * @return {Promise} results and page
+ */
+
+export const list = async (model, page, client) => {
+    const { retentionDays } = getSettings();
+    const { sql, data } = queries.trash.select(model || null, page);
+    const { rows = [] } = await client.query(sql, data);
+    return toPage(rows.map(row => ({
+        ...row,
+        purge_at: new Date(new Date(row.deleted_at).getTime() + retentionDays * 86400000)
+    })), page);
+};
+
+/**
+ * Restore trash entry. Restoring fails if a referenced record (e.g.
+ * the owner node) no longer exists or a restored record conflicts with
+ * an existing record.
+ *
+ * @public
+ * @param id
+ * @param client
+ * @return {Promise} restored entry (null if not found)
+ */
+
+export const restore = async (id, client) => {
+    try {
+        await client.query('BEGIN');
+        const { sql, data } = queries.trash.remove(sanitize(id, 'integer'));
+        const { rows = [] } = await client.query(sql, data);
+        const entry = rows[0];
+        if (!entry) {
+            await client.query('ROLLBACK');
+            return null;
+        }
+
+        // restore records (and references of kept records); records
+        // referencing records that are not yet restored (e.g. dependent
+        // nodes) are retried after them
+        let pending = entry.records;
+        while (pending.length > 0) {
+            const deferred = [];
+            for (const item of pending) {
+                const { sql, data } = item.column
+                    ? queries.trash.updateReference(item.table, item.keys, item.column, item.record)
+                    : queries.trash.insertRecord(item.table, item.record);
+                await client.query('SAVEPOINT restore_record');
+                try {
+                    await client.query(sql, data);
+                    await client.query('RELEASE SAVEPOINT restore_record');
+                } catch (err) {
+                    await client.query('ROLLBACK TO SAVEPOINT restore_record');
+                    if (err.code === '23503') deferred.push(item);
+                    else if (err.code === '23505') throw new Error('restoreConflict');
+                    else throw err;
+                }
+            }
+            if (deferred.length === pending.length) throw new Error('restoreConflict');
+            pending = deferred;
+        }
+
+        await audit.record({
+            operation: 'restore',
+            model: entry.model,
+            id: entry.item_id,
+            node_id: entry.node_id,
+            after: (entry.records[0] || {}).record
+        }, client);
+        await client.query('COMMIT');
+        clearRestricted();
+
+        const { records, file_paths, ...restored } = entry;
+        return { ...restored, record_count: records.length };
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    }
+};
+
+/**
+ * Purge trash entries older than the retention period and delete
+ * their files.
+ *
+ * @public
+ * @return {Promise} purged entries
+ */
+
+export const purge = async () => {
+    const { sql, data } = queries.trash.removeExpired(getSettings().retentionDays);
+    const { rows = [] } = await pool.query(sql, data);
+    for (const { id, model, item_id, file_paths = [] } of rows) {
+        await deleteFiles(file_paths).catch(err => {
+            logger.error(`Trash entry ${id}: files could not be deleted`, err);
+        });
+        logger.info(`Purged trash entry ${id} (${model} ${item_id})`, { files: file_paths.length });
+    }
+    return rows;
+};
+
+/**
+ * Start background purge job (runs at start and after each
+ * interval).
+ *
+ * @public
+ * @return {Object} timer
+ */
+
+export const schedulePurge = () => {
+    const run = () => purge().catch(err => logger.error('Trash purge failed', err));
+    run();
+    const timer = setInterval(run, getSettings().purgeInterval * 3600000);
+    timer.unref();
+    return timer;
+};
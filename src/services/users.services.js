@@ -3,6 +3,9 @@
  * File: users.services.js
  * Copyright(c) 2021 Runtime Software Development Inc.
  * MIT Licensed
+ *
+ * Revisions
+ * - 19-10-2026   Added user role and view permission management.
  */
 
 'use strict';
@@ -29,3 +32,235 @@ export async function getRoleData() {
             return res.rows.length === 0 ? null : res.rows;
         });
 }
+
+/**
+ * Roles that cannot be removed, and whose view permissions
+ * cannot be revoked (prevents administrator lockout).
+ *
+ * @private
+ */
+
+const protectedRoles = ['super_administrator'];
+
+/**
+ * Current user permission settings (view, role). Loaded on router
+ * initialization and reloaded when permissions or roles change, so
+ * that changes take effect without restarting the server.
+ *
+ * @private
+ */
+
+let permissionSettings = [];
+
+/**
+ * Load user permission settings.
+ *
+ * @public
+ * @param client
+ * @return {Promise} permission settings
+ */
+
+export async function loadPermissions(client = pool) {
+    const { sql, data } = queries.getPermissions();
+    const { rows = [] } = await client.query(sql, data);
+    permissionSettings = rows;
+    return permissionSettings;
+}
+
+/**
+ * Get current user permission settings.
+ *
+ * @public
+ * @return {Array} permission settings
+ */
+
+export function getPermissionSettings() {
+    return permissionSettings;
+}
+
+/**
+ * Check that user can assign role (e.g. to an API key). Users can
+ * assign their own roles, and roles that cannot access any views
+ * their own roles cannot access. Protected roles can only be assigned
+ * by users with the role.
+ *
+ * @public
+ * @param {Object} user
+ * @param {String} role
+ * @return {Boolean} result
+ */
+
+export function canAssignRole(user, role) {
+    const userRoles = [].concat((user || {}).role || []);
+    if (userRoles.includes(role)) return true;
+    if (protectedRoles.includes(role)) return false;
+    const allowed = new Set(permissionSettings
+        .filter(p => userRoles.includes(p.role))
+        .map(p => p.view));
+    return permissionSettings
+        .filter(p => p.role === role)
+        .every(p => allowed.has(p.view));
+}
+
+/**
+ * Throw field validation error (if any fields are invalid).
+ *
+ * @private
+ * @param {Object} fields
+ */
+
+const checkFields = (fields) => {
+    if (Object.keys(fields).length > 0) {
+        const err = new Error('invalidFields');
+        err.fields = fields;
+        throw err;
+    }
+};
+
+/**
+ * Get role by name.
+ *
+ * @private
+ * @param {String} name
+ * @return {Promise} role (null if not found)
+ */
+
+const findRole = async (name) => {
+    const roles = await getRoleData() || [];
+    return roles.find(role => role.name === name) || null;
+};
+
+/**
+ * Create user role.
+ *
+ * @public
+ * @param {Object} data - role name and label
+ * @return {Promise} role
+ */
+
+export async function createRole(data) {
+    const { name = '', label = '' } = data || {};
+    const fields = {};
+    if (!/^[a-z][a-z0-9_]*$/.test(name))
+        fields.name = ['Must start with a letter and contain only lowercase letters, numbers and underscores.'];
+    else if (await findRole(name)) fields.name = ['Role already exists.'];
+    if (!String(label).trim()) fields.label = ['Value is required.'];
+    checkFields(fields);
+
+    const { sql, data: values } = queries.insertRole(name, String(label).trim());
+    const { rows = [] } = await pool.query(sql, values);
+    return rows[0];
+}
+
+/**
+ * Update user role label.
+ *
+ * @public
+ * @param {String} name - role name
+ * @param {Object} data - role label
+ * @return {Promise} role (null if not found)
+ */
+
+export async function updateRole(name, data) {
+    const { label = '' } = data || {};
+    if (!await findRole(name)) return null;
+    checkFields(String(label).trim() ? {} : { label: ['Value is required.'] });
+
+    const { sql, data: values } = queries.updateRole(name, String(label).trim());
+    const { rows = [] } = await pool.query(sql, values);
+    return rows[0];
+}
+
+/**
+ * Delete user role and its view permissions.
+ *
+ * @public
+ * @param {String} name - role name
+ * @return {Promise} role (null if not found)
+ */
+
+export async function removeRole(name) {
+    if (protectedRoles.includes(name)) throw new Error('restricted');
+
+    // NOTE: client undefined if connection fails.
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+        const permissions = queries.removePermissionsByRole(name);
+        await client.query(permissions.sql, permissions.data);
+        const { sql, data } = queries.removeRole(name);
+        const { rows = [] } = await client.query(sql, data);
+        await client.query('COMMIT');
+
+        await loadPermissions();
+        return rows.length > 0 ? rows[0] : null;
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        await client.release(true);
+    }
+}
+
+/**
+ * Get view permission matrix: the roles allowed to access each view.
+ * Views without permission settings use the default roles of their
+ * routes.
+ *
+ * @public
+ * @param {Array} views - route views (see API documentation registry)
+ * @return {Promise} roles and view permissions
+ */
+
+export async function getPermissionMatrix(views = []) {
+    const roles = await getRoleData() || [];
+    const permissions = await loadPermissions();
+    const allViews = [...new Set([...views, ...permissions.map(p => p.view)])].sort();
+    return {
+        roles: roles,
+        views: allViews.map(view => {
+            const allowed = permissions.filter(p => p.view === view).map(p => p.role);
+            return {
+                view: view,
+                default: allowed.length === 0,
+                roles: roles.reduce((o, role) => {
+                    o[role.name] = allowed.includes(role.name);
+                    return o;
+                }, {})
+            };
+        })
+    };
+}
+
+/**
+ * Grant or revoke role access to view. Permissions are reloaded
+ * for subsequent requests.
+ *
+ * @public
+ * @param {Object} data - view and role names
+ * @param {Boolean} isGranted - grant (true) or revoke (false)
+ * @param {Array} views - route views (see API documentation registry)
+ * @return {Promise} permission setting (null if unchanged)
+ */
+
+export async function setPermission(data, isGranted, views = []) {
+    const { view = '', role = '' } = data || {};
+    const fields = {};
+    const permissions = getPermissionSettings();
+    if (!views.includes(view) && !permissions.some(p => p.view === view))
+        fields.view = ['View does not exist.'];
+    if (!await findRole(role)) fields.role = ['Value is not one of the allowed options.'];
+    else if (!isGranted && protectedRoles.includes(role))
+        fields.role = ['Access cannot be revoked for this role.'];
+    checkFields(fields);
+
+    const { sql, data: values } = isGranted
+        ? queries.insertPermission(view, role)
+        : queries.removePermission(view, role);
+    const { rows = [] } = await pool.query(sql, values);
+
+    await loadPermissions();
+    return rows.length > 0 ? rows[0] : null;
+}
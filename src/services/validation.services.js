@@ -0,0 +1,225 @@
+/*!
+ * MLP.API.Services.Validation
+ * File: validation.services.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * Version 2.0
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * Validates submitted record data before it is saved. Rules are built
+ * from the model schema (column data types, nullability, maximum
+ * lengths and foreign key references) and from the declarative
+ * constraints defined below for individual models. Invalid data is
+ * rejected with a 422 (invalidFields) error that reports the errors
+ * for each field.
+ *
+ * ---------
+ * Revisions
+ * - 19-10-2026   Initial release.
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ * @private
+ */
+
+import queries from '../queries/index.queries.js';
+
+/**
+ * Attributes set by the API or database (not validated).
+ *
+ * @public
+ */
+
+export const managedAttributes = [
+    'id', 'nodes_id', 'files_id', 'owner_id', 'owner_type', 'created_at', 'updated_at'
+];
+
+/**
+ * Geographic coordinate bounds.
+ *
+ * @private
+ */
+
+const latitude = { min: -90, max: 90 };
+const longitude = { min: -180, max: 180 };
+
+/**
+ * Declarative constraints indexed by model. Options:
+ * - min/max: numeric range (functions are evaluated on validation)
+ * - ref: allowed values listed in reference table column
+ *
+ * @public
+ */
+
+export const constraints = {
+    survey_seasons: {
+        year: { min: 1800, max: () => new Date().getFullYear() + 1 }
+    },
+    stations: {
+        lat: latitude,
+        long: longitude
+    },
+    locations: {
+        lat: latitude,
+        long: longitude
+    },
+    modern_captures: {
+        lat: latitude,
+        long: longitude,
+        azimuth: { min: 0, max: 360 }
+    },
+    historic_images: {
+        image_state: { ref: { table: 'image_states', col: 'name' } }
+    },
+    modern_images: {
+        image_state: { ref: { table: 'image_states', col: 'name' } }
+    }
+};
+
+/**
+ * Check if value is empty.
+ *
+ * @private
+ * @param value
+ * @return {Boolean} result
+ */
+
+const isEmpty = (value) => {
+    return value === null || value === undefined || value === '';
+};
+
+/**
+ * Data type checks. Return an error message for invalid values.
+ *
+ * @private
+ */
+
+const typeChecks = {
+    'integer': (value) => {
+        return /^-?\d+$/.test(String(value).trim()) ? null : 'Must be a whole number.';
+    },
+    'bigint': (value) => {
+        return /^-?\d+$/.test(String(value).trim()) ? null : 'Must be a whole number.';
+    },
+    'smallint': (value) => {
+        return /^-?\d+$/.test(String(value).trim()) ? null : 'Must be a whole number.';
+    },
+    'double precision': (value) => {
+        return isFinite(parseFloat(value)) && isFinite(value) ? null : 'Must be a number.';
+    },
+    'real': (value) => {
+        return isFinite(parseFloat(value)) && isFinite(value) ? null : 'Must be a number.';
+    },
+    'numeric': (value) => {
+        return isFinite(parseFloat(value)) && isFinite(value) ? null : 'Must be a number.';
+    },
+    'boolean': (value) => {
+        return [true, false, 'true', 'false', '1', '0', 1, 0, 'on', 'off'].includes(value)
+            ? null
+            : 'Must be true or false.';
+    },
+    'date': (value) => {
+        return isNaN(Date.parse(value)) ? 'Must be a valid date.' : null;
+    },
+    'timestamp without time zone': (value) => {
+        return isNaN(Date.parse(value)) ? 'Must be a valid date and time.' : null;
+    },
+    'timestamp with time zone': (value) => {
+        return isNaN(Date.parse(value)) ? 'Must be a valid date and time.' : null;
+    },
+    'time without time zone': (value) => {
+        return /^\d{1,2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(String(value).trim())
+            ? null
+            : 'Must be a valid time (HH:MM:SS).';
+    }
+};
+
+/**
+ * Check that value exists in reference table column.
+ *
+ * @private
+ * @param {String} table
+ * @param {String} col
+ * @param value
+ * @param client
+ * @return {Promise} result
+ */
+
+const hasReference = async (table, col, value, client) => {
+    const { sql, data } = queries.schema.hasReference(table, col, value);
+    const { rows = [] } = await client.query(sql, data);
+    return rows.length > 0;
+};
+
+/**
+ * Validate submitted data for model. Partial submissions (e.g. PATCH
+ * requests) are only checked for the submitted fields.
+ *
+ * @public
+ * @param {Object} model - model instance
+ * @param {Object} data - submitted data
+ * @param client
+ * @param {Boolean} partial - partial submission
+ * @return {Promise} empty field errors (throws invalidFields error)
+ */
+
+export const validate = async (model, data, client, partial = false) => {
+
+    const { name = '', idKey = '', attributes = {} } = model || {};
+    const modelConstraints = constraints[name] || {};
+    const fields = {};
+
+    const addError = (key, msg) => {
+        (fields[key] = fields[key] || []).push(msg);
+    };
+
+    await Promise.all(Object.keys(attributes)
+        .filter(key => !managedAttributes.includes(key) && key !== idKey)
+        .filter(key => !partial || (data || {}).hasOwnProperty(key))
+        .map(async (key) => {
+
+            const { type = '', nullable = true, hasDefault = false, maxLength = null,
+                ref = null, refId = null } = attributes[key] || {};
+            const { min = null, max = null, ref: allowed = null } = modelConstraints[key] || {};
+            const value = (data || {})[key];
+
+            // required values (non-nullable columns without defaults)
+            if (isEmpty(value)) {
+                if (!nullable && !hasDefault) addError(key, 'Value is required.');
+                return;
+            }
+
+            // data type
+            const typeError = typeChecks.hasOwnProperty(type) ? typeChecks[type](value) : null;
+            if (typeError) return addError(key, typeError);
+
+            // maximum length of text values
+            if (maxLength && String(value).length > maxLength)
+                addError(key, `Must be at most ${maxLength} characters.`);
+
+            // numeric range
+            const lower = typeof min === 'function' ? min() : min;
+            const upper = typeof max === 'function' ? max() : max;
+            if ((lower !== null && parseFloat(value) < lower) || (upper !== null && parseFloat(value) > upper))
+                addError(key, `Must be between ${lower ?? '-∞'} and ${upper ?? '∞'}.`);
+
+            // allowed values and foreign key references
+            if (allowed && !await hasReference(allowed.table, allowed.col, value, client))
+                addError(key, 'Value is not one of the allowed options.');
+            else if (!allowed && ref && refId && !await hasReference(ref, refId, value, client))
+                addError(key, 'Referenced record does not exist.');
+        }));
+
+    if (Object.keys(fields).length > 0) {
+        const err = new Error('invalidFields');
+        err.fields = fields;
+        throw err;
+    }
+
+    return fields;
+};
@@ -0,0 +1,92 @@
+/*!
+ * MLP.API.Services.Versions
+ * File: versions.services.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * Version 2.0
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * Optimistic concurrency control for record edits. The version of a
+ * record is its last update time ('updated_at'), included as 'version'
+ * in record responses. Updates submit the version of the record that
+ * was edited ('version' field or If-Match header); updates of records
+ * that were changed since are rejected with a 409 (staleVersion)
+ * error that includes the current record data. Records without update
+ * times are not versioned.
+ *
+ * ---------
+ * Revisions
+ * - 19-10-2026   Initial release.
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ * @private
+ */
+
+import queries from '../queries/index.queries.js';
+
+/**
+ * Get version of record.
+ *
+ * @public
+ * @param {Object} record
+ * @return {String} version (or null if not versioned)
+ */
+
+export const getVersion = (record) => {
+    const { updated_at = null } = record || {};
+    const updated = updated_at ? new Date(updated_at) : null;
+    return updated && !isNaN(updated.getTime()) ? updated.toISOString() : null;
+};
+
+/**
+ * Get version submitted with update request: the 'version' field of
+ * the submitted data, or the If-Match request header.
+ *
+ * @public
+ * @param req
+ * @param {Object} data - submitted data
+ * @return {String} submitted version (or null)
+ */
+
+export const getSubmittedVersion = (req, data) => {
+    const { version = null } = data || {};
+    if (version) return String(version);
+    const header = req && typeof req.get === 'function' ? req.get('If-Match') : null;
+    return header ? header.replace(/^W\//, '').replace(/"/g, '').trim() || null : null;
+};
+
+/**
+ * Check that the submitted version is the current version of the
+ * record. The record is locked until the end of the transaction, so
+ * the client must be in an open transaction.
+ *
+ * @public
+ * @param {Object} model - model instance (table and ID key)
+ * @param {Integer} id - record ID
+ * @param {String} version - submitted version
+ * @param client
+ * @return {Promise} current record (throws versionRequired or staleVersion error)
+ */
+
+export const checkVersion = async (model, id, version, client) => {
+
+    const { name = '', idKey = '' } = model || {};
+    const { sql, data } = queries.versions.selectForUpdate(name, idKey, id);
+    const { rows: [record = null] = [] } = await client.query(sql, data);
+
+    const current = getVersion(record);
+    if (!record || !current) return record;
+
+    const submitted = version ? new Date(version) : null;
+    if (submitted && !isNaN(submitted.getTime()) && submitted.toISOString() === current) return record;
+
+    const err = new Error(version ? 'staleVersion' : 'versionRequired');
+    err.current = { version: current, data: record };
+    throw err;
+};
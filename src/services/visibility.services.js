@@ -0,0 +1,240 @@
+/*!
+ * MLP.API.Services.Visibility
+ * File: visibility.services.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * Version 2.0
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * Visibility and embargo dates for nodes and files. Private records,
+ * and records with an embargo date in the future, are restricted: they
+ * are hidden from users who cannot view restricted records (visitors
+ * and registered users), together with everything under them in the
+ * node tree and their attached files. Editors and administrators see
+ * all records.
+ *
+ * The restricted node and file IDs are reloaded at most every few
+ * seconds and removed from response data (see redact), search results,
+ * image uploads and file downloads.
+ *
+ * ---------
+ * Revisions
+ * - 19-10-2026   Initial release.
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ * @private
+ */
+
+import crypto from 'crypto';
+import pool from './db.services.js';
+import queries from '../queries/index.queries.js';
+import * as audit from './audit.services.js';
+import { sanitize } from '../lib/data.utils.js';
+
+/**
+ * Visibility options.
+ *
+ * @public
+ */
+
+export const options = ['public', 'private'];
+
+/**
+ * Roles that can view restricted records.
+ *
+ * @private
+ */
+
+const privilegedRoles = ['super_administrator', 'administrator', 'editor'];
+
+/**
+ * Restricted records are reloaded after this interval (ms), so that
+ * image requests do not each query the node tree. Visibility updates
+ * clear the loaded records.
+ *
+ * @private
+ */
+
+const reloadInterval = 10000;
+let loaded = null;
+let loadedAt = 0;
+
+/**
+ * Initialize visibility columns.
+ *
+ * @public
+ * @return {Promise} result
+ */
+
+export const init = async () => {
+    const { sql, data } = queries.visibility.init();
+    await pool.query(sql, data);
+};
+
+/**
+ * Check if user can view restricted records.
+ *
+ * @public
+ * @param {Object} user
+ * @return {Boolean} result
+ */
+
+export const canViewRestricted = (user) => {
+    const { role = [] } = user || {};
+    return [].concat(role).some(r => privilegedRoles.includes(r));
+};
+
+/**
+ * Get restricted records for user. The key identifies the current
+ * set of restricted records (used in cache validators).
+ *
+ * @public
+ * @param {Object} user
+ * @param client
+ * @return {Promise} restricted node IDs, file IDs and image tokens (null if not restricted)
+ */
+
+export const getRestricted = async (user, client = pool) => {
+    if (canViewRestricted(user)) return null;
+    if (loaded && Date.now() - loadedAt < reloadInterval) return loaded;
+    const { sql, data } = queries.visibility.selectRestricted();
+    const { rows = [] } = await client.query(sql, data);
+    const { nodes = [], files = [], tokens = [] } = rows[0] || {};
+    loaded = {
+        nodes: new Set(nodes),
+        files: new Set(files),
+        tokens: new Set(tokens),
+        key: crypto.createHash('sha1').update(`${nodes.join(',')}:${files.join(',')}`).digest('base64url')
+    };
+    loadedAt = Date.now();
+    return loaded;
+};
+
+/**
+ * Clear loaded restricted records (reloaded on next request).
+ *
+ * @public
+ */
+
+export const clearRestricted = () => {
+    loaded = null;
+};
+
+/**
+ * Check if item in response data is a restricted record. Items can be
+ * node or file data (with a node or file record), node or file records,
+ * or model records referencing a node (nodes_id).
+ *
+ * @public
+ * @param {Object} item
+ * @param {Object} restricted
+ * @return {Boolean} result
+ */
+
+export const isRestricted = (item, restricted) => {
+    if (!restricted || !item || typeof item !== 'object' || Array.isArray(item)) return false;
+    const { node = null, file = null, nodes_id = null } = item;
+    if (node && restricted.nodes.has(node.id)) return true;
+    if (file && restricted.files.has(file.id)) return true;
+    if (item.hasOwnProperty('file_type')) return restricted.files.has(item.id);
+    if (item.hasOwnProperty('owner_id') && item.hasOwnProperty('type') && restricted.nodes.has(item.id)) return true;
+    return !!nodes_id && restricted.nodes.has(nodes_id);
+};
+
+/**
+ * Remove restricted records from response data: restricted items
+ * are removed from lists, and set to null in objects.
+ *
+ * @public
+ * @param data
+ * @param {Object} restricted
+ * @return {*} redacted data
+ */
+
+export const redact = (data, restricted) => {
+    if (!restricted) return data;
+    if (Array.isArray(data)) return data
+        .filter(item => !isRestricted(item, restricted))
+        .map(item => redact(item, restricted));
+    // keep values that are not plain objects (e.g. dates, URLs)
+    if (!data || typeof data !== 'object' || Object.getPrototypeOf(data) !== Object.prototype) return data;
+    return Object.keys(data).reduce((o, key) => {
+        o[key] = isRestricted(data[key], restricted) ? null : redact(data[key], restricted);
+        return o;
+    }, {});
+};
+
+/**
+ * Check if image upload (e.g. '/uploads/medium_<token>.jpeg') is
+ * restricted.
+ *
+ * @public
+ * @param {String} filename
+ * @param {Object} restricted
+ * @return {Boolean} result
+ */
+
+export const isRestrictedUpload = (filename, restricted) => {
+    if (!restricted) return false;
+    const [, token = ''] = /^[a-z]+_(.+)\.jpeg$/.exec(String(filename).replace(/^.*[\\\/]/, '')) || [];
+    return restricted.tokens.has(token);
+};
+
+/**
+ * Update visibility and embargo date of node or file.
+ *
+ * @public
+ * @param {String} model - nodes or files
+ * @param {Object} item - node or file record
+ * @param {Object} data - visibility and embargo date (optional)
+ * @param client
+ * @return {Promise} updated record
+ */
+
+export const update = async (model, item, data, client) => {
+
+    const { visibility = 'public', embargo_until = null } = data || {};
+    const fields = {};
+
+    // check submitted data
+    if (!options.includes(visibility))
+        fields.visibility = [`Must be one of: ${options.join(', ')}.`];
+    const embargo = embargo_until ? new Date(embargo_until) : null;
+    if (embargo && isNaN(embargo.getTime()))
+        fields.embargo_until = ['Must be a valid date and time.'];
+    if (Object.keys(fields).length > 0) {
+        const err = new Error('invalidFields');
+        err.fields = fields;
+        throw err;
+    }
+
+    try {
+        await client.query('BEGIN');
+        const { sql, data: values } = queries.visibility.update(
+            model, sanitize(item.id, 'integer'), {
+                visibility: visibility,
+                embargo_until: embargo ? embargo.toISOString() : null
+            });
+        const { rows = [] } = await client.query(sql, values);
+        await audit.record({
+            operation: 'update',
+            model: model === 'files' ? item.file_type : item.type,
+            id: item.id,
+            node_id: model === 'files' ? item.owner_id : item.id,
+            before: { visibility: item.visibility, embargo_until: item.embargo_until },
+            after: { visibility: rows[0].visibility, embargo_until: rows[0].embargo_until }
+        }, client);
+        await client.query('COMMIT');
+        clearRestricted();
+        return rows[0];
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    }
+};
@@ -0,0 +1,121 @@
+/*!
+ * MLP.API.Tests.Accounts
+ * File: accounts.tests.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * MIT Licensed
+ *
+ * Description: Local authentication provider and user account tests
+ */
+
+/**
+ * Module dependencies.
+ * @private
+ */
+
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import pool from '../src/services/db.services.js';
+import * as accounts from '../src/services/accounts.services.js';
+import * as local from '../src/services/providers/local.provider.js';
+
+/**
+ * Test account data.
+ * @private
+ */
+
+const credentials = {
+    email: 'local.test@example.ca',
+    password: 'Local5565lSSR!33'
+};
+
+/**
+ * Expect promise to be rejected with error.
+ * @private
+ */
+
+const expectError = async (promise, msg) => {
+    await promise.then(
+        () => expect.fail('Promise resolved'),
+        err => expect(err.message).to.equal(msg));
+};
+
+describe('Test local authentication provider', () => {
+
+    let account, tokens;
+
+    before(async () => {
+        await local.init();
+        const existing = await accounts.selectByEmail(credentials.email, pool);
+        if (existing) await accounts.remove(existing.id, pool);
+    });
+
+    after(async () => {
+        if (account) await accounts.remove(account.id, pool);
+    });
+
+    it('Hash and check password', async () => {
+        const hash = await accounts.hashPassword(credentials.password);
+        expect(hash).to.not.include(credentials.password);
+        expect(await accounts.checkPassword(credentials.password, hash)).to.equal(true);
+        expect(await accounts.checkPassword('WRONG5565lSSR!3323', hash)).to.equal(false);
+    });
+
+    it('Reject account with invalid password', async () => {
+        await accounts.create({ ...credentials, password: 'password', role: 'editor' }, pool).then(
+            () => expect.fail('Account created'),
+            err => {
+                expect(err.message).to.equal('invalidFields');
+                expect(err.fields).to.have.property('password');
+            });
+    });
+
+    it('Reject account with unknown role', async () => {
+        await accounts.create({ ...credentials, role: 'super_administrator' }, pool).then(
+            () => expect.fail('Account created'),
+            err => expect(err.fields).to.have.property('role'));
+    });
+
+    it('Create account', async () => {
+        account = await accounts.create({ ...credentials, role: 'editor' }, pool);
+        expect(account.email).to.equal(credentials.email);
+        expect(account).to.not.have.property('password_hash');
+    });
+
+    it('Authenticate wrong password should fail', async () => {
+        await expectError(local.authenticate({ ...credentials, password: 'WRONG5565lSSR!3323' }), 'invalidCredentials');
+    });
+
+    it('Authenticate unknown email should fail', async () => {
+        await expectError(local.authenticate({ ...credentials, email: 'wrong@example.ca' }), 'invalidCredentials');
+    });
+
+    it('Authenticate correct credentials', async () => {
+        tokens = await local.authenticate(credentials);
+        expect(tokens.roles).to.deep.equal(['editor']);
+        const user = await local.verify(tokens.access_token);
+        expect(user).to.deep.equal({ email: credentials.email, roles: ['editor'] });
+    });
+
+    it('Reject refresh token as access token', async () => {
+        await expectError(local.verify(tokens.refresh_token), 'invalidToken');
+    });
+
+    it('Apply role change to current session', async () => {
+        await accounts.update(account.id, { role: 'administrator' }, pool);
+        const user = await local.verify(tokens.access_token);
+        expect(user.roles).to.deep.equal(['administrator']);
+    });
+
+    it('Refresh tokens', async () => {
+        const data = await local.refresh(tokens.refresh_token);
+        expect(data.email).to.equal(credentials.email);
+        expect(await local.verify(data.access_token)).to.have.property('email', credentials.email);
+    });
+
+    it('Logout ends session', async () => {
+        expect(await local.logout(tokens.access_token, tokens.refresh_token)).to.equal(true);
+        await expectError(local.verify(tokens.access_token), 'invalidToken');
+        expect(await local.refresh(tokens.refresh_token)).to.equal(null);
+    });
+
+});
@@ -0,0 +1,103 @@
+/*!
+ * MLP.API.Tests.Audit
+ * File: audit.tests.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * MIT Licensed
+ *
+ * Description: Audit log tests
+ */
+
+/**
+ * Module dependencies.
+ * @private
+ */
+
+import { server, BASE_URL } from './setup.js';
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import path from 'path';
+
+/**
+ * Load admin data.
+ * @private
+ */
+
+let admin = {
+    email: process.env.API_EMAIL,
+    password: process.env.API_PASS,
+    role: 'super_administrator'
+}
+
+describe('Test audit log', () => {
+
+    let cookie, visitId;
+
+    before(async () => {
+        const res = await server
+            .post(path.join(BASE_URL, 'login'))
+            .set('Accept', 'application/json')
+            .send({
+                email: admin.email,
+                password: admin.password
+            });
+
+        cookie = res.headers["set-cookie"];
+
+        // create, update and remove a visit
+        const batch = await server
+            .post(path.join(BASE_URL, 'batch'))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json')
+            .send({
+                operations: [
+                    { op: 'create', model: 'modern_visits', owner_id: 312, data: { date: '2026-10-01' }, ref: 'visit' },
+                    { op: 'update', model: 'modern_visits', id: { $ref: 'visit' }, data: { date: '2026-10-02' } },
+                    { op: 'remove', model: 'modern_visits', id: { $ref: 'visit' } }
+                ]
+            });
+        visitId = batch.body.data[0].id;
+    });
+
+    it('Records node changes with user and field-level changes', async () => {
+        const res = await server
+            .get(path.join(BASE_URL, 'nodes', 'history', String(visitId)))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json');
+
+        expect(res).to.have.status(200);
+        expect(res.body.data.map(entry => entry.operation)).to.deep.equal(['remove', 'update', 'create']);
+        expect(res.body.data[0].user_email).to.equal(admin.email);
+
+        const update = res.body.data[1];
+        expect(update.changes).to.have.property('date');
+        expect(update.changes).to.not.have.property('updated_at');
+    });
+
+    it('Filters audit log by user, model and operation', async () => {
+        const res = await server
+            .get(path.join(BASE_URL, 'admin', 'audit'))
+            .query({ user: admin.email, model: 'modern_visits', operation: 'remove', limit: 5 })
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json');
+
+        expect(res).to.have.status(200);
+        expect(res.body.data.length).to.be.at.most(5);
+        res.body.data.forEach(entry => {
+            expect(entry.operation).to.equal('remove');
+            expect(entry.model).to.equal('modern_visits');
+        });
+        expect(res.body.data.map(entry => entry.record_id)).to.include(visitId);
+    });
+
+    it('Rejects invalid audit log filters', async () => {
+        const res = await server
+            .get(path.join(BASE_URL, 'admin', 'audit'))
+            .query({ operation: 'drop', from: 'yesterday' })
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json');
+
+        expect(res).to.have.status(422);
+        expect(res.body.message.fields).to.have.all.keys('operation', 'from');
+    });
+
+});
@@ -0,0 +1,101 @@
+/*!
+ * MLP.API.Tests.Batch
+ * File: batch.tests.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * MIT Licensed
+ *
+ * Description: Transactional batch operation tests
+ */
+
+/**
+ * Module dependencies.
+ * @private
+ */
+
+import { server, BASE_URL } from './setup.js';
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import path from 'path';
+
+/**
+ * Load admin data.
+ * @private
+ */
+
+let admin = {
+    email: process.env.API_EMAIL,
+    password: process.env.API_PASS,
+    role: 'super_administrator'
+}
+
+describe('Test batch operations', () => {
+
+    let cookie;
+
+    before(async () => {
+        const res = await server
+            .post(path.join(BASE_URL, 'login'))
+            .set('Accept', 'application/json')
+            .send({
+                email: admin.email,
+                password: admin.password
+            });
+
+        cookie = res.headers["set-cookie"];
+    });
+
+    it('Runs operations with references in a single transaction', async () => {
+        const res = await server
+            .post(path.join(BASE_URL, 'batch'))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json')
+            .send({
+                operations: [
+                    { op: 'create', model: 'modern_visits', owner_id: 312, data: { date: '2026-08-01' }, ref: 'visit' },
+                    { op: 'create', model: 'locations', owner_id: { $ref: 'visit' }, data: { location_identity: 'A' }, ref: 'loc' },
+                    { op: 'remove', model: 'locations', id: { $ref: 'loc' } },
+                    { op: 'remove', model: 'modern_visits', id: { $ref: 'visit' } }
+                ]
+            });
+
+        expect(res).to.have.status(200);
+        expect(res.body.data).to.have.lengthOf(4);
+        expect(res.body.data[1].data.node.owner_id).to.equal(res.body.data[0].id);
+    });
+
+    it('Rolls back all operations on failure', async () => {
+        const res = await server
+            .post(path.join(BASE_URL, 'batch'))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json')
+            .send({
+                operations: [
+                    { op: 'create', model: 'modern_visits', owner_id: 312, data: { date: '2026-08-02' }, ref: 'visit' },
+                    { op: 'create', model: 'locations', owner_id: { $ref: 'missing' }, data: {} }
+                ]
+            });
+
+        expect(res).to.have.status(422);
+        expect(res.body.message.operation).to.equal(1);
+
+        const station = await server
+            .get(path.join(BASE_URL, 'stations', 'show', '312'))
+            .query({ include: 'dependents', depth: 1 })
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json');
+        const dates = station.body.data.dependents.map(dependent => dependent.metadata.date);
+        expect(dates).to.not.include('2026-08-02');
+    });
+
+    it('Rejects malformed batches', async () => {
+        const res = await server
+            .post(path.join(BASE_URL, 'batch'))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json')
+            .send({ operations: [{ op: 'drop', model: 'stations' }] });
+
+        expect(res).to.have.status(422);
+        expect(res.body.message.operation).to.equal(0);
+    });
+
+});
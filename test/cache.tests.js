@@ -0,0 +1,164 @@
+/*!
+ * MLP.API.Tests.Cache
+ * File: cache.tests.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * MIT Licensed
+ *
+ * Description: HTTP caching (ETag / conditional requests) tests
+ */
+
+/**
+ * Module dependencies.
+ * @private
+ */
+
+import { server, BASE_URL } from './setup.js';
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import path from 'path';
+
+/**
+ * Load admin data.
+ * @private
+ */
+
+let admin = {
+    email: process.env.API_EMAIL,
+    password: process.env.API_PASS,
+    role: 'super_administrator'
+}
+
+describe('Test HTTP caching', () => {
+
+    it('Returns validators for node tree', async () => {
+        const res = await server
+            .get(path.join(BASE_URL, 'nodes', 'tree'))
+            .set('Accept', 'application/json');
+
+        expect(res).to.have.status(200);
+        expect(res).to.have.header('etag');
+        expect(res).to.have.header('last-modified');
+        expect(res.headers['cache-control']).to.contain('public');
+    });
+
+    it('Responds 304 for current ETag', async () => {
+        const res = await server
+            .get(path.join(BASE_URL, 'nodes', 'map'))
+            .set('Accept', 'application/json');
+        expect(res).to.have.status(200);
+
+        const cached = await server
+            .get(path.join(BASE_URL, 'nodes', 'map'))
+            .set('Accept', 'application/json')
+            .set('If-None-Match', res.headers['etag']);
+        expect(cached).to.have.status(304);
+    });
+
+    it('Responds 304 for unmodified record', async () => {
+        const res = await server
+            .get(path.join(BASE_URL, 'stations', 'show', '312'))
+            .set('Accept', 'application/json');
+        expect(res).to.have.status(200);
+
+        const cached = await server
+            .get(path.join(BASE_URL, 'stations', 'show', '312'))
+            .set('Accept', 'application/json')
+            .set('If-Modified-Since', res.headers['last-modified']);
+        expect(cached).to.have.status(304);
+    });
+
+    it('Does not cache missing records', async () => {
+        const res = await server
+            .get(path.join(BASE_URL, 'stations', 'show', '0'))
+            .set('Accept', 'application/json');
+
+        expect(res.status).to.not.equal(200);
+        expect(res).to.not.have.header('etag');
+    });
+
+});
+
+describe('Test HTTP caching of embedded metadata', () => {
+
+    let cookie, ownerId;
+    const created = [];
+
+    const createListing = async (container) => {
+        const res = await server
+            .post(path.join(BASE_URL, 'v2', 'glass_plate_listings'))
+            .query({ owner_id: ownerId })
+            .set('Accept', 'application/json')
+            .set('Cookie', cookie)
+            .send({ container: container });
+        created.push(res.body.data.id);
+        return res.body.data.id;
+    };
+
+    const removeListing = async (id) => {
+        return await server
+            .delete(path.join(BASE_URL, 'v2', 'glass_plate_listings', String(id)))
+            .set('Accept', 'application/json')
+            .set('Cookie', cookie);
+    };
+
+    const show = async (headers = {}) => {
+        const req = server
+            .get(path.join(BASE_URL, 'survey_seasons', 'show', String(ownerId)))
+            .set('Accept', 'application/json')
+            .set('Cookie', cookie);
+        Object.keys(headers).forEach(key => req.set(key, headers[key]));
+        return await req;
+    };
+
+    before(async () => {
+        const res = await server
+            .post(path.join(BASE_URL, 'login'))
+            .set('Accept', 'application/json')
+            .send({
+                email: admin.email,
+                password: admin.password
+            });
+        cookie = res.headers["set-cookie"];
+
+        // glass plate listings are attached to the owner of a station (survey season)
+        const station = await server
+            .get(path.join(BASE_URL, 'stations', 'show', '805'))
+            .set('Accept', 'application/json')
+            .set('Cookie', cookie);
+        ownerId = station.body.data.node.owner_id;
+    });
+
+    after(async () => {
+        for (const id of created) await removeListing(id);
+    });
+
+    it('Changes node validators when attached metadata changes', async () => {
+        const res = await show();
+        expect(res).to.have.status(200);
+        expect(res).to.have.header('etag');
+
+        await createListing('CACHED');
+
+        const current = await show({ 'If-None-Match': res.headers['etag'] });
+        expect(current).to.have.status(200);
+        expect(current.headers['etag']).to.not.equal(res.headers['etag']);
+    });
+
+    it('Changes node validators when metadata is replaced', async () => {
+        const id = await createListing('REMOVED');
+        const res = await show();
+        expect(res).to.have.status(200);
+
+        // delete followed by insert (same row count)
+        await removeListing(id);
+        await createListing('REPLACED');
+
+        const current = await show({
+            'If-None-Match': res.headers['etag'],
+            'If-Modified-Since': res.headers['last-modified']
+        });
+        expect(current).to.have.status(200);
+        expect(current.headers['etag']).to.not.equal(res.headers['etag']);
+    });
+
+});
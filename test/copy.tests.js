@@ -0,0 +1,153 @@
+/*!
+ * MLP.API.Tests.Copy
+ * File: copy.tests.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * MIT Licensed
+ *
+ * Description: Node subtree copy tests
+ */
+
+/**
+ * Module dependencies.
+ * @private
+ */
+
+import { server, BASE_URL } from './setup.js';
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import path from 'path';
+
+/**
+ * Load admin data.
+ * @private
+ */
+
+let admin = {
+    email: process.env.API_EMAIL,
+    password: process.env.API_PASS,
+    role: 'super_administrator'
+}
+
+describe('Test node subtree copy', () => {
+
+    let cookie, visitId, locationId;
+    const copies = [];
+    const outside = [];
+
+    const copySubtree = async (ownerId, data) => {
+        return await server
+            .post(path.join(BASE_URL, 'nodes', 'copy', String(visitId), String(ownerId)))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json')
+            .send(data);
+    };
+
+    const removeSubtree = async (id) => {
+        return await server
+            .post(path.join(BASE_URL, 'nodes', 'remove', String(id)))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json')
+            .send({ confirm: true });
+    };
+
+    before(async () => {
+        const res = await server
+            .post(path.join(BASE_URL, 'login'))
+            .set('Accept', 'application/json')
+            .send({
+                email: admin.email,
+                password: admin.password
+            });
+
+        cookie = res.headers["set-cookie"];
+
+        // create a visit with a location
+        const batch = await server
+            .post(path.join(BASE_URL, 'batch'))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json')
+            .send({
+                operations: [
+                    { op: 'create', model: 'modern_visits', owner_id: 312, data: { date: '2026-10-07' }, ref: 'visit' },
+                    { op: 'create', model: 'locations', owner_id: { $ref: 'visit' }, data: { location_identity: 'Copy' } }
+                ]
+            });
+        visitId = batch.body.data[0].id;
+        locationId = batch.body.data[1].id;
+    });
+
+    after(async () => {
+        for (const id of [visitId, ...copies, ...outside]) await removeSubtree(id);
+    });
+
+    it('Copies node without dependents', async () => {
+        const res = await copySubtree(312, {});
+
+        expect(res).to.have.status(200);
+        expect(Object.keys(res.body.data.ids)).to.deep.equal([String(visitId)]);
+        copies.push(res.body.data.node_id);
+
+        const show = await server
+            .get(path.join(BASE_URL, 'modern_visits', 'show', String(res.body.data.node_id)))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json');
+        expect(show).to.have.status(200);
+        expect(show.body.data.metadata.date).to.have.string('2026-10-07');
+        expect(show.body.data.dependents).to.deep.equal([]);
+    });
+
+    it('Copies node with dependents', async () => {
+        const res = await copySubtree(312, { dependents: true });
+
+        expect(res).to.have.status(200);
+        expect(res.body.data.ids).to.have.all.keys(String(visitId), String(locationId));
+        expect(res.body.data.files).to.equal(0);
+        copies.push(res.body.data.node_id);
+
+        const show = await server
+            .get(path.join(BASE_URL, 'locations', 'show', String(res.body.data.ids[locationId])))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json');
+        expect(show).to.have.status(200);
+        expect(show.body.data.node.owner_id).to.equal(res.body.data.node_id);
+    });
+
+    it('Copies only comparisons between copied captures', async () => {
+        // compare a capture in the copied subtree with a capture outside it
+        const batch = await server
+            .post(path.join(BASE_URL, 'batch'))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json')
+            .send({
+                operations: [
+                    { op: 'create', model: 'historic_visits', owner_id: 312, data: { date: '1926-10-07' }, ref: 'visit' },
+                    { op: 'create', model: 'historic_captures', owner_id: { $ref: 'visit' }, data: { fn_photo_reference: 'COPY-HC' }, ref: 'historic' },
+                    { op: 'create', model: 'modern_captures', owner_id: locationId, data: { fn_photo_reference: 'COPY-MC', historic_captures: [{ $ref: 'historic' }] } }
+                ]
+            });
+        expect(batch).to.have.status(200);
+        outside.push(batch.body.data[0].id);
+        const captureId = batch.body.data[2].id;
+
+        const res = await copySubtree(312, { dependents: true, comparisons: true });
+
+        expect(res).to.have.status(200);
+        expect(res.body.data.ids).to.have.property(String(captureId));
+        expect(res.body.data.comparisons).to.equal(0);
+        copies.push(res.body.data.node_id);
+    });
+
+    it('Rejects copies to owners not allowed by node relations', async () => {
+        const res = await copySubtree(locationId, { dependents: true });
+        expect(res).to.have.status(422);
+    });
+
+    it('Limits copies to editors', async () => {
+        const res = await server
+            .post(path.join(BASE_URL, 'nodes', 'copy', String(visitId), '312'))
+            .set('Accept', 'application/json')
+            .send({});
+        expect(res).to.have.status(403);
+    });
+
+});
@@ -0,0 +1,72 @@
+/*!
+ * MLP.API.Tests.Docs
+ * File: docs.tests.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * MIT Licensed
+ *
+ * Description: API documentation (OpenAPI) tests
+ */
+
+/**
+ * Module dependencies.
+ * @private
+ */
+
+import { server, BASE_URL } from './setup.js';
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import path from 'path';
+
+/**
+ * Test OpenAPI specification and documentation page.
+ * @private
+ */
+
+describe('API documentation', () => {
+
+    it('Gets OpenAPI specification', async () => {
+        const res = await server
+            .get(path.join(BASE_URL, 'api', 'openapi.json'))
+            .set('Accept', 'application/json');
+
+        expect(res).to.have.status(200);
+        expect(res.body.openapi).to.match(/^3\./);
+        expect(res.body.paths).to.have.property('/api/openapi.json');
+        expect(res.body.paths).to.have.property('/stations/show/{stations_id}');
+        expect(res.body.paths).to.not.have.property('/fields');
+    });
+
+    it('Includes model request fields', async () => {
+        const res = await server
+            .get(path.join(BASE_URL, 'api', 'openapi.json'))
+            .set('Accept', 'application/json');
+
+        const {schemas} = res.body.components;
+        expect(schemas).to.have.property('stations');
+        expect(schemas.stations.properties).to.have.property('name');
+        expect(schemas.stations.properties.nodes_id.readOnly).to.equal(true);
+
+        const operation = res.body.paths['/stations/edit/{stations_id}'].post;
+        expect(operation).to.have.property('requestBody');
+        expect(operation['x-allowed-roles']).to.be.an('array');
+    });
+
+    it('Includes cookie and bearer authentication', async () => {
+        const res = await server
+            .get(path.join(BASE_URL, 'api', 'openapi.json'))
+            .set('Accept', 'application/json');
+
+        const {securitySchemes} = res.body.components;
+        expect(securitySchemes).to.have.all.keys('cookieAuth', 'bearerAuth');
+        expect(securitySchemes.bearerAuth.scheme).to.equal('bearer');
+
+        const operation = res.body.paths['/stations/edit/{stations_id}'].post;
+        expect(operation.security).to.deep.equal([{cookieAuth: []}, {bearerAuth: []}]);
+    });
+
+    it('Gets browsable documentation page', async () => {
+        const res = await server.get(path.join(BASE_URL, 'api', 'docs'));
+        expect(res).to.have.status(200);
+        expect(res).to.be.html;
+    });
+});
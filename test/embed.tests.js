@@ -0,0 +1,74 @@
+/*!
+ * MLP.API.Tests.Embed
+ * File: embed.tests.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * MIT Licensed
+ *
+ * Description: Sparse fieldsets and embed options for record (show) responses
+ */
+
+/**
+ * Module dependencies.
+ * @private
+ */
+
+import { server, BASE_URL } from './setup.js';
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import path from 'path';
+
+describe('Test record embed options', () => {
+
+    const route = path.join(BASE_URL, 'stations', 'show', '312');
+
+    it('Returns full record data by default', async () => {
+        const res = await server
+            .get(route)
+            .set('Accept', 'application/json');
+
+        expect(res).to.have.status(200);
+        expect(res.body.data).to.include.keys('files', 'dependents', 'attached', 'label', 'refImage');
+        expect(res.body.data.attached).to.include.keys('maps', 'comparisons');
+    });
+
+    it('Omits related data not included', async () => {
+        const res = await server
+            .get(route)
+            .query({ include: '', fields: 'name' })
+            .set('Accept', 'application/json');
+
+        expect(res).to.have.status(200);
+        expect(res.body.data).to.include.keys('label', 'refImage', 'metadata');
+        expect(res.body.data).to.not.have.any.keys('files', 'dependents', 'attached');
+        expect(res.body.path).to.deep.equal({});
+        expect(Object.keys(res.body.data.metadata)).to.have.members(['id', 'nodes_id', 'name']);
+    });
+
+    it('Limits depth of dependents', async () => {
+        const res = await server
+            .get(route)
+            .query({ include: 'dependents,comparisons', depth: 1 })
+            .set('Accept', 'application/json');
+
+        expect(res).to.have.status(200);
+        expect(res.body.data.attached).to.have.all.keys('comparisons');
+        res.body.data.dependents.forEach(dependent => {
+            expect(dependent).to.not.have.any.keys('dependents', 'files');
+        });
+    });
+
+    it('Rejects unknown includes and invalid depths', async () => {
+        const badInclude = await server
+            .get(route)
+            .query({ include: 'everything' })
+            .set('Accept', 'application/json');
+        expect(badInclude).to.have.status(422);
+
+        const badDepth = await server
+            .get(route)
+            .query({ depth: -1 })
+            .set('Accept', 'application/json');
+        expect(badDepth).to.have.status(422);
+    });
+
+});
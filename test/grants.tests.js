@@ -0,0 +1,167 @@
+/*!
+ * MLP.API.Tests.Grants
+ * File: grants.tests.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * MIT Licensed
+ *
+ * Description: Node access grant tests
+ */
+
+/**
+ * Module dependencies.
+ * @private
+ */
+
+import { server, BASE_URL } from './setup.js';
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import path from 'path';
+
+/**
+ * Load admin data.
+ * @private
+ */
+
+let admin = {
+    email: process.env.API_EMAIL,
+    password: process.env.API_PASS,
+    role: 'super_administrator'
+}
+
+describe('Test node access grants', () => {
+
+    let cookie, key, grant;
+
+    before(async () => {
+        const res = await server
+            .post(path.join(BASE_URL, 'login'))
+            .set('Accept', 'application/json')
+            .send({
+                email: admin.email,
+                password: admin.password
+            });
+
+        cookie = res.headers["set-cookie"];
+
+        // restricted (partner) service account
+        const created = await server
+            .post(path.join(BASE_URL, 'keys', 'new'))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json')
+            .send({ name: 'Partner import', role: 'editor' });
+        key = created.body.data;
+    });
+
+    after(async () => {
+        await server
+            .post(path.join(BASE_URL, 'keys', 'revoke', String(key.id)))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json');
+    });
+
+    it('Grants user access to station subtree', async () => {
+        const res = await server
+            .post(path.join(BASE_URL, 'grants', 'new'))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json')
+            .send({ email: 'service:Partner import', node_id: 312 });
+
+        expect(res).to.have.status(200);
+        expect(res.body.data.node_id).to.equal(312);
+        grant = res.body.data;
+    });
+
+    it('Allows changes within granted subtree', async () => {
+        const res = await server
+            .post(path.join(BASE_URL, 'batch'))
+            .set('Authorization', `Bearer ${key.key}`)
+            .set('Accept', 'application/json')
+            .send({
+                operations: [
+                    { op: 'create', model: 'modern_visits', owner_id: 312, data: { date: '2026-09-01' }, ref: 'visit' },
+                    { op: 'create', model: 'locations', owner_id: { $ref: 'visit' }, data: { location_identity: 'A' }, ref: 'loc' },
+                    { op: 'remove', model: 'locations', id: { $ref: 'loc' } },
+                    { op: 'remove', model: 'modern_visits', id: { $ref: 'visit' } }
+                ]
+            });
+
+        expect(res).to.have.status(200);
+    });
+
+    it('Rejects changes outside granted subtree', async () => {
+        const res = await server
+            .post(path.join(BASE_URL, 'surveyors', 'new'))
+            .set('Authorization', `Bearer ${key.key}`)
+            .set('Accept', 'application/json')
+            .send({ last_name: 'Partner', given_names: 'Restricted' });
+
+        expect(res).to.have.status(403);
+    });
+
+    it('Keeps read access outside granted subtree', async () => {
+        const res = await server
+            .get(path.join(BASE_URL, 'stations', 'show', '312'))
+            .set('Authorization', `Bearer ${key.key}`)
+            .set('Accept', 'application/json');
+
+        expect(res).to.have.status(200);
+    });
+
+    it('Lists and removes grants', async () => {
+        const list = await server
+            .get(path.join(BASE_URL, 'grants'))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json');
+        expect(list).to.have.status(200);
+        expect(list.body.data.map(item => item.id)).to.include(grant.id);
+
+        const res = await server
+            .post(path.join(BASE_URL, 'grants', 'remove', String(grant.id)))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json');
+        expect(res).to.have.status(200);
+    });
+
+    it('Rejects changes after last grant is removed', async () => {
+        const res = await server
+            .post(path.join(BASE_URL, 'batch'))
+            .set('Authorization', `Bearer ${key.key}`)
+            .set('Accept', 'application/json')
+            .send({
+                operations: [
+                    { op: 'create', model: 'modern_visits', owner_id: 312, data: { date: '2026-09-02' } }
+                ]
+            });
+
+        expect(res).to.have.status(403);
+    });
+
+    it('Lifts restriction of user', async () => {
+        const res = await server
+            .post(path.join(BASE_URL, 'grants', 'unrestrict'))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json')
+            .send({ email: 'service:Partner import' });
+        expect(res).to.have.status(200);
+        expect(res.body.data.email).to.equal('service:Partner import');
+
+        const missing = await server
+            .post(path.join(BASE_URL, 'grants', 'unrestrict'))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json')
+            .send({ email: 'service:Partner import' });
+        expect(missing).to.have.status(404);
+    });
+
+    it('Rejects grants for missing nodes', async () => {
+        const res = await server
+            .post(path.join(BASE_URL, 'grants', 'new'))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json')
+            .send({ email: 'partner@example.org', node_id: 0 });
+
+        expect(res).to.have.status(422);
+        expect(res.body.message.fields).to.have.property('node_id');
+    });
+
+});
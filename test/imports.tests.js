@@ -0,0 +1,152 @@
+/*!
+ * MLP.API.Tests.Imports
+ * File: imports.tests.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * MIT Licensed
+ *
+ * Description: Metadata and file request data (JSON and multipart) tests
+ */
+
+/**
+ * Module dependencies.
+ * @private
+ */
+
+import { server, BASE_URL } from './setup.js';
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import path from 'path';
+
+/**
+ * Load admin data.
+ * @private
+ */
+
+let admin = {
+    email: process.env.API_EMAIL,
+    password: process.env.API_PASS,
+    role: 'super_administrator'
+}
+
+describe('Test metadata and file request data', () => {
+
+    let cookie, ownerId;
+    const created = [];
+
+    const getListing = async (id) => {
+        return await server
+            .get(path.join(BASE_URL, 'v2', 'glass_plate_listings', String(id)))
+            .set('Accept', 'application/json')
+            .set('Cookie', cookie);
+    };
+
+    before(async () => {
+        const res = await server
+            .post(path.join(BASE_URL, 'login'))
+            .set('Accept', 'application/json')
+            .send({
+                email: admin.email,
+                password: admin.password
+            });
+        cookie = res.headers["set-cookie"];
+
+        // glass plate listings are attached to the owner of a station (survey season)
+        const station = await server
+            .get(path.join(BASE_URL, 'stations', 'show', '805'))
+            .set('Accept', 'application/json')
+            .set('Cookie', cookie);
+        ownerId = station.body.data.node.owner_id;
+    });
+
+    after(async () => {
+        for (const id of created) {
+            await server
+                .delete(path.join(BASE_URL, 'v2', 'glass_plate_listings', String(id)))
+                .set('Accept', 'application/json')
+                .set('Cookie', cookie);
+        }
+    });
+
+    it('Creates metadata from JSON body', async () => {
+        const res = await server
+            .post(path.join(BASE_URL, 'v2', 'glass_plate_listings'))
+            .query({ owner_id: ownerId })
+            .set('Accept', 'application/json')
+            .set('Cookie', cookie)
+            .send({ container: 'JSON', plates: '1-10' });
+
+        expect(res).to.have.status(200);
+        expect(res.body.data.container).to.equal('JSON');
+        expect(res.body.data.owner_id).to.equal(ownerId);
+        created.push(res.body.data.id);
+    });
+
+    it('Creates metadata from multipart body', async () => {
+        const res = await server
+            .post(path.join(BASE_URL, 'v2', 'glass_plate_listings'))
+            .query({ owner_id: ownerId })
+            .set('Accept', 'application/json')
+            .set('Cookie', cookie)
+            .field('container', 'MULTIPART')
+            .field('plates', '11-20');
+
+        expect(res).to.have.status(200);
+        expect(res.body.data.container).to.equal('MULTIPART');
+        expect(res.body.data.owner_id).to.equal(ownerId);
+        created.push(res.body.data.id);
+    });
+
+    it('Updates metadata from JSON body', async () => {
+        const { body: { data: { version } } } = await getListing(created[0]);
+        const res = await server
+            .patch(path.join(BASE_URL, 'v2', 'glass_plate_listings', String(created[0])))
+            .set('Accept', 'application/json')
+            .set('Cookie', cookie)
+            .send({ plates: '1-12', version: version });
+
+        expect(res).to.have.status(200);
+        expect(res.body.data.plates).to.equal('1-12');
+        expect(res.body.data.container).to.equal('JSON');
+    });
+
+    it('Updates metadata from multipart body', async () => {
+        const { body: { data: { version } } } = await getListing(created[1]);
+        const res = await server
+            .patch(path.join(BASE_URL, 'v2', 'glass_plate_listings', String(created[1])))
+            .set('Accept', 'application/json')
+            .set('Cookie', cookie)
+            .field('plates', '11-22')
+            .field('version', version);
+
+        expect(res).to.have.status(200);
+        expect(res.body.data.plates).to.equal('11-22');
+        expect(res.body.data.container).to.equal('MULTIPART');
+    });
+
+    it('Rejects file upload without files (JSON body)', async () => {
+        const res = await server
+            .post(path.join(BASE_URL, 'v2', 'historic_images'))
+            .query({ owner_id: 9825 })
+            .set('Accept', 'application/json')
+            .set('Cookie', cookie)
+            .send({ comments: 'JSON' });
+
+        expect(res).to.have.status(422);
+    });
+
+    it('Rejects file upload without files (multipart body)', async () => {
+        const res = await server
+            .post(path.join(BASE_URL, 'v2', 'historic_images'))
+            .query({ owner_id: 9825 })
+            .set('Accept', 'application/json')
+            .set('Cookie', cookie)
+            .field('comments', 'MULTIPART');
+
+        expect(res).to.have.status(422);
+
+        // server still handles requests
+        const listing = await getListing(created[0]);
+        expect(listing).to.have.status(200);
+    });
+
+});
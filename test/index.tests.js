@@ -12,6 +12,32 @@ import './setup.js';
 import './main.tests.js';
 import './auth.tests.js';
 import './models.tests.js';
+import './docs.tests.js';
+import './resources.tests.js';
+import './pagination.tests.js';
+import './cache.tests.js';
+import './validation.tests.js';
+import './embed.tests.js';
+import './batch.tests.js';
+import './keys.tests.js';
+import './logs.tests.js';
+import './grants.tests.js';
+import './audit.tests.js';
+import './roles.tests.js';
+import './tokens.tests.js';
+import './accounts.tests.js';
+import './visibility.tests.js';
+import './trash.tests.js';
+import './subtree.tests.js';
+import './move.tests.js';
+import './merge.tests.js';
+import './copy.tests.js';
+import './tree.tests.js';
+import './loader.tests.js';
+import './versions.tests.js';
+import './revisions.tests.js';
+import './relations.tests.js';
+import './imports.tests.js';
 // import './metadata.tests.js';
 // import './captures.tests.js';
 // import './files.tests.js';
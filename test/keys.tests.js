@@ -0,0 +1,121 @@
+/*!
+ * MLP.API.Tests.Keys
+ * File: keys.tests.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * MIT Licensed
+ *
+ * Description: API key (service account) tests
+ */
+
+/**
+ * Module dependencies.
+ * @private
+ */
+
+import { server, BASE_URL } from './setup.js';
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import path from 'path';
+
+/**
+ * Load admin data.
+ * @private
+ */
+
+let admin = {
+    email: process.env.API_EMAIL,
+    password: process.env.API_PASS,
+    role: 'super_administrator'
+}
+
+describe('Test API keys', () => {
+
+    let cookie, key;
+
+    before(async () => {
+        const res = await server
+            .post(path.join(BASE_URL, 'login'))
+            .set('Accept', 'application/json')
+            .send({
+                email: admin.email,
+                password: admin.password
+            });
+
+        cookie = res.headers["set-cookie"];
+    });
+
+    it('Creates API key for service account', async () => {
+        const res = await server
+            .post(path.join(BASE_URL, 'keys', 'new'))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json')
+            .send({ name: 'Nightly import', role: admin.role });
+
+        expect(res).to.have.status(200);
+        expect(res.body.data.key).to.match(/^mle_/);
+        expect(res.body.data).to.not.have.property('key_hash');
+        key = res.body.data;
+    });
+
+    it('Authorizes requests with API key', async () => {
+        const res = await server
+            .get(path.join(BASE_URL, 'keys'))
+            .set('Authorization', `Bearer ${key.key}`)
+            .set('Accept', 'application/json');
+
+        expect(res).to.have.status(200);
+        const listed = res.body.data.find(item => item.id === key.id);
+        expect(listed).to.not.have.property('key_hash');
+        expect(listed.last_used_at).to.not.equal(null);
+    });
+
+    it('Rejects revoked API keys', async () => {
+        const revoked = await server
+            .post(path.join(BASE_URL, 'keys', 'revoke', String(key.id)))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json');
+        expect(revoked).to.have.status(200);
+
+        const res = await server
+            .get(path.join(BASE_URL, 'keys'))
+            .set('Authorization', `Bearer ${key.key}`)
+            .set('Accept', 'application/json');
+        expect(res).to.have.status(401);
+    });
+
+    it('Rejects unknown roles and past expiry dates', async () => {
+        const res = await server
+            .post(path.join(BASE_URL, 'keys', 'new'))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json')
+            .send({ name: 'Invalid', role: 'no_such_role', expires_at: '2000-01-01' });
+
+        expect(res).to.have.status(422);
+        expect(res.body.message.fields).to.have.all.keys('role', 'expires_at');
+    });
+
+    it('Rejects keys with roles above the creator', async () => {
+        // administrator service account
+        const created = await server
+            .post(path.join(BASE_URL, 'keys', 'new'))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json')
+            .send({ name: 'Administrator import', role: 'administrator' });
+        expect(created).to.have.status(200);
+
+        const res = await server
+            .post(path.join(BASE_URL, 'keys', 'new'))
+            .set('Authorization', `Bearer ${created.body.data.key}`)
+            .set('Accept', 'application/json')
+            .send({ name: 'Escalated', role: 'super_administrator' });
+
+        expect(res).to.have.status(422);
+        expect(res.body.message.fields).to.have.property('role');
+
+        await server
+            .post(path.join(BASE_URL, 'keys', 'revoke', String(created.body.data.id)))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json');
+    });
+
+});
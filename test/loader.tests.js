@@ -0,0 +1,88 @@
+/*!
+ * MLP.API.Tests.Loader
+ * File: loader.tests.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * MIT Licensed
+ *
+ * Description: Batch loader tests
+ */
+
+/**
+ * Module dependencies.
+ * @private
+ */
+
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import pool from '../src/services/db.services.js';
+import * as nserve from '../src/services/nodes.services.js';
+import { getLoader, withLoader } from '../src/services/loader.services.js';
+
+/**
+ * Wrap database client to count issued queries.
+ * @private
+ */
+
+const countQueries = (client) => {
+    const counter = { n: 0 };
+    const query = client.query.bind(client);
+    client.query = (...args) => {
+        counter.n++;
+        return query(...args);
+    };
+    return counter;
+};
+
+describe('Test batch loader', () => {
+
+    it('Loads records requested together with one query', async () => {
+        const client = await pool.connect();
+        try {
+            const counter = countQueries(client);
+            const nodes = await withLoader(client, async (loader) => {
+                const { rows } = await client.query('SELECT id FROM nodes ORDER BY id LIMIT 20');
+                counter.n = 0;
+                return await Promise.all(rows.map(({id}) => loader.select('nodes', 'id', id)));
+            });
+            expect(nodes).to.have.lengthOf.at.most(20);
+            nodes.forEach(node => expect(node).to.have.property('type'));
+            expect(counter.n).to.equal(1);
+        } finally {
+            await client.release(true);
+        }
+    });
+
+    it('Caches records only for the duration of an operation', async () => {
+        const client = await pool.connect();
+        try {
+            await withLoader(client, async (loader) => {
+                expect(getLoader(client)).to.equal(loader);
+                await withLoader(client, async (nested) => expect(nested).to.equal(loader));
+            });
+            expect(getLoader(client)).to.not.equal(getLoader(client));
+        } finally {
+            await client.release(true);
+        }
+    });
+
+    it('Loads station with a bounded number of queries', async () => {
+        const client = await pool.connect();
+        try {
+            const counter = countQueries(client);
+
+            // station, its visits and their captures (labels, files and status)
+            const station = await withLoader(client, async () => {
+                const item = await nserve.get(312, 'stations', client);
+                await Promise.all(item.dependents.map(({node}) => nserve.selectByOwner(node.id, client)));
+                return item;
+            });
+
+            // queries do not depend on the number of visits or captures
+            expect(station.node.id).to.equal(312);
+            expect(counter.n).to.be.at.most(30);
+        } finally {
+            await client.release(true);
+        }
+    });
+
+});
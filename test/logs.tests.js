@@ -0,0 +1,108 @@
+/*!
+ * MLP.API.Tests.Logs
+ * File: logs.tests.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * MIT Licensed
+ *
+ * Description: Structured logging and log viewer tests
+ */
+
+/**
+ * Module dependencies.
+ * @private
+ */
+
+import { server, BASE_URL } from './setup.js';
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import path from 'path';
+
+/**
+ * Load admin data.
+ * @private
+ */
+
+let admin = {
+    email: process.env.API_EMAIL,
+    password: process.env.API_PASS,
+    role: 'super_administrator'
+}
+
+describe('Test structured logs', () => {
+
+    let cookie;
+    const requestId = `test-${Date.now()}`;
+
+    before(async () => {
+        const res = await server
+            .post(path.join(BASE_URL, 'login'))
+            .set('Accept', 'application/json')
+            .send({
+                email: admin.email,
+                password: admin.password
+            });
+
+        cookie = res.headers["set-cookie"];
+    });
+
+    it('Returns request ID header', async () => {
+        const res = await server
+            .get(path.join(BASE_URL, 'stations', 'show', '0'))
+            .set('X-Request-ID', requestId)
+            .set('Accept', 'application/json');
+
+        expect(res).to.have.status(404);
+        expect(res).to.have.header('X-Request-ID', requestId);
+        expect(res.body.message.requestId).to.equal(requestId);
+    });
+
+    it('Filters log entries by request ID and level', async () => {
+        // allow log file writes to complete
+        await new Promise(resolve => setTimeout(resolve, 200));
+
+        const res = await server
+            .get(path.join(BASE_URL, 'admin', 'logs'))
+            .query({ requestId: requestId, level: 'warn,error', limit: 10 })
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json');
+
+        expect(res).to.have.status(200);
+        expect(res.body.data).to.have.lengthOf.at.least(1);
+        res.body.data.forEach(entry => {
+            expect(entry.requestId).to.equal(requestId);
+            expect(['warn', 'error']).to.include(entry.level);
+        });
+        expect(res.body.pagination).to.have.property('limit', 10);
+    });
+
+    it('Redacts credentials in log entries', async () => {
+        const res = await server
+            .get(path.join(BASE_URL, 'admin', 'logs'))
+            .query({ user: admin.email, limit: 50 })
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json');
+
+        expect(res).to.have.status(200);
+        expect(JSON.stringify(res.body.data)).to.not.include(admin.password);
+    });
+
+    it('Rejects invalid log filters', async () => {
+        const res = await server
+            .get(path.join(BASE_URL, 'admin', 'logs'))
+            .query({ level: 'verbose', from: 'yesterday' })
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json');
+
+        expect(res).to.have.status(422);
+        expect(res.body.message.fields).to.have.all.keys('level', 'from');
+    });
+
+    it('Limits logs to administrators', async () => {
+        const res = await server
+            .get(path.join(BASE_URL, 'admin', 'logs'))
+            .set('Accept', 'application/json');
+
+        expect(res).to.have.status(403);
+    });
+
+});
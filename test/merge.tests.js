@@ -0,0 +1,130 @@
+/*!
+ * MLP.API.Tests.Merge
+ * File: merge.tests.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * MIT Licensed
+ *
+ * Description: Duplicate node merge tests
+ */
+
+/**
+ * Module dependencies.
+ * @private
+ */
+
+import { server, BASE_URL } from './setup.js';
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import path from 'path';
+
+/**
+ * Load admin data.
+ * @private
+ */
+
+let admin = {
+    email: process.env.API_EMAIL,
+    password: process.env.API_PASS,
+    role: 'super_administrator'
+}
+
+describe('Test duplicate node merge', () => {
+
+    let cookie, visitId, duplicateId, locationId;
+
+    const merge = async (id, data) => {
+        return await server
+            .post(path.join(BASE_URL, 'modern_visits', 'merge', String(id)))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json')
+            .send(data);
+    };
+
+    before(async () => {
+        const res = await server
+            .post(path.join(BASE_URL, 'login'))
+            .set('Accept', 'application/json')
+            .send({
+                email: admin.email,
+                password: admin.password
+            });
+
+        cookie = res.headers["set-cookie"];
+
+        // create a visit and a duplicate visit with a location
+        const batch = await server
+            .post(path.join(BASE_URL, 'batch'))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json')
+            .send({
+                operations: [
+                    { op: 'create', model: 'modern_visits', owner_id: 312, data: { date: '2026-10-05' } },
+                    { op: 'create', model: 'modern_visits', owner_id: 312, data: { date: '2026-10-06' }, ref: 'duplicate' },
+                    { op: 'create', model: 'locations', owner_id: { $ref: 'duplicate' }, data: { location_identity: 'Merge' } }
+                ]
+            });
+        visitId = batch.body.data[0].id;
+        duplicateId = batch.body.data[1].id;
+        locationId = batch.body.data[2].id;
+    });
+
+    after(async () => {
+        await server
+            .post(path.join(BASE_URL, 'nodes', 'remove', String(visitId)))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json')
+            .send({ confirm: true });
+    });
+
+    it('Rejects merging the surviving node into itself', async () => {
+        const res = await merge(visitId, { duplicates: [visitId] });
+        expect(res).to.have.status(422);
+    });
+
+    it('Rejects merging nodes of a different type', async () => {
+        const res = await merge(visitId, { duplicates: [312] });
+        expect(res).to.have.status(422);
+    });
+
+    it('Rejects field values not selected from merged nodes', async () => {
+        const res = await merge(visitId, { duplicates: [duplicateId], fields: { date: 312 } });
+        expect(res).to.have.status(422);
+    });
+
+    it('Merges duplicate into surviving node', async () => {
+        const res = await merge(visitId, { duplicates: [duplicateId], fields: { date: duplicateId } });
+
+        expect(res).to.have.status(200);
+        expect(res.body.data.merged).to.deep.equal([duplicateId]);
+        expect(res.body.data.dependents).to.deep.equal([locationId]);
+        expect(res.body.data.fields).to.deep.equal(['date']);
+
+        const location = await server
+            .get(path.join(BASE_URL, 'locations', 'show', String(locationId)))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json');
+        expect(location).to.have.status(200);
+        expect(location.body.data.node.owner_id).to.equal(visitId);
+
+        const visit = await server
+            .get(path.join(BASE_URL, 'modern_visits', 'show', String(visitId)))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json');
+        expect(visit.body.data.metadata.date).to.have.string('2026-10-06');
+
+        const duplicate = await server
+            .get(path.join(BASE_URL, 'modern_visits', 'show', String(duplicateId)))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json');
+        expect(duplicate).to.have.status(404);
+    });
+
+    it('Limits merges to administrators', async () => {
+        const res = await server
+            .post(path.join(BASE_URL, 'modern_visits', 'merge', String(visitId)))
+            .set('Accept', 'application/json')
+            .send({ duplicates: [duplicateId] });
+        expect(res).to.have.status(403);
+    });
+
+});
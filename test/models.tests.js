@@ -59,8 +59,8 @@ let mockItems = {
         nodes_id: null,
         owner_id: 312,
         name: 'TEST',
-        lat: 100.1,
-        long: 100.1,
+        lat: 51.1,
+        long: -116.1,
         elev: 100.1,
         nts_sheet: 'TEST'
     },
@@ -93,8 +93,8 @@ let mockItems = {
         owner_id: 6635,
         location_narrative: 'TEXT',
         location_identity: 'TEXT',
-        lat: 100.1,
-        long: 100.1,
+        lat: 51.1,
+        long: -116.1,
         elev: 100.1,
         legacy_photos_start: 5,
         legacy_photos_end: 8
@@ -130,8 +130,8 @@ let mockItems = {
         capture_datetime: '2014-07-09 16:49:00.572006',
         cameras_id: 6,
         lens_id: null,
-        lat: 100.1,
-        long: 100.1,
+        lat: 51.1,
+        long: -116.1,
         elev: 100.1,
         azimuth: 300,
         comments: 'TEXT',
@@ -224,10 +224,16 @@ Object.keys(mockItems).forEach(modelName => {
          */
 
         it('Update item data', async () => {
+            // updates require the current record version
+            const current = await server
+                .get(path.join(BASE_URL, modelRoute, 'edit', testItem.nodes_id))
+                .set('Accept', 'application/json')
+                .send();
+
             const res = await server
                 .post(path.join(BASE_URL, modelRoute, 'edit', testItem.nodes_id))
                 .set('Accept', 'application/json')
-                .send(item);
+                .send({ ...item, version: current.body.data.version });
 
             expect(res.status).to.equal(200);
             compare(item, res.body.data);
@@ -0,0 +1,85 @@
+/*!
+ * MLP.API.Tests.Move
+ * File: move.tests.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * MIT Licensed
+ *
+ * Description: Bulk capture move tests
+ */
+
+/**
+ * Module dependencies.
+ * @private
+ */
+
+import { server, BASE_URL } from './setup.js';
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import path from 'path';
+
+/**
+ * Load admin data.
+ * @private
+ */
+
+let admin = {
+    email: process.env.API_EMAIL,
+    password: process.env.API_PASS,
+    role: 'super_administrator'
+}
+
+describe('Test bulk capture move', () => {
+
+    let cookie;
+
+    const moveAll = async (data) => {
+        return await server
+            .post(path.join(BASE_URL, 'historic_captures', 'move'))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json')
+            .send(data);
+    };
+
+    before(async () => {
+        const res = await server
+            .post(path.join(BASE_URL, 'login'))
+            .set('Accept', 'application/json')
+            .send({
+                email: admin.email,
+                password: admin.password
+            });
+
+        cookie = res.headers["set-cookie"];
+    });
+
+    it('Rejects missing owner', async () => {
+        const res = await moveAll({ ids: [1], owner_id: 999999999 });
+        expect(res).to.have.status(404);
+    });
+
+    it('Rejects empty list of captures', async () => {
+        const res = await moveAll({ ids: [], owner_id: 312 });
+        expect(res).to.have.status(422);
+    });
+
+    it('Reports captures that cannot be moved', async () => {
+        const res = await moveAll({ ids: [999999998, 999999999], owner_id: 312 });
+
+        expect(res).to.have.status(200);
+        expect(res.body.data.moved).to.deep.equal([]);
+        expect(res.body.data.rejected.map(item => item.id)).to.deep.equal([999999998, 999999999]);
+        res.body.data.rejected.forEach(item => {
+            expect(item.error).to.equal('notFound');
+            expect(item).to.have.property('message');
+        });
+    });
+
+    it('Limits bulk moves to users with move permissions', async () => {
+        const res = await server
+            .post(path.join(BASE_URL, 'historic_captures', 'move'))
+            .set('Accept', 'application/json')
+            .send({ ids: [1], owner_id: 312 });
+        expect(res).to.have.status(403);
+    });
+
+});
@@ -0,0 +1,90 @@
+/*!
+ * MLP.API.Tests.Pagination
+ * File: pagination.tests.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * MIT Licensed
+ *
+ * Description: Cursor pagination tests for filter and search listings
+ */
+
+/**
+ * Module dependencies.
+ * @private
+ */
+
+import { server, BASE_URL } from './setup.js';
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import path from 'path';
+import { maxLimit } from '../src/lib/pagination.utils.js';
+
+describe('Test cursor pagination', () => {
+
+    const ids = [1, 2, 3, 4, 5].join(' ');
+
+    it('Pages through filtered nodes', async () => {
+        const first = await server
+            .get(path.join(BASE_URL, 'filter'))
+            .query({ ids: ids, limit: 2 })
+            .set('Accept', 'application/json');
+
+        expect(first).to.have.status(200);
+        expect(first.body.data.results).to.have.lengthOf.at.most(2);
+        expect(first.body.pagination).to.have.property('limit', 2);
+        expect(first.body.pagination.prev).to.equal(null);
+
+        const { next, links } = first.body.pagination;
+        expect(next).to.be.a('string');
+        expect(links.next).to.contain('cursor=');
+
+        const second = await server
+            .get(path.join(BASE_URL, 'filter'))
+            .query({ ids: ids, limit: 2, cursor: next })
+            .set('Accept', 'application/json');
+
+        expect(second).to.have.status(200);
+        const firstIDs = first.body.data.results.map(item => item.node.id);
+        second.body.data.results.forEach(item => {
+            expect(firstIDs).to.not.include(item.node.id);
+        });
+        expect(second.body.pagination.prev).to.be.a('string');
+    });
+
+    it('Limits page size to server maximum', async () => {
+        const res = await server
+            .get(path.join(BASE_URL, 'filter'))
+            .query({ ids: ids, limit: maxLimit + 1 })
+            .set('Accept', 'application/json');
+
+        expect(res).to.have.status(200);
+        expect(res.body.pagination.limit).to.equal(maxLimit);
+    });
+
+    it('Rejects invalid limits and cursors', async () => {
+        const badLimit = await server
+            .get(path.join(BASE_URL, 'filter'))
+            .query({ ids: ids, limit: 'all' })
+            .set('Accept', 'application/json');
+        expect(badLimit).to.have.status(422);
+
+        const badCursor = await server
+            .get(path.join(BASE_URL, 'filter'))
+            .query({ ids: ids, cursor: 'not-a-cursor' })
+            .set('Accept', 'application/json');
+        expect(badCursor).to.have.status(422);
+    });
+
+    it('Pages search results by table', async () => {
+        const res = await server
+            .get(path.join(BASE_URL, 'search'))
+            .query({ q: 'glacier', limit: 5 })
+            .set('Accept', 'application/json');
+
+        expect(res).to.have.status(200);
+        Object.keys(res.body.data.results).forEach(tbl => {
+            expect(res.body.pagination).to.have.property(tbl);
+            expect(res.body.data.results[tbl]).to.have.lengthOf.at.most(5);
+        });
+    });
+
+});
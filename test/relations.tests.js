@@ -0,0 +1,99 @@
+/*!
+ * MLP.API.Tests.Relations
+ * File: relations.tests.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * MIT Licensed
+ *
+ * Description: Node, file and metadata relation tests
+ */
+
+/**
+ * Module dependencies.
+ * @private
+ */
+
+import { server, BASE_URL } from './setup.js';
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import path from 'path';
+
+/**
+ * Load admin data.
+ * @private
+ */
+
+let admin = {
+    email: process.env.API_EMAIL,
+    password: process.env.API_PASS,
+    role: 'super_administrator'
+}
+
+describe('Test node relations', () => {
+
+    let cookie;
+
+    before(async () => {
+        const res = await server
+            .post(path.join(BASE_URL, 'login'))
+            .set('Accept', 'application/json')
+            .send({
+                email: admin.email,
+                password: admin.password
+            });
+        cookie = res.headers["set-cookie"];
+    });
+
+    it('Lists types that can be added to node', async () => {
+        const res = await server
+            .get(path.join(BASE_URL, 'nodes', 'relations', '805'))
+            .set('Accept', 'application/json')
+            .set('Cookie', cookie);
+
+        expect(res).to.have.status(200);
+        expect(res.body.data.node.type).to.equal('stations');
+        expect(res.body.data.dependents).to.have.all.keys('nodes', 'files', 'metadata');
+
+        const nodeTypes = res.body.data.dependents.nodes.map(({name}) => name);
+        expect(nodeTypes).to.include.members(['historic_visits', 'modern_visits']);
+        expect(nodeTypes).to.not.include('stations');
+        res.body.data.dependents.nodes.forEach(type => expect(type).to.have.all.keys('name', 'label'));
+    });
+
+    it('Returns 404 for relations of missing node', async () => {
+        const res = await server
+            .get(path.join(BASE_URL, 'nodes', 'relations', '999999999'))
+            .set('Accept', 'application/json')
+            .set('Cookie', cookie);
+
+        expect(res).to.have.status(404);
+    });
+
+    it('Rejects node created under owner of wrong type', async () => {
+        const res = await server
+            .post(path.join(BASE_URL, 'v2', 'stations'))
+            .query({ owner_id: 805 })
+            .set('Accept', 'application/json')
+            .set('Cookie', cookie)
+            .send({ name: 'MISPLACED' });
+
+        expect(res).to.have.status(422);
+        expect(res.body.message.fields.owner_id[0]).to.match(/^Stations can only be added to: /);
+    });
+
+    it('Rejects batch create under owner of wrong type', async () => {
+        const res = await server
+            .post(path.join(BASE_URL, 'batch'))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json')
+            .send({
+                operations: [
+                    { op: 'create', model: 'stations', owner_id: 805, data: { name: 'MISPLACED' } }
+                ]
+            });
+
+        expect(res).to.have.status(422);
+        expect(res.body.message.operation).to.equal(0);
+        expect(res.body.message.fields).to.have.property('owner_id');
+    });
+
+});
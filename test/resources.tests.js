@@ -0,0 +1,129 @@
+/*!
+ * MLP.API.Tests.Resources
+ * File: resources.tests.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * MIT Licensed
+ *
+ * Description: Versioned resource routes (PUT/PATCH/DELETE) tests
+ */
+
+/**
+ * Module dependencies.
+ * @private
+ */
+
+import { server, BASE_URL } from './setup.js';
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import path from 'path';
+
+/**
+ * Load admin data.
+ * @private
+ */
+
+let admin = {
+    email: process.env.API_EMAIL,
+    password: process.env.API_PASS,
+    role: 'super_administrator'
+}
+
+/**
+ * Mock station item.
+ * @private
+ */
+
+let item = {
+    owner_id: 312,
+    name: 'TEST',
+    lat: 51.1,
+    long: -116.1,
+    elev: 100.1,
+    nts_sheet: 'TEST'
+};
+
+describe('Test station resource routes', () => {
+
+    let cookie, id, version;
+
+    before(async () => {
+        const res = await server
+            .post(path.join(BASE_URL, 'login'))
+            .set('Accept', 'application/json')
+            .send({
+                email: admin.email,
+                password: admin.password
+            });
+
+        cookie = res.headers["set-cookie"];
+    });
+
+    it('Create station (POST)', async () => {
+        const res = await server
+            .post(path.join(BASE_URL, 'v2', 'stations'))
+            .query({ owner_id: item.owner_id })
+            .set('Accept', 'application/json')
+            .set('Cookie', cookie)
+            .send(item);
+
+        expect(res).to.have.status(200);
+        id = res.body.data.nodes_id;
+        expect(id).to.be.a('number');
+    });
+
+    it('Show station (GET)', async () => {
+        const res = await server
+            .get(path.join(BASE_URL, 'v2', 'stations', String(id)))
+            .set('Accept', 'application/json')
+            .set('Cookie', cookie);
+
+        expect(res).to.have.status(200);
+        expect(res.body.data.metadata.name).to.equal(item.name);
+        expect(res.body.data.version).to.be.a('string');
+        version = res.body.data.version;
+    });
+
+    it('Partially update station (PATCH)', async () => {
+        const res = await server
+            .patch(path.join(BASE_URL, 'v2', 'stations', String(id)))
+            .set('Accept', 'application/json')
+            .set('Cookie', cookie)
+            .send({ name: 'PATCHED', version: version });
+
+        expect(res).to.have.status(200);
+        expect(res.body.data.metadata.name).to.equal('PATCHED');
+        expect(res.body.data.metadata.nts_sheet).to.equal(item.nts_sheet);
+        version = res.body.data.version;
+    });
+
+    it('Replace station (PUT)', async () => {
+        const res = await server
+            .put(path.join(BASE_URL, 'v2', 'stations', String(id)))
+            .set('Accept', 'application/json')
+            .set('Cookie', cookie)
+            .send({ name: 'REPLACED', version: version });
+
+        expect(res).to.have.status(200);
+        expect(res.body.data.metadata.name).to.equal('REPLACED');
+        expect(res.body.data.metadata.nts_sheet).to.equal(null);
+    });
+
+    it('Delete station (DELETE)', async () => {
+        const res = await server
+            .delete(path.join(BASE_URL, 'v2', 'stations', String(id)))
+            .set('Accept', 'application/json')
+            .set('Cookie', cookie);
+
+        expect(res).to.have.status(200);
+    });
+
+    it('Rejects anonymous updates', async () => {
+        const res = await server
+            .patch(path.join(BASE_URL, 'v2', 'stations', String(id)))
+            .set('Accept', 'application/json')
+            .send({ name: 'ANONYMOUS' });
+
+        expect(res.status).to.not.equal(200);
+    });
+
+});
@@ -0,0 +1,248 @@
+/*!
+ * MLP.API.Tests.Revisions
+ * File: revisions.tests.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * MIT Licensed
+ *
+ * Description: Node metadata revisions and rollback tests
+ */
+
+/**
+ * Module dependencies.
+ * @private
+ */
+
+import { server, BASE_URL } from './setup.js';
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import path from 'path';
+
+/**
+ * Load admin data.
+ * @private
+ */
+
+let admin = {
+    email: process.env.API_EMAIL,
+    password: process.env.API_PASS,
+    role: 'super_administrator'
+}
+
+describe('Test node revisions', () => {
+
+    let cookie, id, revisions;
+
+    const getVersion = async () => {
+        const res = await server
+            .get(path.join(BASE_URL, 'v2', 'stations', String(id)))
+            .set('Accept', 'application/json')
+            .set('Cookie', cookie);
+        return res.body.data.version;
+    };
+
+    const patch = async (data) => {
+        return await server
+            .patch(path.join(BASE_URL, 'v2', 'stations', String(id)))
+            .set('Accept', 'application/json')
+            .set('Cookie', cookie)
+            .send({ ...data, version: await getVersion() });
+    };
+
+    const getRevisions = async () => {
+        const res = await server
+            .get(path.join(BASE_URL, 'nodes', 'revisions', String(id)))
+            .set('Accept', 'application/json')
+            .set('Cookie', cookie);
+        return res;
+    };
+
+    before(async () => {
+        const res = await server
+            .post(path.join(BASE_URL, 'login'))
+            .set('Accept', 'application/json')
+            .send({
+                email: admin.email,
+                password: admin.password
+            });
+        cookie = res.headers["set-cookie"];
+
+        const created = await server
+            .post(path.join(BASE_URL, 'v2', 'stations'))
+            .query({ owner_id: 312 })
+            .set('Accept', 'application/json')
+            .set('Cookie', cookie)
+            .send({ name: 'REVISIONED' });
+        id = created.body.data.nodes_id;
+
+        await patch({ name: 'FIRST' });
+        await patch({ name: 'SECOND' });
+    });
+
+    after(async () => {
+        await server
+            .delete(path.join(BASE_URL, 'v2', 'stations', String(id)))
+            .set('Accept', 'application/json')
+            .set('Cookie', cookie);
+    });
+
+    it('Stores baseline and revision for each update', async () => {
+        const res = await getRevisions();
+
+        expect(res).to.have.status(200);
+        expect(res.body.data.map(revision => revision.operation)).to.deep.equal(['update', 'update', 'baseline']);
+        expect(res.body.data[0].user_email).to.equal(admin.email);
+        expect(res.body.data[0]).to.not.have.property('metadata');
+        revisions = res.body.data.map(revision => revision.id);
+    });
+
+    it('Does not store updates without changes', async () => {
+        await patch({ name: 'SECOND' });
+        const res = await getRevisions();
+
+        expect(res.body.data).to.have.lengthOf(3);
+    });
+
+    it('Compares two revisions', async () => {
+        const res = await server
+            .get(path.join(BASE_URL, 'nodes', 'revisions', String(id), 'changes'))
+            .query({ from: revisions[2], to: revisions[0] })
+            .set('Accept', 'application/json')
+            .set('Cookie', cookie);
+
+        expect(res).to.have.status(200);
+        expect(res.body.data.changes.metadata.name).to.deep.equal({ from: 'REVISIONED', to: 'SECOND' });
+        expect(res.body.data.changes.metadata).to.not.have.property('updated_at');
+        expect(res.body.data.changes.attached.maps).to.deep.equal({ created: [], removed: [], updated: [] });
+    });
+
+    it('Rejects revisions of other nodes', async () => {
+        const res = await server
+            .get(path.join(BASE_URL, 'nodes', 'revisions', '312', 'changes'))
+            .query({ from: revisions[2], to: revisions[0] })
+            .set('Accept', 'application/json')
+            .set('Cookie', cookie);
+
+        expect(res).to.have.status(422);
+    });
+
+    it('Requires version on rollback', async () => {
+        const res = await server
+            .post(path.join(BASE_URL, 'nodes', 'rollback', String(id), String(revisions[2])))
+            .set('Accept', 'application/json')
+            .set('Cookie', cookie)
+            .send({});
+
+        expect(res).to.have.status(428);
+    });
+
+    it('Rolls back node to revision', async () => {
+        const res = await server
+            .post(path.join(BASE_URL, 'nodes', 'rollback', String(id), String(revisions[2])))
+            .set('Accept', 'application/json')
+            .set('Cookie', cookie)
+            .send({ version: await getVersion() });
+
+        expect(res).to.have.status(200);
+        expect(res.body.data.metadata.name).to.equal('REVISIONED');
+        expect(res.body.data.revision.operation).to.equal('rollback');
+        expect(res.body.data.revision.source_id).to.equal(revisions[2]);
+
+        // rollback is stored as revision
+        const list = await getRevisions();
+        expect(list.body.data.map(revision => revision.operation)).to.deep.equal(['rollback', 'update', 'update', 'baseline']);
+    });
+
+});
+
+describe('Test attached metadata revisions', () => {
+
+    let cookie, ownerId, id, revisions;
+
+    const getChanges = async (from, to) => {
+        return await server
+            .get(path.join(BASE_URL, 'nodes', 'revisions', String(ownerId), 'changes'))
+            .query({ from: from, to: to })
+            .set('Accept', 'application/json')
+            .set('Cookie', cookie);
+    };
+
+    before(async () => {
+        const res = await server
+            .post(path.join(BASE_URL, 'login'))
+            .set('Accept', 'application/json')
+            .send({
+                email: admin.email,
+                password: admin.password
+            });
+        cookie = res.headers["set-cookie"];
+
+        // glass plate listings are attached to the owner of a station (survey season)
+        const station = await server
+            .get(path.join(BASE_URL, 'stations', 'show', '805'))
+            .set('Accept', 'application/json')
+            .set('Cookie', cookie);
+        ownerId = station.body.data.node.owner_id;
+
+        const created = await server
+            .post(path.join(BASE_URL, 'v2', 'glass_plate_listings'))
+            .query({ owner_id: ownerId })
+            .set('Accept', 'application/json')
+            .set('Cookie', cookie)
+            .send({ container: 'ATTACHED', plates: '1-10' });
+        id = created.body.data.id;
+
+        const current = await server
+            .get(path.join(BASE_URL, 'v2', 'glass_plate_listings', String(id)))
+            .set('Accept', 'application/json')
+            .set('Cookie', cookie);
+
+        await server
+            .patch(path.join(BASE_URL, 'v2', 'glass_plate_listings', String(id)))
+            .set('Accept', 'application/json')
+            .set('Cookie', cookie)
+            .send({ container: 'UPDATED', version: current.body.data.version });
+    });
+
+    after(async () => {
+        await server
+            .delete(path.join(BASE_URL, 'v2', 'glass_plate_listings', String(id)))
+            .set('Accept', 'application/json')
+            .set('Cookie', cookie);
+    });
+
+    it('Stores revisions of owner for attached metadata changes', async () => {
+        const res = await server
+            .get(path.join(BASE_URL, 'nodes', 'revisions', String(ownerId)))
+            .set('Accept', 'application/json')
+            .set('Cookie', cookie);
+
+        expect(res).to.have.status(200);
+        expect(res.body.data.length).to.be.at.least(3);
+        expect(res.body.data.slice(0, 2).map(revision => revision.operation)).to.deep.equal(['update', 'update']);
+        revisions = res.body.data.map(revision => revision.id);
+    });
+
+    it('Compares created attached metadata', async () => {
+        const res = await getChanges(revisions[2], revisions[0]);
+
+        expect(res).to.have.status(200);
+        expect(res.body.data.changes.metadata).to.deep.equal({});
+        const { created, removed, updated } = res.body.data.changes.attached.glass_plate_listings;
+        expect(created.map(({data}) => data.id)).to.include(id);
+        expect(created.find(({data}) => data.id === id).data.container).to.equal('UPDATED');
+        expect(removed.map(({data}) => data.id)).to.not.include(id);
+        expect(updated.map(record => record.id)).to.not.include(id);
+    });
+
+    it('Compares updated attached metadata', async () => {
+        const res = await getChanges(revisions[1], revisions[0]);
+
+        expect(res).to.have.status(200);
+        const { created, updated } = res.body.data.changes.attached.glass_plate_listings;
+        expect(created).to.have.lengthOf(0);
+        expect(updated).to.have.lengthOf(1);
+        expect(updated[0].id).to.equal(id);
+        expect(updated[0].changes.container).to.deep.equal({ from: 'ATTACHED', to: 'UPDATED' });
+    });
+
+});
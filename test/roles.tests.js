@@ -0,0 +1,142 @@
+/*!
+ * MLP.API.Tests.Roles
+ * File: roles.tests.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * MIT Licensed
+ *
+ * Description: User role and permission management tests
+ */
+
+/**
+ * Module dependencies.
+ * @private
+ */
+
+import { server, BASE_URL } from './setup.js';
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import path from 'path';
+
+/**
+ * Load admin data.
+ * @private
+ */
+
+let admin = {
+    email: process.env.API_EMAIL,
+    password: process.env.API_PASS,
+    role: 'super_administrator'
+}
+
+describe('Test roles and permissions', () => {
+
+    let cookie;
+    const role = { name: 'test_master', label: 'Test Master' };
+
+    before(async () => {
+        const res = await server
+            .post(path.join(BASE_URL, 'login'))
+            .set('Accept', 'application/json')
+            .send({
+                email: admin.email,
+                password: admin.password
+            });
+
+        cookie = res.headers["set-cookie"];
+    });
+
+    it('Creates and edits user role', async () => {
+        const created = await server
+            .post(path.join(BASE_URL, 'roles', 'new'))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json')
+            .send(role);
+        expect(created).to.have.status(200);
+        expect(created.body.data.name).to.equal(role.name);
+
+        const res = await server
+            .post(path.join(BASE_URL, 'roles', 'edit', role.name))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json')
+            .send({ label: 'Test Image Master' });
+        expect(res).to.have.status(200);
+        expect(res.body.data.label).to.equal('Test Image Master');
+    });
+
+    it('Grants and revokes view access without restart', async () => {
+
+        // service account with new role
+        const key = await server
+            .post(path.join(BASE_URL, 'keys', 'new'))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json')
+            .send({ name: 'Role test', role: role.name });
+        const bearer = `Bearer ${key.body.data.key}`;
+
+        const denied = await server
+            .get(path.join(BASE_URL, 'keys'))
+            .set('Authorization', bearer)
+            .set('Accept', 'application/json');
+        expect(denied).to.have.status(403);
+
+        const granted = await server
+            .post(path.join(BASE_URL, 'permissions', 'grant'))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json')
+            .send({ view: 'keys', role: role.name });
+        expect(granted).to.have.status(200);
+        const keysView = granted.body.data.views.find(item => item.view === 'keys');
+        expect(keysView.roles[role.name]).to.equal(true);
+
+        const allowed = await server
+            .get(path.join(BASE_URL, 'keys'))
+            .set('Authorization', bearer)
+            .set('Accept', 'application/json');
+        expect(allowed).to.have.status(200);
+
+        // revoking the only permission restores the route default roles
+        const revoked = await server
+            .post(path.join(BASE_URL, 'permissions', 'revoke'))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json')
+            .send({ view: 'keys', role: role.name });
+        expect(revoked).to.have.status(200);
+        expect(revoked.body.data.views.find(item => item.view === 'keys').default).to.equal(true);
+
+        await server
+            .post(path.join(BASE_URL, 'keys', 'revoke', String(key.body.data.id)))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json');
+    });
+
+    it('Rejects unknown views and protected role changes', async () => {
+        const res = await server
+            .post(path.join(BASE_URL, 'permissions', 'revoke'))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json')
+            .send({ view: 'unknown_view', role: admin.role });
+        expect(res).to.have.status(422);
+        expect(res.body.message.fields).to.have.all.keys('view', 'role');
+
+        const removed = await server
+            .post(path.join(BASE_URL, 'roles', 'remove', admin.role))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json');
+        expect(removed).to.have.status(403);
+    });
+
+    it('Deletes user role', async () => {
+        const res = await server
+            .post(path.join(BASE_URL, 'roles', 'remove', role.name))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json');
+        expect(res).to.have.status(200);
+
+        const roles = await server
+            .get(path.join(BASE_URL, 'roles'))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json');
+        expect(roles.body.data.map(item => item.name)).to.not.include(role.name);
+    });
+
+});
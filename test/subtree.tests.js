@@ -0,0 +1,129 @@
+/*!
+ * MLP.API.Tests.Subtree
+ * File: subtree.tests.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * MIT Licensed
+ *
+ * Description: Node subtree delete tests
+ */
+
+/**
+ * Module dependencies.
+ * @private
+ */
+
+import { server, BASE_URL } from './setup.js';
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import path from 'path';
+
+/**
+ * Load admin data.
+ * @private
+ */
+
+let admin = {
+    email: process.env.API_EMAIL,
+    password: process.env.API_PASS,
+    role: 'super_administrator'
+}
+
+describe('Test node subtree delete', () => {
+
+    let cookie, visitId, locationId;
+
+    const removeSubtree = async (data) => {
+        return await server
+            .post(path.join(BASE_URL, 'nodes', 'remove', String(visitId)))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json')
+            .send(data);
+    };
+
+    before(async () => {
+        const res = await server
+            .post(path.join(BASE_URL, 'login'))
+            .set('Accept', 'application/json')
+            .send({
+                email: admin.email,
+                password: admin.password
+            });
+
+        cookie = res.headers["set-cookie"];
+
+        // create a visit with a location
+        const batch = await server
+            .post(path.join(BASE_URL, 'batch'))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json')
+            .send({
+                operations: [
+                    { op: 'create', model: 'modern_visits', owner_id: 312, data: { date: '2026-10-04' }, ref: 'visit' },
+                    { op: 'create', model: 'locations', owner_id: { $ref: 'visit' }, data: { location_identity: 'Subtree' } }
+                ]
+            });
+        visitId = batch.body.data[0].id;
+        locationId = batch.body.data[1].id;
+    });
+
+    it('Returns impact report without deleting', async () => {
+        const res = await removeSubtree({});
+
+        expect(res).to.have.status(200);
+        expect(res.body.data.dry_run).to.equal(true);
+        expect(res.body.data.nodes).to.equal(2);
+        expect(res.body.data.counts).to.deep.equal({ modern_visits: 1, locations: 1 });
+        expect(res.body.data.files).to.equal(0);
+        expect(res.body.data.comparisons).to.be.an('array');
+
+        const show = await server
+            .get(path.join(BASE_URL, 'locations', 'show', String(locationId)))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json');
+        expect(show).to.have.status(200);
+    });
+
+    it('Deletes subtree when confirmed', async () => {
+        const res = await removeSubtree({ confirm: true });
+
+        expect(res).to.have.status(200);
+        expect(res.body.data.dry_run).to.equal(false);
+        expect(res.body.data).to.have.property('trash_id');
+
+        const show = await server
+            .get(path.join(BASE_URL, 'locations', 'show', String(locationId)))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json');
+        expect(show).to.have.status(404);
+
+        const history = await server
+            .get(path.join(BASE_URL, 'nodes', 'history', String(locationId)))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json');
+        expect(history.body.data[0].operation).to.equal('remove');
+    });
+
+    it('Restores deleted subtree from trash', async () => {
+        const trash = await server
+            .get(path.join(BASE_URL, 'admin', 'trash'))
+            .query({ model: 'modern_visits', limit: 10 })
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json');
+        const entry = trash.body.data.find(item => item.item_id === visitId);
+
+        const res = await server
+            .post(path.join(BASE_URL, 'admin', 'trash', 'restore', String(entry.id)))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json');
+        expect(res).to.have.status(200);
+
+        const show = await server
+            .get(path.join(BASE_URL, 'locations', 'show', String(locationId)))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json');
+        expect(show).to.have.status(200);
+
+        await removeSubtree({ confirm: true });
+    });
+
+});
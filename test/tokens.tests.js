@@ -0,0 +1,117 @@
+/*!
+ * MLP.API.Tests.Tokens
+ * File: tokens.tests.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * MIT Licensed
+ *
+ * Description: Local access token verification tests (stand-in key set)
+ */
+
+/**
+ * Module dependencies.
+ * @private
+ */
+
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import jwt from 'jsonwebtoken';
+import * as tokens from '../src/services/tokens.services.js';
+
+/**
+ * Stand-in realm settings.
+ * @private
+ */
+
+const issuer = 'https://keycloak.test/realms/mle';
+const audience = 'mle-client';
+const settings = ['KC_JWKS_FILE', 'KC_ISSUER', 'KC_AUDIENCE'];
+
+describe('Test access token verification', () => {
+
+    let saved = {}, jwksFile, privateKey, otherKey;
+
+    const sign = (payload, opts = {}) => jwt.sign(payload, opts.key || privateKey, {
+        algorithm: 'RS256',
+        keyid: opts.kid || 'test-key',
+        issuer: opts.issuer || issuer,
+        audience: opts.audience || audience,
+        expiresIn: opts.expiresIn || 60
+    });
+
+    before(() => {
+        const pair = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+        privateKey = pair.privateKey;
+        otherKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+
+        // write stand-in key set
+        const jwk = pair.publicKey.export({ format: 'jwk' });
+        jwksFile = path.join(os.tmpdir(), `mle-jwks-${process.pid}.json`);
+        fs.writeFileSync(jwksFile, JSON.stringify({
+            keys: [{ ...jwk, kid: 'test-key', use: 'sig', alg: 'RS256' }]
+        }));
+
+        settings.forEach(key => { saved[key] = process.env[key]; });
+        process.env.KC_JWKS_FILE = jwksFile;
+        process.env.KC_ISSUER = issuer;
+        process.env.KC_AUDIENCE = audience;
+        tokens.resetKeys();
+    });
+
+    after(() => {
+        settings.forEach(key => {
+            if (saved[key] === undefined) delete process.env[key];
+            else process.env[key] = saved[key];
+        });
+        tokens.resetKeys();
+        fs.rmSync(jwksFile, { force: true });
+    });
+
+    it('Verify valid access token', async () => {
+        const payload = await tokens.verify(sign({ email: 'test@example.com' }));
+        expect(payload.email).to.equal('test@example.com');
+    });
+
+    it('Accept client as authorized party', async () => {
+        const token = sign({ azp: audience }, { audience: 'account' });
+        const payload = await tokens.verify(token);
+        expect(payload.azp).to.equal(audience);
+    });
+
+    it('Return null for expired access token', async () => {
+        const payload = await tokens.verify(sign({}, { expiresIn: -60 }));
+        expect(payload).to.equal(null);
+    });
+
+    it('Reject token with invalid signature', async () => {
+        const token = sign({}, { key: otherKey });
+        await tokens.verify(token).then(
+            () => expect.fail('Token accepted'),
+            err => expect(err.message).to.equal('invalidToken'));
+    });
+
+    it('Reject token with unknown key ID', async () => {
+        const token = sign({}, { key: otherKey, kid: 'rotated-key' });
+        await tokens.verify(token).then(
+            () => expect.fail('Token accepted'),
+            err => expect(err.message).to.equal('invalidToken'));
+    });
+
+    it('Reject token with invalid issuer', async () => {
+        const token = sign({}, { issuer: 'https://other.test/realms/mle' });
+        await tokens.verify(token).then(
+            () => expect.fail('Token accepted'),
+            err => expect(err.message).to.equal('invalidToken'));
+    });
+
+    it('Reject token with invalid audience', async () => {
+        const token = sign({}, { audience: 'other-client' });
+        await tokens.verify(token).then(
+            () => expect.fail('Token accepted'),
+            err => expect(err.message).to.equal('invalidToken'));
+    });
+
+});
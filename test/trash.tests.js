@@ -0,0 +1,305 @@
+/*!
+ * MLP.API.Tests.Trash
+ * File: trash.tests.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * MIT Licensed
+ *
+ * Description: Trash (deleted records) tests
+ */
+
+/**
+ * Module dependencies.
+ * @private
+ */
+
+import { server, BASE_URL } from './setup.js';
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import path from 'path';
+
+/**
+ * Load admin data.
+ * @private
+ */
+
+let admin = {
+    email: process.env.API_EMAIL,
+    password: process.env.API_PASS,
+    role: 'super_administrator'
+}
+
+describe('Test trash', () => {
+
+    let cookie, visitId, entry;
+
+    const batch = async (operations) => {
+        return await server
+            .post(path.join(BASE_URL, 'batch'))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json')
+            .send({ operations: operations });
+    };
+
+    const showVisit = async () => {
+        return await server
+            .get(path.join(BASE_URL, 'modern_visits', 'show', String(visitId)))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json');
+    };
+
+    before(async () => {
+        const res = await server
+            .post(path.join(BASE_URL, 'login'))
+            .set('Accept', 'application/json')
+            .send({
+                email: admin.email,
+                password: admin.password
+            });
+
+        cookie = res.headers["set-cookie"];
+
+        // create and remove a visit
+        const created = await batch([
+            { op: 'create', model: 'modern_visits', owner_id: 312, data: { date: '2026-10-03' }, ref: 'visit' }
+        ]);
+        visitId = created.body.data[0].id;
+        await batch([{ op: 'remove', model: 'modern_visits', id: visitId }]);
+    });
+
+    after(async () => {
+        await batch([{ op: 'remove', model: 'modern_visits', id: visitId }]);
+    });
+
+    it('Hides deleted records', async () => {
+        const res = await showVisit();
+        expect(res).to.have.status(404);
+    });
+
+    it('Lists deleted records in trash', async () => {
+        const res = await server
+            .get(path.join(BASE_URL, 'admin', 'trash'))
+            .query({ model: 'modern_visits', limit: 10 })
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json');
+
+        expect(res).to.have.status(200);
+        entry = res.body.data.find(item => item.item_id === visitId);
+        expect(entry).to.exist;
+        expect(entry.deleted_by).to.equal(admin.email);
+        expect(entry.record_count).to.be.at.least(2);
+        expect(entry).to.have.property('purge_at');
+    });
+
+    it('Restores deleted records', async () => {
+        const res = await server
+            .post(path.join(BASE_URL, 'admin', 'trash', 'restore', String(entry.id)))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json');
+
+        expect(res).to.have.status(200);
+        expect(res.body.data.item_id).to.equal(visitId);
+
+        const show = await showVisit();
+        expect(show).to.have.status(200);
+        expect(show.body.data.node.id).to.equal(visitId);
+    });
+
+    it('Rejects restoring a restored entry', async () => {
+        const res = await server
+            .post(path.join(BASE_URL, 'admin', 'trash', 'restore', String(entry.id)))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json');
+
+        expect(res).to.have.status(404);
+    });
+
+    it('Limits trash to administrators', async () => {
+        const res = await server
+            .get(path.join(BASE_URL, 'admin', 'trash'))
+            .set('Accept', 'application/json');
+
+        expect(res).to.have.status(403);
+    });
+
+});
+
+describe('Test trash restore of compared captures', () => {
+
+    let cookie, ids, entry;
+
+    const batch = async (operations) => {
+        return await server
+            .post(path.join(BASE_URL, 'batch'))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json')
+            .send({ operations: operations });
+    };
+
+    const getComparisons = async () => {
+        const res = await server
+            .get(path.join(BASE_URL, 'historic_captures', 'show', String(ids.historic)))
+            .query({ include: 'comparisons' })
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json');
+        return res.body.data.attached.comparisons;
+    };
+
+    before(async () => {
+        const res = await server
+            .post(path.join(BASE_URL, 'login'))
+            .set('Accept', 'application/json')
+            .send({
+                email: admin.email,
+                password: admin.password
+            });
+
+        cookie = res.headers["set-cookie"];
+
+        // create compared captures and remove the modern capture
+        const created = await batch([
+            { op: 'create', model: 'historic_visits', owner_id: 312, data: { date: '1926-10-03' }, ref: 'hv' },
+            { op: 'create', model: 'historic_captures', owner_id: { $ref: 'hv' }, data: { fn_photo_reference: 'TRASH-HC' }, ref: 'hc' },
+            { op: 'create', model: 'modern_visits', owner_id: 312, data: { date: '2026-10-03' }, ref: 'mv' },
+            { op: 'create', model: 'locations', owner_id: { $ref: 'mv' }, data: { location_identity: 'Trash' }, ref: 'loc' },
+            { op: 'create', model: 'modern_captures', owner_id: { $ref: 'loc' },
+                data: { fn_photo_reference: 'TRASH-MC', historic_captures: [{ $ref: 'hc' }] } }
+        ]);
+        const [hv, historic, mv, , modern] = created.body.data.map(item => item.id);
+        ids = { hv: hv, historic: historic, mv: mv, modern: modern };
+        expect(await getComparisons()).to.have.lengthOf(1);
+        await batch([{ op: 'remove', model: 'modern_captures', id: ids.modern }]);
+    });
+
+    after(async () => {
+        for (const id of [ids.hv, ids.mv]) {
+            await server
+                .post(path.join(BASE_URL, 'nodes', 'remove', String(id)))
+                .set('Cookie', cookie)
+                .set('Accept', 'application/json')
+                .send({ confirm: true });
+        }
+    });
+
+    it('Deletes comparisons of deleted capture', async () => {
+        expect(await getComparisons()).to.have.lengthOf(0);
+    });
+
+    it('Keeps comparisons of deleted capture in trash', async () => {
+        const res = await server
+            .get(path.join(BASE_URL, 'admin', 'trash'))
+            .query({ model: 'modern_captures', limit: 10 })
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json');
+
+        expect(res).to.have.status(200);
+        entry = res.body.data.find(item => item.item_id === ids.modern);
+        expect(entry).to.exist;
+        // node, capture metadata and comparison
+        expect(entry.record_count).to.be.at.least(3);
+    });
+
+    it('Restores capture with comparisons', async () => {
+        const res = await server
+            .post(path.join(BASE_URL, 'admin', 'trash', 'restore', String(entry.id)))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json');
+
+        expect(res).to.have.status(200);
+        expect(res.body.data.record_count).to.equal(entry.record_count);
+
+        const show = await server
+            .get(path.join(BASE_URL, 'modern_captures', 'show', String(ids.modern)))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json');
+        expect(show).to.have.status(200);
+        expect(await getComparisons()).to.have.lengthOf(1);
+    });
+
+});
+
+describe('Test trash restore of subtrees', () => {
+
+    let cookie, ids, entry;
+
+    const getComparisons = async () => {
+        const res = await server
+            .get(path.join(BASE_URL, 'historic_captures', 'show', String(ids.historic)))
+            .query({ include: 'comparisons' })
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json');
+        return res.body.data.attached.comparisons;
+    };
+
+    const removeSubtree = async (id) => {
+        return await server
+            .post(path.join(BASE_URL, 'nodes', 'remove', String(id)))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json')
+            .send({ confirm: true });
+    };
+
+    before(async () => {
+        const res = await server
+            .post(path.join(BASE_URL, 'login'))
+            .set('Accept', 'application/json')
+            .send({
+                email: admin.email,
+                password: admin.password
+            });
+
+        cookie = res.headers["set-cookie"];
+
+        // compare a capture in the removed subtree with a capture outside it
+        const created = await server
+            .post(path.join(BASE_URL, 'batch'))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json')
+            .send({
+                operations: [
+                    { op: 'create', model: 'historic_visits', owner_id: 312, data: { date: '1926-10-04' }, ref: 'hv' },
+                    { op: 'create', model: 'historic_captures', owner_id: { $ref: 'hv' }, data: { fn_photo_reference: 'SUBTREE-HC' }, ref: 'hc' },
+                    { op: 'create', model: 'modern_visits', owner_id: 312, data: { date: '2026-10-04' }, ref: 'mv' },
+                    { op: 'create', model: 'locations', owner_id: { $ref: 'mv' }, data: { location_identity: 'Subtree' }, ref: 'loc' },
+                    { op: 'create', model: 'modern_captures', owner_id: { $ref: 'loc' },
+                        data: { fn_photo_reference: 'SUBTREE-MC', historic_captures: [{ $ref: 'hc' }] } }
+                ]
+            });
+        const [hv, historic, mv, location, modern] = created.body.data.map(item => item.id);
+        ids = { hv: hv, historic: historic, mv: mv, location: location, modern: modern };
+        expect(await getComparisons()).to.have.lengthOf(1);
+    });
+
+    after(async () => {
+        for (const id of [ids.mv, ids.hv]) await removeSubtree(id);
+    });
+
+    it('Removes subtree with comparisons to captures outside it', async () => {
+        const res = await removeSubtree(ids.mv);
+
+        expect(res).to.have.status(200);
+        expect(res.body.data.comparisons).to.have.lengthOf(1);
+        entry = res.body.data.trash_id;
+        expect(await getComparisons()).to.have.lengthOf(0);
+    });
+
+    it('Restores subtree with comparisons to captures outside it', async () => {
+        const res = await server
+            .post(path.join(BASE_URL, 'admin', 'trash', 'restore', String(entry)))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json');
+
+        expect(res).to.have.status(200);
+        expect(res.body.data.item_id).to.equal(ids.mv);
+
+        for (const [model, id] of [['modern_visits', ids.mv], ['locations', ids.location], ['modern_captures', ids.modern]]) {
+            const show = await server
+                .get(path.join(BASE_URL, model, 'show', String(id)))
+                .set('Cookie', cookie)
+                .set('Accept', 'application/json');
+            expect(show).to.have.status(200);
+        }
+        expect(await getComparisons()).to.have.lengthOf(1);
+    });
+
+});
+
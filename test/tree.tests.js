@@ -0,0 +1,103 @@
+/*!
+ * MLP.API.Tests.Tree
+ * File: tree.tests.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * MIT Licensed
+ *
+ * Description: Node tree level and outline tests
+ */
+
+/**
+ * Module dependencies.
+ * @private
+ */
+
+import { server, BASE_URL } from './setup.js';
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import path from 'path';
+
+describe('Test node tree levels', () => {
+
+    it('Pages through root nodes sorted by label', async () => {
+        const first = await server
+            .get(path.join(BASE_URL, 'nodes', 'roots', 'surveyors'))
+            .query({ limit: 2 })
+            .set('Accept', 'application/json');
+
+        expect(first).to.have.status(200);
+        expect(first.body.data).to.have.lengthOf.at.most(2);
+        expect(first.body.pagination).to.have.property('limit', 2);
+        first.body.data.forEach(item => {
+            expect(item.type).to.equal('surveyors');
+            expect(item).to.have.all.keys('node', 'label', 'type', 'status', 'dependents_count', 'hasDependents');
+        });
+
+        const second = await server
+            .get(path.join(BASE_URL, 'nodes', 'roots', 'surveyors'))
+            .query({ limit: 2, cursor: first.body.pagination.next })
+            .set('Accept', 'application/json');
+
+        expect(second).to.have.status(200);
+        const firstIDs = first.body.data.map(item => item.node.id);
+        second.body.data.forEach(item => {
+            expect(firstIDs).to.not.include(item.node.id);
+            expect(item.label >= first.body.data[1].label).to.equal(true);
+        });
+    });
+
+    it('Returns dependents of node up to depth', async () => {
+        const res = await server
+            .get(path.join(BASE_URL, 'nodes', 'children', '312'))
+            .query({ depth: 2 })
+            .set('Accept', 'application/json');
+
+        expect(res).to.have.status(200);
+        res.body.data.forEach(item => {
+            expect(item.node.owner_id).to.equal(312);
+            expect(item.dependents).to.have.lengthOf(item.dependents_count);
+            item.dependents.forEach(dependent => {
+                expect(dependent.node.owner_id).to.equal(item.node.id);
+                expect(dependent).to.not.have.property('dependents');
+            });
+        });
+    });
+
+    it('Rejects invalid depths and root types', async () => {
+        const badDepth = await server
+            .get(path.join(BASE_URL, 'nodes', 'children', '312'))
+            .query({ depth: 0 })
+            .set('Accept', 'application/json');
+        expect(badDepth).to.have.status(422);
+
+        const badType = await server
+            .get(path.join(BASE_URL, 'nodes', 'roots', 'stations'))
+            .set('Accept', 'application/json');
+        expect(badType).to.have.status(404);
+    });
+
+    it('Returns outline of node subtree', async () => {
+        const roots = await server
+            .get(path.join(BASE_URL, 'nodes', 'roots', 'projects'))
+            .query({ limit: 1 })
+            .set('Accept', 'application/json');
+        const [project] = roots.body.data;
+
+        const res = await server
+            .get(path.join(BASE_URL, 'nodes', 'outline', String(project.node.id)))
+            .set('Accept', 'application/json');
+
+        expect(res).to.have.status(200);
+        expect(res.body.data.node.id).to.equal(project.node.id);
+        expect(res.body.data.label).to.equal(project.label);
+        expect(res.body.data.dependents).to.have.lengthOf(res.body.data.dependents_count);
+    });
+
+    it('Returns not found for missing nodes', async () => {
+        const res = await server
+            .get(path.join(BASE_URL, 'nodes', 'outline', '999999999'))
+            .set('Accept', 'application/json');
+        expect(res).to.have.status(404);
+    });
+
+});
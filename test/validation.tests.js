@@ -0,0 +1,88 @@
+/*!
+ * MLP.API.Tests.Validation
+ * File: validation.tests.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * MIT Licensed
+ *
+ * Description: Schema-driven request validation tests
+ */
+
+/**
+ * Module dependencies.
+ * @private
+ */
+
+import { server, BASE_URL } from './setup.js';
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import path from 'path';
+
+/**
+ * Load admin data.
+ * @private
+ */
+
+let admin = {
+    email: process.env.API_EMAIL,
+    password: process.env.API_PASS,
+    role: 'super_administrator'
+}
+
+describe('Test request validation', () => {
+
+    let cookie;
+
+    before(async () => {
+        const res = await server
+            .post(path.join(BASE_URL, 'login'))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json')
+            .send({
+                email: admin.email,
+                password: admin.password
+            });
+
+        cookie = res.headers["set-cookie"];
+    });
+
+    it('Rejects out-of-range station coordinates', async () => {
+        const res = await server
+            .post(path.join(BASE_URL, 'stations', 'new', '312'))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json')
+            .send({
+                name: 'TEST',
+                lat: 100.1,
+                long: -116.1,
+                elev: 'high'
+            });
+
+        expect(res).to.have.status(422);
+        expect(res.body.message.fields).to.have.property('lat');
+        expect(res.body.message.fields).to.have.property('elev');
+        expect(res.body.message.fields).to.not.have.property('long');
+    });
+
+    it('Rejects survey season years out of range', async () => {
+        const res = await server
+            .post(path.join(BASE_URL, 'survey_seasons', 'new', '151'))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json')
+            .send({ year: 1492 });
+
+        expect(res).to.have.status(422);
+        expect(res.body.message.fields).to.have.property('year');
+    });
+
+    it('Rejects unknown foreign key references', async () => {
+        const res = await server
+            .post(path.join(BASE_URL, 'modern_captures', 'new', '7848'))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json')
+            .send({ cameras_id: 999999 });
+
+        expect(res).to.have.status(422);
+        expect(res.body.message.fields).to.have.property('cameras_id');
+    });
+
+});
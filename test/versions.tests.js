@@ -0,0 +1,194 @@
+/*!
+ * MLP.API.Tests.Versions
+ * File: versions.tests.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * MIT Licensed
+ *
+ * Description: Optimistic concurrency (record versions) tests
+ */
+
+/**
+ * Module dependencies.
+ * @private
+ */
+
+import { server, BASE_URL } from './setup.js';
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import path from 'path';
+
+/**
+ * Load admin data.
+ * @private
+ */
+
+let admin = {
+    email: process.env.API_EMAIL,
+    password: process.env.API_PASS,
+    role: 'super_administrator'
+}
+
+describe('Test record versions', () => {
+
+    let cookie, id, version;
+
+    const patch = async (data, headers = {}) => {
+        const req = server
+            .patch(path.join(BASE_URL, 'v2', 'stations', String(id)))
+            .set('Accept', 'application/json')
+            .set('Cookie', cookie);
+        Object.keys(headers).forEach(key => req.set(key, headers[key]));
+        return await req.send(data);
+    };
+
+    before(async () => {
+        const res = await server
+            .post(path.join(BASE_URL, 'login'))
+            .set('Accept', 'application/json')
+            .send({
+                email: admin.email,
+                password: admin.password
+            });
+        cookie = res.headers["set-cookie"];
+
+        const created = await server
+            .post(path.join(BASE_URL, 'v2', 'stations'))
+            .query({ owner_id: 312 })
+            .set('Accept', 'application/json')
+            .set('Cookie', cookie)
+            .send({ name: 'VERSIONED' });
+        id = created.body.data.nodes_id;
+    });
+
+    after(async () => {
+        await server
+            .delete(path.join(BASE_URL, 'v2', 'stations', String(id)))
+            .set('Accept', 'application/json')
+            .set('Cookie', cookie);
+    });
+
+    it('Includes record version in edit data', async () => {
+        const res = await server
+            .get(path.join(BASE_URL, 'stations', 'edit', String(id)))
+            .set('Accept', 'application/json')
+            .set('Cookie', cookie);
+
+        expect(res).to.have.status(200);
+        expect(res.body.data.version).to.equal(new Date(res.body.data.metadata.updated_at).toISOString());
+        version = res.body.data.version;
+    });
+
+    it('Updates record with current version', async () => {
+        const res = await patch({ name: 'FIRST', version: version });
+
+        expect(res).to.have.status(200);
+        expect(res.body.data.metadata.name).to.equal('FIRST');
+        expect(res.body.data.version).to.not.equal(version);
+    });
+
+    it('Rejects update with stale version', async () => {
+        const res = await patch({ name: 'SECOND', version: version });
+
+        expect(res).to.have.status(409);
+        expect(res.body.message.current.data.name).to.equal('FIRST');
+        expect(res.body.message.current.version).to.not.equal(version);
+
+        // stale update is not saved
+        const current = await server
+            .get(path.join(BASE_URL, 'v2', 'stations', String(id)))
+            .set('Accept', 'application/json')
+            .set('Cookie', cookie);
+        expect(current.body.data.metadata.name).to.equal('FIRST');
+        version = current.body.data.version;
+    });
+
+    it('Accepts version in If-Match header', async () => {
+        const res = await patch({ name: 'THIRD' }, { 'If-Match': `"${version}"` });
+
+        expect(res).to.have.status(200);
+        expect(res.body.data.metadata.name).to.equal('THIRD');
+    });
+
+    it('Requires version on update', async () => {
+        const res = await patch({ name: 'FOURTH' });
+
+        expect(res).to.have.status(428);
+        expect(res.body.message.current.data.name).to.equal('THIRD');
+    });
+
+});
+
+describe('Test metadata record versions', () => {
+
+    let cookie, id, version;
+
+    const patch = async (data) => {
+        return await server
+            .patch(path.join(BASE_URL, 'v2', 'glass_plate_listings', String(id)))
+            .set('Accept', 'application/json')
+            .set('Cookie', cookie)
+            .send(data);
+    };
+
+    before(async () => {
+        const res = await server
+            .post(path.join(BASE_URL, 'login'))
+            .set('Accept', 'application/json')
+            .send({
+                email: admin.email,
+                password: admin.password
+            });
+        cookie = res.headers["set-cookie"];
+
+        // glass plate listings are attached to the owner of a station (survey season)
+        const station = await server
+            .get(path.join(BASE_URL, 'stations', 'show', '805'))
+            .set('Accept', 'application/json')
+            .set('Cookie', cookie);
+
+        const created = await server
+            .post(path.join(BASE_URL, 'v2', 'glass_plate_listings'))
+            .query({ owner_id: station.body.data.node.owner_id })
+            .set('Accept', 'application/json')
+            .set('Cookie', cookie)
+            .send({ container: 'VERSIONED' });
+        id = created.body.data.id;
+
+        const current = await server
+            .get(path.join(BASE_URL, 'v2', 'glass_plate_listings', String(id)))
+            .set('Accept', 'application/json')
+            .set('Cookie', cookie);
+        version = current.body.data.version;
+    });
+
+    after(async () => {
+        await server
+            .delete(path.join(BASE_URL, 'v2', 'glass_plate_listings', String(id)))
+            .set('Accept', 'application/json')
+            .set('Cookie', cookie);
+    });
+
+    it('Updates metadata with current version', async () => {
+        const res = await patch({ container: 'FIRST', version: version });
+
+        expect(res).to.have.status(200);
+        expect(res.body.data.container).to.equal('FIRST');
+        expect(res.body.data.version).to.not.equal(version);
+    });
+
+    it('Rejects metadata update with stale version', async () => {
+        const res = await patch({ container: 'SECOND', version: version });
+
+        expect(res).to.have.status(409);
+        expect(res.body.message.current.data.container).to.equal('FIRST');
+        expect(res.body.message.current.version).to.not.equal(version);
+    });
+
+    it('Requires version on metadata update', async () => {
+        const res = await patch({ container: 'THIRD' });
+
+        expect(res).to.have.status(428);
+        expect(res.body.message.current.data.container).to.equal('FIRST');
+    });
+
+});
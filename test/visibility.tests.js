@@ -0,0 +1,107 @@
+/*!
+ * MLP.API.Tests.Visibility
+ * File: visibility.tests.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * MIT Licensed
+ *
+ * Description: Node visibility and embargo date tests
+ */
+
+/**
+ * Module dependencies.
+ * @private
+ */
+
+import { server, BASE_URL } from './setup.js';
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import path from 'path';
+
+/**
+ * Load admin data.
+ * @private
+ */
+
+let admin = {
+    email: process.env.API_EMAIL,
+    password: process.env.API_PASS,
+    role: 'super_administrator'
+}
+
+describe('Test node visibility', () => {
+
+    let cookie;
+
+    const setVisibility = async (data) => {
+        return await server
+            .post(path.join(BASE_URL, 'nodes', 'visibility', '312'))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json')
+            .send(data);
+    };
+
+    const showAsVisitor = async () => {
+        return await server
+            .get(path.join(BASE_URL, 'stations', 'show', '312'))
+            .set('Accept', 'application/json');
+    };
+
+    before(async () => {
+        const res = await server
+            .post(path.join(BASE_URL, 'login'))
+            .set('Accept', 'application/json')
+            .send({
+                email: admin.email,
+                password: admin.password
+            });
+
+        cookie = res.headers["set-cookie"];
+    });
+
+    after(async () => {
+        await setVisibility({ visibility: 'public', embargo_until: null });
+    });
+
+    it('Rejects invalid visibility', async () => {
+        const res = await setVisibility({ visibility: 'hidden' });
+        expect(res).to.have.status(422);
+        expect(res.body.message.fields).to.have.property('visibility');
+    });
+
+    it('Hides private node from visitors', async () => {
+        const res = await setVisibility({ visibility: 'private' });
+        expect(res).to.have.status(200);
+        expect(res.body.data.visibility).to.equal('private');
+
+        const show = await showAsVisitor();
+        expect(show).to.have.status(404);
+    });
+
+    it('Shows private node to editors', async () => {
+        const res = await server
+            .get(path.join(BASE_URL, 'stations', 'show', '312'))
+            .set('Cookie', cookie)
+            .set('Accept', 'application/json');
+        expect(res).to.have.status(200);
+        expect(res.body.data.node.id).to.equal(312);
+    });
+
+    it('Excludes private node from map', async () => {
+        const res = await server
+            .get(path.join(BASE_URL, 'nodes', 'map'))
+            .set('Accept', 'application/json');
+        expect(res).to.have.status(200);
+        expect(res.body.data.nodes.map(station => station.nodes_id)).to.not.include(312);
+    });
+
+    it('Hides embargoed node until embargo date', async () => {
+        const future = new Date(Date.now() + 86400000).toISOString();
+        await setVisibility({ visibility: 'public', embargo_until: future });
+        expect(await showAsVisitor()).to.have.status(404);
+
+        const past = new Date(Date.now() - 86400000).toISOString();
+        await setVisibility({ visibility: 'public', embargo_until: past });
+        expect(await showAsVisitor()).to.have.status(200);
+    });
+
+});